@@ -1,6 +1,8 @@
 declare module 'chrome-remote-interface' {
     namespace chromeRemoteInterface {
-        export type ProtocolApi = import('devtools-protocol/types/protocol-proxy-api').ProtocolProxyApi.ProtocolApi;
+        export type ProtocolApi = import('devtools-protocol/types/protocol-proxy-api').ProtocolProxyApi.ProtocolApi & {
+            close (): Promise<void>;
+        };
 
         export type ProtocolTargetInfo = import('devtools-protocol/types/protocol').Protocol.Target.TargetInfo;
 
@@ -13,7 +15,12 @@ declare module 'chrome-remote-interface' {
         }
 
         export interface ConstructorOptions extends GenericConnectionOptions {
-            target: TargetInfo;
+            target: TargetInfo | string;
+        }
+
+        export interface VersionInfo {
+            Browser: string;
+            webSocketDebuggerUrl: string;
         }
 
         export interface CloseTabOptions extends GenericConnectionOptions {
@@ -25,6 +32,7 @@ declare module 'chrome-remote-interface' {
         (options: chromeRemoteInterface.ConstructorOptions): Promise<chromeRemoteInterface.ProtocolApi>;
         List (options: chromeRemoteInterface.GenericConnectionOptions): Promise<chromeRemoteInterface.TargetInfo[]>;
         Close (options: chromeRemoteInterface.CloseTabOptions): Promise<void>;
+        Version (options: chromeRemoteInterface.GenericConnectionOptions): Promise<chromeRemoteInterface.VersionInfo>;
     }
 
     const chromeRemoteInterface: ChromeRemoteInterface;
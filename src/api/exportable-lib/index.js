@@ -1,13 +1,15 @@
 import TEST_FILE_TEMP_VARIABLE_NAME from '../../compiler/test-file/test-file-temp-variable-name';
 
-const lazyRequire           = require('import-lazy')(require);
-const ClientFunctionBuilder = lazyRequire('../../client-functions/client-function-builder');
-const SelectorBuilder       = lazyRequire('../../client-functions/selectors/selector-builder');
-const role                  = lazyRequire('../../role');
-const createRequestLogger   = lazyRequire('../request-hooks/request-logger');
-const createRequestMock     = lazyRequire('../request-hooks/request-mock/create-request-mock');
-const userVariables         = lazyRequire('../user-variables');
-const addExportAPI          = lazyRequire('../../compiler/test-file/add-export-api');
+const lazyRequire             = require('import-lazy')(require);
+const ClientFunctionBuilder   = lazyRequire('../../client-functions/client-function-builder');
+const SelectorBuilder         = lazyRequire('../../client-functions/selectors/selector-builder');
+const role                    = lazyRequire('../../role');
+const createRequestLogger     = lazyRequire('../request-hooks/request-logger');
+const createRequestMock       = lazyRequire('../request-hooks/request-mock/create-request-mock');
+const createHarRequestMock    = lazyRequire('../request-hooks/request-mock/from-har');
+const userVariables           = lazyRequire('../user-variables');
+const registerCustomAssertion = lazyRequire('../register-assertion');
+const addExportAPI            = lazyRequire('../../compiler/test-file/add-export-api');
 
 // NOTE: We can't use lazy require for RequestHook, because it will break base class detection for inherited classes
 let RequestHook = null;
@@ -43,6 +45,11 @@ Object.defineProperty(Role, 'anonymous', {
     get: () => role.createAnonymousRole,
 });
 
+// NOTE: the method name is used to find the callsite that relative HAR file paths are resolved against
+RequestMock.fromHar = function fromHar (harPath, options) {
+    return createHarRequestMock(harPath, options);
+};
+
 const exportableLib = {
     Role,
 
@@ -54,6 +61,10 @@ const exportableLib = {
 
     RequestMock,
 
+    registerAssertion (name, fn, options) {
+        return registerCustomAssertion(name, fn, options);
+    },
+
     get RequestHook () {
         if (!RequestHook)
             RequestHook = require('../request-hooks/hook');
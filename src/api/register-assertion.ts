@@ -0,0 +1,41 @@
+import Assertion from './test-controller/assertion';
+import {
+    addCustomAssertion,
+    getCustomAssertion,
+    CustomAssertionFn,
+    CustomAssertionOptions,
+} from '../assertions/custom';
+import { assertType, is } from '../errors/runtime/type-assertions';
+import { APIError } from '../errors/runtime';
+import { RUNTIME_ERRORS } from '../errors/types';
+
+const API_METHOD_NAME = 'registerAssertion';
+
+function validateArguments (name: string, fn: CustomAssertionFn, options?: CustomAssertionOptions): void {
+    assertType(is.string, API_METHOD_NAME, 'The "name" argument', name);
+    assertType(is.function, API_METHOD_NAME, 'The "fn" argument', fn);
+
+    if (options === void 0)
+        return;
+
+    assertType(is.nonNullObject, API_METHOD_NAME, 'The "options" argument', options);
+
+    if (options.retryable !== void 0)
+        assertType(is.boolean, API_METHOD_NAME, 'The "retryable" option', options.retryable);
+}
+
+// NOTE: a custom assertion can be registered again with the same name,
+// for example, when test files are recompiled in live mode
+function isBuiltInAssertionMethod (name: string): boolean {
+    return name in Assertion.prototype && !getCustomAssertion(name);
+}
+
+export default function registerCustomAssertion (name: string, fn: CustomAssertionFn, options?: CustomAssertionOptions): void {
+    validateArguments(name, fn, options);
+
+    if (isBuiltInAssertionMethod(name))
+        throw new APIError(API_METHOD_NAME, RUNTIME_ERRORS.cannotOverrideBuiltInAssertion, name);
+
+    addCustomAssertion(name, fn, options);
+    Assertion.addCustomAssertionMethod(name);
+}
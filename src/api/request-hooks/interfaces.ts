@@ -8,3 +8,20 @@ export interface RequestHookLogOptions {
 }
 
 export type RequestHookLogOptionsInit = Partial<RequestHookLogOptions>;
+
+export type HarUrlMatchStrategy = 'exact' | 'ignoreQuery' | ((requestUrl: string, entryUrl: string) => boolean);
+
+export type HarMethodMatchStrategy = 'exact' | 'ignore';
+
+export type HarBodyMatchStrategy = 'ignore' | 'exact' | 'json' | ((requestBody: string, entryBody: string) => boolean);
+
+export type HarNotFoundPolicy = 'passThrough' | '404' | 'fail';
+
+export interface RequestMockHarOptions {
+    urlMatch: HarUrlMatchStrategy;
+    methodMatch: HarMethodMatchStrategy;
+    bodyMatch: HarBodyMatchStrategy;
+    notFound: HarNotFoundPolicy;
+}
+
+export type RequestMockHarOptionsInit = Partial<RequestMockHarOptions>;
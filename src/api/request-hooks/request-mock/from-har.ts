@@ -0,0 +1,232 @@
+import { readFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { isEqual } from 'lodash';
+
+import {
+    ResponseMock,
+    RequestEvent,
+    ResponseEvent,
+} from 'testcafe-hammerhead';
+
+import RequestHook from '../hook';
+import { APIError } from '../../../errors/runtime';
+import { RUNTIME_ERRORS } from '../../../errors/types';
+import { RequestMockHarEntryNotFoundError } from '../../../errors/test-run';
+import { assertType, is } from '../../../errors/runtime/type-assertions';
+import { getCallsiteForMethod } from '../../../errors/get-callsite';
+import WARNING_MESSAGE from '../../../notifications/warning-message';
+import { getConcatenatedValuesString } from '../../../utils/string';
+import { Dictionary } from '../../../configuration/interfaces';
+import { HarEntry, HarNameValuePair } from '../../../har-recorder/interfaces';
+
+import {
+    RequestMockHarOptions,
+    RequestMockHarOptionsInit,
+} from '../interfaces';
+
+
+const DEFAULT_OPTIONS: RequestMockHarOptions = {
+    urlMatch:    'exact',
+    methodMatch: 'exact',
+    bodyMatch:   'ignore',
+    notFound:    'passThrough',
+};
+
+const OPTION_VALUES: Dictionary<string[]> = {
+    urlMatch:    ['exact', 'ignoreQuery'],
+    methodMatch: ['exact', 'ignore'],
+    bodyMatch:   ['ignore', 'exact', 'json'],
+    notFound:    ['passThrough', '404', 'fail'],
+};
+
+const OPTIONS_WITH_PREDICATE = ['urlMatch', 'bodyMatch'];
+
+// NOTE: recorded response bodies are already decoded, so
+// the headers describing the transferred content do not apply to them
+const SKIPPED_RESPONSE_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+const NOT_FOUND_STATUS_CODE = 404;
+
+const REQUEST_MOCK_CLASS_NAME = 'RequestMock';
+const FROM_HAR_METHOD_NAME    = 'fromHar';
+
+interface CallsiteRecordLike {
+    filename: string;
+}
+
+interface RecordedRequestInfo {
+    url: string;
+    method: string;
+    body: Buffer;
+}
+
+class HarRequestMock extends RequestHook {
+    private readonly _options: RequestMockHarOptions;
+    private readonly _entries: HarEntry[];
+
+    public constructor (harPath: string, options?: RequestMockHarOptionsInit) {
+        assertType(is.string, FROM_HAR_METHOD_NAME, 'The HAR file path', harPath);
+
+        const effectiveOptions = Object.assign({}, DEFAULT_OPTIONS, options) as RequestMockHarOptions;
+
+        HarRequestMock._assertOptions(effectiveOptions);
+
+        super();
+
+        this._className = REQUEST_MOCK_CLASS_NAME;
+        this._options   = effectiveOptions;
+        this._entries   = HarRequestMock._loadEntries(HarRequestMock._resolveHarPath(harPath));
+    }
+
+    private static _throwConfigureError (message: string): never {
+        throw new APIError(FROM_HAR_METHOD_NAME, RUNTIME_ERRORS.requestHookConfigureAPIError, REQUEST_MOCK_CLASS_NAME, message);
+    }
+
+    private static _assertOptions (options: RequestMockHarOptions): void {
+        Object.keys(OPTION_VALUES).forEach(name => {
+            const value = options[name as keyof RequestMockHarOptions];
+
+            if (OPTIONS_WITH_PREDICATE.includes(name) && typeof value === 'function')
+                return;
+
+            if (OPTION_VALUES[name].includes(value as string))
+                return;
+
+            const predicateHint = OPTIONS_WITH_PREDICATE.includes(name) ? ' You can also specify a predicate function.' : '';
+
+            HarRequestMock._throwConfigureError(`The "${name}" option value is invalid. Use one of the following values: ${getConcatenatedValuesString(OPTION_VALUES[name])}.${predicateHint}`);
+        });
+    }
+
+    // NOTE: a relative path is resolved against the directory of the file that calls the method, like the paths of client scripts
+    private static _resolveHarPath (harPath: string): string {
+        const callsite = getCallsiteForMethod(FROM_HAR_METHOD_NAME) as unknown as CallsiteRecordLike | null;
+        const basePath = callsite ? dirname(callsite.filename) : process.cwd();
+
+        return resolve(basePath, harPath);
+    }
+
+    private static _loadEntries (harPath: string): HarEntry[] {
+        let har = null;
+
+        try {
+            har = JSON.parse(readFileSync(harPath).toString());
+        }
+        catch (err) {
+            HarRequestMock._throwConfigureError(`Cannot read the "${harPath}" HAR file. ${err.message}`);
+        }
+
+        if (!Array.isArray(har?.log?.entries))
+            HarRequestMock._throwConfigureError(`The "${harPath}" file is not a valid HAR file. It does not contain the "log.entries" array.`);
+
+        // NOTE: entries without a status code correspond to requests that did not receive a response
+        return (har.log.entries as HarEntry[]).filter(entry => entry.response?.status);
+    }
+
+    private static _removeQuery (url: string): string {
+        return url.replace(/[?#].*$/, '');
+    }
+
+    private static _parseJson (str: string): unknown {
+        try {
+            return JSON.parse(str);
+        }
+        catch (err) {
+            return str;
+        }
+    }
+
+    private static _getResponseHeaders (headers: HarNameValuePair[]): Dictionary<string | string[]> {
+        const result: Dictionary<string | string[]> = {};
+
+        headers.forEach(({ name, value }) => {
+            name = name.toLowerCase();
+
+            // NOTE: skip HTTP/2 pseudo-headers recorded by browsers (':status', ':path', etc.)
+            if (name.startsWith(':') || SKIPPED_RESPONSE_HEADERS.includes(name))
+                return;
+
+            const existingValue = result[name];
+
+            if (existingValue === void 0)
+                result[name] = value;
+            else
+                result[name] = ([] as string[]).concat(existingValue, value);
+        });
+
+        return result;
+    }
+
+    private static _createResponseMock (entry: HarEntry): ResponseMock {
+        const { status, headers, content } = entry.response;
+        const text                         = content?.text || '';
+        const body                         = Buffer.from(text, content?.encoding === 'base64' ? 'base64' : 'utf8');
+
+        // NOTE: ResponseMock sends Buffer bodies as is, but its typings declare only string bodies
+        return new ResponseMock(body as unknown as string, status, HarRequestMock._getResponseHeaders(headers || []));
+    }
+
+    private _isUrlMatching (requestUrl: string, entryUrl: string): boolean {
+        const { urlMatch } = this._options;
+
+        if (typeof urlMatch === 'function')
+            return urlMatch(requestUrl, entryUrl);
+
+        if (urlMatch === 'ignoreQuery')
+            return HarRequestMock._removeQuery(requestUrl) === HarRequestMock._removeQuery(entryUrl);
+
+        return requestUrl === entryUrl;
+    }
+
+    private _isMethodMatching (requestMethod: string, entryMethod: string): boolean {
+        return this._options.methodMatch === 'ignore' || requestMethod.toUpperCase() === entryMethod.toUpperCase();
+    }
+
+    private _isBodyMatching (requestBody: string, entryBody: string): boolean {
+        const { bodyMatch } = this._options;
+
+        if (typeof bodyMatch === 'function')
+            return bodyMatch(requestBody, entryBody);
+
+        if (bodyMatch === 'json')
+            return isEqual(HarRequestMock._parseJson(requestBody), HarRequestMock._parseJson(entryBody));
+
+        return bodyMatch === 'ignore' || requestBody === entryBody;
+    }
+
+    private _findEntry ({ url, method, body }: RecordedRequestInfo): HarEntry | undefined {
+        const requestBody = body ? body.toString() : '';
+
+        return this._entries.find(({ request }) =>
+            this._isUrlMatching(url, request.url) &&
+            this._isMethodMatching(method, request.method) &&
+            this._isBodyMatching(requestBody, request.postData?.text || ''));
+    }
+
+    public async onRequest (event: RequestEvent): Promise<void> {
+        const entry = this._findEntry(event._requestInfo);
+
+        if (entry) {
+            await event.setMock(HarRequestMock._createResponseMock(entry));
+
+            return;
+        }
+
+        if (this._options.notFound === 'passThrough')
+            return;
+
+        await event.setMock(new ResponseMock('', NOT_FOUND_STATUS_CODE));
+
+        if (this._options.notFound === 'fail')
+            throw new RequestMockHarEntryNotFoundError(this._className, event._requestInfo.method.toUpperCase(), event._requestInfo.url);
+    }
+
+    public async onResponse (event: ResponseEvent): Promise<void> {
+        if (event.isSameOriginPolicyFailed && this._warningLog)
+            this._warningLog.addWarning(WARNING_MESSAGE.requestMockCORSValidationFailed, REQUEST_MOCK_CLASS_NAME, event.requestFilterRule);
+    }
+}
+
+export default function createRequestMockFromHar (harPath: string, options?: RequestMockHarOptionsInit): HarRequestMock {
+    return new HarRequestMock(harPath, options);
+}
@@ -12,6 +12,7 @@ import ClientScriptInit from '../../custom-client-scripts/client-script-init';
 import TestFile from './test-file';
 import { AuthCredentials, Metadata } from './interfaces';
 import { Dictionary } from '../../configuration/interfaces';
+import { NetworkConditions } from '../../test-run/network-conditions/interfaces';
 
 export default abstract class TestingUnit extends BaseUnit {
     public readonly testFile: TestFile;
@@ -25,6 +26,7 @@ export default abstract class TestingUnit extends BaseUnit {
     public clientScripts: ClientScriptInit[];
     public disablePageReloads: boolean | undefined;
     public disablePageCaching: boolean;
+    public networkConditions: NetworkConditions | null;
     public apiMethodWasCalled: FlagList;
     public apiOrigin: Function;
 
@@ -44,6 +46,7 @@ export default abstract class TestingUnit extends BaseUnit {
 
         this.disablePageReloads = void 0;
         this.disablePageCaching = false;
+        this.networkConditions  = null;
 
         this.apiMethodWasCalled = new FlagList([OPTION_NAMES.clientScripts, OPTION_NAMES.requestHooks]);
 
@@ -127,6 +130,22 @@ export default abstract class TestingUnit extends BaseUnit {
         return this.apiOrigin;
     }
 
+    private _throttle$ (conditions: NetworkConditions): Function {
+        assertType(is.nonNullObject, 'throttle', `${this.unitType}.throttle`, conditions);
+
+        for (const property of ['latency', 'download', 'upload'] as const) {
+            if (conditions[property] !== void 0)
+                assertType(is.nonNegativeNumber, 'throttle', `${this.unitType}.throttle.${property}`, conditions[property]);
+        }
+
+        if (conditions.offline !== void 0)
+            assertType(is.boolean, 'throttle', `${this.unitType}.throttle.offline`, conditions.offline);
+
+        this.networkConditions = conditions;
+
+        return this.apiOrigin;
+    }
+
     public static makeAPIListForChildClass (ChildClass: unknown): void {
         //@ts-ignore
         ChildClass.API_LIST = TestingUnit.API_LIST.concat(getDelegatedAPIList(ChildClass.prototype));
@@ -7,6 +7,7 @@ import {
     LtAssertionCommand,
     LteAssertionCommand,
     MatchAssertionCommand,
+    MatchesSchemaAssertionCommand,
     NotContainsAssertionCommand,
     NotEqlAssertionCommand,
     NotMatchAssertionCommand,
@@ -14,33 +15,76 @@ import {
     NotTypeOfAssertionCommand,
     NotWithinAssertionCommand,
     OkAssertionCommand,
+    ToMatchScreenshotAssertionCommand,
+    ToMatchSnapshotAssertionCommand,
     TypeOfAssertionCommand,
     WithinAssertionCommand,
 } from '../../test-run/commands/assertion';
 import { AssertionWithoutMethodCallError } from '../../errors/test-run';
 import TestController from './index';
 import { CallsiteRecord } from 'callsite-record';
-import { AssertionOptions } from '../../test-run/commands/options';
+import {
+    AssertionOptions,
+    ScreenshotComparisonOptions,
+    SnapshotOptions,
+} from '../../test-run/commands/options';
 import { isClientFunction, isSelector } from '../../client-functions/types';
 import addWarning from '../../notifications/add-rendered-warning';
 import WARNING_MESSAGE from '../../notifications/warning-message';
+import ASSERTION_TYPE from '../../assertions/type';
+import { JsonSchema } from '../../assertions/json-schema/validator';
+import ReExecutablePromise from '../../utils/re-executable-promise';
+
+interface PollOptions {
+    timeout?: number;
+    interval?: number;
+}
+
+interface PollArgs {
+    fn: unknown;
+    options: unknown;
+}
+
+export interface AssertionInitOptions {
+    soft?: boolean;
+    poll?: PollArgs;
+}
 
 interface AssertionArgs {
     opts: AssertionOptions;
+    actual?: unknown;
     message?: string | AssertionOptions;
     expected?: unknown;
     expected2?: unknown;
+    extraOptions?: object;
 }
 
 export default class Assertion {
     private readonly _testController: TestController;
     private readonly _actual: unknown;
     private readonly _callsite: CallsiteRecord;
+    private readonly _initOptions: AssertionInitOptions;
+
+    public static addCustomAssertionMethod (name: string): void {
+        class CustomAssertionCommand extends AssertionCommand {
+            public static methodName = name;
+        }
 
-    public constructor (actual: unknown, testController: TestController, callsite: CallsiteRecord) {
+        // NOTE: the method name is used to find the assertion callsite
+        const { [name]: method } = {
+            [name] (this: Assertion, expected: unknown, message: string, opts: AssertionOptions): () => Promise<unknown> {
+                return this._enqueueAssertion(CustomAssertionCommand, { expected, message, opts });
+            },
+        };
+
+        Object.defineProperty(Assertion.prototype, name, { value: method, configurable: true, writable: true });
+    }
+
+    public constructor (actual: unknown, testController: TestController, callsite: CallsiteRecord, initOptions: AssertionInitOptions = {}) {
         this._testController = testController;
         this._actual         = actual;
         this._callsite       = callsite;
+        this._initOptions    = initOptions;
     }
 
     public then (): never {
@@ -60,16 +104,55 @@ export default class Assertion {
             message = void 0;
         }
 
+        const pollOptions = this._getPollOptions();
+
         return this._testController._enqueueCommand(command, {
             assertionType: command.methodName,
-            actual:        this._actual,
+            actual:        'actual' in assertionArgs ? assertionArgs.actual : this._getActual(),
             expected:      assertionArgs.expected,
             expected2:     assertionArgs.expected2,
             message:       message,
-            options:       { timeout: options.timeout, allowUnawaitedPromise: options.allowUnawaitedPromise },
+            poll:          this._initOptions.poll,
+            options:       {
+                timeout:               options.timeout === void 0 ? pollOptions.timeout : options.timeout,
+                allowUnawaitedPromise: options.allowUnawaitedPromise,
+                soft:                  !!this._initOptions.soft,
+                interval:              pollOptions.interval,
+                ...assertionArgs.extraOptions,
+            },
         }, this._checkForWarnings.bind(this));
     }
 
+    // NOTE: the polled function is re-executed on each assertion retry like a selector property.
+    // The function and its options are validated by the assertion command.
+    private _getActual (): unknown {
+        const poll = this._initOptions.poll;
+
+        if (poll && typeof poll.fn === 'function')
+            return ReExecutablePromise.fromFn(poll.fn);
+
+        return this._actual;
+    }
+
+    private _getPollOptions (): PollOptions {
+        const options = this._initOptions.poll?.options;
+
+        return typeof options === 'object' && options ? options as PollOptions : {};
+    }
+
+    // NOTE: a selector is compared by the text or the normalized markup of the matched element
+    private _getSnapshotActual (html?: boolean): unknown {
+        if (!isSelector(this._actual))
+            return this._getActual();
+
+        const selector = this._actual as any;
+
+        if (html)
+            return selector.addCustomDOMProperties({ outerHTML: (el: Element) => el.outerHTML }).outerHTML;
+
+        return selector.innerText;
+    }
+
     private _checkForWarnings (testController: TestController, assertionCommand: AssertionCommand, callsite: CallsiteRecord): void {
         testController.checkForExcessiveAwaits(callsite, assertionCommand);
 
@@ -79,7 +162,8 @@ export default class Assertion {
                 actionId: assertionCommand.actionId,
             }, callsite);
         }
-        else if (isSelector(assertionCommand.actual)) {
+        // NOTE: the toMatchScreenshot assertion expects a selector as the actual value
+        else if (isSelector(assertionCommand.actual) && assertionCommand.assertionType !== ASSERTION_TYPE.toMatchScreenshot) {
             addWarning(testController.warningLog, {
                 message:  WARNING_MESSAGE.assertedSelectorInstance,
                 actionId: assertionCommand.actionId,
@@ -151,4 +235,26 @@ export default class Assertion {
     public [NotMatchAssertionCommand.methodName] (expected: unknown, message: string, opts: AssertionOptions): () => Promise<unknown> {
         return this._enqueueAssertion(NotMatchAssertionCommand, { expected, message, opts });
     }
+
+    public [MatchesSchemaAssertionCommand.methodName] (schema: JsonSchema, message: string, opts: AssertionOptions): () => Promise<unknown> {
+        return this._enqueueAssertion(MatchesSchemaAssertionCommand, { expected: schema, message, opts });
+    }
+
+    public [ToMatchScreenshotAssertionCommand.methodName] (name: string, opts: ScreenshotComparisonOptions): () => Promise<unknown> {
+        const extraOptions = { threshold: opts?.threshold, ignoreRegions: opts?.ignoreRegions };
+
+        return this._enqueueAssertion(ToMatchScreenshotAssertionCommand, { expected: name, opts, extraOptions });
+    }
+
+    public [ToMatchSnapshotAssertionCommand.methodName] (name?: string | SnapshotOptions, opts?: SnapshotOptions): () => Promise<unknown> {
+        if (typeof name === 'object') {
+            opts = name;
+            name = void 0;
+        }
+
+        const actual       = this._getSnapshotActual(opts?.html);
+        const extraOptions = { html: opts?.html };
+
+        return this._enqueueAssertion(ToMatchSnapshotAssertionCommand, { expected: name, actual, opts: opts as SnapshotOptions, extraOptions });
+    }
 }
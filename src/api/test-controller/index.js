@@ -11,7 +11,13 @@ import {
 import { getCallsiteForMethod } from '../../errors/get-callsite';
 import ClientFunctionBuilder from '../../client-functions/client-function-builder';
 import Assertion from './assertion';
-import { getDelegatedAPIList, delegateAPI } from '../../utils/delegated-api';
+
+import {
+    getDelegatedAPIList,
+    delegateAPI,
+    getNestedAPIFunctionName,
+} from '../../utils/delegated-api';
+
 import addWarning from '../../notifications/add-rendered-warning';
 import { getDeprecationMessage, DEPRECATED } from '../../notifications/deprecated';
 
@@ -42,6 +48,12 @@ import {
     SetNativeDialogHandlerCommand,
     GetNativeDialogHistoryCommand,
     GetBrowserConsoleMessagesCommand,
+    CheckAccessibilityCommand,
+    GetPerformanceMetricsCommand,
+    AttachCommand,
+    RequestCommand,
+    EmulateCommand,
+    SetNetworkConditionsCommand,
     SetTestSpeedCommand,
     SetPageLoadTimeoutCommand,
     ScrollCommand,
@@ -60,10 +72,13 @@ import {
 } from '../../test-run/commands/browser-manipulation';
 
 import { WaitCommand, DebugCommand } from '../../test-run/commands/observation';
+import { StepStartCommand, StepDoneCommand } from '../../test-run/commands/service';
+import { nonEmptyStringArgument, functionArgument } from '../../test-run/commands/validations/argument';
 import assertRequestHookType from '../request-hooks/assert-type';
 import { createExecutionContext as createContext } from './execution-context';
 import { isSelector } from '../../client-functions/types';
 import TestRunProxy from '../../services/compiler/test-run-proxy';
+import { serializeAttachmentContent } from '../../test-run/attachments';
 
 import {
     MultipleWindowsModeIsDisabledError,
@@ -151,9 +166,8 @@ export default class TestController {
         return this.executionChain;
     }
 
-    _enqueueCommand (CmdCtor, cmdArgs, validateCommandFn) {
-        const callsite = getCallsiteForMethod(CmdCtor.methodName);
-        const command  = this._createCommand(CmdCtor, cmdArgs, callsite);
+    _enqueueCommand (CmdCtor, cmdArgs, validateCommandFn, callsite = getCallsiteForMethod(CmdCtor.methodName)) {
+        const command = this._createCommand(CmdCtor, cmdArgs, callsite);
 
         if (typeof validateCommandFn === 'function')
             validateCommandFn(this, command, callsite);
@@ -461,6 +475,86 @@ export default class TestController {
         return this.testRun.executeCommand(command, callsite);
     }
 
+    [delegatedAPI(GetPerformanceMetricsCommand.methodName)] () {
+        const callsite = getCallsiteForMethod(GetPerformanceMetricsCommand.methodName);
+        const command  = this._createCommand(GetPerformanceMetricsCommand, {}, callsite);
+
+        return this.testRun.executeCommand(command, callsite);
+    }
+
+    [delegatedAPI(CheckAccessibilityCommand.methodName)] (selector, options) {
+        // NOTE: selector promises and node snapshots have the 'selector' property, while accessibility options don't
+        const isOptions = options === void 0 && !!selector && typeof selector === 'object' && !selector.selector;
+
+        if (isOptions) {
+            options  = selector;
+            selector = void 0;
+        }
+
+        return this._enqueueCommand(CheckAccessibilityCommand, { selector, options });
+    }
+
+    [delegatedAPI(AttachCommand.methodName)] (name, contentOrPath, options) {
+        const { content, format } = serializeAttachmentContent(contentOrPath);
+
+        return this._enqueueCommand(AttachCommand, { name, content, format, options });
+    }
+
+    [delegatedAPI(EmulateCommand.methodName)] (options) {
+        return this._enqueueCommand(EmulateCommand, { options });
+    }
+
+    [delegatedAPI(SetNetworkConditionsCommand.methodName)] (conditions) {
+        return this._enqueueCommand(SetNetworkConditionsCommand, { conditions });
+    }
+
+    _enqueueRequest (apiFnName, url, options, method) {
+        const callsite = getCallsiteForMethod(apiFnName);
+
+        if (typeof url === 'object' && url !== null) {
+            options = url;
+            url     = options.url;
+        }
+
+        const { headers, params, body, auth } = options || {};
+
+        method = method || options?.method;
+
+        return this._enqueueCommand(RequestCommand, { url, method, headers, params, body, auth, options }, null, callsite);
+    }
+
+    [delegatedAPI(RequestCommand.methodName)] (url, options) {
+        return this._enqueueRequest(RequestCommand.methodName, url, options);
+    }
+
+    _request$get$ (url, options) {
+        return this._enqueueRequest(getNestedAPIFunctionName(RequestCommand.methodName, 'get'), url, options, 'GET');
+    }
+
+    _request$post$ (url, options) {
+        return this._enqueueRequest(getNestedAPIFunctionName(RequestCommand.methodName, 'post'), url, options, 'POST');
+    }
+
+    _request$put$ (url, options) {
+        return this._enqueueRequest(getNestedAPIFunctionName(RequestCommand.methodName, 'put'), url, options, 'PUT');
+    }
+
+    _request$patch$ (url, options) {
+        return this._enqueueRequest(getNestedAPIFunctionName(RequestCommand.methodName, 'patch'), url, options, 'PATCH');
+    }
+
+    _request$delete$ (url, options) {
+        return this._enqueueRequest(getNestedAPIFunctionName(RequestCommand.methodName, 'delete'), url, options, 'DELETE');
+    }
+
+    _request$head$ (url, options) {
+        return this._enqueueRequest(getNestedAPIFunctionName(RequestCommand.methodName, 'head'), url, options, 'HEAD');
+    }
+
+    _request$options$ (url, options) {
+        return this._enqueueRequest(getNestedAPIFunctionName(RequestCommand.methodName, 'options'), url, options, 'OPTIONS');
+    }
+
     checkForExcessiveAwaits (checkedCallsite, { actionId }) {
         const snapshotPropertyCallsites = this.testRun.observedCallsites.snapshotPropertyCallsites;
         const callsiteId                = getCallsiteId(checkedCallsite);
@@ -483,6 +577,18 @@ export default class TestController {
         return new Assertion(actual, this, callsite);
     }
 
+    _expect$soft$ (actual) {
+        const callsite = getCallsiteForMethod(getNestedAPIFunctionName(AssertionCommand.methodName, 'soft'));
+
+        return new Assertion(actual, this, callsite, { soft: true });
+    }
+
+    _expect$poll$ (fn, options) {
+        const callsite = getCallsiteForMethod(getNestedAPIFunctionName(AssertionCommand.methodName, 'poll'));
+
+        return new Assertion(fn, this, callsite, { poll: { fn, options } });
+    }
+
     [delegatedAPI(DebugCommand.methodName)] () {
         // NOTE: do not need to enqueue the Debug command if we are in debugging mode.
         // The Debug command will be executed by CDP.
@@ -504,6 +610,65 @@ export default class TestController {
         return this._enqueueCommand(UseRoleCommand, { role });
     }
 
+    _validateStepArguments (name, fn, callsite) {
+        try {
+            nonEmptyStringArgument('name', name);
+            functionArgument('fn', fn);
+        }
+        catch (err) {
+            err.callsite = callsite;
+
+            throw err;
+        }
+    }
+
+    _step$ (name, fn) {
+        const callsite = getCallsiteForMethod('step');
+
+        this._validateStepArguments(name, fn, callsite);
+
+        return this._enqueueTask('step', () => {
+            return async () => {
+                const executionChain = this.executionChain;
+
+                // NOTE: the step's actions are added to a separate execution chain.
+                // Otherwise, they would wait for the step that is waiting for them.
+                this.executionChain = Promise.resolve();
+
+                this._addTestControllerToExecutionChain();
+
+                await this.testRun.executeCommand(new StepStartCommand(name), callsite);
+
+                let failed = false;
+                let error  = null;
+
+                try {
+                    await fn(this);
+                }
+                catch (err) {
+                    failed = true;
+                    error  = err;
+                }
+
+                const step = await this.testRun.executeCommand(new StepDoneCommand(failed), callsite);
+
+                if (!failed) {
+                    this.executionChain = executionChain;
+
+                    return;
+                }
+
+                this.executionChain = Promise.resolve();
+
+                // NOTE: the error is marked with the innermost step it occurred in
+                if (error && typeof error === 'object' && !error.step && step)
+                    error.step = step.path;
+
+                throw error;
+            };
+        }, callsite);
+    }
+
     _addRequestHooks$ (...hooks) {
         return this._enqueueTask('addRequestHooks', () => {
             hooks = flatten(hooks);
@@ -0,0 +1,70 @@
+import { inspect } from 'util';
+import { AssertionError } from 'chai';
+import { isPlainObject } from 'lodash';
+import { AssertionCommand } from '../test-run/commands/assertion';
+
+export interface CustomAssertionResult {
+    pass: boolean;
+    message?: string;
+    actual?: unknown;
+    expected?: unknown;
+}
+
+export type CustomAssertionFn = (actual: unknown, expected: unknown) => boolean | CustomAssertionResult | Promise<boolean | CustomAssertionResult>;
+
+export interface CustomAssertionOptions {
+    retryable?: boolean;
+}
+
+export interface CustomAssertion {
+    name: string;
+    fn: CustomAssertionFn;
+    retryable: boolean;
+}
+
+const customAssertions = new Map<string, CustomAssertion>();
+
+function normalizeResult (result: unknown, command: AssertionCommand): CustomAssertionResult {
+    const { actual, expected } = command;
+
+    if (isPlainObject(result))
+        return { actual, expected, ...result as CustomAssertionResult };
+
+    return { pass: !!result, actual, expected };
+}
+
+function getDefaultMessage (name: string, { actual, expected }: CustomAssertionResult): string {
+    const actualStr = inspect(actual);
+
+    if (expected === void 0)
+        return `expected ${actualStr} to pass the "${name}" assertion`;
+
+    return `expected ${actualStr} to pass the "${name}" assertion with ${inspect(expected)}`;
+}
+
+export function addCustomAssertion (name: string, fn: CustomAssertionFn, { retryable = true }: CustomAssertionOptions = {}): void {
+    customAssertions.set(name, { name, fn, retryable });
+}
+
+export function getCustomAssertion (name: string): CustomAssertion | null {
+    return customAssertions.get(name) || null;
+}
+
+// NOTE: custom assertion failures are thrown as Chai assertion errors,
+// so they are reported with a diff like the built-in assertions
+export function getCustomAssertionFn (assertion: CustomAssertion, command: AssertionCommand): Function {
+    return async () => {
+        const result = normalizeResult(await assertion.fn(command.actual, command.expected), command);
+
+        if (result.pass)
+            return;
+
+        const message = result.message || getDefaultMessage(assertion.name, result);
+
+        throw new AssertionError(command.message ? `${command.message}: ${message}` : message, {
+            actual:   result.actual,
+            expected: result.expected,
+            showDiff: result.expected !== void 0,
+        });
+    };
+}
@@ -4,6 +4,8 @@ import { isThennable } from '../utils/thennable';
 import { ExternalAssertionLibraryError, AssertionUnawaitedPromiseError } from '../errors/test-run';
 import ReExecutablePromise from '../utils/re-executable-promise';
 import getFn from './get-fn';
+import ASSERTION_TYPE from './type';
+import { getCustomAssertion } from './custom';
 import { AssertionCommand } from '../test-run/commands/assertion';
 import { CallsiteRecord } from 'callsite-record';
 import { FUNCTION_MARKER_DESCRIPTION } from '../services/serialization/replicator/transforms/function-marker-transform/marker';
@@ -18,9 +20,10 @@ export default class AssertionExecutor extends EventEmitter {
     private startTime: number | null;
     private passed: boolean;
     private inRetry: boolean;
+    private readonly retryable: boolean;
     public fn: Function;
 
-    public constructor (command: AssertionCommand, timeout: number, callsite: CallsiteRecord) {
+    public constructor (command: AssertionCommand, timeout: number, callsite: CallsiteRecord, assertionFn?: Function) {
         super();
 
         this.command  = command;
@@ -31,7 +34,11 @@ export default class AssertionExecutor extends EventEmitter {
         this.passed    = false;
         this.inRetry   = false;
 
-        const fn            = getFn(this.command);
+        const customAssertion = getCustomAssertion(this.command.assertionType);
+
+        this.retryable = !customAssertion || customAssertion.retryable;
+
+        const fn            = assertionFn || getFn(this.command);
         const actualCommand = this.command.actual;
 
         if (actualCommand instanceof ReExecutablePromise)
@@ -66,18 +73,18 @@ export default class AssertionExecutor extends EventEmitter {
                 this.command.actual = await resultPromise._reExecute();
 
                 try {
-                    fn();
+                    await fn();
                     this.passed = true;
                     this._onExecutionFinished();
                 }
 
                 catch (err) {
-                    if (this._getTimeLeft() <= 0) {
+                    if (!this.retryable || this._getTimeLeft() <= 0) {
                         this._onExecutionFinished();
                         throw err;
                     }
 
-                    await delay(ASSERTION_DELAY);
+                    await delay(this.command.options.interval || ASSERTION_DELAY);
 
                     this.inRetry = true;
                     this.emit('start-assertion-retries', this._getTimeLeft());
@@ -86,8 +93,16 @@ export default class AssertionExecutor extends EventEmitter {
         };
     }
 
+    // NOTE: custom assertions are registered in test files, so they are unknown
+    // in the main process if tests are compiled by the compiler service
+    private _isUnknownAssertion (): boolean {
+        const { assertionType } = this.command;
+
+        return !Object.values(ASSERTION_TYPE).includes(assertionType) && !getCustomAssertion(assertionType);
+    }
+
     private _onBeforeRun (): void {
-        if (this.command.actual !== Symbol.for(FUNCTION_MARKER_DESCRIPTION))
+        if (this.command.actual !== Symbol.for(FUNCTION_MARKER_DESCRIPTION) && !this._isUnknownAssertion())
             return;
 
         this.emit('non-serializable-actual-value', this);
@@ -1,6 +1,9 @@
 import { assert, expect } from 'chai';
 import ASSERTION_TYPE from './type';
 import { AssertionCommand } from '../test-run/commands/assertion';
+import { getCustomAssertion, getCustomAssertionFn } from './custom';
+import assertMatchesSchema from './json-schema';
+import { JsonSchema } from './json-schema/validator';
 
 export default function getFn (command: AssertionCommand): Function {
     switch (command.assertionType) {
@@ -52,7 +55,16 @@ export default function getFn (command: AssertionCommand): Function {
         case ASSERTION_TYPE.notMatch:
             return () => assert.notMatch(command.actual, command.expected as RegExp, command.message);
 
-        default:
+        case ASSERTION_TYPE.matchesSchema:
+            return () => assertMatchesSchema(command.actual, command.expected as JsonSchema, command.message);
+
+        default: {
+            const customAssertion = getCustomAssertion(command.assertionType);
+
+            if (customAssertion)
+                return getCustomAssertionFn(customAssertion, command);
+
             return () => void 0;
+        }
     }
 }
@@ -0,0 +1,32 @@
+import { AssertionError } from 'chai';
+import JsonSchemaValidator, { JsonSchema, JsonSchemaError } from './validator';
+import { createList, getPluralSuffix } from '../../utils/string';
+
+function formatError ({ instancePath, message }: JsonSchemaError): string {
+    return `${JSON.stringify(instancePath)}: ${message}`;
+}
+
+// NOTE: response bodies logged by RequestLogger without the "stringifyResponseBody" option are Buffers
+function getValidatedValue (actual: unknown): unknown {
+    if (!Buffer.isBuffer(actual))
+        return actual;
+
+    try {
+        return JSON.parse(actual.toString());
+    }
+    catch (err) {
+        throw new AssertionError(`expected the Buffer to contain a JSON document, but it cannot be parsed: ${err.message}`);
+    }
+}
+
+export default function assertMatchesSchema (actual: unknown, schema: JsonSchema, message?: string | null): void {
+    const errors = new JsonSchemaValidator(schema).validate(getValidatedValue(actual));
+
+    if (!errors.length)
+        return;
+
+    const errorsText = `expected the value to match the JSON schema, but ${errors.length} validation error${getPluralSuffix(errors)} occurred:\n` +
+        createList(errors.map(formatError));
+
+    throw new AssertionError(message ? `${message}: ${errorsText}` : errorsText);
+}
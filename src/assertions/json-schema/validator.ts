@@ -0,0 +1,70 @@
+import { Dictionary } from '../../configuration/interfaces';
+
+// NOTE: the typings shipped with Ajv require a newer version of TypeScript
+const { default: Ajv2020 } = require('ajv/dist/2020');
+
+export type JsonSchemaObject = Dictionary<any>; // eslint-disable-line @typescript-eslint/no-explicit-any
+
+export type JsonSchema = boolean | JsonSchemaObject;
+
+export interface JsonSchemaError {
+    instancePath: string;
+    message: string;
+}
+
+interface AjvError {
+    keyword: string;
+    instancePath: string;
+    params: Dictionary<unknown>;
+    message?: string;
+}
+
+interface ValidateFunction {
+    (data: unknown): boolean;
+    errors?: AjvError[] | null;
+}
+
+const MULTIPLE_OF_PRECISION = 9;
+
+// NOTE: Ajv does not include the names of extra properties in its messages
+const PROPERTY_NAME_PARAMS: Dictionary<string> = {
+    additionalProperties:  'additionalProperty',
+    unevaluatedProperties: 'unevaluatedProperty',
+};
+
+function formatMessage ({ keyword, message, params }: AjvError): string {
+    const propertyNameParam = PROPERTY_NAME_PARAMS[keyword];
+
+    if (propertyNameParam)
+        return `${message} ("${params[propertyNameParam]}")`;
+
+    return message || '';
+}
+
+export default class JsonSchemaValidator {
+    private readonly _validate: ValidateFunction;
+
+    public constructor (schema: JsonSchema) {
+        this._validate = JsonSchemaValidator.compile(schema);
+    }
+
+    // NOTE: throws an error if the schema is invalid or contains references that cannot be resolved.
+    // A new Ajv instance is used for each schema, because an instance does not allow adding several schemas with the same "$id".
+    public static compile (schema: JsonSchema): ValidateFunction {
+        // NOTE: in the non-strict mode, unknown keywords and formats are ignored as the specification requires.
+        // The "multipleOf" keyword is checked with a precision, so that floating point errors (0.3 / 0.1) are not reported.
+        const ajv = new Ajv2020({ allErrors: true, strict: false, logger: false, multipleOfPrecision: MULTIPLE_OF_PRECISION });
+
+        return ajv.compile(schema);
+    }
+
+    public validate (value: unknown): JsonSchemaError[] {
+        if (this._validate(value))
+            return [];
+
+        return (this._validate.errors || []).map(error => ({
+            instancePath: error.instancePath,
+            message:      formatMessage(error),
+        }));
+    }
+}
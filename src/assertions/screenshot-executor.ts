@@ -0,0 +1,151 @@
+import { EventEmitter } from 'events';
+import { dirname } from 'path';
+import makeDir from 'make-dir';
+import delay from '../utils/delay';
+import compareScreenshots from '../screenshots/compare';
+import { ScreenshotComparisonDisabledError, ScreenshotComparisonError } from '../errors/test-run';
+import { ToMatchScreenshotAssertionCommand } from '../test-run/commands/assertion';
+import { ComparisonPaths } from '../screenshots/get-comparison-paths';
+import { CallsiteRecord } from 'callsite-record';
+
+import {
+    readPngFile,
+    writePng,
+    stat,
+} from '../utils/promisified-functions';
+
+const ASSERTION_DELAY = 200;
+
+export interface ScreenshotAssertionInit {
+    captureScreenshot: () => Promise<string | null>;
+    paths: ComparisonPaths;
+    updateBaselines: boolean;
+}
+
+interface ComparisonResult {
+    actualPath: string;
+    diffRatio: number;
+    diffImage: unknown;
+}
+
+export default class ScreenshotAssertionExecutor extends EventEmitter {
+    public readonly command: ToMatchScreenshotAssertionCommand;
+    private readonly timeout: number;
+    private readonly callsite: CallsiteRecord;
+    private readonly captureScreenshot: () => Promise<string | null>;
+    private readonly paths: ComparisonPaths;
+    private readonly updateBaselines: boolean;
+    private startTime: number | null;
+    private inRetry: boolean;
+
+    public constructor (command: ToMatchScreenshotAssertionCommand, timeout: number, callsite: CallsiteRecord, { captureScreenshot, paths, updateBaselines }: ScreenshotAssertionInit) {
+        super();
+
+        this.command           = command;
+        this.timeout           = timeout;
+        this.callsite          = callsite;
+        this.captureScreenshot = captureScreenshot;
+        this.paths             = paths;
+        this.updateBaselines   = updateBaselines;
+
+        this.startTime = null;
+        this.inRetry   = false;
+    }
+
+    private static async _isFileExists (filePath: string): Promise<boolean> {
+        try {
+            const stats = await stat(filePath);
+
+            return stats.isFile();
+        }
+        catch (e) {
+            return false;
+        }
+    }
+
+    private static async _writeImage (filePath: string, image: unknown): Promise<void> {
+        await makeDir(dirname(filePath));
+        await writePng(filePath, image);
+    }
+
+    private _getTimeLeft (): number {
+        const executionTime = new Date().getTime() - (this.startTime as number); // eslint-disable-line @typescript-eslint/no-extra-parens
+
+        return this.timeout - executionTime;
+    }
+
+    private _onExecutionFinished (passed: boolean): void {
+        if (this.inRetry)
+            this.emit('end-assertion-retries', passed);
+    }
+
+    private async _compare (actualPath: string): Promise<ComparisonResult> {
+        const baselineImage = await readPngFile(this.paths.baselinePath);
+        const actualImage   = await readPngFile(actualPath);
+
+        const { diffRatio, diffImage } = compareScreenshots(baselineImage, actualImage, {
+            ignoreRegions: this.command.options.ignoreRegions,
+        });
+
+        return { actualPath, diffRatio, diffImage };
+    }
+
+    private async _fail ({ actualPath, diffRatio, diffImage }: ComparisonResult): Promise<never> {
+        const { baselinePath, diffPath } = this.paths;
+
+        await ScreenshotAssertionExecutor._writeImage(diffPath, diffImage);
+
+        const err = new ScreenshotComparisonError({
+            screenshotName: this.command.expected,
+            threshold:      this.command.options.threshold,
+            diffRatio,
+            baselinePath,
+            actualPath,
+            diffPath,
+        });
+
+        err.callsite = this.callsite;
+
+        throw err;
+    }
+
+    public async run (): Promise<void> {
+        this.startTime = new Date().getTime();
+
+        for (;;) {
+            const actualPath = await this.captureScreenshot();
+
+            // NOTE: the assertion cannot pass without a screenshot to compare
+            if (!actualPath)
+                throw new ScreenshotComparisonDisabledError(this.command.expected, this.callsite);
+
+            if (this.updateBaselines || !await ScreenshotAssertionExecutor._isFileExists(this.paths.baselinePath)) {
+                await ScreenshotAssertionExecutor._writeImage(this.paths.baselinePath, await readPngFile(actualPath));
+
+                return;
+            }
+
+            const result = await this._compare(actualPath);
+
+            if (result.diffRatio <= this.command.options.threshold) {
+                this._onExecutionFinished(true);
+
+                return;
+            }
+
+            if (this._getTimeLeft() <= 0) {
+                this._onExecutionFinished(false);
+
+                await this._fail(result);
+            }
+
+            await delay(ASSERTION_DELAY);
+
+            if (!this.inRetry) {
+                this.inRetry = true;
+
+                this.emit('start-assertion-retries', this._getTimeLeft());
+            }
+        }
+    }
+}
@@ -15,4 +15,9 @@ export default {
     notWithin:   'notWithin',
     match:       'match',
     notMatch:    'notMatch',
+
+    matchesSchema: 'matchesSchema',
+
+    toMatchScreenshot: 'toMatchScreenshot',
+    toMatchSnapshot:   'toMatchSnapshot',
 };
@@ -2,6 +2,8 @@ import { getBrowserInfo } from 'testcafe-browser-tools';
 import getMaximizedHeadlessWindowSize from '../../utils/get-maximized-headless-window-size';
 import { cropScreenshot } from '../../../../screenshots/crop';
 import { readPng, writePng } from '../../../../utils/promisified-functions';
+import { GeneralError } from '../../../../errors/runtime';
+import { RUNTIME_ERRORS } from '../../../../errors/types';
 
 export default {
     openedBrowsers: {},
@@ -41,6 +43,16 @@ export default {
         throw new Error('Not implemented');
     },
 
+    // NOTE: configuration objects are passed to getConfig as JSON strings,
+    // in the same way as the path provider handles the "{ path, cmd }" objects
+    getBrowserNameFromConfig (browserName, options) {
+        // NOTE: browser modes and options cannot be specified both in the alias and by configuration object properties
+        if (browserName)
+            throw new GeneralError(RUNTIME_ERRORS.invalidBrowserConfigOptionValue, 'name', JSON.stringify(`${this.providerName}:${browserName}`), 'a browser alias without modes and options');
+
+        return JSON.stringify(options);
+    },
+
     _getBrowserProtocolClient (/* runtimeInfo */) {
         throw new Error('Not implemented');
     },
@@ -108,6 +120,41 @@ export default {
         return browserClient.executeClientFunction(command, callsite);
     },
 
+    async getPerformanceMetrics (browserId) {
+        const runtimeInfo   = this.openedBrowsers[browserId];
+        const browserClient = this._getBrowserProtocolClient(runtimeInfo);
+
+        return browserClient.getPerformanceMetrics();
+    },
+
+    async emulate (browserId, settings) {
+        const runtimeInfo   = this.openedBrowsers[browserId];
+        const browserClient = this._getBrowserProtocolClient(runtimeInfo);
+
+        return browserClient.emulate(settings);
+    },
+
+    async setNetworkConditions (browserId, conditions) {
+        const runtimeInfo   = this.openedBrowsers[browserId];
+        const browserClient = this._getBrowserProtocolClient(runtimeInfo);
+
+        return browserClient.setNetworkConditions(conditions);
+    },
+
+    async startTracing (browserId) {
+        const runtimeInfo   = this.openedBrowsers[browserId];
+        const browserClient = this._getBrowserProtocolClient(runtimeInfo);
+
+        return browserClient.startTracing();
+    },
+
+    async stopTracing (browserId) {
+        const runtimeInfo   = this.openedBrowsers[browserId];
+        const browserClient = this._getBrowserProtocolClient(runtimeInfo);
+
+        return browserClient.stopTracing();
+    },
+
     async executeSelector ({ browserId, command, callsite, selectorTimeout }) {
         const runtimeInfo   = this.openedBrowsers[browserId];
         const browserClient = this._getBrowserProtocolClient(runtimeInfo);
@@ -1,3 +1,5 @@
+import { quoteArgument } from '../../../utils/argument-parsing';
+
 export const IN_DOCKER_FLAGS = ['--no-sandbox', '--disable-dev-shm-usage'];
 
 export function buildChromeArgs ({ config, cdpPort, platformArgs, tempProfileDir, inDocker }) {
@@ -7,6 +9,7 @@ export function buildChromeArgs ({ config, cdpPort, platformArgs, tempProfileDir
             !config.userProfile ? [`--user-data-dir=${tempProfileDir.path}`] : [],
             config.headless ? ['--headless'] : [],
             config.userArgs ? [config.userArgs] : [],
+            config.args ? config.args.map(quoteArgument) : [],
             platformArgs ? [platformArgs] : []
         )
         .join(' ');
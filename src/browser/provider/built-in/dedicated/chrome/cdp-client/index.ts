@@ -5,6 +5,7 @@ import path from 'path';
 import os from 'os';
 import remoteChrome from 'chrome-remote-interface';
 import debug from 'debug';
+import timeLimit from 'time-limit-promise';
 import { GET_WINDOW_DIMENSIONS_INFO_SCRIPT } from '../../../../utils/client-functions';
 import WARNING_MESSAGE from '../../../../../../notifications/warning-message';
 import * as SharedErrors from '../../../../../../shared/errors';
@@ -22,10 +23,38 @@ import { CallsiteRecord } from 'callsite-record';
 import { ExecuteClientFunctionCommand, ExecuteSelectorCommand } from '../../../../../../test-run/commands/observation';
 import ClientFunctionExecutor from './client-function-executor';
 import { SwitchToIframeCommand } from '../../../../../../test-run/commands/actions';
+import { EmulationSettings } from '../../../../../../shared/emulation';
+import { NetworkConditions } from '../../../../../../test-run/network-conditions/interfaces';
 
 const DEBUG_SCOPE = (id: string): string => `testcafe:browser:provider:built-in:chrome:browser-client:${id}`;
 const DOWNLOADS_DIR = path.join(os.homedir(), 'Downloads');
 
+// NOTE: the '-1' value disables the throughput throttling
+const UNLIMITED_THROUGHPUT = -1;
+
+// NOTE: Chrome may not complete tracing if the page hangs or the browser crashes
+const TRACING_COMPLETE_TIMEOUT = 30000;
+
+// NOTE: the categories recorded by the Performance panel of Chrome DevTools
+const TRACING_CATEGORIES = [
+    '-*',
+    'devtools.timeline',
+    'v8.execute',
+    'disabled-by-default-devtools.timeline',
+    'disabled-by-default-devtools.timeline.frame',
+    'disabled-by-default-devtools.timeline.stack',
+    'disabled-by-default-devtools.screenshot',
+    'disabled-by-default-v8.cpu_profiler',
+    'toplevel',
+    'blink.console',
+    'blink.user_timing',
+    'latencyInfo',
+];
+
+// NOTE: hammerhead proxy URLs contain the session ID followed by the destination URL,
+// for example, 'http://localhost:1337/sessionId*windowId/https://example.com/'
+const PROXIED_URL_PATH_RE = /^\/[^/]+\/[a-z][a-z\d+.-]*:/i;
+
 const debugLog = debug('testcafe:browser:provider:built-in:dedicated:chrome');
 
 export class BrowserClient {
@@ -35,6 +64,10 @@ export class BrowserClient {
     private _parentTarget?: remoteChrome.TargetInfo;
     private readonly debugLogger: debug.Debugger;
     private readonly _clientFunctionExecutor: ClientFunctionExecutor;
+    private readonly _emulationSettings: EmulationSettings = {};
+    private _networkConditions: NetworkConditions | null = null;
+    private _tracingClient: remoteChrome.ProtocolApi | null = null;
+    private _onTracingComplete: ((event: Protocol.Tracing.TracingCompleteEvent) => void) | null = null;
 
     public constructor (runtimeInfo: RuntimeInfo, proxyless: boolean) {
         this._runtimeInfo = runtimeInfo;
@@ -61,10 +94,15 @@ export class BrowserClient {
     }
 
     private async _getActiveTab (): Promise<remoteChrome.TargetInfo> {
+        const parentTarget = this._parentTarget;
+
         let tabs = await this._getTabs();
 
+        // NOTE: a shared browser contains tabs of other browser connections
         if (this._runtimeInfo.activeWindowId)
             tabs = tabs.filter(t => t.title.includes(this._runtimeInfo.activeWindowId));
+        else if (parentTarget)
+            tabs = tabs.filter(t => t.id === parentTarget.id);
 
         return tabs[0];
     }
@@ -97,9 +135,136 @@ export class BrowserClient {
         await Network.enable({});
         await Runtime.enable();
 
+        client.Fetch.on('requestPaused', event => this._onRequestPaused(client, event));
+        client.Tracing.on('tracingComplete', event => this._onTracingComplete?.(event));
+
+        // NOTE: the settings changed by the 't.emulate' and 't.setNetworkConditions' actions
+        // are applied to the windows opened later as well
+        await this._applyEmulationSettings(client, this._emulationSettings);
+
+        if (this._networkConditions)
+            await this._applyNetworkConditions(client);
+
         return client;
     }
 
+    private _isServiceRequest (url: string): boolean {
+        if (!this._parentTarget)
+            return false;
+
+        const requestUrl = new URL(url);
+        const proxyUrl   = new URL(this._parentTarget.url);
+
+        // NOTE: TestCafe service requests are sent to the proxy that serves the browser connection page.
+        // In the proxyless mode, page requests are sent to the tested app directly, and the app can run
+        // on the same host as the proxy, so the proxy is identified by its port as well.
+        if (this._proxyless)
+            return requestUrl.host === proxyUrl.host;
+
+        // NOTE: otherwise, page requests are sent to the proxy as well, but their paths contain the destination URL.
+        // Service requests from cross-domain iframes are sent to the other proxy port.
+        return requestUrl.hostname === proxyUrl.hostname && !PROXIED_URL_PATH_RE.test(requestUrl.pathname);
+    }
+
+    private async _onRequestPaused (client: remoteChrome.ProtocolApi, { requestId, request }: Protocol.Fetch.RequestPausedEvent): Promise<void> {
+        try {
+            if (this._isServiceRequest(request.url))
+                await client.Fetch.continueRequest({ requestId });
+            else
+                await client.Fetch.failRequest({ requestId, errorReason: 'InternetDisconnected' });
+        }
+        catch (err) {
+            debugLog(err);
+        }
+    }
+
+    private get _isOffline (): boolean {
+        return !!this._emulationSettings.offline || !!this._networkConditions?.offline;
+    }
+
+    // NOTE: the offline mode is emulated by failing page requests instead of the Network.emulateNetworkConditions method,
+    // because the latter would also break the connection between the page and TestCafe
+    private async _updateOfflineMode (client: remoteChrome.ProtocolApi): Promise<void> {
+        if (this._isOffline)
+            await client.Fetch.enable({ patterns: [{ urlPattern: '*' }] });
+        else
+            await client.Fetch.disable();
+    }
+
+    private async _setEmulatedMedia (client: remoteChrome.ProtocolApi, { colorScheme, reducedMotion }: EmulationSettings): Promise<void> {
+        // NOTE: an empty value resets the media feature emulation
+        await client.Emulation.setEmulatedMedia({
+            // @ts-ignore
+            features: [
+                { name: 'prefers-color-scheme', value: colorScheme || '' },
+                { name: 'prefers-reduced-motion', value: reducedMotion || '' },
+            ],
+        });
+    }
+
+    // NOTE: the devtools-protocol typings lag behind the protocol versions of supported Chrome versions,
+    // so some of the used parameters and methods are missing in them
+    private async _applyEmulationSettings (client: remoteChrome.ProtocolApi, settings: EmulationSettings): Promise<void> {
+        const { geolocation, timezoneId, locale, colorScheme, reducedMotion, offline } = settings;
+
+        if (geolocation) {
+            // NOTE: permissions are granted to the whole browser context, so browser connections
+            // that share a browser should grant them to their own contexts only
+            const browserContextId = this._runtimeInfo.browserContextId || void 0;
+
+            // @ts-ignore
+            await client.Browser.grantPermissions({ permissions: ['geolocation'], browserContextId });
+            await client.Emulation.setGeolocationOverride({ accuracy: 0, ...geolocation });
+        }
+        else if (geolocation === null)
+            await client.Emulation.clearGeolocationOverride();
+
+        if (timezoneId !== void 0)
+            await client.Emulation.setTimezoneOverride({ timezoneId: timezoneId || '' });
+
+        if (locale !== void 0) {
+            // @ts-ignore
+            await client.Emulation.setLocaleOverride(locale ? { locale } : {});
+        }
+
+        if (colorScheme !== void 0 || reducedMotion !== void 0)
+            await this._setEmulatedMedia(client, this._emulationSettings);
+
+        if (offline !== void 0)
+            await this._updateOfflineMode(client);
+    }
+
+    private async _applyNetworkConditions (client: remoteChrome.ProtocolApi): Promise<void> {
+        const { latency = 0, download, upload } = this._networkConditions || {};
+
+        await client.Network.emulateNetworkConditions({
+            offline:            false,
+            latency,
+            downloadThroughput: download || UNLIMITED_THROUGHPUT,
+            uploadThroughput:   upload || UNLIMITED_THROUGHPUT,
+        });
+
+        await this._updateOfflineMode(client);
+    }
+
+    private async _readStream (client: remoteChrome.ProtocolApi, handle: string): Promise<Buffer> {
+        const chunks: Buffer[] = [];
+
+        let eof = false;
+
+        while (!eof) {
+            const response = await client.IO.read({ handle });
+
+            chunks.push(Buffer.from(response.data, response.base64Encoded ? 'base64' : 'utf8'));
+
+            eof = response.eof;
+        }
+
+        await client.IO.close({ handle });
+
+        return Buffer.concat(chunks);
+    }
+
     private async _setupClient (client: remoteChrome.ProtocolApi): Promise<void> {
         if (this._config.emulation)
             await this._setEmulation(client);
@@ -300,6 +465,88 @@ export class BrowserClient {
         return Buffer.from(screenshotData.data, 'base64');
     }
 
+    public async getPerformanceMetrics (): Promise<Dictionary<number> | null> {
+        const client = await this.getActiveClient();
+
+        if (!client)
+            return null;
+
+        await client.Performance.enable();
+
+        const { metrics } = await client.Performance.getMetrics();
+
+        return metrics.reduce((result: Dictionary<number>, metric) => {
+            result[metric.name] = metric.value;
+
+            return result;
+        }, {});
+    }
+
+    public async emulate (settings: EmulationSettings): Promise<void> {
+        for (const [name, value] of Object.entries(settings)) {
+            if (value !== void 0)
+                this._emulationSettings[name as keyof EmulationSettings] = value;
+        }
+
+        const client = await this.getActiveClient();
+
+        if (client)
+            await this._applyEmulationSettings(client, settings);
+    }
+
+    public async setNetworkConditions (conditions: NetworkConditions | null): Promise<void> {
+        this._networkConditions = conditions;
+
+        const client = await this.getActiveClient();
+
+        if (client)
+            await this._applyNetworkConditions(client);
+    }
+
+    public async startTracing (): Promise<void> {
+        // NOTE: the trace is not saved if the previous test run did not finish properly
+        if (this._tracingClient)
+            await this.stopTracing();
+
+        const client = await this.getActiveClient();
+
+        if (!client)
+            return;
+
+        await client.Tracing.start({
+            categories:   TRACING_CATEGORIES.join(','),
+            transferMode: 'ReturnAsStream',
+        });
+
+        this._tracingClient = client;
+    }
+
+    public async stopTracing (): Promise<Buffer | null> {
+        const client = this._tracingClient;
+
+        if (!client)
+            return null;
+
+        this._tracingClient = null;
+
+        const tracingComplete = new Promise<Protocol.Tracing.TracingCompleteEvent>(resolve => {
+            this._onTracingComplete = resolve;
+        });
+
+        const timeoutError = new Error(`Tracing was not completed within ${TRACING_COMPLETE_TIMEOUT / 1000} seconds.`);
+
+        try {
+            await client.Tracing.end();
+
+            const { stream } = await timeLimit(tracingComplete, TRACING_COMPLETE_TIMEOUT, { rejectWith: timeoutError });
+
+            return stream ? await this._readStream(client, stream) : null;
+        }
+        finally {
+            this._onTracingComplete = null;
+        }
+    }
+
     public async closeTab (): Promise<void> {
         if (this._parentTarget)
             await remoteChrome.Close({ id: this._parentTarget.id, port: this._runtimeInfo.cdpPort });
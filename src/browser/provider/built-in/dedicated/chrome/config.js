@@ -1,7 +1,7 @@
 import { emulatedDevices } from 'device-specs';
 import { pickBy as filterProperties, camelCase } from 'lodash';
 import {
-    hasMatch, findMatch, isMatchTrue, getModes, splitEscaped, getPathFromParsedModes, parseConfig,
+    hasMatch, findMatch, isMatchTrue, getModes, splitEscaped, getPathFromParsedModes, parseConfig, parseConfigObject,
 } from '../../../utils/argument-parsing';
 
 
@@ -12,16 +12,14 @@ const AVAILABLE_MODES = ['userProfile', 'headless', 'emulation'];
 
 const configCache = {};
 
-function parseUserArgs (userArgs) {
+function parseArgsList (args) {
     const parsedArgs = {
         headless:    false,
         userDataDir: false,
         windowSize:  false,
     };
 
-    const splittedArgs = userArgs.split(' ').filter(arg => !!arg);
-
-    splittedArgs.forEach(arg => {
+    args.forEach(arg => {
         const keyValuePair = arg.split('=');
         const key          = camelCase(keyValuePair[0]);
 
@@ -31,6 +29,10 @@ function parseUserArgs (userArgs) {
     return parsedArgs;
 }
 
+function parseUserArgs (userArgs) {
+    return parseArgsList(userArgs.split(' ').filter(arg => !!arg));
+}
+
 function parseModes (modesStr, userArgs) {
     const parsed        = splitEscaped(modesStr, ':');
     const path          = getPathFromParsedModes(parsed, AVAILABLE_MODES);
@@ -93,40 +95,65 @@ function getDeviceBasedOptions (deviceName, orientation) {
     };
 }
 
-function parseOptions (str, useDefaultDimensions) {
-    const parsed = splitEscaped(str, ';');
-
+function getOptions ({ cdpPort = '', device = '', orientation = '', ...deviceOptions }, useDefaultDimensions) {
     const baseOptions = {
         width:       useDefaultDimensions ? HEADLESS_DEFAULT_WIDTH : 0,
         height:      useDefaultDimensions ? HEADLESS_DEFAULT_HEIGHT : 0,
         scaleFactor: 0,
         mobile:      false,
-        cdpPort:     findMatch(parsed, /^cdpPort=(.*)/),
+        cdpPort,
     };
 
-    const deviceName         = findMatch(parsed, /^device=(.*)/);
-    const orientation        = findMatch(parsed, /^orientation=(.*)/);
-    const deviceBasedOptions = getDeviceBasedOptions(deviceName, orientation);
+    const deviceBasedOptions = getDeviceBasedOptions(device, orientation);
 
-    let specifiedDeviceOptions = {
-        orientation: orientation,
+    const specifiedDeviceOptions = filterProperties({ orientation, ...deviceOptions }, optionValue => {
+        return optionValue !== void 0 && optionValue !== '' && !Number.isNaN(optionValue);
+    });
+
+    return Object.assign(baseOptions, deviceBasedOptions, specifiedDeviceOptions);
+}
+
+function parseOptions (str, useDefaultDimensions) {
+    const parsed = splitEscaped(str, ';');
+
+    return getOptions({
+        cdpPort:     findMatch(parsed, /^cdpPort=(.*)/),
+        device:      findMatch(parsed, /^device=(.*)/),
+        orientation: findMatch(parsed, /^orientation=(.*)/),
         touch:       hasMatch(parsed, /^touch=/) ? isMatchTrue(parsed, /^touch=(.*)/) : void 0,
         mobile:      isMatchTrue(parsed, /^mobile=(.*)/),
         width:       Number(findMatch(parsed, /^width=(.*)/) || NaN),
         height:      Number(findMatch(parsed, /^height=(.*)/) || NaN),
         scaleFactor: Number(findMatch(parsed, /^scaleFactor=(.*)/) || NaN),
         userAgent:   findMatch(parsed, /^userAgent=(.*)/),
+    }, useDefaultDimensions);
+}
+
+function getConfigFromObject ({ path = '', headless = false, userProfile = false, emulation, cdpPort, args = [], env }) {
+    const profileArgs    = typeof userProfile === 'string' ? [`--user-data-dir=${userProfile}`] : [];
+    const browserArgs    = args.concat(profileArgs);
+    const parsedUserArgs = parseArgsList(browserArgs);
+    const isHeadless     = headless || parsedUserArgs.headless;
+
+    const modes = {
+        path,
+        userProfile: !!userProfile || parsedUserArgs.userDataDir,
+        headless:    isHeadless,
+        emulation:   !!emulation || isHeadless,
     };
 
-    specifiedDeviceOptions = filterProperties(specifiedDeviceOptions, optionValue => {
-        return optionValue !== void 0 && optionValue !== '' && !Number.isNaN(optionValue);
-    });
+    const useDefaultDimensions = isHeadless && !parsedUserArgs.windowSize;
+    const options              = getOptions({ cdpPort, ...emulation }, useDefaultDimensions);
 
-    return Object.assign(baseOptions, deviceBasedOptions, specifiedDeviceOptions);
+    return Object.assign({ userArgs: '', args: browserArgs, env }, modes, options);
 }
 
-
 function getNewConfig (configString) {
+    const configObject = parseConfigObject(configString);
+
+    if (configObject)
+        return getConfigFromObject(configObject);
+
     const { userArgs, modesString } = parseConfig(configString);
     const parsedUserArgs            = parseUserArgs(userArgs);
     const { modes, optionsString }  = parseModes(modesString, parsedUserArgs);
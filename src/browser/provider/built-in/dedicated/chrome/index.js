@@ -3,19 +3,35 @@ import { parse as parseUrl } from 'url';
 import dedicatedProviderBase from '../base';
 import ChromeRunTimeInfo from './runtime-info';
 import getConfig from './config';
+import BROWSER_CONFIG_OPTION_NAMES from '../../../../../configuration/browser-config-option-names';
 import { start as startLocalChrome, stop as stopLocalChrome } from './local-chrome';
 import { GET_WINDOW_DIMENSIONS_INFO_SCRIPT } from '../../../utils/client-functions';
 import { BrowserClient } from './cdp-client';
+import SharedBrowser from './shared-browser';
 
 const MIN_AVAILABLE_DIMENSION = 50;
 
 export default {
     ...dedicatedProviderBase,
 
+    sharedBrowsers: {},
+
     getConfig (name) {
         return getConfig(name);
     },
 
+    getBrowserConfigOptions () {
+        return [
+            BROWSER_CONFIG_OPTION_NAMES.path,
+            BROWSER_CONFIG_OPTION_NAMES.headless,
+            BROWSER_CONFIG_OPTION_NAMES.userProfile,
+            BROWSER_CONFIG_OPTION_NAMES.emulation,
+            BROWSER_CONFIG_OPTION_NAMES.cdpPort,
+            BROWSER_CONFIG_OPTION_NAMES.args,
+            BROWSER_CONFIG_OPTION_NAMES.env,
+        ];
+    },
+
     _getBrowserProtocolClient (runtimeInfo) {
         return runtimeInfo.browserClient;
     },
@@ -24,6 +40,10 @@ export default {
         return ChromeRunTimeInfo.create(hostName, config, disableMultipleWindows);
     },
 
+    _createRunTimeInfoInSharedBrowser (config, sharedBrowser) {
+        return ChromeRunTimeInfo.createInSharedBrowser(config, sharedBrowser);
+    },
+
     _setUserAgentMetaInfoForEmulatingDevice (browserId, config) {
         const { emulation, deviceName } = config;
         const isDeviceEmulation         = emulation && deviceName;
@@ -39,10 +59,7 @@ export default {
         this.setUserAgentMetaInfo(browserId, metaInfo, options);
     },
 
-    async openBrowser (browserId, pageUrl, config, disableMultipleWindows, proxyless) {
-        const parsedPageUrl = parseUrl(pageUrl);
-        const runtimeInfo   = await this._createRunTimeInfo(parsedPageUrl.hostname, config, disableMultipleWindows);
-
+    _initRuntimeInfo (browserId, runtimeInfo) {
         runtimeInfo.browserName = this._getBrowserName();
         runtimeInfo.browserId   = browserId;
 
@@ -50,9 +67,86 @@ export default {
             resizeLocalBrowserWindow: (...args) => this.resizeLocalBrowserWindow(...args),
             reportWarning:            (...args) => this.reportWarning(browserId, ...args),
         };
+    },
+
+    async _startBrowser (browserId, pageUrl, config, disableMultipleWindows) {
+        const parsedPageUrl = parseUrl(pageUrl);
+        const runtimeInfo   = await this._createRunTimeInfo(parsedPageUrl.hostname, config, disableMultipleWindows);
+
+        this._initRuntimeInfo(browserId, runtimeInfo);
 
         await startLocalChrome(pageUrl, runtimeInfo);
 
+        return runtimeInfo;
+    },
+
+    async _startSharedBrowser (browserId, pageUrl, config, disableMultipleWindows) {
+        const runtimeInfo = await this._startBrowser(browserId, pageUrl, config, disableMultipleWindows);
+
+        // NOTE: the browser accepts CDP connections once its first page is loaded
+        await this.waitForConnectionReady(browserId);
+
+        return new SharedBrowser(runtimeInfo, browserId);
+    },
+
+    _getSharedBrowserKey (config) {
+        return this.providerName + JSON.stringify(config);
+    },
+
+    async _openInSharedBrowser (browserId, pageUrl, config, disableMultipleWindows) {
+        const sharedBrowserKey = this._getSharedBrowserKey(config);
+
+        if (this.sharedBrowsers[sharedBrowserKey]) {
+            const sharedBrowser = await this.sharedBrowsers[sharedBrowserKey];
+            const runtimeInfo   = this._createRunTimeInfoInSharedBrowser(config, sharedBrowser);
+
+            this._initRuntimeInfo(browserId, runtimeInfo);
+
+            runtimeInfo.browserContextId = await sharedBrowser.openInNewContext(browserId, pageUrl);
+
+            return runtimeInfo;
+        }
+
+        this.sharedBrowsers[sharedBrowserKey] = this._startSharedBrowser(browserId, pageUrl, config, disableMultipleWindows);
+
+        try {
+            const sharedBrowser = await this.sharedBrowsers[sharedBrowserKey];
+
+            return sharedBrowser.runtimeInfo;
+        }
+        catch (err) {
+            delete this.sharedBrowsers[sharedBrowserKey];
+
+            throw err;
+        }
+    },
+
+    async _closeInSharedBrowser (browserId, runtimeInfo) {
+        const { sharedBrowser, browserContextId, config } = runtimeInfo;
+
+        if (!browserContextId)
+            await runtimeInfo.browserClient.closeTab();
+
+        await sharedBrowser.close(browserId, browserContextId);
+
+        if (sharedBrowser.isUsed)
+            return;
+
+        delete this.sharedBrowsers[this._getSharedBrowserKey(config)];
+
+        await sharedBrowser.dispose();
+        await stopLocalChrome(sharedBrowser.runtimeInfo);
+
+        if (sharedBrowser.runtimeInfo.tempProfileDir)
+            await sharedBrowser.runtimeInfo.tempProfileDir.dispose();
+    },
+
+    async openBrowser (browserId, pageUrl, config, disableMultipleWindows, proxyless) {
+        // NOTE: browsers with a user profile are not shared, since they have no debugging port to create browser contexts
+        const runtimeInfo = proxyless && !config.userProfile ?
+            await this._openInSharedBrowser(browserId, pageUrl, config, disableMultipleWindows) :
+            await this._startBrowser(browserId, pageUrl, config, disableMultipleWindows);
+
         await this.waitForConnectionReady(browserId);
 
         runtimeInfo.viewportSize      = await this.runInitScript(browserId, GET_WINDOW_DIMENSIONS_INFO_SCRIPT);
@@ -76,6 +170,15 @@ export default {
     async closeBrowser (browserId) {
         const runtimeInfo = this.openedBrowsers[browserId];
 
+        if (runtimeInfo.sharedBrowser)
+            await this._closeInSharedBrowser(browserId, runtimeInfo);
+        else
+            await this._closeBrowser(browserId, runtimeInfo);
+
+        delete this.openedBrowsers[browserId];
+    },
+
+    async _closeBrowser (browserId, runtimeInfo) {
         if (runtimeInfo.browserClient.isHeadlessTab())
             await runtimeInfo.browserClient.closeTab();
         else
@@ -86,8 +189,35 @@ export default {
 
         if (runtimeInfo.tempProfileDir)
             await runtimeInfo.tempProfileDir.dispose();
+    },
 
-        delete this.openedBrowsers[browserId];
+    async startTracing (browserId) {
+        const { sharedBrowser } = this.openedBrowsers[browserId];
+
+        if (sharedBrowser)
+            sharedBrowser.lockTracing(browserId);
+
+        try {
+            await dedicatedProviderBase.startTracing.call(this, browserId);
+        }
+        catch (err) {
+            if (sharedBrowser)
+                sharedBrowser.unlockTracing(browserId);
+
+            throw err;
+        }
+    },
+
+    async stopTracing (browserId) {
+        const { sharedBrowser } = this.openedBrowsers[browserId];
+
+        try {
+            return await dedicatedProviderBase.stopTracing.call(this, browserId);
+        }
+        finally {
+            if (sharedBrowser)
+                sharedBrowser.unlockTracing(browserId);
+        }
     },
 
     async resizeWindow (browserId, width, height, currentWidth, currentHeight) {
@@ -125,6 +255,10 @@ export default {
             hasSwitchToIframe:              !!client,
             hasSwitchToMainWindow:          !!client,
             hasExecuteSelector:             !!client,
+            hasGetPerformanceMetrics:       !!client,
+            hasEmulate:                     !!client,
+            hasSetNetworkConditions:        !!client,
+            hasTracing:                     !!client,
         };
     },
 
@@ -35,6 +35,7 @@ export interface RuntimeInfo {
     originalDevicePixelRatio: number;
     providerMethods: ProviderMethods;
     browserName: string;
+    browserContextId?: string | null;
 }
 
 export interface TouchConfigOptions {
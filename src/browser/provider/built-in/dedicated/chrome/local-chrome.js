@@ -11,7 +11,7 @@ export async function start (pageUrl, { browserName, config, cdpPort, tempProfil
 
     chromeOpenParameters.cmd = buildChromeArgs({ config, cdpPort, platformArgs: chromeOpenParameters.cmd, tempProfileDir, inDocker });
 
-    await browserStarter.startBrowser(chromeOpenParameters, pageUrl);
+    await browserStarter.startBrowser(chromeOpenParameters, pageUrl, config.env);
 }
 
 export async function stop ({ browserId }) {
@@ -3,6 +3,7 @@ import createTempProfile from './create-temp-profile';
 import isDocker from 'is-docker';
 import TempDirectory from '../../../../../utils/temp-directory';
 import { Config } from './interfaces';
+import SharedBrowser from './shared-browser';
 
 export default class ChromeRuntimeInfo {
     public config: Config;
@@ -10,12 +11,16 @@ export default class ChromeRuntimeInfo {
     public cdpPort: number;
     public inDocker: boolean;
     public browserName?: string;
+    public sharedBrowser: null | SharedBrowser;
+    public browserContextId: null | string;
 
     protected constructor (config: Config) {
-        this.config         = config;
-        this.tempProfileDir = null;
-        this.cdpPort        = this.config.cdpPort;
-        this.inDocker       = isDocker();
+        this.config           = config;
+        this.tempProfileDir   = null;
+        this.cdpPort          = this.config.cdpPort;
+        this.inDocker         = isDocker();
+        this.sharedBrowser    = null;
+        this.browserContextId = null;
     }
 
     protected async createTempProfile (proxyHostName: string, disableMultipleWindows: boolean): Promise<TempDirectory> {
@@ -33,4 +38,13 @@ export default class ChromeRuntimeInfo {
 
         return runtimeInfo;
     }
+
+    public static createInSharedBrowser (config: Config, sharedBrowser: SharedBrowser): ChromeRuntimeInfo {
+        const runtimeInfo = new this(config);
+
+        runtimeInfo.cdpPort       = sharedBrowser.runtimeInfo.cdpPort;
+        runtimeInfo.sharedBrowser = sharedBrowser;
+
+        return runtimeInfo;
+    }
 }
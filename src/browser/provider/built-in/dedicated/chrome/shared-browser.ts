@@ -0,0 +1,83 @@
+import remoteChrome from 'chrome-remote-interface';
+import ChromeRuntimeInfo from './runtime-info';
+
+// NOTE: in the proxyless mode, concurrent test runs in the same browser are isolated
+// by browser contexts (similar to incognito profiles) of a single browser process,
+// which is faster and consumes less memory than starting a browser process with a separate profile for each test run
+export default class SharedBrowser {
+    public readonly runtimeInfo: ChromeRuntimeInfo;
+    private readonly _browserIds: Set<string>;
+    private _clientPromise: Promise<remoteChrome.ProtocolApi> | null;
+    private _tracingBrowserId: string | null;
+
+    // NOTE: the runtime info of the browser connection that has started the browser process
+    public constructor (runtimeInfo: ChromeRuntimeInfo, browserId: string) {
+        this.runtimeInfo       = runtimeInfo;
+        this._browserIds       = new Set([browserId]);
+        this._clientPromise    = null;
+        this._tracingBrowserId = null;
+
+        runtimeInfo.sharedBrowser = this;
+    }
+
+    private async _connect (): Promise<remoteChrome.ProtocolApi> {
+        const port                     = this.runtimeInfo.cdpPort;
+        const { webSocketDebuggerUrl } = await remoteChrome.Version({ port });
+
+        return remoteChrome({ target: webSocketDebuggerUrl, port });
+    }
+
+    // NOTE: browser contexts are managed via the browser target, and browser connections
+    // that are opened at the same time should share a single connection to it
+    private _getClient (): Promise<remoteChrome.ProtocolApi> {
+        if (!this._clientPromise)
+            this._clientPromise = this._connect();
+
+        return this._clientPromise;
+    }
+
+    public get isUsed (): boolean {
+        return this._browserIds.size > 0;
+    }
+
+    public async openInNewContext (browserId: string, pageUrl: string): Promise<string> {
+        this._browserIds.add(browserId);
+
+        const client               = await this._getClient();
+        const { browserContextId } = await client.Target.createBrowserContext();
+
+        await client.Target.createTarget({ url: pageUrl, browserContextId });
+
+        return browserContextId;
+    }
+
+    // NOTE: Chrome records a single trace for the whole browser process,
+    // so only one of the browser connections that share the browser can record it at a time
+    public lockTracing (browserId: string): void {
+        if (this._tracingBrowserId && this._tracingBrowserId !== browserId)
+            throw new Error('Another test run is recording a performance trace in the same browser. Run tests without concurrency to record traces of all test runs.');
+
+        this._tracingBrowserId = browserId;
+    }
+
+    public unlockTracing (browserId: string): void {
+        if (this._tracingBrowserId === browserId)
+            this._tracingBrowserId = null;
+    }
+
+    public async close (browserId: string, browserContextId: string | null): Promise<void> {
+        this._browserIds.delete(browserId);
+        this.unlockTracing(browserId);
+
+        // NOTE: disposing of a browser context closes all its pages
+        if (browserContextId)
+            await (await this._getClient()).Target.disposeBrowserContext({ browserContextId });
+    }
+
+    public async dispose (): Promise<void> {
+        if (this._clientPromise)
+            await (await this._clientPromise).close();
+
+        this._clientPromise = null;
+    }
+}
@@ -5,6 +5,7 @@ import {
     parseConfig,
     getModes,
     getPathFromParsedModes,
+    parseConfigObject,
 } from '../../../utils/argument-parsing';
 
 
@@ -16,6 +17,10 @@ function hasCustomProfile (userArgs) {
     return !!(userArgs.match(/-P\s/) || userArgs.match(/-profile\s/));
 }
 
+function hasCustomProfileInArgsList (args) {
+    return args.includes('-P') || args.includes('-profile');
+}
+
 function parseModes (modesStr, userArgs) {
     const parsed        = splitEscaped(modesStr, ':');
     const path          = getPathFromParsedModes(parsed, AVAILABLE_MODES);
@@ -32,8 +37,28 @@ function parseModes (modesStr, userArgs) {
     };
 }
 
+function getConfigFromObject ({ path = '', headless = false, userProfile = false, marionettePort = '', args = [], env }) {
+    const profileArgs = typeof userProfile === 'string' ? ['-profile', userProfile] : [];
+    const browserArgs = args.concat(profileArgs);
+
+    return {
+        userArgs:               '',
+        args:                   browserArgs,
+        env,
+        path,
+        userProfile:            !!userProfile || hasCustomProfileInArgsList(browserArgs),
+        headless,
+        marionettePort,
+        disableMultiprocessing: false,
+    };
+}
 
 function getNewConfig (configString) {
+    const configObject = parseConfigObject(configString);
+
+    if (configObject)
+        return getConfigFromObject(configObject);
+
     const { userArgs, modesString } = parseConfig(configString);
     const modes                     = parseModes(modesString, userArgs);
 
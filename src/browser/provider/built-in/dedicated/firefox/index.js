@@ -2,6 +2,7 @@ import OS from 'os-family';
 import dedicatedProviderBase from '../base';
 import getRuntimeInfo from './runtime-info';
 import getConfig from './config';
+import BROWSER_CONFIG_OPTION_NAMES from '../../../../../configuration/browser-config-option-names';
 import { start as startLocalFirefox, stop as stopLocalFirefox } from './local-firefox';
 import MarionetteClient from './marionette-client';
 
@@ -13,6 +14,17 @@ export default {
         return getConfig(name);
     },
 
+    getBrowserConfigOptions () {
+        return [
+            BROWSER_CONFIG_OPTION_NAMES.path,
+            BROWSER_CONFIG_OPTION_NAMES.headless,
+            BROWSER_CONFIG_OPTION_NAMES.userProfile,
+            BROWSER_CONFIG_OPTION_NAMES.marionettePort,
+            BROWSER_CONFIG_OPTION_NAMES.args,
+            BROWSER_CONFIG_OPTION_NAMES.env,
+        ];
+    },
+
     _getBrowserProtocolClient (runtimeInfo) {
         return runtimeInfo.marionetteClient;
     },
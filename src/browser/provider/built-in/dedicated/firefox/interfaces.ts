@@ -1,6 +1,7 @@
 export interface Config {
     modesString: string;
     userArgs: string;
+    args?: string[];
     path: string;
     userProfile: unknown;
     headless: boolean;
@@ -2,6 +2,7 @@ import OS from 'os-family';
 import browserTools from 'testcafe-browser-tools';
 import { killBrowserProcess } from '../../../../../utils/process';
 import BrowserStarter from '../../../utils/browser-starter';
+import { quoteArgument } from '../../../utils/argument-parsing';
 
 
 const browserStarter = new BrowserStarter();
@@ -21,6 +22,7 @@ function buildFirefoxArgs (config, platformArgs, { marionettePort, tempProfileDi
             !config.userProfile ? ['-no-remote', '-new-instance', `-profile "${tempProfileDir.path}"`] : [],
             config.headless ? ['-headless'] : [],
             config.userArgs ? [config.userArgs] : [],
+            config.args ? config.args.map(quoteArgument) : [],
             platformArgs ? [platformArgs] : []
         )
         .join(' ');
@@ -37,7 +39,7 @@ export async function start (pageUrl, runtimeInfo) {
 
     firefoxOpenParameters.cmd = buildFirefoxArgs(config, firefoxOpenParameters.cmd, runtimeInfo, runtimeInfo.newInstance);
 
-    await browserStarter.startBrowser(firefoxOpenParameters, pageUrl);
+    await browserStarter.startBrowser(firefoxOpenParameters, pageUrl, config.env);
 }
 
 export async function stop ({ browserId }) {
@@ -1,4 +1,5 @@
 import browserTools from 'testcafe-browser-tools';
+import BROWSER_CONFIG_OPTION_NAMES from '../../../configuration/browser-config-option-names';
 
 export default {
     isMultiBrowser: true,
@@ -16,6 +17,14 @@ export default {
         await browserTools.open(openParameters, pageUrl);
     },
 
+    getBrowserConfigOptions () {
+        return [BROWSER_CONFIG_OPTION_NAMES.args];
+    },
+
+    getBrowserNameFromConfig (browserName, { args }) {
+        return [browserName, ...args].join(' ');
+    },
+
     async isLocalBrowser () {
         return true;
     },
@@ -16,6 +16,8 @@ import { WindowDimentionsInfo } from '../interfaces';
 import { CallsiteRecord } from 'callsite-record';
 import { ExecuteClientFunctionCommand, ExecuteSelectorCommand } from '../../test-run/commands/observation';
 import { SwitchToIframeCommand } from '../../test-run/commands/actions';
+import { EmulationSettings } from '../../shared/emulation';
+import { NetworkConditions } from '../../test-run/network-conditions/interfaces';
 
 const DEBUG_LOGGER = debug('testcafe:browser:provider');
 
@@ -420,6 +422,58 @@ export default class BrowserProvider {
         return this.plugin.switchToMainWindow(browserId);
     }
 
+    public async getPerformanceMetrics (browserId: string): Promise<Dictionary<number> | null> {
+        const customActionsInfo        = await this.hasCustomActionForBrowser(browserId);
+        const hasGetPerformanceMetrics = customActionsInfo.hasGetPerformanceMetrics;
+
+        if (!hasGetPerformanceMetrics)
+            return null;
+
+        return this.plugin.getPerformanceMetrics(browserId);
+    }
+
+    public async emulate (browserId: string, settings: EmulationSettings): Promise<boolean> {
+        const customActionsInfo = await this.hasCustomActionForBrowser(browserId);
+
+        if (!customActionsInfo.hasEmulate)
+            return false;
+
+        await this.plugin.emulate(browserId, settings);
+
+        return true;
+    }
+
+    public async setNetworkConditions (browserId: string, conditions: NetworkConditions | null): Promise<boolean> {
+        const customActionsInfo = await this.hasCustomActionForBrowser(browserId);
+
+        if (!customActionsInfo.hasSetNetworkConditions)
+            return false;
+
+        await this.plugin.setNetworkConditions(browserId, conditions);
+
+        return true;
+    }
+
+    public async startTracing (browserId: string): Promise<boolean> {
+        const customActionsInfo = await this.hasCustomActionForBrowser(browserId);
+
+        if (!customActionsInfo.hasTracing)
+            return false;
+
+        await this.plugin.startTracing(browserId);
+
+        return true;
+    }
+
+    public async stopTracing (browserId: string): Promise<Buffer | null> {
+        const customActionsInfo = await this.hasCustomActionForBrowser(browserId);
+
+        if (!customActionsInfo.hasTracing)
+            return null;
+
+        return this.plugin.stopTracing(browserId);
+    }
+
     public async getVideoFrameData (browserId: string): Promise<any> {
         return this.plugin.getVideoFrameData(browserId);
     }
@@ -153,4 +153,13 @@ export default class BrowserProviderPluginHost {
     getConfig (value) {
         return value;
     }
+
+    // NOTE: the browser configuration object options (except for "name") that the provider supports
+    getBrowserConfigOptions () {
+        return [];
+    }
+
+    getBrowserNameFromConfig (browserName/*, options */) {
+        return browserName;
+    }
 }
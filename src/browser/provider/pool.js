@@ -5,6 +5,11 @@ import BrowserProvider from './';
 import BrowserConnection from '../connection';
 import { GeneralError } from '../../errors/runtime';
 import { RUNTIME_ERRORS } from '../../errors/types';
+import {
+    isBrowserConfig,
+    validateBrowserConfig,
+    validateBrowserConfigSupport,
+} from './utils/browser-config';
 
 const BROWSER_PROVIDER_RE     = /^([^:\s]+):?(.*)?$/;
 const BROWSER_INFO_PROPERTIES = ['browserName', 'browserOption', 'providerName', 'provider'];
@@ -47,11 +52,33 @@ export default {
         return { provider, providerName, browserName, browserOption };
     },
 
+    async _parseBrowserConfig (config) {
+        validateBrowserConfig(config);
+
+        const { name, ...options } = config;
+        const browserInfo          = await this._parseAliasString(name);
+
+        if (!Object.keys(options).length)
+            return browserInfo;
+
+        const { provider, providerName } = browserInfo;
+
+        validateBrowserConfigSupport(config, provider.plugin.getBrowserConfigOptions(), providerName);
+
+        const browserName   = provider.plugin.getBrowserNameFromConfig(browserInfo.browserName, options);
+        const browserOption = provider.plugin.getConfig(browserName);
+
+        return { provider, providerName, browserName, browserOption };
+    },
+
     async _parseAlias (alias) {
         if (typeof alias === 'object') {
             if (BROWSER_INFO_PROPERTIES.every(property => property in alias))
                 return alias;
 
+            if (isBrowserConfig(alias))
+                return this._parseBrowserConfig(alias);
+
             if (alias.path)
                 return this._handlePathAndCmd(alias);
         }
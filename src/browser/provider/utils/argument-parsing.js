@@ -2,6 +2,9 @@ import { find as findElement } from 'lodash';
 import OS from 'os-family';
 
 const CONFIG_TERMINATOR_RE = /(\s+|^)-/;
+const CONFIG_OBJECT_RE     = /^\s*{/;
+
+const SHELL_SPECIAL_CHARS_RE = /[\s"'`$\\&|;<>()*?!#~]/;
 
 export function hasMatch (array, re) {
     return !!findElement(array, el => el.match(re));
@@ -85,3 +88,28 @@ export function parseConfig (str) {
         userArgs:    str.substr(configTerminatorMatch.index + configTerminatorMatch[1].length),
     };
 }
+
+// NOTE: browser configuration objects are passed to dedicated providers as JSON strings
+export function parseConfigObject (str) {
+    if (!CONFIG_OBJECT_RE.test(str))
+        return null;
+
+    try {
+        return JSON.parse(str);
+    }
+    catch (e) {
+        return null;
+    }
+}
+
+// NOTE: browsers are started via the shell, so arguments from configuration objects
+// should be quoted to be passed to the browser as is
+export function quoteArgument (arg) {
+    if (!SHELL_SPECIAL_CHARS_RE.test(arg))
+        return arg;
+
+    if (OS.win)
+        return `"${arg.replace(/"/g, '\\"')}"`;
+
+    return `'${arg.replace(/'/g, `'\\''`)}'`;
+}
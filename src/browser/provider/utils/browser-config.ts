@@ -0,0 +1,139 @@
+import { isPlainObject } from 'lodash';
+import BROWSER_CONFIG_OPTION_NAMES from '../../../configuration/browser-config-option-names';
+import BROWSER_EMULATION_OPTION_NAMES from '../../../configuration/browser-emulation-option-names';
+import { GeneralError } from '../../../errors/runtime';
+import { RUNTIME_ERRORS } from '../../../errors/types';
+import { Dictionary } from '../../../configuration/interfaces';
+import { getConcatenatedValuesString } from '../../../utils/string';
+
+interface OptionValueValidator {
+    isValid: (value: unknown) => boolean;
+    expectedValue: string;
+}
+
+const MAX_PORT                 = 65535;
+const EMULATION_OPTIONS_PREFIX = `${BROWSER_CONFIG_OPTION_NAMES.emulation}.`;
+
+function isNonEmptyString (value: unknown): boolean {
+    return typeof value === 'string' && !!value;
+}
+
+function isBoolean (value: unknown): boolean {
+    return typeof value === 'boolean';
+}
+
+function isPositiveInteger (value: unknown): boolean {
+    return Number.isInteger(value) && value as number > 0;
+}
+
+const STRING_VALUE: OptionValueValidator = {
+    isValid:       isNonEmptyString,
+    expectedValue: 'a non-empty string',
+};
+
+const BOOLEAN_VALUE: OptionValueValidator = {
+    isValid:       isBoolean,
+    expectedValue: 'a boolean value',
+};
+
+const POSITIVE_INTEGER_VALUE: OptionValueValidator = {
+    isValid:       isPositiveInteger,
+    expectedValue: 'a positive integer',
+};
+
+const PORT_VALUE: OptionValueValidator = {
+    isValid:       value => isPositiveInteger(value) && value as number <= MAX_PORT,
+    expectedValue: 'a port number',
+};
+
+const OPTION_VALIDATORS: Dictionary<OptionValueValidator> = {
+    [BROWSER_CONFIG_OPTION_NAMES.name]:     STRING_VALUE,
+    [BROWSER_CONFIG_OPTION_NAMES.path]:     STRING_VALUE,
+    [BROWSER_CONFIG_OPTION_NAMES.headless]: BOOLEAN_VALUE,
+
+    [BROWSER_CONFIG_OPTION_NAMES.userProfile]: {
+        isValid:       value => isBoolean(value) || isNonEmptyString(value),
+        expectedValue: 'a boolean value or a path to the profile directory',
+    },
+
+    [BROWSER_CONFIG_OPTION_NAMES.emulation]: {
+        isValid:       isPlainObject,
+        expectedValue: 'an object with emulation options',
+    },
+
+    [BROWSER_CONFIG_OPTION_NAMES.cdpPort]:        PORT_VALUE,
+    [BROWSER_CONFIG_OPTION_NAMES.marionettePort]: PORT_VALUE,
+
+    [BROWSER_CONFIG_OPTION_NAMES.args]: {
+        isValid:       value => Array.isArray(value) && value.every(isNonEmptyString),
+        expectedValue: 'an array of strings',
+    },
+
+    [BROWSER_CONFIG_OPTION_NAMES.env]: {
+        isValid:       value => isPlainObject(value) && Object.values(value as object).every(item => typeof item === 'string'),
+        expectedValue: 'an object with string values',
+    },
+};
+
+const EMULATION_OPTION_VALIDATORS: Dictionary<OptionValueValidator> = {
+    [BROWSER_EMULATION_OPTION_NAMES.device]: STRING_VALUE,
+
+    [BROWSER_EMULATION_OPTION_NAMES.orientation]: {
+        isValid:       value => value === 'vertical' || value === 'horizontal',
+        expectedValue: '"vertical" or "horizontal"',
+    },
+
+    [BROWSER_EMULATION_OPTION_NAMES.width]:  POSITIVE_INTEGER_VALUE,
+    [BROWSER_EMULATION_OPTION_NAMES.height]: POSITIVE_INTEGER_VALUE,
+
+    [BROWSER_EMULATION_OPTION_NAMES.scaleFactor]: {
+        isValid:       value => typeof value === 'number' && Number.isFinite(value) && value > 0,
+        expectedValue: 'a positive number',
+    },
+
+    [BROWSER_EMULATION_OPTION_NAMES.mobile]:    BOOLEAN_VALUE,
+    [BROWSER_EMULATION_OPTION_NAMES.touch]:     BOOLEAN_VALUE,
+    [BROWSER_EMULATION_OPTION_NAMES.userAgent]: STRING_VALUE,
+};
+
+function formatValue (value: unknown): string {
+    return JSON.stringify(value) ?? String(value);
+}
+
+function validateOptions (options: Dictionary<unknown>, validators: Dictionary<OptionValueValidator>, prefix = ''): void {
+    const optionNames   = Object.keys(validators);
+    const invalidOption = Object.keys(options).find(key => !optionNames.includes(key));
+
+    if (invalidOption) {
+        const availableOptions = getConcatenatedValuesString(optionNames.map(optionName => prefix + optionName));
+
+        throw new GeneralError(RUNTIME_ERRORS.invalidBrowserConfigOption, prefix + invalidOption, availableOptions);
+    }
+
+    for (const [optionName, value] of Object.entries(options)) {
+        const { isValid, expectedValue } = validators[optionName];
+
+        if (!isValid(value))
+            throw new GeneralError(RUNTIME_ERRORS.invalidBrowserConfigOptionValue, prefix + optionName, formatValue(value), expectedValue);
+    }
+}
+
+export function isBrowserConfig (value: unknown): value is Dictionary<unknown> {
+    return isPlainObject(value) && (value as Dictionary<unknown>)[BROWSER_CONFIG_OPTION_NAMES.name] !== void 0;
+}
+
+export function validateBrowserConfig (config: Dictionary<unknown>): void {
+    validateOptions(config, OPTION_VALIDATORS);
+
+    const emulation = config[BROWSER_CONFIG_OPTION_NAMES.emulation];
+
+    if (emulation)
+        validateOptions(emulation as Dictionary<unknown>, EMULATION_OPTION_VALIDATORS, EMULATION_OPTIONS_PREFIX);
+}
+
+export function validateBrowserConfigSupport (config: Dictionary<unknown>, supportedOptions: string[], providerName: string): void {
+    const unsupportedOption = Object.keys(config).find(key => key !== BROWSER_CONFIG_OPTION_NAMES.name && !supportedOptions.includes(key));
+
+    if (unsupportedOption)
+        throw new GeneralError(RUNTIME_ERRORS.browserConfigOptionNotSupported, providerName, unsupportedOption);
+}
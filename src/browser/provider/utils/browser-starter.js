@@ -6,19 +6,46 @@ import delay from '../../../utils/delay';
 const POST_OPERATION_DELAY = 500;
 
 class OperationsQueue {
-    constructor () {
-        this.chainPromise = Promise.resolve();
+    constructor (postOperationDelay = POST_OPERATION_DELAY) {
+        this.chainPromise       = Promise.resolve();
+        this.postOperationDelay = postOperationDelay;
     }
 
     executeOperation (operation) {
         const operationPromise = this.chainPromise.then(operation);
 
-        this.chainPromise = operationPromise.then(() => delay(POST_OPERATION_DELAY));
+        this.chainPromise = operationPromise
+            .catch(() => {})
+            .then(() => delay(this.postOperationDelay));
 
         return operationPromise;
     }
 }
 
+// NOTE: testcafe-browser-tools starts browsers with the environment of the current process.
+// So, we temporarily extend it with the specified variables. All browsers are started one by one,
+// otherwise, a browser started at the same time could get the variables of another browser.
+const browserOpeningQueue = new OperationsQueue(0);
+
+async function runWithEnvironment (env, operation) {
+    if (!env) {
+        await operation();
+
+        return;
+    }
+
+    const originalEnv = process.env;
+
+    process.env = { ...originalEnv, ...env };
+
+    try {
+        await operation();
+    }
+    finally {
+        process.env = originalEnv;
+    }
+}
+
 export default class BrowserStarter {
     constructor () {
         // NOTE: You can't start multiple instances of the same app at the same time on macOS.
@@ -26,8 +53,10 @@ export default class BrowserStarter {
         this.macOSBrowserOpeningQueue = new OperationsQueue();
     }
 
-    async startBrowser (...openArgs) {
-        const openBrowserOperation = () => browserTools.open(...openArgs);
+    async startBrowser (openParameters, pageUrl, env) {
+        const openBrowserOperation = () => browserOpeningQueue.executeOperation(() => {
+            return runWithEnvironment(env, () => browserTools.open(openParameters, pageUrl));
+        });
 
         if (OS.mac)
             await this.macOSBrowserOpeningQueue.executeOperation(openBrowserOperation);
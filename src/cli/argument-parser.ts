@@ -10,8 +10,12 @@ import { wordWrap, splitQuotedText } from '../utils/string';
 import {
     getSSLOptions,
     getQuarantineOptions,
+    getRetriesOptions,
     getScreenshotOptions,
     getVideoOptions,
+    getHarOptions,
+    getShardOptions,
+    getCoverageOptions,
     getMetaOptions,
     getGrepOptions,
     getCompilerOptions,
@@ -23,6 +27,7 @@ import RUN_OPTION_NAMES from '../configuration/run-option-names';
 import {
     Dictionary,
     ReporterOption,
+    RetriesOptions,
     RunnerRunOptions,
 } from '../configuration/interfaces';
 import QUARANTINE_OPTION_NAMES from '../configuration/quarantine-option-names';
@@ -67,6 +72,7 @@ interface CommandLineOptions {
     runExecutionTimeout?: string | number;
     concurrency?: string | number;
     quarantineMode?: boolean | Dictionary<string | number>;
+    retries?: string | RetriesOptions;
     ports?: string | number[];
     providerName?: string;
     ssl?: string | Dictionary<string | number | boolean >;
@@ -76,6 +82,9 @@ interface CommandLineOptions {
     screenshotsOnFails?: boolean;
     videoOptions?: string | Dictionary<number | string | boolean>;
     videoEncodingOptions?: string | Dictionary<number | string | boolean>;
+    harOptions?: string | Dictionary<number | string | boolean>;
+    shardOptions?: string | Dictionary<number | string | boolean>;
+    coverageOptions?: string | Dictionary<string | string[]>;
     compilerOptions?: string | Dictionary<number | string | boolean>;
     configFile?: string;
     proxyless?: boolean;
@@ -125,6 +134,7 @@ export default class CLIArgumentParser {
             .option('-S, --screenshots-on-fails', 'take a screenshot whenever a test fails')
             .option('-p, --screenshot-path-pattern <pattern>', 'use patterns to compose screenshot file names and paths: ${BROWSER}, ${BROWSER_VERSION}, ${OS}, etc.')
             .option('-q, --quarantine-mode [option=value,...]', 'enable quarantine mode and (optionally) modify quarantine mode settings')
+            .option('--retries <count|option=value[,...]>', 'retry failed tests the specified number of times and (optionally) only if they fail with the specified errors')
             .option('-d, --debug-mode', 'execute test steps one by one pausing the test after each step')
             .option('-e, --skip-js-errors', 'make tests not fail when a JS error happens on a page')
             .option('-u, --skip-uncaught-errors', 'ignore uncaught errors and unhandled promise rejections, which occur during test execution')
@@ -156,6 +166,14 @@ export default class CLIArgumentParser {
             .option('--video <path>', 'record videos of test runs')
             .option('--video-options <option=value[,...]>', 'specify video recording options')
             .option('--video-encoding-options <option=value[,...]>', 'specify encoding options')
+            .option('--har <path>', 'record network traffic of test runs to HAR files')
+            .option('--har-options <option=value[,...]>', 'specify HAR recording options')
+            .option('--shard <index/total>', 'run only the specified portion of tests (e.g., "3/8") to distribute tests between several machines')
+            .option('--shard-options <option=value[,...]>', 'specify how tests are distributed between shards')
+            .option('--coverage', 'collect code coverage of the tested application from pages instrumented with Istanbul')
+            .option('--coverage-options <option=value[,...]>', 'specify code coverage report options')
+            .option('--test-order <order>', 'run tests in the specified order based on the results of previous runs ("longest-first" or "failed-first")')
+            .option('--tracing <mode>', 'record Chrome performance traces of test runs ("off", "on" or "on-failure")')
             .option('--dev', 'enables mechanisms to log and diagnose errors')
             .option('--qr-code', 'outputs QR-code that repeats URLs used to connect the remote browsers')
             .option('--sf, --stop-on-first-fail', 'stop an entire test run if any test fails')
@@ -167,6 +185,9 @@ export default class CLIArgumentParser {
             .option('--retry-test-pages', 'retry network requests to test pages during test execution')
             .option('--disable-screenshots', 'disable screenshots')
             .option('--screenshots-full-page', 'enable full-page screenshots')
+            .option('--update-screenshot-baselines', 'overwrite the baseline screenshots used by the toMatchScreenshot assertion')
+            .option('--update-snapshots', 'overwrite the snapshots used by the toMatchSnapshot assertion and remove obsolete snapshots')
+            .option('--performance-metrics', 'collect page performance metrics after each navigateTo action and pass them to reporters')
             .option('--compiler-options <option=value[,...]>', 'specify test file compiler options')
             .option('--disable-multiple-windows', 'disable multiple windows mode')
             .option('--disable-http2', 'disable the HTTP/2 proxy backend and force the proxy to use only HTTP/1.1 requests')
@@ -303,6 +324,11 @@ export default class CLIArgumentParser {
             this.opts.quarantineMode = await getQuarantineOptions('--quarantine-mode', this.opts.quarantineMode);
     }
 
+    private async _parseRetriesOptions (): Promise<void> {
+        if (this.opts.retries)
+            this.opts.retries = await getRetriesOptions(this.opts.retries as string);
+    }
+
     private _parsePorts (): void {
         if (this.opts.ports) {
             const parsedPorts = (this.opts.ports as string) /* eslint-disable-line no-extra-parens */
@@ -369,6 +395,21 @@ export default class CLIArgumentParser {
             this.opts.videoEncodingOptions = await getVideoOptions(this.opts.videoEncodingOptions as string);
     }
 
+    private async _parseHarOptions (): Promise<void> {
+        if (this.opts.harOptions)
+            this.opts.harOptions = await getHarOptions(this.opts.harOptions as string);
+    }
+
+    private async _parseShardOptions (): Promise<void> {
+        if (this.opts.shardOptions)
+            this.opts.shardOptions = await getShardOptions(this.opts.shardOptions as string);
+    }
+
+    private async _parseCoverageOptions (): Promise<void> {
+        if (this.opts.coverageOptions)
+            this.opts.coverageOptions = await getCoverageOptions(this.opts.coverageOptions as string);
+    }
+
     private async _parseCompilerOptions (): Promise<void> {
         if (!this.opts.compilerOptions)
             return;
@@ -442,8 +483,12 @@ export default class CLIArgumentParser {
 
         await this._parseFilteringOptions();
         await this._parseQuarantineOptions();
+        await this._parseRetriesOptions();
         await this._parseScreenshotOptions();
         await this._parseVideoOptions();
+        await this._parseHarOptions();
+        await this._parseShardOptions();
+        await this._parseCoverageOptions();
         await this._parseCompilerOptions();
         await this._parseSslOptions();
         await this._parseReporters();
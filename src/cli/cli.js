@@ -113,6 +113,9 @@ async function runTests (argParser) {
         .concurrency(argParser.opts.concurrency)
         .filter(argParser.opts.filter)
         .video(opts.video, opts.videoOptions, opts.videoEncodingOptions)
+        .har(opts.har, opts.harOptions)
+        .shard(opts.shard, opts.shardOptions)
+        .coverage(opts.coverage, opts.coverageOptions)
         .screenshots(opts.screenshots)
         .startApp(opts.app, opts.appInitDelay)
         .clientScripts(argParser.opts.clientScripts)
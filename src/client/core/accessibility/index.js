@@ -0,0 +1,85 @@
+import hammerhead, { nativeMethods } from '../deps/hammerhead';
+import * as domUtils from '../utils/dom';
+import { RULES } from '../../../shared/accessibility';
+import RULE_CHECKS, { isHiddenFromAssistiveTechnologies } from './rules';
+
+const htmlUtils = hammerhead.utils.html;
+
+const MAX_HTML_LENGTH = 250;
+const SIMPLE_ID_RE    = /^[a-zA-Z][\w-]*$/;
+
+
+function getHtml (el) {
+    const html = htmlUtils.cleanUpHtml(nativeMethods.elementOuterHTMLGetter.call(el));
+
+    return html.length > MAX_HTML_LENGTH ? html.substr(0, MAX_HTML_LENGTH) + '...' : html;
+}
+
+function getChildNumber (el) {
+    let number = 1;
+
+    for (let sibling = nativeMethods.elementPrevElementSiblingGetter.call(el); sibling; sibling = nativeMethods.elementPrevElementSiblingGetter.call(sibling))
+        number++;
+
+    return number;
+}
+
+function getTarget (el) {
+    const path = [];
+
+    for (let node = el; node && domUtils.isElementNode(node); node = nativeMethods.nodeParentNodeGetter.call(node)) {
+        const tagName = domUtils.getTagName(node);
+        const parent  = nativeMethods.nodeParentNodeGetter.call(node);
+
+        if (node.id && SIMPLE_ID_RE.test(node.id) && node.ownerDocument.getElementById(node.id) === node) {
+            path.unshift('#' + node.id);
+
+            break;
+        }
+
+        if (domUtils.isHtmlElement(node) || !domUtils.isElementNode(parent)) {
+            path.unshift(tagName);
+
+            break;
+        }
+
+        path.unshift(`${tagName}:nth-child(${getChildNumber(node)})`);
+    }
+
+    return path.join(' > ');
+}
+
+function findElements (context, selector) {
+    const elements = [];
+
+    if (domUtils.closest(context, selector) === context)
+        elements.push(context);
+
+    const descendants = context.querySelectorAll(selector);
+
+    for (let i = 0; i < descendants.length; i++)
+        elements.push(descendants[i]);
+
+    return elements;
+}
+
+function runRule (rule, context) {
+    const ruleCheck = RULE_CHECKS[rule.id];
+
+    const nodes = findElements(context, ruleCheck.selector)
+        .filter(el => ruleCheck.documentOnly || !isHiddenFromAssistiveTechnologies(el))
+        .filter(el => !ruleCheck.check(el))
+        .map(el => ({ html: getHtml(el), target: getTarget(el) }));
+
+    return { id: rule.id, impact: rule.impact, description: rule.description, nodes };
+}
+
+export function runAudit (context, ruleIds) {
+    const isDocumentContext = domUtils.isHtmlElement(context);
+
+    return RULES
+        .filter(rule => !ruleIds.length || ruleIds.indexOf(rule.id) > -1)
+        .filter(rule => isDocumentContext || !RULE_CHECKS[rule.id].documentOnly)
+        .map(rule => runRule(rule, context))
+        .filter(violation => violation.nodes.length);
+}
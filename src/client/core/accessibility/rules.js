@@ -0,0 +1,142 @@
+import { nativeMethods } from '../deps/hammerhead';
+import * as domUtils from '../utils/dom';
+import * as styleUtils from '../utils/style';
+
+const WHITESPACES_RE = /\s+/g;
+
+const NOT_LABELABLE_INPUT_TYPES = ['hidden', 'button', 'submit', 'reset', 'image'];
+const PRESENTATIONAL_ROLES      = ['presentation', 'none'];
+
+
+function getText (el) {
+    return (nativeMethods.nodeTextContentGetter.call(el) || '').replace(WHITESPACES_RE, ' ').trim();
+}
+
+function getAttributeText (el, attrName) {
+    return (el.getAttribute(attrName) || '').trim();
+}
+
+function getLabelledByText (el) {
+    const ids = getAttributeText(el, 'aria-labelledby').split(WHITESPACES_RE);
+    let text  = '';
+
+    for (let i = 0; i < ids.length; i++) {
+        const labelEl = ids[i] && el.ownerDocument.getElementById(ids[i]);
+
+        if (labelEl)
+            text += getText(labelEl);
+    }
+
+    return text;
+}
+
+function hasAriaName (el) {
+    return !!(getLabelledByText(el) || getAttributeText(el, 'aria-label') || getAttributeText(el, 'title'));
+}
+
+function hasImageWithAlt (el) {
+    const images = el.getElementsByTagName('img');
+
+    for (let i = 0; i < images.length; i++) {
+        if (getAttributeText(images[i], 'alt'))
+            return true;
+    }
+
+    return false;
+}
+
+function hasContentName (el) {
+    return !!getText(el) || hasImageWithAlt(el) || hasAriaName(el);
+}
+
+function hasLabel (el) {
+    if (hasAriaName(el) || domUtils.closest(el, 'label'))
+        return true;
+
+    if (!el.id)
+        return false;
+
+    const labels = el.ownerDocument.getElementsByTagName('label');
+
+    for (let i = 0; i < labels.length; i++) {
+        if (labels[i].htmlFor === el.id && getText(labels[i]))
+            return true;
+    }
+
+    return false;
+}
+
+function isLabelableInput (el) {
+    const type = getAttributeText(el, 'type').toLowerCase();
+
+    return NOT_LABELABLE_INPUT_TYPES.indexOf(type) === -1;
+}
+
+// NOTE: the IDs, impact levels and descriptions of the rules are shared with the server (see src/shared/accessibility.ts)
+export default {
+    'image-alt': {
+        selector: 'img',
+
+        check: el => el.hasAttribute('alt') || PRESENTATIONAL_ROLES.indexOf(getAttributeText(el, 'role')) > -1 || hasAriaName(el),
+    },
+    'input-image-alt': {
+        selector: 'input[type="image"]',
+
+        check: el => !!getAttributeText(el, 'alt') || hasAriaName(el),
+    },
+    'button-name': {
+        selector: 'button, [role="button"], input[type="button"]',
+
+        check: el => domUtils.isInputElement(el) ? !!getAttributeText(el, 'value') || hasAriaName(el) : hasContentName(el),
+    },
+    'link-name': {
+        selector: 'a[href]',
+
+        check: hasContentName,
+    },
+    'label': {
+        selector: 'input, select, textarea',
+
+        check: el => !isLabelableInput(el) || hasLabel(el),
+    },
+    'document-title': {
+        selector:     'html',
+        documentOnly: true,
+
+        check: el => !!el.ownerDocument.title.trim(),
+    },
+    'html-has-lang': {
+        selector:     'html',
+        documentOnly: true,
+
+        check: el => !!getAttributeText(el, 'lang'),
+    },
+    'frame-title': {
+        selector: 'iframe, frame',
+
+        check: hasAriaName,
+    },
+    'empty-heading': {
+        selector: 'h1, h2, h3, h4, h5, h6, [role="heading"]',
+
+        check: hasContentName,
+    },
+    'duplicate-id': {
+        selector: '[id]',
+
+        // NOTE: getElementById returns the first element with the specified id, so each subsequent one is a duplicate
+        check: el => !el.id || el.ownerDocument.getElementById(el.id) === el,
+    },
+};
+
+export function isHiddenFromAssistiveTechnologies (el) {
+    if (styleUtils.get(el, 'visibility') === 'hidden')
+        return true;
+
+    for (let node = el; node && domUtils.isElementNode(node); node = nativeMethods.nodeParentNodeGetter.call(node)) {
+        if (getAttributeText(node, 'aria-hidden') === 'true' || styleUtils.get(node, 'display') === 'none')
+            return true;
+    }
+
+    return false;
+}
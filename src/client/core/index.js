@@ -8,6 +8,7 @@ import ScriptExecutionEmitter from './barriers/emitters/script-execution';
 import * as pageUnloadBarrier from './barriers/page-unload-barrier';
 import { preventRealEvents, disableRealEventsPreventing } from './prevent-real-events';
 import scrollController from './scroll-controller';
+import * as accessibility from './accessibility';
 
 import * as serviceUtils from './utils/service';
 import * as domUtils from './utils/dom';
@@ -51,6 +52,7 @@ exports.pageUnloadBarrier           = pageUnloadBarrier;
 exports.preventRealEvents           = preventRealEvents;
 exports.disableRealEventsPreventing = disableRealEventsPreventing;
 exports.scrollController            = scrollController;
+exports.accessibility               = accessibility;
 
 exports.serviceUtils           = serviceUtils;
 exports.domUtils               = domUtils;
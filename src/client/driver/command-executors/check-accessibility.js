@@ -0,0 +1,41 @@
+import hammerhead from '../deps/hammerhead';
+import { accessibility } from '../deps/testcafe-core';
+
+import DriverStatus from '../status';
+import { ensureElements, createElementDescriptor } from '../utils/ensure-elements';
+
+
+async function getContextElement (command, globalSelectorTimeout, statusBar) {
+    if (!command.selector)
+        return document.documentElement;
+
+    const selectorTimeout = command.selector.timeout;
+
+    statusBar.showWaitingElementStatus(typeof selectorTimeout === 'number' ? selectorTimeout : globalSelectorTimeout);
+
+    try {
+        const elements = await ensureElements([createElementDescriptor(command.selector)], globalSelectorTimeout);
+
+        return elements[0];
+    }
+    finally {
+        statusBar.hideWaitingElementStatus();
+    }
+}
+
+export default async function executeCheckAccessibility (command, globalSelectorTimeout, statusBar) {
+    try {
+        const context   = await getContextElement(command, globalSelectorTimeout, statusBar);
+        const parsedUrl = hammerhead.utils.url.parseProxyUrl(window.location.toString());
+
+        const result = {
+            url:        parsedUrl ? parsedUrl.destUrl : window.location.toString(),
+            violations: accessibility.runAudit(context, command.options.rules),
+        };
+
+        return new DriverStatus({ isCommandResult: true, result });
+    }
+    catch (error) {
+        return new DriverStatus({ isCommandResult: true, executionError: error });
+    }
+}
@@ -0,0 +1,97 @@
+import hammerhead from '../../deps/hammerhead';
+
+import DriverStatus from '../../status';
+import { getLongTaskMetrics } from './long-task-observer';
+
+const urlUtils = hammerhead.utils.url;
+
+const FIRST_PAINT_ENTRY_NAME            = 'first-paint';
+const FIRST_CONTENTFUL_PAINT_ENTRY_NAME = 'first-contentful-paint';
+
+
+function getEntriesByType (type) {
+    const performance = window.performance;
+
+    return performance && typeof performance.getEntriesByType === 'function' ? performance.getEntriesByType(type) : [];
+}
+
+function round (value) {
+    return Math.max(Math.round(value), 0);
+}
+
+function getNavigationTiming () {
+    const navigationEntry = getEntriesByType('navigation')[0];
+
+    // NOTE: Navigation Timing Level 2 entries contain values relative to the navigation start,
+    // while the legacy performance.timing object contains absolute timestamps
+    const timing = navigationEntry || window.performance && window.performance.timing;
+
+    if (!timing)
+        return null;
+
+    const startTime = navigationEntry ? 0 : timing.navigationStart;
+    const fromStart = value => value ? round(value - startTime) : 0;
+
+    return {
+        redirect:         round(timing.redirectEnd - timing.redirectStart),
+        domainLookup:     round(timing.domainLookupEnd - timing.domainLookupStart),
+        connect:          round(timing.connectEnd - timing.connectStart),
+        timeToFirstByte:  fromStart(timing.responseStart),
+        responseEnd:      fromStart(timing.responseEnd),
+        domInteractive:   fromStart(timing.domInteractive),
+        domContentLoaded: fromStart(timing.domContentLoadedEventEnd),
+        load:             fromStart(timing.loadEventEnd),
+    };
+}
+
+function getPaintTiming () {
+    const paint   = { firstPaint: null, firstContentfulPaint: null };
+    const entries = getEntriesByType('paint');
+
+    for (let i = 0; i < entries.length; i++) {
+        if (entries[i].name === FIRST_PAINT_ENTRY_NAME)
+            paint.firstPaint = round(entries[i].startTime);
+        else if (entries[i].name === FIRST_CONTENTFUL_PAINT_ENTRY_NAME)
+            paint.firstContentfulPaint = round(entries[i].startTime);
+    }
+
+    return paint;
+}
+
+function getResourceMetrics () {
+    const resources = { count: 0, transferSize: 0, byType: {} };
+    const entries   = getEntriesByType('resource');
+
+    for (let i = 0; i < entries.length; i++) {
+        // NOTE: skip the TestCafe and hammerhead service requests, they are not proxied
+        if (!urlUtils.parseProxyUrl(entries[i].name))
+            continue;
+
+        const type = entries[i].initiatorType || 'other';
+
+        resources.count++;
+        resources.transferSize += entries[i].transferSize || 0;
+        resources.byType[type]  = (resources.byType[type] || 0) + 1;
+    }
+
+    return resources;
+}
+
+export default function executeGetPerformanceMetrics () {
+    try {
+        const parsedUrl = urlUtils.parseProxyUrl(window.location.toString());
+
+        const result = {
+            url:        parsedUrl ? parsedUrl.destUrl : window.location.toString(),
+            navigation: getNavigationTiming(),
+            paint:      getPaintTiming(),
+            longTasks:  getLongTaskMetrics(),
+            resources:  getResourceMetrics(),
+        };
+
+        return new DriverStatus({ isCommandResult: true, result });
+    }
+    catch (error) {
+        return new DriverStatus({ isCommandResult: true, executionError: error });
+    }
+}
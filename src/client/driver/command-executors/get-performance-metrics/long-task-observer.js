@@ -0,0 +1,46 @@
+const LONG_TASK_ENTRY_TYPE = 'longtask';
+
+const longTasks = [];
+
+let observer = null;
+
+function addLongTasks (entries) {
+    for (let i = 0; i < entries.length; i++)
+        longTasks.push(entries[i].duration);
+}
+
+// NOTE: long tasks are not stored in the performance timeline, so we start observing them
+// after the driver is loaded if performance metrics are collected for each navigation.
+// Otherwise, the observer is started on the first request of metrics.
+export function startLongTaskObserver () {
+    if (observer || typeof window.PerformanceObserver !== 'function')
+        return;
+
+    const supportedEntryTypes = window.PerformanceObserver.supportedEntryTypes;
+
+    if (!supportedEntryTypes || supportedEntryTypes.indexOf(LONG_TASK_ENTRY_TYPE) === -1)
+        return;
+
+    observer = new window.PerformanceObserver(list => addLongTasks(list.getEntries()));
+
+    try {
+        observer.observe({ type: LONG_TASK_ENTRY_TYPE, buffered: true });
+    }
+    catch (e) {
+        observer.observe({ entryTypes: [LONG_TASK_ENTRY_TYPE] });
+    }
+}
+
+export function getLongTaskMetrics () {
+    // NOTE: the buffered entries are delivered to the observer callback asynchronously,
+    // so we take them synchronously if the observer has just been started
+    if (observer && typeof observer.takeRecords === 'function')
+        addLongTasks(observer.takeRecords());
+
+    let totalDuration = 0;
+
+    for (let i = 0; i < longTasks.length; i++)
+        totalDuration += longTasks[i];
+
+    return { count: longTasks.length, totalDuration: Math.round(totalDuration) };
+}
@@ -91,6 +91,9 @@ import SelectorNodeTransform from './command-executors/client-functions/replicat
 import ActionExecutor from '../../shared/actions/action-executor';
 import executeManipulationCommand from './command-executors/browser-manipulation';
 import executeNavigateToCommand from './command-executors/execute-navigate-to';
+import executeCheckAccessibilityCommand from './command-executors/check-accessibility';
+import executeGetPerformanceMetricsCommand from './command-executors/get-performance-metrics';
+import { startLongTaskObserver } from './command-executors/get-performance-metrics/long-task-observer';
 import {
     getResult as getExecuteSelectorResult,
     getResultDriverStatus as getExecuteSelectorResultDriverStatus,
@@ -131,6 +134,7 @@ const TEST_SPEED                           = 'testcafe|driver|test-speed';
 const ASSERTION_RETRIES_TIMEOUT            = 'testcafe|driver|assertion-retries-timeout';
 const ASSERTION_RETRIES_START_TIME         = 'testcafe|driver|assertion-retries-start-time';
 const CONSOLE_MESSAGES                     = 'testcafe|driver|console-messages';
+const PAGE_COVERAGE                        = 'testcafe|driver|page-coverage';
 const PENDING_CHILD_WINDOW_COUNT           = 'testcafe|driver|pending-child-window-count';
 
 const ACTION_IFRAME_ERROR_CTORS = {
@@ -178,6 +182,8 @@ export default class Driver extends serviceUtils.EventEmitter {
         this.skipJsErrors               = options.skipJsErrors;
         this.dialogHandler              = options.dialogHandler;
         this.canUseDefaultWindowActions = options.canUseDefaultWindowActions;
+        this.performanceMetrics         = options.performanceMetrics;
+        this.coverage                   = options.coverage;
         this.isFirstPageLoad            = settings.get().isFirstPageLoad;
 
         this.customCommandHandlers = {};
@@ -214,6 +220,7 @@ export default class Driver extends serviceUtils.EventEmitter {
         hammerhead.on(hammerhead.EVENTS.consoleMethCalled, e => this._onConsoleMessage(e));
         hammerhead.on(hammerhead.EVENTS.beforeFormSubmit, e => this._onFormSubmit(e));
         hammerhead.on(hammerhead.EVENTS.windowOpened, e => this._onChildWindowOpened(e));
+        hammerhead.on(hammerhead.EVENTS.unload, () => this._savePageCoverage());
 
         this.setCustomCommandHandlers(COMMAND_TYPE.unlockPage, () => this._unlockPageAfterTestIsDone());
         this.setCustomCommandHandlers(COMMAND_TYPE.getActiveElement, () => this._getActiveElement());
@@ -422,6 +429,25 @@ export default class Driver extends serviceUtils.EventEmitter {
         this.consoleMessages = messages;
     }
 
+    // Code coverage
+    _savePageCoverage () {
+        const coverage = window.__coverage__;
+
+        if (!this.coverage || !this.contextStorage || !coverage)
+            return;
+
+        const savedCoverage = this.contextStorage.getItem(PAGE_COVERAGE) || [];
+
+        try {
+            this.contextStorage.setItem(PAGE_COVERAGE, savedCoverage.concat(coverage));
+        }
+        catch (err) {
+            // NOTE: the coverage of a large application can exceed the session storage quota,
+            // in this case, the coverage of the unloaded page is not collected
+            this.contextStorage.setItem(PAGE_COVERAGE, savedCoverage);
+        }
+    }
+
     // Status
     _addPendingErrorToStatus (status) {
         const pendingPageError = this.contextStorage.getItem(PENDING_PAGE_ERROR);
@@ -443,6 +469,12 @@ export default class Driver extends serviceUtils.EventEmitter {
         this.consoleMessages   = null;
     }
 
+    _addPageCoverageToStatus (status) {
+        status.pageCoverage = this.contextStorage.getItem(PAGE_COVERAGE) || null;
+
+        this.contextStorage.setItem(PAGE_COVERAGE, null);
+    }
+
     _addPendingWindowSwitchingStateToStatus (status) {
         status.isPendingWindowSwitching = this._isPendingSwitchingWindow();
     }
@@ -473,6 +505,7 @@ export default class Driver extends serviceUtils.EventEmitter {
             this._addPendingErrorToStatus(status);
             this._addUnexpectedDialogErrorToStatus(status);
             this._addConsoleMessagesToStatus(status);
+            this._addPageCoverageToStatus(status);
             this._addPendingWindowSwitchingStateToStatus(status);
         }
 
@@ -1344,6 +1377,24 @@ export default class Driver extends serviceUtils.EventEmitter {
             });
     }
 
+    _onGetPerformanceMetricsCommand () {
+        // NOTE: if navigation performance metrics are disabled, long tasks are observed
+        // only after the first request, and the earlier ones are taken from the buffer where it is supported
+        startLongTaskObserver();
+
+        this._onReady(executeGetPerformanceMetricsCommand());
+    }
+
+    _onCheckAccessibilityCommand (command) {
+        this.contextStorage.setItem(this.COMMAND_EXECUTING_FLAG, true);
+
+        executeCheckAccessibilityCommand(command, this.selectorTimeout, this.statusBar)
+            .then(driverStatus => {
+                this.contextStorage.setItem(this.COMMAND_EXECUTING_FLAG, false);
+                this._onReady(driverStatus);
+            });
+    }
+
     _onSetBreakpointCommand ({ isTestError, inCompilerService }) {
         const showDebuggingStatusPromise = this.statusBar.showDebuggingStatus(isTestError);
 
@@ -1607,6 +1658,12 @@ export default class Driver extends serviceUtils.EventEmitter {
         else if (command.type === COMMAND_TYPE.getBrowserConsoleMessages)
             this._onGetBrowserConsoleMessagesCommand(command);
 
+        else if (command.type === COMMAND_TYPE.checkAccessibility)
+            this._onCheckAccessibilityCommand(command);
+
+        else if (command.type === COMMAND_TYPE.getPerformanceMetrics)
+            this._onGetPerformanceMetricsCommand(command);
+
         else if (command.type === COMMAND_TYPE.setTestSpeed)
             this._onSetTestSpeedCommand(command);
 
@@ -1788,6 +1845,9 @@ export default class Driver extends serviceUtils.EventEmitter {
         this._initConsoleMessages();
         this._initParentWindowLink();
 
+        if (this.performanceMetrics)
+            startLongTaskObserver();
+
         if (this._isOpenedInIframe())
             sendMessageToDriver(new ChildWindowIsLoadedInFrameMessage(this.windowId), window.opener.top, WAIT_FOR_WINDOW_DRIVER_RESPONSE_TIMEOUT, WindowNotFoundError);
     }
@@ -13,6 +13,7 @@ export default class DriverStatus extends Assignable {
         this.resent                                = false;
         this.result                                = null;
         this.consoleMessages                       = null;
+        this.pageCoverage                          = null;
         this.isPendingWindowSwitching              = false;
         this.isObservingFileDownloadingInNewWindow = false;
         this.isFirstRequestAfterWindowSwitching    = false;
@@ -28,6 +29,7 @@ export default class DriverStatus extends Assignable {
             { name: 'pageError' },
             { name: 'result' },
             { name: 'consoleMessages' },
+            { name: 'pageCoverage' },
             { name: 'isPendingWindowSwitching' },
             { name: 'isObservingFileDownloadingInNewWindow' },
             { name: 'isFirstRequestAfterWindowSwitching' },
@@ -0,0 +1,57 @@
+import { cloneDeep } from 'lodash';
+import { Dictionary } from '../configuration/interfaces';
+import { CoverageData, FileCoverage } from './interfaces';
+
+function mergeCounters (target: Dictionary<number>, source: Dictionary<number>): void {
+    Object.keys(source).forEach(key => {
+        target[key] = (target[key] || 0) + source[key];
+    });
+}
+
+function mergeBranchCounters (target: Dictionary<number[]>, source: Dictionary<number[]>): void {
+    Object.keys(source).forEach(key => {
+        const counters = target[key] || [];
+
+        target[key] = source[key].map((count, index) => (counters[index] || 0) + count);
+    });
+}
+
+export default class CoverageMap {
+    private readonly _files: CoverageData;
+
+    public constructor () {
+        this._files = {};
+    }
+
+    // NOTE: files are identified by the path specified during instrumentation, so counters
+    // of the same file loaded by different pages, tests and browsers are summed up
+    private _mergeFile (fileCoverage: FileCoverage): void {
+        const target = this._files[fileCoverage.path];
+
+        if (!target) {
+            this._files[fileCoverage.path] = cloneDeep(fileCoverage);
+
+            return;
+        }
+
+        mergeCounters(target.s, fileCoverage.s);
+        mergeCounters(target.f, fileCoverage.f);
+        mergeBranchCounters(target.b, fileCoverage.b);
+    }
+
+    public merge (data: CoverageData): void {
+        Object.keys(data).forEach(key => this._mergeFile(data[key]));
+    }
+
+    public isEmpty (): boolean {
+        return !Object.keys(this._files).length;
+    }
+
+    public getFiles (): FileCoverage[] {
+        return Object.keys(this._files).sort().map(path => this._files[path]);
+    }
+
+    public toJSON (): CoverageData {
+        return this._files;
+    }
+}
@@ -0,0 +1,77 @@
+import { join } from 'path';
+import makeDir from 'make-dir';
+import CoverageMap from './coverage-map';
+import formatLcov from './lcov';
+import COVERAGE_REPORTER from '../configuration/coverage-reporter';
+import { writeFile } from '../utils/promisified-functions';
+import WarningLog from '../notifications/warning-log';
+import WARNING_MESSAGES from '../notifications/warning-message';
+import MessageBus from '../utils/message-bus';
+import TestRun from '../test-run';
+import { CoverageOptions } from './interfaces';
+//@ts-ignore
+import { TestRun as LegacyTestRun } from 'testcafe-legacy-api';
+
+const LCOV_FILENAME = 'lcov.info';
+const JSON_FILENAME = 'coverage-final.json';
+
+// NOTE: TestCafe rewrites scripts of the tested pages when it proxies them, so the V8 coverage ranges reported by
+// the browser do not match the original sources. That's why coverage is collected from the counters that
+// Istanbul-instrumented builds store in the "window.__coverage__" variable. These counters are reset on each page load,
+// so the coverage of each page is saved by the driver before the page is unloaded and collected when the test ends.
+export default class CoverageCollector {
+    private readonly _coverageMap: CoverageMap;
+    private readonly _dir: string;
+    private readonly _reporters: string[];
+    private readonly _warningLog: WarningLog;
+
+    public constructor (messageBus: MessageBus, { dir, reporters }: CoverageOptions, warningLog: WarningLog) {
+        this._coverageMap = new CoverageMap();
+        this._dir         = dir;
+        this._reporters   = reporters;
+        this._warningLog  = warningLog;
+
+        messageBus.on('test-run-start', async (testRun: TestRun) => this._onTestRunStart(testRun));
+    }
+
+    private async _collectTestRunCoverage (testRun: TestRun): Promise<void> {
+        try {
+            const coverage = await testRun.getIstanbulCoverage();
+
+            coverage.forEach(data => this._coverageMap.merge(data));
+        }
+        catch (err) {
+            this._warningLog.addWarning(WARNING_MESSAGES.coverageCollectingError, testRun.test.name, err.message);
+        }
+    }
+
+    private _onTestRunStart (testRun: TestRun): void {
+        if ((testRun.test as LegacyTestRun).isLegacy || testRun.test.skip)
+            return;
+
+        testRun.once('before-done', async () => this._collectTestRunCoverage(testRun));
+    }
+
+    private async _writeReport (reporter: string): Promise<void> {
+        if (reporter === COVERAGE_REPORTER.lcov)
+            await writeFile(join(this._dir, LCOV_FILENAME), formatLcov(this._coverageMap.getFiles()));
+        else if (reporter === COVERAGE_REPORTER.json)
+            await writeFile(join(this._dir, JSON_FILENAME), JSON.stringify(this._coverageMap));
+    }
+
+    public async save (): Promise<void> {
+        if (this._coverageMap.isEmpty()) {
+            this._warningLog.addWarning(WARNING_MESSAGES.noCoverageCollected);
+
+            return;
+        }
+
+        try {
+            await makeDir(this._dir);
+            await Promise.all(this._reporters.map(reporter => this._writeReport(reporter)));
+        }
+        catch (err) {
+            this._warningLog.addWarning(WARNING_MESSAGES.coverageSavingError, this._dir, err.message);
+        }
+    }
+}
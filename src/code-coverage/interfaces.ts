@@ -0,0 +1,43 @@
+import { Dictionary } from '../configuration/interfaces';
+
+export interface CoverageLocation {
+    line: number;
+    column: number | null;
+}
+
+export interface CoverageRange {
+    start: CoverageLocation;
+    end: CoverageLocation;
+}
+
+export interface FunctionMapping {
+    name: string;
+    decl: CoverageRange;
+    loc: CoverageRange;
+    line: number;
+}
+
+export interface BranchMapping {
+    type: string;
+    loc: CoverageRange;
+    locations: CoverageRange[];
+    line: number;
+}
+
+// NOTE: the Istanbul file coverage format (https://github.com/istanbuljs/istanbuljs/blob/master/docs/raw-output.md)
+export interface FileCoverage {
+    path: string;
+    statementMap: Dictionary<CoverageRange>;
+    fnMap: Dictionary<FunctionMapping>;
+    branchMap: Dictionary<BranchMapping>;
+    s: Dictionary<number>;
+    f: Dictionary<number>;
+    b: Dictionary<number[]>;
+}
+
+export type CoverageData = Dictionary<FileCoverage>;
+
+export interface CoverageOptions {
+    dir: string;
+    reporters: string[];
+}
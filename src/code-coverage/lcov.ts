@@ -0,0 +1,61 @@
+import { Dictionary } from '../configuration/interfaces';
+import { FileCoverage } from './interfaces';
+
+function getLineCounters ({ statementMap, s }: FileCoverage): Dictionary<number> {
+    const lines: Dictionary<number> = {};
+
+    // NOTE: a line is covered as many times as the most executed statement that starts on it
+    Object.keys(statementMap).forEach(key => {
+        const line  = statementMap[key].start.line;
+        const count = s[key] || 0;
+
+        if (lines[line] === void 0 || lines[line] < count)
+            lines[line] = count;
+    });
+
+    return lines;
+}
+
+function countCovered (counters: number[]): number {
+    return counters.filter(count => count > 0).length;
+}
+
+function formatFileCoverage (fileCoverage: FileCoverage): string[] {
+    const { path, fnMap, f, branchMap, b } = fileCoverage;
+
+    const records      = ['TN:', `SF:${path}`];
+    const functionKeys = Object.keys(fnMap);
+    const lines        = getLineCounters(fileCoverage);
+    const lineNumbers  = Object.keys(lines);
+    const branchKeys   = Object.keys(branchMap);
+    const branchCounts = branchKeys.reduce((result: number[], key) => result.concat(b[key] || []), []);
+
+    functionKeys.forEach(key => records.push(`FN:${fnMap[key].decl.start.line},${fnMap[key].name}`));
+
+    records.push(`FNF:${functionKeys.length}`);
+    records.push(`FNH:${countCovered(functionKeys.map(key => f[key] || 0))}`);
+
+    functionKeys.forEach(key => records.push(`FNDA:${f[key] || 0},${fnMap[key].name}`));
+    lineNumbers.forEach(line => records.push(`DA:${line},${lines[line]}`));
+
+    records.push(`LF:${lineNumbers.length}`);
+    records.push(`LH:${countCovered(lineNumbers.map(line => lines[line]))}`);
+
+    branchKeys.forEach(key => {
+        const line = branchMap[key].loc.start.line;
+
+        (b[key] || []).forEach((count, index) => records.push(`BRDA:${line},${key},${index},${count}`));
+    });
+
+    records.push(`BRF:${branchCounts.length}`);
+    records.push(`BRH:${countCovered(branchCounts)}`);
+    records.push('end_of_record');
+
+    return records;
+}
+
+export default function formatLcov (files: FileCoverage[]): string {
+    return files
+        .reduce((records: string[], fileCoverage) => records.concat(formatFileCoverage(fileCoverage)), [])
+        .join('\n') + '\n';
+}
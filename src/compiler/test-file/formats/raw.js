@@ -33,6 +33,9 @@ export default class RawTestFileCompiler extends TestFileCompilerBase {
         if (src.authCredentials)
             dest.httpAuth(src.authCredentials);
 
+        if (src.networkConditions)
+            dest.throttle(src.networkConditions);
+
         /* eslint-disable no-unused-expressions */
         if (src.only)
             dest.only;
@@ -236,6 +236,25 @@ export default class TypeScriptTestFileCompiler extends APIBasedTestFileCompiler
         return normalizedFilenames.map(filename => this.cache[filename]);
     }
 
+    // NOTE: configuration files are transpiled one by one without type checking, because
+    // TypeScript programs do not accept the ".mts" and ".mjs" files
+    public compileConfigurationFile (code: string, filename: string): string {
+        // NOTE: lazy load the compiler
+        const ts: TypeScriptInstance = this._loadTypeScriptCompiler();
+
+        const { outputText, diagnostics } = ts.transpileModule(code, {
+            fileName:          filename,
+            compilerOptions:   this._tsConfig.getOptions() as Dictionary<CompilerOptionsValue>,
+            reportDiagnostics: true,
+            transformers:      { before: [testcafeImportPathReplacer()] },
+        });
+
+        if (diagnostics && diagnostics.length)
+            this._reportErrors(diagnostics);
+
+        return outputText;
+    }
+
     public _getRequireCompilers (): RequireCompilers {
         return {
             '.ts':  (code, filename) => this._compileCode(code, filename),
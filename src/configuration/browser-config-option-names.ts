@@ -0,0 +1,13 @@
+enum BROWSER_CONFIG_OPTION_NAMES {
+    name = 'name',
+    path = 'path',
+    headless = 'headless',
+    userProfile = 'userProfile',
+    emulation = 'emulation',
+    cdpPort = 'cdpPort',
+    marionettePort = 'marionettePort',
+    args = 'args',
+    env = 'env'
+}
+
+export default BROWSER_CONFIG_OPTION_NAMES;
@@ -0,0 +1,12 @@
+enum BROWSER_EMULATION_OPTION_NAMES {
+    device = 'device',
+    orientation = 'orientation',
+    width = 'width',
+    height = 'height',
+    scaleFactor = 'scaleFactor',
+    mobile = 'mobile',
+    touch = 'touch',
+    userAgent = 'userAgent'
+}
+
+export default BROWSER_EMULATION_OPTION_NAMES;
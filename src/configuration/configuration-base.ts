@@ -1,6 +1,13 @@
-import { isAbsolute, extname } from 'path';
+import {
+    dirname,
+    extname,
+    isAbsolute,
+} from 'path';
 import debug from 'debug';
 import JSON5 from 'json5';
+// @ts-ignore
+import YAML from 'js-yaml';
+import Module from 'module';
 import {
     castArray,
     cloneDeep,
@@ -16,7 +23,14 @@ import renderTemplate from '../utils/render-template';
 import WARNING_MESSAGES from '../notifications/warning-message';
 import log from '../cli/log';
 import { Dictionary } from './interfaces';
-import { JS_CONFIGURATION_EXTENSION } from './formats';
+import {
+    COMPILED_CONFIGURATION_EXTENSIONS,
+    JS_CONFIGURATION_EXTENSIONS,
+    YAML_CONFIGURATION_EXTENSION,
+} from './formats';
+
+const lazyRequire                = require('import-lazy')(require);
+const TypeScriptTestFileCompiler = lazyRequire('../compiler/test-file/formats/typescript/compiler');
 
 const DEBUG_LOGGER = debug('testcafe:configuration');
 
@@ -152,6 +166,8 @@ export default class Configuration {
 
             if (this._isJSConfiguration(filePath))
                 options = this._readJsConfigurationFileContent(filePath);
+            else if (this._isCompiledConfiguration(filePath))
+                options = await this._readCompiledConfigurationFileContent(filePath);
             else {
                 const configurationFileContent = await this._readConfigurationFileContent(filePath);
 
@@ -192,7 +208,15 @@ export default class Configuration {
     }
 
     protected _isJSConfiguration (filePath = this.filePath): boolean {
-        return !!filePath && extname(filePath) === JS_CONFIGURATION_EXTENSION;
+        return !!filePath && JS_CONFIGURATION_EXTENSIONS.includes(extname(filePath));
+    }
+
+    protected _isCompiledConfiguration (filePath = this.filePath): boolean {
+        return !!filePath && COMPILED_CONFIGURATION_EXTENSIONS.includes(extname(filePath));
+    }
+
+    protected _isYAMLConfiguration (filePath = this.filePath): boolean {
+        return !!filePath && extname(filePath) === YAML_CONFIGURATION_EXTENSION;
     }
 
     public _readJsConfigurationFileContent (filePath = this.filePath): object | null {
@@ -210,6 +234,52 @@ export default class Configuration {
         return null;
     }
 
+    private static _compileConfigurationFileContent (configurationFileContent: Buffer, filePath: string): string | null {
+        try {
+            return new TypeScriptTestFileCompiler().compileConfigurationFile(configurationFileContent.toString(), filePath);
+        }
+        catch (error) {
+            Configuration._showWarningForError(error, WARNING_MESSAGES.cannotParseConfigFile, filePath);
+        }
+
+        return null;
+    }
+
+    private static _execCompiledConfiguration (compiledCode: string, filePath: string): object | null {
+        try {
+            const mod = new Module(filePath, module);
+
+            mod.filename = filePath;
+            // @ts-ignore
+            mod.paths    = Module._nodeModulePaths(dirname(filePath));
+
+            // @ts-ignore
+            mod._compile(compiledCode, filePath);
+
+            // NOTE: the "export default" statement is compiled to the "exports.default" assignment
+            return mod.exports.__esModule ? mod.exports.default : mod.exports;
+        }
+        catch (error) {
+            Configuration._showWarningForError(error, WARNING_MESSAGES.cannotReadConfigFile, filePath);
+        }
+
+        return null;
+    }
+
+    public async _readCompiledConfigurationFileContent (filePath: string): Promise<object | null> {
+        const configurationFileContent = await this._readConfigurationFileContent(filePath);
+
+        if (!configurationFileContent)
+            return null;
+
+        const compiledCode = Configuration._compileConfigurationFileContent(configurationFileContent, filePath);
+
+        if (!compiledCode)
+            return null;
+
+        return Configuration._execCompiledConfiguration(compiledCode, filePath);
+    }
+
     public async _readConfigurationFileContent (filePath = this.filePath): Promise<Buffer | null> {
         try {
             return await readFile(filePath);
@@ -223,6 +293,9 @@ export default class Configuration {
 
     private _parseConfigurationFileContent (configurationFileContent: Buffer, filePath = this.filePath): object | null {
         try {
+            if (this._isYAMLConfiguration(filePath))
+                return YAML.safeLoad(configurationFileContent.toString());
+
             return JSON5.parse(configurationFileContent.toString());
         }
         catch (error) {
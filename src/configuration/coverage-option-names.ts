@@ -0,0 +1,6 @@
+enum COVERAGE_OPTION_NAMES {
+    dir = 'dir',
+    reporters = 'reporters'
+}
+
+export default COVERAGE_OPTION_NAMES;
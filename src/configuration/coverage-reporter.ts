@@ -0,0 +1,6 @@
+enum COVERAGE_REPORTER {
+    lcov = 'lcov',
+    json = 'json'
+}
+
+export default COVERAGE_REPORTER;
@@ -1,3 +1,22 @@
 export const JS_CONFIGURATION_EXTENSION   = '.js';
+export const CJS_CONFIGURATION_EXTENSION  = '.cjs';
+export const MJS_CONFIGURATION_EXTENSION  = '.mjs';
+export const TS_CONFIGURATION_EXTENSION   = '.ts';
+export const MTS_CONFIGURATION_EXTENSION  = '.mts';
 export const JSON_CONFIGURATION_EXTENSION = '.json';
-export const CONFIGURATION_EXTENSIONS     = [JS_CONFIGURATION_EXTENSION, JSON_CONFIGURATION_EXTENSION];
+export const YAML_CONFIGURATION_EXTENSION = '.yml';
+
+export const CONFIGURATION_EXTENSIONS = [
+    JS_CONFIGURATION_EXTENSION,
+    CJS_CONFIGURATION_EXTENSION,
+    MJS_CONFIGURATION_EXTENSION,
+    TS_CONFIGURATION_EXTENSION,
+    MTS_CONFIGURATION_EXTENSION,
+    JSON_CONFIGURATION_EXTENSION,
+    YAML_CONFIGURATION_EXTENSION,
+];
+
+export const JS_CONFIGURATION_EXTENSIONS = [JS_CONFIGURATION_EXTENSION, CJS_CONFIGURATION_EXTENSION];
+
+// NOTE: ES modules are compiled to CommonJS by the TypeScript compiler along with TypeScript files
+export const COMPILED_CONFIGURATION_EXTENSIONS = [MJS_CONFIGURATION_EXTENSION, TS_CONFIGURATION_EXTENSION, MTS_CONFIGURATION_EXTENSION];
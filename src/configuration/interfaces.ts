@@ -12,9 +12,15 @@ export interface Dictionary<T> {
     [key: string]: T;
 }
 
+export interface RetriesOptions {
+    count: number;
+    onlyOn?: string[];
+}
+
 export interface RunnerRunOptions {
     skipJsErrors?: boolean;
     skipUncaughtErrors?: boolean;
+    retries?: RetriesOptions;
     debugMode?: boolean;
     debugOnFail?: boolean;
     selectorTimeout?: number;
@@ -28,10 +34,15 @@ export interface RunnerRunOptions {
     disablePageCaching?: boolean;
     disablePageReloads?: boolean;
     disableScreenshots?: boolean;
+    updateScreenshotBaselines?: boolean;
+    updateSnapshots?: boolean;
+    performanceMetrics?: boolean;
     disableMultipleWindows?: boolean;
     pageRequestTimeout?: number;
     ajaxRequestTimeout?: number;
     retryTestPages?: boolean;
+    testOrder?: string;
+    tracing?: string;
     hooks?: GlobalHooks;
 }
 
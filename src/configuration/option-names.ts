@@ -17,6 +17,7 @@ enum OptionNames {
     appInitDelay = 'appInitDelay',
     skipJsErrors = 'skipJsErrors',
     quarantineMode = 'quarantineMode',
+    retries = 'retries',
     debugMode = 'debugMode',
     debugOnFail = 'debugOnFail',
     skipUncaughtErrors = 'skipUncaughtErrors',
@@ -30,6 +31,14 @@ enum OptionNames {
     videoPath = 'videoPath',
     videoOptions = 'videoOptions',
     videoEncodingOptions = 'videoEncodingOptions',
+    harPath = 'harPath',
+    harOptions = 'harOptions',
+    shard = 'shard',
+    shardOptions = 'shardOptions',
+    coverage = 'coverage',
+    coverageOptions = 'coverageOptions',
+    testOrder = 'testOrder',
+    tracing = 'tracing',
     tsConfigPath = 'tsConfigPath',
     clientScripts = 'clientScripts',
     requestHooks = 'requestHooks',
@@ -41,6 +50,9 @@ enum OptionNames {
     disablePageReloads = 'disablePageReloads',
     disablePageCaching = 'disablePageCaching',
     disableScreenshots = 'disableScreenshots',
+    updateScreenshotBaselines = 'updateScreenshotBaselines',
+    updateSnapshots = 'updateSnapshots',
+    performanceMetrics = 'performanceMetrics',
     debugLogger = 'debugLogger',
     disableMultipleWindows = 'disableMultipleWindows',
     disableHttp2 = 'disableHttp2',
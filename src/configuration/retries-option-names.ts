@@ -0,0 +1,6 @@
+enum RETRIES_OPTION_NAMES {
+    count = 'count',
+    onlyOn = 'onlyOn'
+}
+
+export default RETRIES_OPTION_NAMES;
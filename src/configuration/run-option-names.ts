@@ -4,6 +4,7 @@ export default [
     OPTION_NAMES.skipJsErrors,
     OPTION_NAMES.skipUncaughtErrors,
     OPTION_NAMES.quarantineMode,
+    OPTION_NAMES.retries,
     OPTION_NAMES.debugMode,
     OPTION_NAMES.debugOnFail,
     OPTION_NAMES.selectorTimeout,
@@ -17,9 +18,14 @@ export default [
     OPTION_NAMES.disablePageCaching,
     OPTION_NAMES.disablePageReloads,
     OPTION_NAMES.disableScreenshots,
+    OPTION_NAMES.updateScreenshotBaselines,
+    OPTION_NAMES.updateSnapshots,
+    OPTION_NAMES.performanceMetrics,
     OPTION_NAMES.disableMultipleWindows,
     OPTION_NAMES.pageRequestTimeout,
     OPTION_NAMES.ajaxRequestTimeout,
     OPTION_NAMES.retryTestPages,
     OPTION_NAMES.proxyless,
+    OPTION_NAMES.testOrder,
+    OPTION_NAMES.tracing,
 ];
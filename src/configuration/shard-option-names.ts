@@ -0,0 +1,6 @@
+enum SHARD_OPTION_NAMES {
+    by = 'by',
+    durationsPath = 'durationsPath'
+}
+
+export default SHARD_OPTION_NAMES;
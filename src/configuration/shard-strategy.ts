@@ -0,0 +1,7 @@
+enum SHARD_STRATEGY {
+    file = 'file',
+    fixture = 'fixture',
+    duration = 'duration'
+}
+
+export default SHARD_STRATEGY;
@@ -0,0 +1,6 @@
+enum TEST_ORDER {
+    longestFirst = 'longest-first',
+    failedFirst = 'failed-first'
+}
+
+export default TEST_ORDER;
@@ -55,6 +55,9 @@ const OPTION_FLAG_NAMES = [
     OPTION_NAMES.disablePageCaching,
     OPTION_NAMES.disablePageReloads,
     OPTION_NAMES.disableScreenshots,
+    OPTION_NAMES.updateScreenshotBaselines,
+    OPTION_NAMES.updateSnapshots,
+    OPTION_NAMES.performanceMetrics,
     OPTION_NAMES.disableMultipleWindows,
 ];
 
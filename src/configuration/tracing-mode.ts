@@ -0,0 +1,7 @@
+enum TRACING_MODE {
+    off = 'off',
+    on = 'on',
+    onFailure = 'on-failure'
+}
+
+export default TRACING_MODE;
@@ -6,6 +6,7 @@ interface ScreenshotOptionValue {
     pathPattern?: string;
     fullPage?: boolean;
     thumbnails?: boolean;
+    baselinesPath?: string;
 }
 
 interface QuarantineOptionValue {
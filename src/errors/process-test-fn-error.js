@@ -21,10 +21,7 @@ function isAssertionErrorCallsiteFrame (frame) {
         !filename.includes(`${sep}${NODE_MODULES}${sep}`);
 }
 
-export default function processTestFnError (err) {
-    if (err && (err.isTestCafeError || err instanceof TestCafeErrorList))
-        return err;
-
+function wrapTestFnError (err) {
     if (err && err instanceof APIError)
         return new UncaughtErrorInTestCode(err);
 
@@ -42,3 +39,16 @@ export default function processTestFnError (err) {
 
     return new UncaughtNonErrorObjectInTestCode(err);
 }
+
+export default function processTestFnError (err) {
+    if (err && (err.isTestCafeError || err instanceof TestCafeErrorList))
+        return err;
+
+    const testCafeError = wrapTestFnError(err);
+
+    // NOTE: keep the path of the step in which the error occurred
+    if (err && err.step)
+        testCafeError.step = err.step;
+
+    return testCafeError;
+}
@@ -129,4 +129,27 @@ export default {
     [BrowserConnectionErrorHint.UseBrowserInitOption]:    'Increase the value of the "browserInitTimeout" option if it is too low (currently: {browserInitTimeoutMsg}). This option determines how long TestCafe waits for browsers to be ready.',
     [BrowserConnectionErrorHint.RestErrorCauses]:         'The error can also be caused by network issues or remote device failure. Make sure that your network connection is stable and you can reach the remote device.',
     [RUNTIME_ERRORS.cannotFindTestcafeConfigurationFile]: '"{filePath}" is not a valid path to the TestCafe configuration file. Make sure the configuration file exists and you spell the path name correctly.',
+
+    [RUNTIME_ERRORS.cannotSetHarOptionsWithoutHarPathSpecified]: 'You cannot specify HAR recording options when HAR recording is disabled. Specify the root folder for HAR files to enable HAR recording.',
+
+    [RUNTIME_ERRORS.invalidShardValue]:                          'The "shard" option value ("{value}") is invalid. Specify the shard index and the total number of shards separated by a slash (for example, "3/8"). The shard index should be an integer from 1 to the total number of shards.',
+    [RUNTIME_ERRORS.invalidShardOption]:                         'The "{optionName}" option does not exist. Specify "by" and "durationsPath" to configure test sharding.',
+    [RUNTIME_ERRORS.invalidShardStrategy]:                       'The "by" shard option value ("{value}") is invalid. Use one of the following values: {strategies}.',
+    [RUNTIME_ERRORS.shardDurationsPathIsNotSpecified]:           'Specify the "durationsPath" shard option to distribute tests among shards by their historic duration.',
+    [RUNTIME_ERRORS.cannotSetShardOptionsWithoutShardSpecified]: 'You cannot specify shard options when test sharding is disabled. Specify the "shard" option to enable test sharding.',
+    [RUNTIME_ERRORS.cannotReadTestDurations]:                    'Cannot read test durations from the "{filePath}" file. {errorMessage}',
+    [RUNTIME_ERRORS.invalidTestOrder]:                           'The "testOrder" option value ("{value}") is invalid. Use one of the following values: {orders}.',
+    [RUNTIME_ERRORS.invalidRetriesOption]:                       'The "{optionName}" option does not exist. Specify "count" and "onlyOn" to configure test retries.',
+    [RUNTIME_ERRORS.invalidRetriesCount]:                        'The "count" retries option value ("{value}") is invalid. Specify a positive integer.',
+    [RUNTIME_ERRORS.invalidRetriesErrorCode]:                    'The "onlyOn" retries option contains an invalid error code ("{code}"). Specify the codes of test run errors (for example, "E24").',
+    [RUNTIME_ERRORS.cannotUseRetriesWithQuarantineMode]:         'You cannot enable test retries and quarantine mode at the same time. Disable one of these options.',
+    [RUNTIME_ERRORS.invalidCoverageOption]:                      'The "{optionName}" option does not exist. Specify "dir" and "reporters" to configure code coverage collection.',
+    [RUNTIME_ERRORS.invalidCoverageReporter]:                    'The "reporters" coverage option contains an invalid reporter ("{reporter}"). Use one of the following values: {reporters}.',
+
+    [RUNTIME_ERRORS.cannotSetCoverageOptionsWithoutCoverageEnabled]: 'You cannot specify code coverage options when code coverage collection is disabled. Specify the "coverage" option to enable code coverage collection.',
+    [RUNTIME_ERRORS.cannotOverrideBuiltInAssertion]:                 'You cannot register the "{name}" assertion. The assertion API already has a method with this name.',
+    [RUNTIME_ERRORS.invalidTracingMode]:                             'The "tracing" option value ("{value}") is invalid. Use one of the following values: {modes}.',
+    [RUNTIME_ERRORS.invalidBrowserConfigOption]:                     'The "{optionName}" browser option does not exist. Use the following options to configure the browser: {options}.',
+    [RUNTIME_ERRORS.invalidBrowserConfigOptionValue]:                'The "{optionName}" browser option value ({value}) is invalid. Specify {expectedValue}.',
+    [RUNTIME_ERRORS.browserConfigOptionNotSupported]:                'The "{providerName}" browser provider does not support the "{optionName}" browser option.',
 };
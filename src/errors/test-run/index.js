@@ -199,6 +199,33 @@ export class ActionFunctionArgumentError extends ActionArgumentErrorBase {
     }
 }
 
+export class ActionAttachmentContentArgumentError extends ActionArgumentErrorBase {
+    constructor (argumentName, actualValue) {
+        super(TEST_RUN_ERRORS.actionAttachmentContentArgumentError, argumentName, actualValue);
+    }
+}
+
+export class ActionJsonSchemaArgumentError extends ActionArgumentErrorBase {
+    constructor (argumentName, actualValue) {
+        super(TEST_RUN_ERRORS.actionJsonSchemaArgumentError, argumentName, actualValue);
+    }
+}
+
+export class ActionObjectArgumentError extends ActionArgumentErrorBase {
+    constructor (argumentName, actualValue) {
+        super(TEST_RUN_ERRORS.actionObjectArgumentError, argumentName, actualValue);
+    }
+}
+
+export class ActionInvalidJsonSchemaArgumentError extends TestRunErrorBase {
+    constructor (argumentName, errMsg) {
+        super(TEST_RUN_ERRORS.actionInvalidJsonSchemaArgumentError);
+
+        this.argumentName = argumentName;
+        this.errMsg       = errMsg;
+    }
+}
+
 export class ActionPositiveIntegerArgumentError extends ActionArgumentErrorBase {
     constructor (argumentName, actualValue) {
         super(TEST_RUN_ERRORS.actionPositiveIntegerArgumentError, argumentName, actualValue);
@@ -279,6 +306,67 @@ export class ForbiddenCharactersInScreenshotPathError extends TestRunErrorBase {
     }
 }
 
+export class ScreenshotComparisonDisabledError extends TestRunErrorBase {
+    constructor (screenshotName, callsite) {
+        super(TEST_RUN_ERRORS.screenshotComparisonDisabledError);
+
+        this.screenshotName = screenshotName;
+        this.callsite       = callsite;
+    }
+}
+
+export class ScreenshotComparisonError extends TestRunErrorBase {
+    constructor ({ screenshotName, diffRatio, threshold, baselinePath, actualPath, diffPath }) {
+        super(TEST_RUN_ERRORS.screenshotComparisonError);
+
+        this.screenshotName = screenshotName;
+        this.diffRatio      = diffRatio;
+        this.threshold      = threshold;
+        this.baselinePath   = baselinePath;
+        this.actualPath     = actualPath;
+        this.diffPath       = diffPath;
+    }
+}
+
+export class AccessibilityViolationsError extends TestRunErrorBase {
+    constructor (impactLevel, violations, callsite) {
+        super(TEST_RUN_ERRORS.accessibilityViolationsError);
+
+        this.impactLevel = impactLevel;
+        this.violations  = violations;
+        this.callsite    = callsite;
+    }
+}
+
+export class EmulationNotSupportedError extends TestRunErrorBase {
+    constructor (browserAlias, callsite) {
+        super(TEST_RUN_ERRORS.emulationNotSupportedError);
+
+        this.browserAlias = browserAlias;
+        this.callsite     = callsite;
+    }
+}
+
+export class NetworkOfflineModeNotSupportedError extends TestRunErrorBase {
+    constructor (browserAlias, callsite) {
+        super(TEST_RUN_ERRORS.networkOfflineModeNotSupportedError);
+
+        this.browserAlias = browserAlias;
+        this.callsite     = callsite;
+    }
+}
+
+export class RequestError extends TestRunErrorBase {
+    constructor (method, url, errMsg, callsite) {
+        super(TEST_RUN_ERRORS.requestError);
+
+        this.method   = method;
+        this.url      = url;
+        this.errMsg   = errMsg;
+        this.callsite = callsite;
+    }
+}
+
 export class RoleSwitchInRoleInitializerError extends TestRunErrorBase {
     constructor (callsite) {
         super(TEST_RUN_ERRORS.roleSwitchInRoleInitializerError);
@@ -321,6 +409,15 @@ export class RequestHookNotImplementedMethodError extends RequestHookBaseError {
     }
 }
 
+export class RequestMockHarEntryNotFoundError extends RequestHookBaseError {
+    constructor (hookClassName, method, url) {
+        super(TEST_RUN_ERRORS.requestMockHarEntryNotFoundError, hookClassName, 'onRequest');
+
+        this.method = method;
+        this.url    = url;
+    }
+}
+
 export class MultipleWindowsModeIsDisabledError extends TestRunErrorBase {
     constructor (methodName) {
         super(TEST_RUN_ERRORS.multipleWindowsModeIsDisabledError);
@@ -1,5 +1,7 @@
 import { escape as escapeHtml } from 'lodash';
 import { TEST_RUN_ERRORS } from '../types';
+import { IMPACT_LEVELS, RULE_IDS } from '../../shared/accessibility';
+import { COLOR_SCHEMES, REDUCED_MOTION_MODES } from '../../shared/emulation';
 import {
     renderForbiddenCharsList,
     renderDiff,
@@ -7,6 +9,8 @@ import {
     formatUrl,
     replaceLeadingSpacesWithNbsp,
     formatExpressionMessage,
+    formatPercentage,
+    renderAccessibilityViolations,
 } from './utils';
 
 const EXTERNAL_LINKS = {
@@ -32,6 +36,38 @@ export default {
         The "${err.optionName}" option is expected to be a number between 0.01 and 1, but it was ${err.actualValue}.
     `,
 
+    [TEST_RUN_ERRORS.actionRatioOptionError]: err => `
+        The "${err.optionName}" option is expected to be a number between 0 and 1, but it was ${err.actualValue}.
+    `,
+
+    [TEST_RUN_ERRORS.actionRegionsOptionError]: err => `
+        The "${err.optionName}" option is expected to be an array of regions with non-negative integer "left", "top", "right" and "bottom" properties, but it was ${err.actualValue}.
+    `,
+
+    [TEST_RUN_ERRORS.actionImpactLevelOptionError]: err => `
+        The "${err.optionName}" option is expected to be one of the following impact levels: ${IMPACT_LEVELS.map(level => `"${level}"`).join(', ')}, but it was ${err.actualValue}.
+    `,
+
+    [TEST_RUN_ERRORS.actionAccessibilityRulesOptionError]: err => `
+        The "${err.optionName}" option is expected to be an array of the following accessibility rule IDs: ${RULE_IDS.map(id => `"${id}"`).join(', ')}, but it was ${err.actualValue}.
+    `,
+
+    [TEST_RUN_ERRORS.actionStringOptionError]: err => `
+        The "${err.optionName}" option is expected to be a non-empty string, but it was ${err.actualValue}.
+    `,
+
+    [TEST_RUN_ERRORS.actionGeolocationOptionError]: err => `
+        The "${err.optionName}" option is expected to be null or an object with the "latitude" (from -90 to 90), "longitude" (from -180 to 180) and optional "accuracy" (a non-negative number) properties, but it was ${err.actualValue}.
+    `,
+
+    [TEST_RUN_ERRORS.actionColorSchemeOptionError]: err => `
+        The "${err.optionName}" option is expected to be null or one of the following color schemes: ${COLOR_SCHEMES.map(scheme => `"${scheme}"`).join(', ')}, but it was ${err.actualValue}.
+    `,
+
+    [TEST_RUN_ERRORS.actionReducedMotionOptionError]: err => `
+        The "${err.optionName}" option is expected to be null or one of the following values: ${REDUCED_MOTION_MODES.map(mode => `"${mode}"`).join(', ')}, but it was ${err.actualValue}.
+    `,
+
     [TEST_RUN_ERRORS.pageLoadError]: err => `
         Failed to load the page at ${formatUrl(err.url)}.
         Increase the value of the "pageRequestTimeout" variable, enable the "retryTestPages" option, or use quarantine mode to perform additional attempts to execute this test.
@@ -142,6 +178,25 @@ export default {
         The "${err.argumentName}" argument is expected to be a function, but it was ${err.actualValue}.
     `,
 
+    [TEST_RUN_ERRORS.actionAttachmentContentArgumentError]: err => `
+        The "${err.argumentName}" argument is expected to be a string, a Buffer or a JSON-serializable object, but it was ${err.actualValue}.
+    `,
+
+    [TEST_RUN_ERRORS.actionObjectArgumentError]: err => `
+        The "${err.argumentName}" argument is expected to be an object, but it was ${err.actualValue}.
+    `,
+
+    [TEST_RUN_ERRORS.actionJsonSchemaArgumentError]: err => `
+        The "${err.argumentName}" argument is expected to be a JSON schema object or a boolean, but it was ${err.actualValue}.
+    `,
+
+    [TEST_RUN_ERRORS.actionInvalidJsonSchemaArgumentError]: err => `
+        The "${err.argumentName}" argument is not a valid JSON schema.
+
+        Error details:
+        ${err.errMsg}
+    `,
+
     [TEST_RUN_ERRORS.actionPositiveIntegerArgumentError]: err => `
         The "${err.argumentName}" argument is expected to be a positive integer, but it was ${err.actualValue}.
     `,
@@ -279,6 +334,38 @@ export default {
          Unable to capture an element image because the resulting image ${err.dimensions} ${err.verb} zero or negative.
     `,
 
+    [TEST_RUN_ERRORS.screenshotComparisonDisabledError]: err => `
+        Cannot compare the "${err.screenshotName}" screenshot with the baseline because screenshots are disabled. Enable screenshots to use the "toMatchScreenshot" assertion.
+    `,
+
+    [TEST_RUN_ERRORS.screenshotComparisonError]: err => `
+        The "${err.screenshotName}" screenshot does not match the baseline: ${formatPercentage(err.diffRatio)} of pixels differ, while the threshold is ${formatPercentage(err.threshold)}.
+
+        Baseline: ${escapeHtml(err.baselinePath)}
+        Actual: ${escapeHtml(err.actualPath)}
+        Diff: ${escapeHtml(err.diffPath)}
+    `,
+
+    [TEST_RUN_ERRORS.accessibilityViolationsError]: err => `
+        The page has accessibility violations with the "${err.impactLevel}" or higher impact:
+        ${replaceLeadingSpacesWithNbsp(renderAccessibilityViolations(err.violations))}
+    `,
+
+    [TEST_RUN_ERRORS.emulationNotSupportedError]: err => `
+        Cannot change the emulation settings in "${err.browserAlias}". Runtime emulation is only supported in local Chromium-based browsers.
+    `,
+
+    [TEST_RUN_ERRORS.networkOfflineModeNotSupportedError]: err => `
+        Cannot emulate the offline mode in "${err.browserAlias}". The offline mode is only supported in local Chromium-based browsers.
+    `,
+
+    [TEST_RUN_ERRORS.requestError]: err => `
+        Failed to send the ${err.method} request to ${formatUrl(err.url)}.
+
+        Error details:
+        ${err.errMsg}
+    `,
+
     [TEST_RUN_ERRORS.roleSwitchInRoleInitializerError]: () => `
         Role cannot be switched while another role is being initialized.
     `,
@@ -307,6 +394,10 @@ export default {
         ${escapeHtml(err.errMsg)}
     `,
 
+    [TEST_RUN_ERRORS.requestMockHarEntryNotFoundError]: err => `
+        The "${err.hookClassName}" hook cannot find a recorded HAR entry that matches the ${err.method} ${escapeHtml(err.url)} request.
+    `,
+
     [TEST_RUN_ERRORS.uncaughtErrorInCustomClientScriptCode]: err => `
         An error occurred in a script injected into the tested page:
 
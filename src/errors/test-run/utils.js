@@ -20,6 +20,18 @@ export function renderForbiddenCharsList (forbiddenCharsList) {
     return forbiddenCharsList.map(charInfo => `\t"${charInfo.chars}" at index ${charInfo.index}\n`).join('');
 }
 
+export function renderAccessibilityViolations (violations) {
+    return violations.map(violation => {
+        const targets = violation.nodes.map(node => `        ${escapeHtml(node.target)}\n`).join('');
+
+        return `    ${violation.id} (${violation.impact}): ${escapeHtml(violation.description)}\n${targets}`;
+    }).join('');
+}
+
+export function formatPercentage (ratio) {
+    return `${parseFloat((ratio * 100).toFixed(2))}%`;
+}
+
 export function formatUrl (url) {
     return `<a href="${url}">${url}</a>`;
 }
@@ -78,6 +90,9 @@ export function markup (err, msgMarkup, errCallsite = '') {
     else
         msgMarkup += browserStr;
 
+    if (err.step)
+        msgMarkup += `\n<div class="step-info"><strong>Step:</strong> <span class="step-path">${escapeHtml(err.step.join(' > '))}</span></div>`;
+
     if (err.screenshotPath)
         msgMarkup += `\n<div class="screenshot-info"><strong>Screenshot:</strong> <a class="screenshot-path">${escapeHtml(err.screenshotPath)}</a></div>`;
 
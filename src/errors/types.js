@@ -85,6 +85,25 @@ export const TEST_RUN_ERRORS = {
     cannotCloseWindowWithoutParent:                        'E82',
     cannotRestoreChildWindowError:                         'E83',
     executionTimeoutExceeded:                              'E84',
+    requestMockHarEntryNotFoundError:                      'E85',
+    actionRatioOptionError:                                'E86',
+    actionRegionsOptionError:                              'E87',
+    screenshotComparisonError:                             'E88',
+    actionImpactLevelOptionError:                          'E89',
+    actionAccessibilityRulesOptionError:                   'E90',
+    accessibilityViolationsError:                          'E91',
+    actionStringOptionError:                               'E92',
+    actionAttachmentContentArgumentError:                  'E93',
+    actionJsonSchemaArgumentError:                         'E94',
+    requestError:                                          'E95',
+    emulationNotSupportedError:                            'E96',
+    actionGeolocationOptionError:                          'E97',
+    actionColorSchemeOptionError:                          'E98',
+    actionReducedMotionOptionError:                        'E99',
+    actionInvalidJsonSchemaArgumentError:                  'E100',
+    networkOfflineModeNotSupportedError:                   'E101',
+    screenshotComparisonDisabledError:                     'E102',
+    actionObjectArgumentError:                             'E103',
 };
 
 export const RUNTIME_ERRORS = {
@@ -157,4 +176,24 @@ export const RUNTIME_ERRORS = {
     invalidSuccessThresholdValue:                       'E1068',
     cannotSetConcurrencyWithCDPPort:                    'E1069',
     cannotFindTestcafeConfigurationFile:                'E1070',
+    cannotSetHarOptionsWithoutHarPathSpecified:         'E1071',
+    invalidShardValue:                                  'E1072',
+    invalidShardOption:                                 'E1073',
+    invalidShardStrategy:                               'E1074',
+    shardDurationsPathIsNotSpecified:                   'E1075',
+    cannotSetShardOptionsWithoutShardSpecified:         'E1076',
+    cannotReadTestDurations:                            'E1077',
+    invalidTestOrder:                                   'E1079',
+    invalidRetriesOption:                               'E1080',
+    invalidRetriesCount:                                'E1081',
+    invalidRetriesErrorCode:                            'E1082',
+    cannotUseRetriesWithQuarantineMode:                 'E1083',
+    invalidCoverageOption:                              'E1084',
+    invalidCoverageReporter:                            'E1085',
+    cannotSetCoverageOptionsWithoutCoverageEnabled:     'E1086',
+    cannotOverrideBuiltInAssertion:                     'E1087',
+    invalidTracingMode:                                 'E1088',
+    invalidBrowserConfigOption:                         'E1089',
+    invalidBrowserConfigOptionValue:                    'E1090',
+    browserConfigOptionNotSupported:                    'E1091',
 };
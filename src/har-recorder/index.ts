@@ -0,0 +1,136 @@
+import { join, dirname } from 'path';
+import { readSync as read } from 'read-file-relative';
+import makeDir from 'make-dir';
+import moment from 'moment';
+import TestRunHarLog from './test-run-har-log';
+import PathPattern from '../utils/path-pattern';
+import { writeFile } from '../utils/promisified-functions';
+import WarningLog from '../notifications/warning-log';
+import WARNING_MESSAGES from '../notifications/warning-message';
+import MessageBus from '../utils/message-bus';
+import TestRun from '../test-run';
+import Test from '../api/structure/test';
+import Fixture from '../api/structure/fixture';
+import { Dictionary } from '../configuration/interfaces';
+import { HarOptions, TestRunHarInfo } from './interfaces';
+//@ts-ignore
+import { TestRun as LegacyTestRun } from 'testcafe-legacy-api';
+
+import {
+    getPluralSuffix,
+    getConcatenatedValuesString,
+    getToBeInPastTense,
+} from '../utils/string';
+
+const HAR_EXTENSION    = 'har';
+const TESTCAFE_VERSION = JSON.parse(read('../../package.json') as string).version;
+
+export default class HarRecorder {
+    public testHarInfos: Dictionary<TestRunHarInfo[]>;
+    private readonly _tests: Test[];
+    private readonly _basePath: string;
+    private readonly _pathPattern?: string;
+    private readonly _failedOnly: boolean;
+    private readonly _warningLog: WarningLog;
+    private readonly _timeStamp: moment.Moment;
+
+    public constructor (tests: Test[], messageBus: MessageBus, { harPath, harOptions }: HarOptions, warningLog: WarningLog, timeStamp: moment.Moment) {
+        this.testHarInfos = {};
+
+        this._tests       = tests;
+        this._basePath    = harPath;
+        this._pathPattern = harOptions?.pathPattern;
+        this._failedOnly  = !!harOptions?.failedOnly;
+        this._warningLog  = warningLog;
+        this._timeStamp   = timeStamp;
+
+        messageBus.on('test-run-start', async (testRun: TestRun) => this._onTestRunStart(testRun));
+    }
+
+    public getTestHarFiles (testId: string): TestRunHarInfo[] {
+        return this.testHarInfos[testId] || [];
+    }
+
+    private _addProblematicPlaceholdersWarning (placeholders: string[]): void {
+        const problematicPlaceholderListStr = getConcatenatedValuesString(placeholders);
+        const suffix                        = getPluralSuffix(placeholders);
+        const verb                          = getToBeInPastTense(placeholders);
+
+        this._warningLog.addWarning(WARNING_MESSAGES.problematicPathPatternPlaceholderForHarRecording, problematicPlaceholderListStr, suffix, suffix, verb);
+    }
+
+    private _getTargetHarPath (testRun: TestRun): string {
+        const { test, quarantine, retries, browserConnection } = testRun;
+        const attempts                                          = quarantine || retries;
+
+        const pathPattern = new PathPattern(this._pathPattern, HAR_EXTENSION, {
+            testIndex:         this._tests.indexOf(test) + 1,
+            quarantineAttempt: attempts ? attempts.getNextAttemptNumber() : null,
+            now:               this._timeStamp,
+            fixture:           (test.fixture as Fixture).name,
+            test:              test.name,
+            parsedUserAgent:   browserConnection.browserInfo.parsedUserAgent,
+        });
+
+        pathPattern.on('problematic-placeholders-found', ({ placeholders }) => this._addProblematicPlaceholdersWarning(placeholders));
+
+        return join(this._basePath, pathPattern.getPath(false));
+    }
+
+    private _createTestRunHarLog (testRun: TestRun): TestRunHarLog {
+        const { name, version } = testRun.browserConnection.browserInfo.parsedUserAgent;
+
+        return new TestRunHarLog({
+            creatorVersion: TESTCAFE_VERSION,
+            browserName:    name,
+            browserVersion: version,
+            title:          `${(testRun.test.fixture as Fixture).name} - ${testRun.test.name}`,
+        });
+    }
+
+    private _addSavingWarning (testRun: TestRun, err: Error): void {
+        this._warningLog.addWarning(WARNING_MESSAGES.harSavingError, testRun.test.name, err.message);
+    }
+
+    private _addTestRunHarInfo (testRun: TestRun, harPath: string): void {
+        const testId = testRun.test.id;
+
+        if (!this.testHarInfos[testId])
+            this.testHarInfos[testId] = [];
+
+        this.testHarInfos[testId].push({ testRunId: testRun.id, harPath });
+    }
+
+    private async _saveHarLog (testRun: TestRun, harLog: TestRunHarLog): Promise<void> {
+        testRun.detachRequestHook(harLog);
+
+        if (this._failedOnly && !testRun.errs.length)
+            return;
+
+        const harPath = this._getTargetHarPath(testRun);
+
+        try {
+            await makeDir(dirname(harPath));
+            await writeFile(harPath, JSON.stringify(harLog.toHar(), null, 2));
+        }
+        catch (err) {
+            this._addSavingWarning(testRun, err);
+
+            return;
+        }
+
+        this._addTestRunHarInfo(testRun, harPath);
+    }
+
+    private async _onTestRunStart (testRun: TestRun): Promise<void> {
+        // NOTE: legacy and skipped tests do not send requests through the test run session
+        if ((testRun.test as LegacyTestRun).isLegacy || testRun.test.skip)
+            return;
+
+        const harLog = this._createTestRunHarLog(testRun);
+
+        testRun.attachRequestHook(harLog);
+
+        testRun.once('before-done', async () => this._saveHarLog(testRun, harLog));
+    }
+}
@@ -0,0 +1,100 @@
+export interface HarNameValuePair {
+    name: string;
+    value: string;
+}
+
+export interface HarPostData {
+    mimeType: string;
+    text: string;
+    params: HarNameValuePair[];
+}
+
+export interface HarRequest {
+    method: string;
+    url: string;
+    httpVersion: string;
+    cookies: HarNameValuePair[];
+    headers: HarNameValuePair[];
+    queryString: HarNameValuePair[];
+    postData?: HarPostData;
+    headersSize: number;
+    bodySize: number;
+}
+
+export interface HarContent {
+    size: number;
+    mimeType: string;
+    text?: string;
+    encoding?: string;
+}
+
+export interface HarResponse {
+    status: number;
+    statusText: string;
+    httpVersion: string;
+    cookies: HarNameValuePair[];
+    headers: HarNameValuePair[];
+    content: HarContent;
+    redirectURL: string;
+    headersSize: number;
+    bodySize: number;
+}
+
+export interface HarTimings {
+    blocked: number;
+    dns: number;
+    connect: number;
+    ssl: number;
+    send: number;
+    wait: number;
+    receive: number;
+}
+
+export interface HarEntry {
+    pageref?: string;
+    startedDateTime: string;
+    time: number;
+    request: HarRequest;
+    response: HarResponse;
+    cache: object;
+    timings: HarTimings;
+}
+
+export interface HarPage {
+    startedDateTime: string;
+    id: string;
+    title: string;
+    pageTimings: object;
+}
+
+export interface HarCreator {
+    name: string;
+    version: string;
+}
+
+export interface HarLog {
+    version: string;
+    creator: HarCreator;
+    browser: HarCreator;
+    pages: HarPage[];
+    entries: HarEntry[];
+}
+
+export interface Har {
+    log: HarLog;
+}
+
+export interface HarRecorderOptions {
+    pathPattern?: string;
+    failedOnly?: boolean;
+}
+
+export interface HarOptions {
+    harPath: string;
+    harOptions: HarRecorderOptions;
+}
+
+export interface TestRunHarInfo {
+    testRunId: string;
+    harPath: string;
+}
@@ -0,0 +1,255 @@
+import { STATUS_CODES, IncomingHttpHeaders } from 'http';
+
+import {
+    ConfigureResponseEventOptions,
+    RequestEvent,
+    ResponseEvent,
+} from 'testcafe-hammerhead';
+
+import RequestHook from '../api/request-hooks/hook';
+import { Dictionary } from '../configuration/interfaces';
+
+import {
+    Har,
+    HarContent,
+    HarEntry,
+    HarNameValuePair,
+    HarPostData,
+} from './interfaces';
+
+const HAR_VERSION      = '1.2';
+const HTTP_VERSION     = 'HTTP/1.1';
+const PAGE_ID          = 'page_1';
+const UNKNOWN_SIZE     = -1;
+const UNKNOWN_TIMING   = -1;
+const DEFAULT_MIMETYPE = 'x-unknown';
+
+const TEXT_MIMETYPE_RE = /^text\/|[/+](json|xml|javascript|ecmascript|x-www-form-urlencoded)|^image\/svg/i;
+
+interface PendingEntry {
+    startTime: number;
+    entry: HarEntry;
+}
+
+interface HarLogInit {
+    creatorVersion: string;
+    browserName: string;
+    browserVersion: string;
+    title: string;
+}
+
+export default class TestRunHarLog extends RequestHook {
+    private readonly _init: HarLogInit;
+    private readonly _startedDateTime: string;
+    private readonly _pendingEntries: Dictionary<PendingEntry>;
+    private readonly _entries: HarEntry[];
+
+    public constructor (init: HarLogInit) {
+        super(void 0, new ConfigureResponseEventOptions(true, true));
+
+        this._className       = 'TestRunHarLog';
+        this._init            = init;
+        this._startedDateTime = new Date().toISOString();
+        this._pendingEntries  = {};
+        this._entries         = [];
+    }
+
+    private static _toNameValuePairs (headers: IncomingHttpHeaders): HarNameValuePair[] {
+        const pairs: HarNameValuePair[] = [];
+
+        Object.keys(headers).forEach(name => {
+            const value  = headers[name];
+            const values = Array.isArray(value) ? value : [value];
+
+            values.forEach(item => {
+                if (item !== void 0)
+                    pairs.push({ name, value: String(item) });
+            });
+        });
+
+        return pairs;
+    }
+
+    private static _getQueryString (url: string): HarNameValuePair[] {
+        try {
+            return Array.from(new URL(url).searchParams.entries()).map(([name, value]) => ({ name, value }));
+        }
+        catch (err) {
+            return [];
+        }
+    }
+
+    private static _getRequestCookies (headers: IncomingHttpHeaders): HarNameValuePair[] {
+        const cookieHeader = headers.cookie;
+
+        if (!cookieHeader)
+            return [];
+
+        return cookieHeader.split(';')
+            .map(cookie => cookie.trim())
+            .filter(cookie => !!cookie)
+            .map(cookie => {
+                const separatorIndex = cookie.indexOf('=');
+
+                if (separatorIndex < 0)
+                    return { name: cookie, value: '' };
+
+                return { name: cookie.substr(0, separatorIndex), value: cookie.substr(separatorIndex + 1) };
+            });
+    }
+
+    private static _getResponseCookies (headers: IncomingHttpHeaders): HarNameValuePair[] {
+        const setCookieHeader = headers['set-cookie'] || [];
+
+        return setCookieHeader.map(cookie => {
+            const [pair]         = cookie.split(';');
+            const separatorIndex = pair.indexOf('=');
+
+            return {
+                name:  pair.substr(0, separatorIndex).trim(),
+                value: pair.substr(separatorIndex + 1).trim(),
+            };
+        });
+    }
+
+    private static _getMimeType (headers: IncomingHttpHeaders): string {
+        return headers['content-type'] || DEFAULT_MIMETYPE;
+    }
+
+    private static _isTextMimeType (mimeType: string): boolean {
+        return TEXT_MIMETYPE_RE.test(mimeType);
+    }
+
+    private static _getPostData (headers: IncomingHttpHeaders, body?: Buffer): HarPostData | undefined {
+        if (!body || !body.length)
+            return void 0;
+
+        return {
+            mimeType: TestRunHarLog._getMimeType(headers),
+            text:     body.toString(),
+            params:   [],
+        };
+    }
+
+    private static _getContent (headers: IncomingHttpHeaders, body?: Buffer): HarContent {
+        const mimeType            = TestRunHarLog._getMimeType(headers);
+        const content: HarContent = { size: body ? body.length : 0, mimeType };
+
+        if (!body || !body.length)
+            return content;
+
+        if (TestRunHarLog._isTextMimeType(mimeType))
+            content.text = body.toString();
+        else {
+            content.text     = body.toString('base64');
+            content.encoding = 'base64';
+        }
+
+        return content;
+    }
+
+    public async onRequest (event: RequestEvent): Promise<void> {
+        const { requestId, url, method, headers, body } = event._requestInfo;
+        const startTime                                 = Date.now();
+
+        this._pendingEntries[requestId] = {
+            startTime,
+
+            entry: {
+                pageref:         PAGE_ID,
+                startedDateTime: new Date(startTime).toISOString(),
+                time:            0,
+                request:         {
+                    method,
+                    url,
+                    httpVersion: HTTP_VERSION,
+                    cookies:     TestRunHarLog._getRequestCookies(headers),
+                    headers:     TestRunHarLog._toNameValuePairs(headers),
+                    queryString: TestRunHarLog._getQueryString(url),
+                    postData:    TestRunHarLog._getPostData(headers, body),
+                    headersSize: UNKNOWN_SIZE,
+                    bodySize:    body ? body.length : 0,
+                },
+                response: {
+                    status:      0,
+                    statusText:  '',
+                    httpVersion: HTTP_VERSION,
+                    cookies:     [],
+                    headers:     [],
+                    content:     { size: 0, mimeType: DEFAULT_MIMETYPE },
+                    redirectURL: '',
+                    headersSize: UNKNOWN_SIZE,
+                    bodySize:    UNKNOWN_SIZE,
+                },
+                cache:   {},
+                // NOTE: the request hooks do not expose the connection timings or the time when the response
+                // headers are received, so the whole request time is attributed to waiting for the response
+                timings: {
+                    blocked: UNKNOWN_TIMING,
+                    dns:     UNKNOWN_TIMING,
+                    connect: UNKNOWN_TIMING,
+                    ssl:     UNKNOWN_TIMING,
+                    send:    0,
+                    wait:    0,
+                    receive: 0,
+                },
+            },
+        };
+    }
+
+    public async onResponse (event: ResponseEvent): Promise<void> {
+        const pendingEntry = this._pendingEntries[event.requestId];
+
+        if (!pendingEntry)
+            return;
+
+        delete this._pendingEntries[event.requestId];
+
+        const headers = event.headers || {};
+        const body    = event.body;
+        const entry   = pendingEntry.entry;
+
+        entry.time         = Date.now() - pendingEntry.startTime;
+        entry.timings.wait = entry.time;
+        entry.response     = {
+            status:      event.statusCode,
+            statusText:  STATUS_CODES[event.statusCode] || '',
+            httpVersion: HTTP_VERSION,
+            cookies:     TestRunHarLog._getResponseCookies(headers),
+            headers:     TestRunHarLog._toNameValuePairs(headers),
+            content:     TestRunHarLog._getContent(headers, body),
+            redirectURL: headers.location || '',
+            headersSize: UNKNOWN_SIZE,
+            bodySize:    body ? body.length : UNKNOWN_SIZE,
+        };
+
+        this._entries.push(entry);
+    }
+
+    public get entries (): HarEntry[] {
+        // NOTE: requests that have not received a response yet are kept with the zero status
+        // so that the log shows which requests were still pending when the test run finished.
+        const pendingEntries = Object.values(this._pendingEntries).map(({ entry }) => entry);
+
+        return this._entries
+            .concat(pendingEntries)
+            .sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime));
+    }
+
+    public toHar (): Har {
+        return {
+            log: {
+                version: HAR_VERSION,
+                creator: { name: 'TestCafe', version: this._init.creatorVersion },
+                browser: { name: this._init.browserName, version: this._init.browserVersion },
+                pages:   [{
+                    startedDateTime: this._startedDateTime,
+                    id:              PAGE_ID,
+                    title:           this._init.title,
+                    pageTimings:     {},
+                }],
+                entries: this.entries,
+            },
+        };
+    }
+}
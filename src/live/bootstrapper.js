@@ -41,7 +41,7 @@ class LiveModeBootstrapper extends Bootstrapper {
             const filename = Module._resolveFilename(filePath, this, false);
 
             if (path.isAbsolute(filename) || /^\.\.?[/\\]/.test(filename))
-                controller.addFileToWatches(filename);
+                controller.addFileToWatches(filename, this.filename);
 
 
             return originalRequire.apply(this, arguments);
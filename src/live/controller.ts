@@ -1,11 +1,26 @@
 import EventEmitter from 'events';
+import { intersection } from 'lodash';
 import Logger from './logger';
 import FileWatcher from './file-watcher';
 import LiveModeKeyboardEventObserver from './keyboard-observer';
 import LiveModeRunner from './test-runner';
 import { RUNTIME_ERRORS } from '../errors/types';
 import { GeneralError } from '../errors/runtime';
-
+import Test from '../api/structure/test';
+import Fixture from '../api/structure/fixture';
+import FILTER_OPTION_NAMES from './filter-option-names';
+import TEST_SCOPES from './test-scopes';
+import OPTION_NAMES from '../configuration/option-names';
+import getFilterFn from '../utils/get-filter-fn';
+import { getGrepOptions } from '../utils/get-options';
+import { Dictionary } from '../configuration/interfaces';
+
+type TestFilter = (test: Test) => boolean;
+
+const FILTER_OPTION_DISPLAY_NAMES = {
+    [FILTER_OPTION_NAMES.testGrep]:    OPTION_NAMES.filterTestGrep,
+    [FILTER_OPTION_NAMES.fixtureGrep]: OPTION_NAMES.filterFixtureGrep,
+};
 
 class LiveModeController extends EventEmitter {
     private running: boolean;
@@ -16,6 +31,10 @@ class LiveModeController extends EventEmitter {
     private readonly runner: LiveModeRunner;
     private keyboardObserver: LiveModeKeyboardEventObserver;
     private fileWatcher: FileWatcher;
+    private testFiles: string[];
+    private testFilter: TestFilter | null;
+    private testScope: TEST_SCOPES | null;
+    private filterOptions: Dictionary<RegExp | undefined>;
 
     private _isTestFilesNotFoundError (err: Error): boolean {
         // @ts-ignore
@@ -31,12 +50,18 @@ class LiveModeController extends EventEmitter {
         this.stopping = false;
         this.logger = new Logger();
         this.runner = runner;
+        this.testFiles = [];
+        this.testFilter = null;
+        this.testScope = null;
+        this.filterOptions = {};
 
         this.keyboardObserver = this._createKeyboardObserver();
         this.fileWatcher = this._createFileWatcher();
     }
 
     public init (files: string[]): Promise<void> {
+        this.testFiles = files;
+
         this.keyboardObserver.push(this);
 
         this._initFileWatching(files);
@@ -53,17 +78,38 @@ class LiveModeController extends EventEmitter {
         this.keyboardObserver.remove(this);
     }
 
-    public runTests (sourceChanged?: boolean): Promise<void> {
+    public runTests (sourceChanged?: boolean, testFilter: TestFilter | null = null, testScope: TEST_SCOPES | null = null): Promise<void> {
         if (this.watchingPaused || this.running)
             return Promise.resolve();
 
         this._setRunning();
 
-        this.logger.writeRunTestsMessage(sourceChanged);
+        this.logger.writeRunTestsMessage(sourceChanged, testScope);
+
+        this.testFilter = testFilter;
+        this.testScope = testScope;
+
+        this.runner.setTestFilter(this._getTestFilter(testFilter));
 
         return this.runner.runTests();
     }
 
+    // NOTE: if the changed files do not affect any test file (e.g., dependencies of
+    // the changed files are not tracked), all tests are run
+    public runAffectedTests (changedFiles: string[]): Promise<void> {
+        if (this.watchingPaused || this.running)
+            return Promise.resolve();
+
+        const affectedTestFiles = intersection(this.testFiles, changedFiles);
+
+        if (!affectedTestFiles.length)
+            return this.runTests(true);
+
+        this.logger.writeAffectedTestFilesMessage(affectedTestFiles);
+
+        return this.runTests(true, test => affectedTestFiles.includes(test.testFile.filename), TEST_SCOPES.affected);
+    }
+
     public onTestRunDone (err: Error): void {
         this.running = false;
 
@@ -99,19 +145,51 @@ class LiveModeController extends EventEmitter {
             });
     }
 
+    // NOTE: the restarted test run includes the same tests as the previous one, e.g. only the failed tests.
+    // The status line of the test run shows which tests are included.
     public restart (): Promise<void> {
-        if (this.restarting || this.watchingPaused)
+        return this._restart(this.testFilter, this.testScope);
+    }
+
+    public runAllTests (): Promise<void> {
+        return this._restart(null, null);
+    }
+
+    public runFailedTests (): Promise<void> {
+        const testRunController = this.runner.testRunController;
+
+        if (!testRunController.failedTests.size) {
+            this.logger.writeNoFailedTestsMessage();
+
             return Promise.resolve();
+        }
 
-        this.restarting = true;
+        return this._restart(test => testRunController.isTestFailed(test), TEST_SCOPES.failed);
+    }
 
-        if (this.running) {
-            return this.stop()
-                .then(() => this.logger.writeTestsFinishedMessage())
-                .then(() => this.runTests());
+    public promptFilter (optionName: FILTER_OPTION_NAMES, pattern: string): void {
+        this.logger.writeFilterPrompt(optionName, pattern);
+    }
+
+    public cancelFilterPrompt (): void {
+        this.logger.writeFilterPromptCancelledMessage();
+    }
+
+    public setFilter (optionName: FILTER_OPTION_NAMES, pattern: string): Promise<void> {
+        this.logger.writeFilterPromptDone();
+
+        try {
+            this.filterOptions[optionName] = pattern ? getGrepOptions(FILTER_OPTION_DISPLAY_NAMES[optionName], pattern) : void 0;
+        }
+        catch (err) {
+            this.logger.err(err);
+
+            return Promise.resolve();
         }
 
-        return this.runTests();
+        this.logger.writeFilterMessage(this.filterOptions);
+
+        return this._restart(null, null);
     }
 
     public exit (): Promise<void> {
@@ -125,8 +203,8 @@ class LiveModeController extends EventEmitter {
         return this.runner ? this.runner.exit() : Promise.resolve();
     }
 
-    public addFileToWatches (filename: string): void {
-        this.fileWatcher.addFile(this, filename);
+    public addFileToWatches (filename: string, parentFilename?: string): void {
+        this.fileWatcher.addFile(this, filename, parentFilename);
     }
 
     protected _createFileWatcher (): FileWatcher {
@@ -137,10 +215,43 @@ class LiveModeController extends EventEmitter {
         return new LiveModeKeyboardEventObserver();
     }
 
+    private _restart (testFilter: TestFilter | null, testScope: TEST_SCOPES | null): Promise<void> {
+        if (this.restarting || this.watchingPaused)
+            return Promise.resolve();
+
+        this.restarting = true;
+
+        if (this.running) {
+            return this.stop()
+                .then(() => this.logger.writeTestsFinishedMessage())
+                .then(() => this.runTests(false, testFilter, testScope));
+        }
+
+        return this.runTests(false, testFilter, testScope);
+    }
+
     private _initFileWatching (files: string[]): void {
         files.forEach(file => this.addFileToWatches(file));
     }
 
+    // NOTE: the filter entered in the terminal narrows down every test run, including
+    // the runs of the affected and failed tests, until it is cleared
+    private _getTestFilter (testFilter: TestFilter | null): TestFilter | null {
+        const filterFn = getFilterFn(this.filterOptions);
+
+        if (!filterFn)
+            return testFilter;
+
+        return test => {
+            const fixture = test.fixture as Fixture;
+
+            if (testFilter && !testFilter(test))
+                return false;
+
+            return filterFn(test.name, fixture.name, fixture.path, test.meta, fixture.meta);
+        };
+    }
+
     private _setRunning (): void {
         this.running = true;
         this.restarting = false;
@@ -19,6 +19,7 @@ export default class FileWatcher extends EventEmitter {
             this.lockedFiles      = {};
             this.modulesGraph     = null;
             this.lastChangedFiles = [];
+            this.dependencies     = [];
 
             instance = this;
         }
@@ -31,7 +32,7 @@ export default class FileWatcher extends EventEmitter {
 
         if (!this.modulesGraph) {
             this.modulesGraph = new ModulesGraph();
-            this.modulesGraph.build(cache, Object.keys(this.watchers));
+            this.modulesGraph.build(cache, Object.keys(this.watchers), this.dependencies);
         }
         else {
             this.lastChangedFiles.forEach(changedFile => this.modulesGraph.rebuildNode(cache, changedFile));
@@ -41,7 +42,7 @@ export default class FileWatcher extends EventEmitter {
         this.lastChangedFiles.push(file);
         this.modulesGraph.clearParentsCache(cache, file);
 
-        controller.runTests(true);
+        controller.runAffectedTests(this.modulesGraph.getDependentNodes(file));
     }
 
     _watch (controller, file) {
@@ -61,8 +62,23 @@ export default class FileWatcher extends EventEmitter {
         });
     }
 
-    addFile (controller, file) {
-        if (this.watchers[file] || !FileWatcher.shouldWatchFile(file))
+    _addDependency (parent, file) {
+        // NOTE: test files are not stored in the require cache, so their dependencies
+        // are tracked when the test files are compiled
+        if (this.modulesGraph)
+            this.modulesGraph.addDependency(parent, file);
+        else
+            this.dependencies.push([parent, file]);
+    }
+
+    addFile (controller, file, parent) {
+        if (!FileWatcher.shouldWatchFile(file))
+            return;
+
+        if (parent)
+            this._addDependency(parent, file);
+
+        if (this.watchers[file])
             return;
 
         if (this.modulesGraph) {
@@ -46,14 +46,33 @@ export default class ModulesGraph {
         this._updateChildren(node, cache);
     }
 
-    build (cache, nodes) {
+    addDependency (parent, child) {
+        this.graph.setEdge(parent, child);
+    }
+
+    build (cache, nodes, dependencies) {
         nodes.forEach(node => this.addNode(node, cache, true));
+        dependencies.forEach(([parent, child]) => this.addDependency(parent, child));
     }
 
     rebuildNode (cache, node) {
         this._updateChildren(node, cache);
     }
 
+    getDependentNodes (node) {
+        const dependentNodes = [node];
+
+        for (let i = 0; i < dependentNodes.length; i++) {
+            const parents = this.graph.predecessors(dependentNodes[i]) || [];
+
+            parents
+                .filter(parent => !dependentNodes.includes(parent))
+                .forEach(parent => dependentNodes.push(parent));
+        }
+
+        return dependentNodes;
+    }
+
     clearParentsCache (cache, node) {
         if (!cache[node])
             return;
@@ -0,0 +1,6 @@
+enum FILTER_OPTION_NAMES {
+    testGrep = 'testGrep',
+    fixtureGrep = 'fixtureGrep'
+}
+
+export default FILTER_OPTION_NAMES;
@@ -2,14 +2,21 @@ import process from 'process';
 import { emitKeypressEvents, Key } from 'readline';
 import { pull } from 'lodash';
 import LiveModeController from './controller';
+import FILTER_OPTION_NAMES from './filter-option-names';
 
 const LOCK_KEY_PRESS_TIMEOUT = 1000;
 
+interface FilterPrompt {
+    optionName: FILTER_OPTION_NAMES;
+    pattern: string;
+}
+
 let instance: LiveModeKeyboardEventObserver;
 
 export default class LiveModeKeyboardEventObserver {
     private controllers: LiveModeController[] = [];
     private lockKeyPress: boolean = false;
+    private filterPrompt: FilterPrompt | null = null;
 
     public constructor () {
         if (!instance) {
@@ -47,6 +54,12 @@ export default class LiveModeKeyboardEventObserver {
     }
 
     private _onKeyPress (string: string, key: Key): void {
+        if (this.filterPrompt) {
+            this._onFilterPromptKeyPress(string, key);
+
+            return;
+        }
+
         if (this.lockKeyPress)
             return;
 
@@ -70,10 +83,60 @@ export default class LiveModeKeyboardEventObserver {
                 case 'w':
                     this._toggleWatching();
                     return;
+                case 'f':
+                    this._runFailedTests();
+                    return;
+                case 'a':
+                    this._runAllTests();
+                    return;
+                case 't':
+                    this._startFilterPrompt(FILTER_OPTION_NAMES.testGrep);
+                    return;
+                case 'x':
+                    this._startFilterPrompt(FILTER_OPTION_NAMES.fixtureGrep);
+                    return;
             }
         }
     }
 
+    private _onFilterPromptKeyPress (string: string, key: Key): void {
+        const { optionName, pattern } = this.filterPrompt as FilterPrompt;
+
+        if (key && key.ctrl && key.name === 'c') {
+            this.filterPrompt = null;
+
+            this._exit();
+        }
+        else if (key && key.name === 'escape') {
+            this.filterPrompt = null;
+
+            this.controllers.forEach(c => c.cancelFilterPrompt());
+        }
+        else if (key && (key.name === 'return' || key.name === 'enter')) {
+            this.filterPrompt = null;
+
+            this.controllers.forEach(c => c.setFilter(optionName, pattern));
+        }
+        else if (key && key.name === 'backspace')
+            this._updateFilterPrompt(pattern.slice(0, -1));
+        else if (string && !key?.ctrl && !key?.meta && string >= ' ')
+            this._updateFilterPrompt(pattern + string);
+    }
+
+    private _startFilterPrompt (optionName: FILTER_OPTION_NAMES): void {
+        this.filterPrompt = { optionName, pattern: '' };
+
+        this.controllers.forEach(c => c.promptFilter(optionName, ''));
+    }
+
+    private _updateFilterPrompt (pattern: string): void {
+        const filterPrompt = this.filterPrompt as FilterPrompt;
+
+        filterPrompt.pattern = pattern;
+
+        this.controllers.forEach(c => c.promptFilter(filterPrompt.optionName, pattern));
+    }
+
     private _stop (): void {
         this.controllers.forEach(c => c.stop());
     }
@@ -89,4 +152,12 @@ export default class LiveModeKeyboardEventObserver {
     private _toggleWatching (): void {
         this.controllers.forEach(c => c.toggleWatching());
     }
+
+    private _runFailedTests (): void {
+        this.controllers.forEach(c => c.runFailedTests());
+    }
+
+    private _runAllTests (): void {
+        this.controllers.forEach(c => c.runAllTests());
+    }
 }
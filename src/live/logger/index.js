@@ -1,4 +1,7 @@
+import logUpdate from 'log-update-async-hook';
 import log from '../../cli/log';
+import FILTER_OPTION_NAMES from '../filter-option-names';
+import TEST_SCOPES from '../test-scopes';
 
 export default class Logger {
     constructor () {
@@ -11,7 +14,11 @@ the tests once the changes are saved.
                     
 You can use the following keys in the terminal:
 'Ctrl+S' - stops the test run;
-'Ctrl+R' - restarts the test run;
+'Ctrl+R' - restarts the test run with the same tests;
+'Ctrl+F' - reruns the tests that failed;
+'Ctrl+A' - runs all tests;
+'Ctrl+T' - filters tests by name;
+'Ctrl+X' - filters tests by fixture name;
 'Ctrl+W' - enables/disables watching files;
 'Ctrl+C' - quits live mode and closes the browsers.
 `,
@@ -26,6 +33,26 @@ You can use the following keys in the terminal:
             nothingToStop:              'There are no tests running at the moment.',
             testCafeStopping:           'Stopping TestCafe live mode...',
             watchingFiles:              'Watching the following files:',
+            affectedTestFiles:          'The changes affect the following test files:',
+            noFailedTests:              'There are no failed tests. Press Ctrl+A to run all tests.',
+            filterPromptCancelled:      'The test filter has not changed.',
+            filterCleared:              'The test filter is cleared. All tests will run.',
+            filterApplied:              'Only the tests that match the following patterns will run:',
+
+            filterPrompts: {
+                [FILTER_OPTION_NAMES.testGrep]:    'Enter the test name pattern (press Enter to apply or Esc to cancel): ',
+                [FILTER_OPTION_NAMES.fixtureGrep]: 'Enter the fixture name pattern (press Enter to apply or Esc to cancel): ',
+            },
+
+            testScopes: {
+                [TEST_SCOPES.affected]: 'Only the tests from the affected test files will run. Press Ctrl+A to run all tests.',
+                [TEST_SCOPES.failed]:   'Only the failed tests will run. Press Ctrl+A to run all tests.',
+            },
+
+            filterOptions: {
+                [FILTER_OPTION_NAMES.testGrep]:    'test name',
+                [FILTER_OPTION_NAMES.fixtureGrep]: 'fixture name',
+            },
         };
     }
 
@@ -46,10 +73,13 @@ You can use the following keys in the terminal:
         });
     }
 
-    writeRunTestsMessage (sourcesChanged) {
+    writeRunTestsMessage (sourcesChanged, testScope) {
         const statusMessage = sourcesChanged ? this.MESSAGES.sourceChanged : this.MESSAGES.testRunStarting;
 
         this._write(statusMessage);
+
+        if (testScope)
+            this._write(this.MESSAGES.testScopes[testScope]);
     }
 
     writeTestsFinishedMessage () {
@@ -58,6 +88,48 @@ You can use the following keys in the terminal:
         this._write(statusMessage);
     }
 
+    writeAffectedTestFilesMessage (files) {
+        this._write(this.MESSAGES.affectedTestFiles);
+
+        files.forEach(file => {
+            this._write(file, '  ');
+        });
+    }
+
+    writeNoFailedTestsMessage () {
+        this._write(this.MESSAGES.noFailedTests);
+    }
+
+    writeFilterPrompt (optionName, pattern) {
+        logUpdate(`${this.MESSAGES.filterPrompts[optionName]}${pattern}`);
+    }
+
+    writeFilterPromptDone () {
+        logUpdate.done();
+    }
+
+    writeFilterPromptCancelledMessage () {
+        this.writeFilterPromptDone();
+
+        this._write(this.MESSAGES.filterPromptCancelled);
+    }
+
+    writeFilterMessage (filterOptions) {
+        const options = Object.keys(filterOptions).filter(name => filterOptions[name]);
+
+        if (!options.length) {
+            this._write(this.MESSAGES.filterCleared);
+
+            return;
+        }
+
+        this._write(this.MESSAGES.filterApplied);
+
+        options.forEach(name => {
+            this._write(`${this.MESSAGES.filterOptions[name]}: ${filterOptions[name].source}`, '  ');
+        });
+    }
+
     writeStopRunningMessage () {
         this._write(this.MESSAGES.testRunStopping);
     }
@@ -2,6 +2,7 @@ import EventEmitter from 'events';
 import { noop, uniq } from 'lodash';
 import { TestRunCtorFactory } from './test-run';
 import TEST_RUN_STATE from './test-run-state';
+import { getTestDurationKey } from '../runner/test-durations';
 
 class LiveModeTestRunController extends EventEmitter {
     constructor () {
@@ -15,6 +16,9 @@ class LiveModeTestRunController extends EventEmitter {
         this.allTestsCompletePromise = Promise.resolve();
         this.completeAllRunningTests = noop;
 
+        this.failedTests    = new Set();
+        this.testRunResults = {};
+
         this.on('all-tests-complete', () => this.completeAllRunningTests());
     }
 
@@ -50,7 +54,8 @@ class LiveModeTestRunController extends EventEmitter {
             }
         });
 
-        this.testRuns = {};
+        this.testRuns       = {};
+        this.testRunResults = {};
 
         return Promise.all(readyToNextPromises);
     }
@@ -77,12 +82,33 @@ class LiveModeTestRunController extends EventEmitter {
         this.testRuns[connectionId].push(testRun);
     }
 
+    // NOTE: a test fails if it fails in any browser, and the result
+    // is kept until the test runs again, so that partial runs do not reset it
+    _saveTestResult (testRun) {
+        const key    = getTestDurationKey(testRun.test);
+        const failed = !!testRun.errs.length || !!this.testRunResults[key];
+
+        this.testRunResults[key] = failed;
+
+        if (failed)
+            this.failedTests.add(key);
+        else
+            this.failedTests.delete(key);
+    }
+
+    isTestFailed (test) {
+        return this.failedTests.has(getTestDurationKey(test));
+    }
+
     _onTestRunDone (testRun) {
         testRun.state = TEST_RUN_STATE.done;
 
         const testWillBeRestarted            = !this._isTestFinished(testRun);
         const hasRunningTestsInOtherBrowsers = this._getTestRuns().some(t => t.state !== TEST_RUN_STATE.done);
 
+        if (!testWillBeRestarted && !testRun.stopped)
+            this._saveTestResult(testRun);
+
         if (!hasRunningTestsInOtherBrowsers && !testWillBeRestarted)
             this.emit('all-tests-complete');
 
@@ -112,7 +138,10 @@ class LiveModeTestRunController extends EventEmitter {
     }
 
     _isTestFinished (testRun) {
-        const { quarantine, errs } = testRun;
+        const { quarantine, retries, errs } = testRun;
+
+        if (retries)
+            return !retries.shouldRetry(errs);
 
         if (!quarantine)
             return true;
@@ -15,6 +15,7 @@ class LiveModeRunner extends Runner {
         this.runnerTaskPromise     = null;
         this.stopInfiniteWaiting   = noop;
         this.rejectInfiniteWaiting = noop;
+        this.testFilter            = null;
 
         this.assets = null;
 
@@ -85,6 +86,10 @@ class LiveModeRunner extends Runner {
         this.bootstrappingError = err;
     }
 
+    setTestFilter (filter) {
+        this.testFilter = filter;
+    }
+
     run (options) {
         this.configurationCache = null;
 
@@ -163,10 +168,24 @@ class LiveModeRunner extends Runner {
             .then(tests => {
                 this.configurationCache.tests = tests;
 
-                return this.bootstrappingError ? Promise.reject(this.bootstrappingError) : Promise.resolve();
+                return this.bootstrappingError ? Promise.reject(this.bootstrappingError) : this._filterTests();
             });
     }
 
+    _filterTests () {
+        if (!this.testFilter)
+            return Promise.resolve();
+
+        const tests = this.configurationCache.tests.filter(this.testFilter);
+
+        if (!tests.length)
+            return Promise.reject(new GeneralError(RUNTIME_ERRORS.noTestsToRunDueFiltering));
+
+        this.configurationCache.tests = tests;
+
+        return Promise.resolve();
+    }
+
     _createTask (tests, browserConnectionGroups, proxy, opts) {
         opts.live = true;
 
@@ -0,0 +1,6 @@
+enum TEST_SCOPES {
+    affected = 'affected',
+    failed = 'failed'
+}
+
+export default TEST_SCOPES;
@@ -8,6 +8,19 @@ export default {
     screenshotNotSupportedByBrowserProvider: 'The screenshot functionality is not supported by the "{providerName}" browser provider.',
     videoNotSupportedByBrowser:              'Video recording is not supported by the "{browserAlias}" browser.',
     videoBrowserResizing:                    'The browser window was resized during the "{testName}" test while TestCafe recorded a video. TestCafe cannot adjust the video resolution during recording. As a result, the video content may appear broken. Do not resize the browser window when TestCafe records a video.',
+    harSavingError:                          'Was unable to save the HAR file for the "{testName}" test due to an error.\n\n{errMessage}',
+    emulationResetError:                     'Was unable to reset the emulation settings changed in the "{testName}" test due to an error. The next tests may run with these settings.\n\n{errMessage}',
+    networkConditionsSetError:               'Was unable to apply the network conditions specified for the "{testName}" test in the browser due to an error. Page requests are throttled by the TestCafe proxy instead.\n\n{errMessage}',
+    networkConditionsResetError:             'Was unable to reset the network conditions changed in the "{testName}" test due to an error. The next tests may run with these conditions.\n\n{errMessage}',
+    tracingNotSupportedByBrowser:            'Performance tracing is not supported by the "{browserAlias}" browser.',
+    tracingError:                            'Was unable to record the performance trace for the "{testName}" test due to an error.\n\n{errMessage}',
+    performanceMetricsError:                 'Was unable to collect performance metrics after navigating to "{url}" in the "{testName}" test due to an error.\n\n{errMessage}',
+    testDurationsSavingError:                'Was unable to save test durations to the "{filePath}" file due to an error.\n\n{errMessage}',
+    snapshotsSavingError:                    'Was unable to save snapshots to the "{filePath}" file due to an error.\n\n{errMessage}',
+    obsoleteSnapshotsFound:                  'The "{filePath}" file contains {count} obsolete snapshot{suffix}:\n{keys}\n\nRun tests with the "--update-snapshots" flag to remove obsolete snapshots.',
+    coverageCollectingError:                 'Was unable to collect code coverage for the "{testName}" test due to an error.\n\n{errMessage}',
+    coverageSavingError:                     'Was unable to save code coverage reports to the "{dir}" directory due to an error.\n\n{errMessage}',
+    noCoverageCollected:                     'No code coverage was collected. Make sure that the tested application is instrumented with Istanbul and exposes coverage counters in the "window.__coverage__" variable.',
     resizeNotSupportedByBrowserProvider:     'The window resize functionality is not supported by the "{providerName}" browser provider.',
     maximizeNotSupportedByBrowserProvider:   'The window maximization functionality is not supported by the "{providerName}" browser provider.',
     resizeError:                             'Was unable to resize the window due to an error.\n\n{errMessage}',
@@ -36,6 +49,10 @@ export default {
                                                         '\n' +
                                                         'The placeholder{suffix} {verb} replaced with an empty string.',
 
+    problematicPathPatternPlaceholderForHarRecording: 'The {placeholderList} path pattern placeholder{suffix} cannot be applied to the recorded HAR file.\n' +
+                                                      '\n' +
+                                                      'The placeholder{suffix} {verb} replaced with an empty string.',
+
     clientScriptsWithEmptyContent:      'The client script you tried to inject is empty.',
     clientScriptsWithDuplicatedContent: 'You injected the following client script{suffix} several times:\n{duplicatedScripts}',
     assertedSelectorInstance:           'You passed a Selector object to \'t.expect()\'.\nIf you want to check that a matched element exists, pass the \'selector.exists\' value instead.',
@@ -46,6 +63,7 @@ export default {
     retryTestPagesIsNotSupported:       'Cannot enable the \'retryTestPages\' option in "{browserAlias}". Please ensure that your version of "{browserAlias}" supports the Service Worker API (https://developer.mozilla.org/en-US/docs/Web/API/Service_Worker_API).\n',
     browserProviderDropOfPerformance:   'We detected \'{browserName}\' runs slowly. Try to free up or allocate more system resources on its host machine.',
     testsCompilationTakesTooLong:       'Tests took too long to compile ({compileTime}). Ensure the test code has no excessive imports.',
+    noTestsToRunInShard:                'The {index}/{total} shard does not contain any tests. Decrease the number of shards.',
     deprecatedAPI:                      '{API} is deprecated and will be removed in the next major release. Use {replacement} instead.',
     unawaitedMethodWithAssertion:       "An asynchronous method that you do not await includes an assertion. Inspect that method's execution chain and add the 'await' keyword where necessary.",
     multipleConfigurationFilesFound:    'There are multiple configuration files found, TestCafe will only use one. The file "{path}" will be used.\nThe priority order is as follows:\n{priorityList}',
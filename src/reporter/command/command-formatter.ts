@@ -6,6 +6,8 @@ import {
     SetNativeDialogHandlerCommand,
     TypeTextCommand,
     UseRoleCommand,
+    AttachCommand,
+    RequestCommand,
 } from '../../test-run/commands/actions';
 
 import { createReplicator, SelectorNodeTransform } from '../../client-functions/replicator';
@@ -18,6 +20,11 @@ import {
     ActionOptions,
     ResizeToFitDeviceOptions,
     AssertionOptions,
+    AccessibilityOptions,
+    AttachOptions,
+    RequestOptions,
+    EmulationOptions,
+    NetworkConditionsOptions,
 } from '../../test-run/commands/options';
 
 import { CommandBase } from '../../test-run/commands/base';
@@ -28,7 +35,9 @@ import { AssertionCommand } from '../../test-run/commands/assertion';
 const CONFIDENTIAL_INFO_PLACEHOLDER = '********';
 
 function isCommandOptions (obj: object): boolean {
-    return obj instanceof ActionOptions || obj instanceof ResizeToFitDeviceOptions || obj instanceof AssertionOptions;
+    return obj instanceof ActionOptions || obj instanceof ResizeToFitDeviceOptions || obj instanceof AssertionOptions ||
+           obj instanceof AccessibilityOptions || obj instanceof AttachOptions || obj instanceof RequestOptions ||
+           obj instanceof EmulationOptions || obj instanceof NetworkConditionsOptions;
 }
 
 export class CommandFormatter {
@@ -95,7 +104,7 @@ export class CommandFormatter {
 
         let element = null;
 
-        if (this._result)
+        if (this._hasElementsInResult())
             element = this._getElementByPropertyName(propertyName);
 
         if (element)
@@ -129,10 +138,16 @@ export class CommandFormatter {
     }
 
     private _filterNotReportedProperties (properties: string[], commandType: string): string[] {
-        if (commandType !== CommandType.assertion)
-            return properties;
+        let notReportedProperties: string[] = [];
 
-        return properties.filter(prop => !AssertionCommand.NOT_REPORTED_PROPERTIES.includes(prop));
+        if (commandType === CommandType.assertion)
+            notReportedProperties = AssertionCommand.NOT_REPORTED_PROPERTIES;
+        else if (commandType === CommandType.attach)
+            notReportedProperties = AttachCommand.NOT_REPORTED_PROPERTIES;
+        else if (commandType === CommandType.request)
+            notReportedProperties = RequestCommand.NOT_REPORTED_PROPERTIES;
+
+        return properties.filter(prop => !notReportedProperties.includes(prop));
     }
 
     private _assignProperties (command: CommandBase, formattedCommand: FormattedCommand): void {
@@ -159,8 +174,13 @@ export class CommandFormatter {
         });
     }
 
+    private _hasElementsInResult (): boolean {
+        // NOTE: the checkAccessibility action returns the audit result instead of the target elements
+        return !!this._result && this._command.type !== CommandType.checkAccessibility;
+    }
+
     private _ensureSelectorElements (): void {
-        if (!this._result || this._elements.length)
+        if (!this._hasElementsInResult() || this._elements.length)
             return;
 
         const decoded = createReplicator(new SelectorNodeTransform()).decode(this._result);
@@ -17,6 +17,11 @@ import Test from '../api/structure/test';
 import Fixture from '../api/structure/fixture';
 import TestRunErrorFormattableAdapter from '../errors/test-run/formattable-adapter';
 import { CommandBase } from '../test-run/commands/base';
+import { Retries } from '../utils/get-options/retries';
+import { AccessibilityViolation } from '../shared/accessibility';
+import { PerformanceMetrics } from '../shared/performance-metrics';
+import { TestStep, TestStepAction } from '../test-run/step-tree';
+import { AttachmentInfo } from '../test-run/attachments';
 
 import {
     ReporterPlugin,
@@ -42,6 +47,7 @@ interface TaskInfo {
     passed: number;
     failed: number;
     skipped: number;
+    flaky: number;
     testCount: number;
     testQueue: TestInfo[];
     readonly stopOnFirstFail: boolean;
@@ -55,10 +61,17 @@ interface TestInfo {
     screenshotPath: null | string;
     screenshots: unknown[];
     videos: unknown[];
+    har: unknown[];
     quarantine: null | Record<string, object>;
+    attempts: TestAttemptInfo[];
+    accessibility: AccessibilityReportInfo[];
+    steps: StepReportInfo[];
+    attachments: AttachmentReportInfo[];
+    traces: TraceReportInfo[];
     errs: TestRunErrorFormattableAdapter[];
     warnings: string[];
     unstable: boolean;
+    flaky: boolean;
     startTime: null | number;
     testRunInfo: null | TestRunInfo;
     pendingRuns: number;
@@ -73,15 +86,64 @@ interface TestRunInfo {
     warnings: string[];
     durationMs: number;
     unstable: boolean;
+    flaky: boolean;
     screenshotPath: string;
     screenshots: unknown;
     videos: unknown;
+    har: unknown;
     quarantine: unknown;
+    attempts: TestAttemptInfo[];
+    accessibility: AccessibilityReportInfo[];
+    steps: StepReportInfo[];
+    attachments: AttachmentReportInfo[];
+    traces: TraceReportInfo[];
     skipped: boolean;
     browsers: unknown[];
     testId: string;
 }
 
+interface TestAttemptInfo {
+    attempt: number;
+    passed: boolean;
+    errs: TestRunErrorFormattableAdapter[];
+    browser: unknown;
+}
+
+interface AccessibilityReportInfo {
+    testRunId: string;
+    browser: unknown;
+    url: string;
+    violations: AccessibilityViolation[];
+}
+
+interface ReportedTestStep {
+    id: string;
+    name: string;
+    path: string[];
+    startTime: Date;
+    duration: number | null;
+    failed: boolean;
+    actions: TestStepAction[];
+    steps: ReportedTestStep[];
+}
+
+interface StepReportInfo {
+    testRunId: string;
+    browser: unknown;
+    steps: ReportedTestStep[];
+}
+
+interface AttachmentReportInfo extends AttachmentInfo {
+    testRunId: string;
+    browser: unknown;
+}
+
+interface TraceReportInfo {
+    testRunId: string;
+    browser: unknown;
+    path: string;
+}
+
 interface PluginMethodArguments {
     initialObject: Task | MessageBus | null;
     method: string;
@@ -94,6 +156,13 @@ interface ReportTestActionEventArguments {
     result: unknown;
     testRun: TestRun;
     err: TestRunErrorFormattableAdapter;
+    performanceMetrics?: PerformanceMetrics | null;
+    step?: TestStep | null;
+}
+
+interface ReportTestStepEventArguments {
+    step: TestStep;
+    testRun: TestRun;
 }
 
 interface ReportTaskActionEventArguments {
@@ -175,6 +244,10 @@ export default class Reporter {
 
         messageBus.on('test-action-done', async e => await this._onTaskTestActionDone(e));
 
+        messageBus.on('test-step-start', async e => await this._onTaskTestStepStart(e));
+
+        messageBus.on('test-step-done', async e => await this._onTaskTestStepDone(e));
+
         messageBus.once('done', async () => await this._onceTaskDoneHandler());
     }
 
@@ -255,10 +328,17 @@ export default class Reporter {
             screenshotPath:             null,
             screenshots:                [],
             videos:                     [],
+            har:                        [],
             quarantine:                 null,
+            attempts:                   [],
+            accessibility:              [],
+            steps:                      [],
+            attachments:                [],
+            traces:                     [],
             errs:                       [],
             warnings:                   [],
             unstable:                   false,
+            flaky:                      false,
             startTime:                  null,
             testRunInfo:                null,
             pendingRuns:                runsPerTest,
@@ -281,16 +361,88 @@ export default class Reporter {
             warnings:       reportItem.warnings,
             durationMs:     +new Date() - (reportItem.startTime as number), //eslint-disable-line  @typescript-eslint/no-extra-parens
             unstable:       reportItem.unstable,
+            flaky:          reportItem.flaky && !reportItem.errs.length,
             screenshotPath: reportItem.screenshotPath as string,
             screenshots:    reportItem.screenshots,
             videos:         reportItem.videos,
+            har:            reportItem.har,
             quarantine:     reportItem.quarantine,
+            attempts:       reportItem.attempts,
+            accessibility:  reportItem.accessibility,
+            steps:          reportItem.steps,
+            attachments:    reportItem.attachments,
+            traces:         reportItem.traces,
             skipped:        reportItem.test.skip,
             browsers:       reportItem.browsers,
             testId:         reportItem.test.id,
         };
     }
 
+    private static _getTestRunAttempts (testRun: TestRun): TestAttemptInfo[] {
+        return (testRun.retries as Retries).attempts.map((errs, index) => ({
+            attempt: index + 1,
+            passed:  !errs.length,
+            browser: testRun.browser,
+            errs,
+        }));
+    }
+
+    private static _getTestRunAccessibilityReports (testRun: TestRun): AccessibilityReportInfo[] {
+        return testRun.accessibilityReports.map(({ url, violations }) => ({
+            testRunId: testRun.id,
+            browser:   testRun.browser,
+            url,
+            violations,
+        }));
+    }
+
+    private static _formatStep (step: TestStep): ReportedTestStep {
+        return {
+            id:        step.id,
+            name:      step.name,
+            path:      step.path.slice(),
+            startTime: new Date(step.startTime),
+            duration:  step.duration,
+            failed:    step.failed,
+            actions:   step.actions.map(action => Object.assign({}, action)),
+            steps:     step.steps.map(Reporter._formatStep),
+        };
+    }
+
+    private static _getTestRunStepReports (testRun: TestRun): StepReportInfo[] {
+        // NOTE: legacy test runs do not track steps
+        if (!testRun.stepTree?.steps.length)
+            return [];
+
+        return [{
+            testRunId: testRun.id,
+            browser:   testRun.browser,
+            steps:     testRun.stepTree.steps.map(Reporter._formatStep),
+        }];
+    }
+
+    private static _getTestRunAttachments (testRun: TestRun): AttachmentReportInfo[] {
+        // NOTE: legacy test runs do not support attachments
+        if (!testRun.attachments)
+            return [];
+
+        return testRun.attachments.map(attachment => Object.assign({
+            testRunId: testRun.id,
+            browser:   testRun.browser,
+        }, attachment));
+    }
+
+    private static _getTestRunTraces (testRun: TestRun): TraceReportInfo[] {
+        if (!testRun.tracePath)
+            return [];
+
+        return [{
+            testRunId: testRun.id,
+            browser:   testRun.browser,
+            path:      testRun.tracePath,
+        }];
+    }
+
     private _getTestItemForTestRun (taskInfo: TaskInfo, testRun: TestRun): TestInfo | undefined {
         return find(taskInfo.testQueue, i => i.test === testRun.test);
     }
@@ -353,6 +505,9 @@ export default class Reporter {
         if (taskInfo.task.videos)
             testItem.videos = taskInfo.task.videos.getTestVideos(testItem.test.id);
 
+        if (taskInfo.task.har)
+            testItem.har = taskInfo.task.har.getTestHarFiles(testItem.test.id);
+
         if (testRun.quarantine) {
             testItem.quarantine = testRun.quarantine.attempts.reduce((result: Record<string, object>, errors: TestRunErrorFormattableAdapter[], index: number) => {
                 const passed            = !errors.length;
@@ -373,6 +528,10 @@ export default class Reporter {
                 taskInfo.failed++;
             else
                 taskInfo.passed++;
+
+            // NOTE: flaky tests are passed tests that failed during one of the previous attempts
+            if (testItem.testRunInfo.flaky)
+                taskInfo.flaky++;
         }
 
         await this._shiftTestQueue();
@@ -380,18 +539,10 @@ export default class Reporter {
         (testItem.pendingTestRunDonePromise.resolve as Function)();
     }
 
-    private _prepareReportTestActionEventArgs ({ command, duration, result, testRun, err }: ReportTestActionEventArguments): any {
-        const args: any = {};
-
-        if (err)
-            args.err = err;
-
-        if (typeof duration === 'number')
-            args.duration = duration;
-
+    private static _getTestRunEventInfo (testRun: TestRun): any {
         const testFixture = testRun.test.fixture as Fixture;
 
-        return Object.assign(args, {
+        return {
             testRunId: testRun.id,
             test:      {
                 id:    testRun.test.id,
@@ -402,17 +553,44 @@ export default class Reporter {
                 name: testFixture.name,
                 id:   testFixture.id,
             },
+        };
+    }
+
+    private _prepareReportTestActionEventArgs ({ command, duration, result, testRun, err, performanceMetrics, step }: ReportTestActionEventArguments): any {
+        const args: any = {};
+
+        if (err)
+            args.err = err;
+
+        if (typeof duration === 'number')
+            args.duration = duration;
+
+        if (performanceMetrics)
+            args.performanceMetrics = performanceMetrics;
+
+        if (step)
+            args.step = { id: step.id, name: step.name, path: step.path.slice() };
+
+        return Object.assign(args, Reporter._getTestRunEventInfo(testRun), {
             command: formatCommand(command, result),
             browser: testRun.browser,
         });
     }
 
+    private _prepareReportTestStepEventArgs ({ step, testRun }: ReportTestStepEventArguments): any {
+        return Object.assign(Reporter._getTestRunEventInfo(testRun), {
+            step:    Reporter._formatStep(step),
+            browser: testRun.browser,
+        });
+    }
+
     private async _onceTaskStartHandler (task: Task): Promise<void> {
         this.taskInfo = {
             task:                   task,
             passed:                 0,
             failed:                 0,
             skipped:                0,
+            flaky:                  0,
             testCount:              task.tests.filter(test => !test.skip).length,
             testQueue:              Reporter._createTestQueue(task),
             stopOnFirstFail:        task.opts.stopOnFirstFail as boolean,
@@ -496,11 +674,20 @@ export default class Reporter {
 
         reportItem.pendingRuns = isTestRunStoppedTaskExecution ? 0 : reportItem.pendingRuns - 1;
         reportItem.unstable    = reportItem.unstable || testRun.unstable;
+        reportItem.flaky       = reportItem.flaky || !!testRun.flaky;
         reportItem.errs        = reportItem.errs.concat(testRun.errs);
         reportItem.warnings    = testRun.warningLog ? union(reportItem.warnings, testRun.warningLog.messages) : [];
 
         reportItem.browsers.push(Object.assign({ testRunId: testRun.id }, testRun.browser));
 
+        reportItem.accessibility = reportItem.accessibility.concat(Reporter._getTestRunAccessibilityReports(testRun));
+        reportItem.steps         = reportItem.steps.concat(Reporter._getTestRunStepReports(testRun));
+        reportItem.attachments   = reportItem.attachments.concat(Reporter._getTestRunAttachments(testRun));
+        reportItem.traces        = reportItem.traces.concat(Reporter._getTestRunTraces(testRun));
+
+        if (testRun.retries)
+            reportItem.attempts = reportItem.attempts.concat(Reporter._getTestRunAttempts(testRun));
+
         if (!reportItem.pendingRuns)
             await this._resolveTestItem(this.taskInfo, reportItem, testRun);
 
@@ -545,6 +732,40 @@ export default class Reporter {
         }
     }
 
+    private async _onTaskTestStepStart (args: ReportTestStepEventArguments): Promise<void> {
+        if (!this.taskInfo)
+            return;
+
+        // @ts-ignore
+        if (this.plugin.reportTestStepStart) {
+            await this.dispatchToPlugin({
+                method:        ReporterPluginMethod.reportTestStepStart as string,
+                initialObject: this.taskInfo.task,
+                args:          [
+                    args.step.name,
+                    this._prepareReportTestStepEventArgs(args),
+                ],
+            });
+        }
+    }
+
+    private async _onTaskTestStepDone (args: ReportTestStepEventArguments): Promise<void> {
+        if (!this.taskInfo)
+            return;
+
+        // @ts-ignore
+        if (this.plugin.reportTestStepDone) {
+            await this.dispatchToPlugin({
+                method:        ReporterPluginMethod.reportTestStepDone as string,
+                initialObject: this.taskInfo.task,
+                args:          [
+                    args.step.name,
+                    this._prepareReportTestStepEventArgs(args),
+                ],
+            });
+        }
+    }
+
     private async _onceTaskDoneHandler (): Promise<void> {
         if (!this.taskInfo)
             return;
@@ -555,6 +776,7 @@ export default class Reporter {
             passedCount:  this.taskInfo.passed,
             failedCount:  this.taskInfo.failed,
             skippedCount: this.taskInfo.skipped,
+            flakyCount:   this.taskInfo.flaky,
         };
 
         await this.dispatchToPlugin({
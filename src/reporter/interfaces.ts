@@ -6,6 +6,8 @@ export interface ReporterPlugin {
     reportTestStart?(): void;
     reportTestActionStart?(): void;
     reportTestActionDone?(): void;
+    reportTestStepStart?(): void;
+    reportTestStepDone?(): void;
     reportTestDone(): void;
     reportTaskDone(): void;
     reportWarnings?(): void;
@@ -7,6 +7,8 @@ const ReporterPluginMethod: EnumFromPropertiesOf<ReporterPlugin> = {
     reportTestStart:       'reportTestStart',
     reportTestActionStart: 'reportTestActionStart',
     reportTestActionDone:  'reportTestActionDone',
+    reportTestStepStart:   'reportTestStepStart',
+    reportTestStepDone:    'reportTestStepDone',
     reportTestDone:        'reportTestDone',
     reportTaskDone:        'reportTaskDone',
     reportWarnings:        'reportWarnings',
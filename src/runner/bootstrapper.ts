@@ -21,7 +21,11 @@ import BrowserConnectionGateway from '../browser/connection/gateway';
 import { CompilerArguments } from '../compiler/interfaces';
 import CompilerService from '../services/compiler/host';
 import Test from '../api/structure/test';
-import { BootstrapperInit, BrowserSetOptions } from './interfaces';
+import {
+    BootstrapperInit,
+    BrowserSetOptions,
+    ShardInit,
+} from './interfaces';
 import WarningLog from '../notifications/warning-log';
 import WARNING_MESSAGES from '../notifications/warning-message';
 import guardTimeExecution from '../utils/guard-time-execution';
@@ -31,6 +35,15 @@ import MessageBus from '../utils/message-bus';
 import wrapTestFunction from '../api/wrap-test-function';
 import { assertType, is } from '../errors/runtime/type-assertions';
 import { generateUniqueId } from 'testcafe-hammerhead';
+import getShardTests from './get-shard-tests';
+import sortTests from './sort-tests';
+import TEST_ORDER from '../configuration/test-order';
+
+import {
+    getTestDurationsCachePath,
+    readTestDurations,
+    readTestHistory,
+} from './test-durations';
 
 const DEBUG_SCOPE = 'testcafe:bootstrapper';
 
@@ -90,6 +103,8 @@ export default class Bootstrapper {
     public compilerOptions?: CompilerOptions;
     public browserInitTimeout?: number;
     public hooks?: GlobalHooks;
+    public shard?: ShardInit;
+    public testOrder?: TEST_ORDER;
 
     private readonly compilerService?: CompilerService;
     private readonly debugLogger: debug.Debugger;
@@ -112,6 +127,8 @@ export default class Bootstrapper {
         this.disableMultipleWindows   = false;
         this.proxyless                = false;
         this.compilerOptions          = void 0;
+        this.shard                    = void 0;
+        this.testOrder                = void 0;
         this.debugLogger              = debug(DEBUG_SCOPE);
         this.warningLog               = new WarningLog(null, WarningLog.createAddWarningCallback(messageBus));
         this.compilerService          = compilerService;
@@ -239,6 +256,29 @@ export default class Bootstrapper {
         });
     }
 
+    private async _getShardTests (tests: Test[], { index, total, by, durationsPath }: ShardInit): Promise<Test[]> {
+        const durations  = durationsPath ? await readTestDurations(durationsPath) : void 0;
+        const shardTests = getShardTests(tests, { index, total, by, durations });
+
+        this.debugLogger(`the ${index}/${total} shard contains ${shardTests.length} of ${tests.length} tests`);
+
+        return shardTests;
+    }
+
+    private async _getOrderedTests (tests: Test[], order: TEST_ORDER): Promise<Test[]> {
+        const cachePath = getTestDurationsCachePath();
+
+        try {
+            return sortTests(tests, order, await readTestHistory(cachePath));
+        }
+        catch (err) {
+            // NOTE: there is no test history before the first run, so tests are run in the compile order
+            this.debugLogger(`tests are not reordered: ${err.message}`);
+
+            return tests;
+        }
+    }
+
     private async _getTests (id: string): Promise<Test[]> {
         const cwd        = process.cwd();
         const sourceList = await parseFileList(this.sources, cwd);
@@ -274,6 +314,12 @@ export default class Bootstrapper {
 
         this._setGlobalHooksToTests(tests);
 
+        if (this.shard)
+            tests = await this._getShardTests(tests, this.shard);
+
+        if (this.testOrder)
+            tests = await this._getOrderedTests(tests, this.testOrder);
+
         return tests;
     }
 
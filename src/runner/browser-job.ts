@@ -6,6 +6,7 @@ import BrowserConnection from '../browser/connection';
 import { Proxy } from 'testcafe-hammerhead';
 import Test from '../api/structure/test';
 import Screenshots from '../screenshots';
+import Snapshots from '../snapshots';
 import WarningLog from '../notifications/warning-log';
 import FixtureHookController from './fixture-hook-controller';
 import { Dictionary } from '../configuration/interfaces';
@@ -28,6 +29,7 @@ export default class BrowserJob extends AsyncEventEmitter {
     private readonly _proxy: Proxy;
     public readonly browserConnections: BrowserConnection[];
     private readonly _screenshots: Screenshots;
+    private readonly _snapshots?: Snapshots;
     public readonly warningLog: WarningLog;
     public readonly fixtureHookController: FixtureHookController;
     private _result: BrowserJobResultInfo | null;
@@ -43,6 +45,7 @@ export default class BrowserJob extends AsyncEventEmitter {
         browserConnections,
         proxy,
         screenshots,
+        snapshots,
         warningLog,
         fixtureHookController,
         opts,
@@ -60,6 +63,7 @@ export default class BrowserJob extends AsyncEventEmitter {
         this._proxy                = proxy;
         this.browserConnections    = browserConnections;
         this._screenshots          = screenshots;
+        this._snapshots            = snapshots;
         this.warningLog            = warningLog;
         this.fixtureHookController = fixtureHookController;
         this._result               = null;
@@ -83,6 +87,7 @@ export default class BrowserJob extends AsyncEventEmitter {
             index:                 index + 1,
             proxy:                 this._proxy,
             screenshots:           this._screenshots,
+            snapshots:             this._snapshots,
             warningLog:            this.warningLog,
             fixtureHookController: this.fixtureHookController,
             opts:                  this._opts,
@@ -106,6 +111,10 @@ export default class BrowserJob extends AsyncEventEmitter {
             await this.emit('test-action-done', args);
         });
 
+        testRunController.on('test-step-done', async args => {
+            await this.emit('test-step-done', args);
+        });
+
         return testRunController;
     }
 
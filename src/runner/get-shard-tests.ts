@@ -0,0 +1,103 @@
+import { sortBy } from 'lodash';
+import Test from '../api/structure/test';
+import Fixture from '../api/structure/fixture';
+import SHARD_STRATEGY from '../configuration/shard-strategy';
+import { Dictionary } from '../configuration/interfaces';
+import {
+    KEY_SEPARATOR,
+    getTestKeyParts,
+    getTestDurationKey,
+} from './test-durations';
+
+const UNIT_KEY_LENGTH = {
+    [SHARD_STRATEGY.file]:     1,
+    [SHARD_STRATEGY.fixture]:  2,
+    [SHARD_STRATEGY.duration]: 3,
+};
+
+interface ShardTestsInit {
+    index: number;
+    total: number;
+    by: SHARD_STRATEGY;
+    durations?: Dictionary<number>;
+}
+
+interface ShardUnit {
+    key: string;
+    weight: number;
+    tests: Test[];
+}
+
+function hasFixtureHooks (fixture: Fixture): boolean {
+    return !!(fixture.beforeFn || fixture.afterFn || fixture.globalBeforeFn || fixture.globalAfterFn);
+}
+
+function getUnitKey (test: Test, by: SHARD_STRATEGY): string {
+    let keyLength = UNIT_KEY_LENGTH[by];
+
+    // NOTE: the fixture.before and fixture.after hooks are executed once per fixture,
+    // so such fixtures are not split between shards
+    if (keyLength > UNIT_KEY_LENGTH[SHARD_STRATEGY.fixture] && hasFixtureHooks(test.fixture as Fixture))
+        keyLength = UNIT_KEY_LENGTH[SHARD_STRATEGY.fixture];
+
+    return getTestKeyParts(test).slice(0, keyLength).join(KEY_SEPARATOR);
+}
+
+function createWeightGetter (durations?: Dictionary<number>): (test: Test) => number {
+    if (!durations)
+        return test => test.skip ? 0 : 1;
+
+    const knownDurations = Object.values(durations).filter(duration => typeof duration === 'number');
+    const totalDuration  = knownDurations.reduce((sum, duration) => sum + duration, 0);
+
+    // NOTE: tests that do not have a historic duration (e.g., new tests) are considered average
+    const defaultDuration = knownDurations.length ? totalDuration / knownDurations.length : 1;
+
+    return test => {
+        if (test.skip)
+            return 0;
+
+        const duration = durations[getTestDurationKey(test)];
+
+        return typeof duration === 'number' ? duration : defaultDuration;
+    };
+}
+
+function getUnits (tests: Test[], by: SHARD_STRATEGY, durations?: Dictionary<number>): ShardUnit[] {
+    const getWeight = createWeightGetter(durations);
+    const units     = new Map<string, ShardUnit>();
+
+    tests.forEach(test => {
+        const key = getUnitKey(test, by);
+
+        if (!units.has(key))
+            units.set(key, { key, weight: 0, tests: [] });
+
+        const unit = units.get(key) as ShardUnit;
+
+        unit.weight += getWeight(test);
+        unit.tests.push(test);
+    });
+
+    // NOTE: the order of compiled tests depends on the order of test files in the file system,
+    // so units are sorted by their keys to make the distribution identical on all machines
+    return sortBy(Array.from(units.values()), [unit => -unit.weight, unit => unit.key]);
+}
+
+// NOTE: units are distributed greedily, from the heaviest to the lightest one,
+// each unit is added to the shard with the lowest total weight
+export default function getShardTests (tests: Test[], { index, total, by, durations }: ShardTestsInit): Test[] {
+    const shardWeights = new Array(total).fill(0);
+    const shardTests   = new Set<Test>();
+
+    getUnits(tests, by, durations).forEach(unit => {
+        const shardIndex = shardWeights.indexOf(Math.min(...shardWeights));
+
+        shardWeights[shardIndex] += unit.weight;
+
+        if (shardIndex === index - 1)
+            unit.tests.forEach(test => shardTests.add(test));
+    });
+
+    return tests.filter(test => shardTests.has(test));
+}
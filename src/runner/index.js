@@ -8,6 +8,7 @@ import {
     pull as remove,
     isFunction,
     uniq,
+    castArray,
 } from 'lodash';
 
 import Bootstrapper from './bootstrapper';
@@ -37,6 +38,7 @@ import CustomizableCompilers from '../configuration/customizable-compilers';
 import { getConcatenatedValuesString, getPluralSuffix } from '../utils/string';
 import isLocalhost from '../utils/is-localhost';
 import WarningLog from '../notifications/warning-log';
+import WARNING_MESSAGES from '../notifications/warning-message';
 import authenticationHelper from '../cli/authentication-helper';
 import { errors, findWindow } from 'testcafe-browser-tools';
 import isCI from 'is-ci';
@@ -45,11 +47,20 @@ import BrowserConnection from '../browser/connection';
 import OS from 'os-family';
 import detectDisplay from '../utils/detect-display';
 import { validateQuarantineOptions } from '../utils/get-options/quarantine';
+import { validateRetriesOptions } from '../utils/get-options/retries';
+import { parseShard, validateShardOptions } from '../utils/get-options/shard';
+import { validateCoverageOptions } from '../utils/get-options/coverage';
+import COVERAGE_REPORTER from '../configuration/coverage-reporter';
+import SHARD_STRATEGY from '../configuration/shard-strategy';
+import TEST_ORDER from '../configuration/test-order';
+import TRACING_MODE from '../configuration/tracing-mode';
 import logEntry from '../utils/log-entry';
 import MessageBus from '../utils/message-bus';
 
 const DEBUG_LOGGER = debug('testcafe:runner');
 
+const DEFAULT_COVERAGE_DIRECTORY = 'coverage';
+
 export default class Runner extends EventEmitter {
     constructor ({ proxy, browserConnectionGateway, configuration, compilerService }) {
         super();
@@ -350,6 +361,7 @@ export default class Runner extends EventEmitter {
 
     _validateScreenshotOptions () {
         const { path, pathPattern } = this._getScreenshotOptions();
+        const { baselinesPath }     = this.configuration.getOption(OPTION_NAMES.screenshots) || {};
 
         const disableScreenshots = this.configuration.getOption(OPTION_NAMES.disableScreenshots) || !path;
 
@@ -369,6 +381,12 @@ export default class Runner extends EventEmitter {
 
             this.configuration.mergeOptions({ [OPTION_NAMES.screenshots]: { pathPattern } });
         }
+
+        if (baselinesPath) {
+            this._validateScreenshotPath(baselinesPath, 'baseline screenshots directory path');
+
+            this.configuration.mergeOptions({ [OPTION_NAMES.screenshots]: { baselinesPath: resolvePath(baselinesPath) } });
+        }
     }
 
     async _validateVideoOptions () {
@@ -401,6 +419,86 @@ export default class Runner extends EventEmitter {
             throw new GeneralError(RUNTIME_ERRORS.cannotFindFFMPEG);
     }
 
+    _validateHarOptions () {
+        const harPath    = this.configuration.getOption(OPTION_NAMES.harPath);
+        const harOptions = this.configuration.getOption(OPTION_NAMES.harOptions);
+
+        if (!harPath) {
+            if (harOptions)
+                throw new GeneralError(RUNTIME_ERRORS.cannotSetHarOptionsWithoutHarPathSpecified);
+
+            return;
+        }
+
+        this.configuration.mergeOptions({ [OPTION_NAMES.harPath]: resolvePath(harPath) });
+    }
+
+    _validateShardOptions () {
+        const shard        = this.configuration.getOption(OPTION_NAMES.shard);
+        const shardOptions = this.configuration.getOption(OPTION_NAMES.shardOptions) || {};
+
+        if (!shard) {
+            if (Object.keys(shardOptions).length)
+                throw new GeneralError(RUNTIME_ERRORS.cannotSetShardOptionsWithoutShardSpecified);
+
+            this.bootstrapper.shard = void 0;
+
+            return;
+        }
+
+        const { index, total } = parseShard(shard);
+
+        validateShardOptions(shardOptions);
+
+        this.bootstrapper.shard = {
+            index,
+            total,
+            by:            shardOptions.by || SHARD_STRATEGY.file,
+            durationsPath: shardOptions.durationsPath && resolvePath(shardOptions.durationsPath),
+        };
+    }
+
+    _validateTestOrderOption () {
+        const testOrder = this.configuration.getOption(OPTION_NAMES.testOrder);
+        const orders    = Object.values(TEST_ORDER);
+
+        if (testOrder !== void 0 && !orders.includes(testOrder))
+            throw new GeneralError(RUNTIME_ERRORS.invalidTestOrder, String(testOrder), getConcatenatedValuesString(orders));
+
+        this.bootstrapper.testOrder = testOrder;
+    }
+
+    _validateTracingOption () {
+        const tracing = this.configuration.getOption(OPTION_NAMES.tracing);
+        const modes   = Object.values(TRACING_MODE);
+
+        if (tracing !== void 0 && !modes.includes(tracing))
+            throw new GeneralError(RUNTIME_ERRORS.invalidTracingMode, String(tracing), getConcatenatedValuesString(modes));
+    }
+
+    _validateCoverageOptions () {
+        const coverage        = this.configuration.getOption(OPTION_NAMES.coverage);
+        const coverageOptions = this.configuration.getOption(OPTION_NAMES.coverageOptions) || {};
+
+        if (!coverage) {
+            if (Object.keys(coverageOptions).length)
+                throw new GeneralError(RUNTIME_ERRORS.cannotSetCoverageOptionsWithoutCoverageEnabled);
+
+            return;
+        }
+
+        validateCoverageOptions(coverageOptions);
+
+        const { dir, reporters } = coverageOptions;
+
+        this.configuration.mergeOptions({
+            [OPTION_NAMES.coverageOptions]: {
+                dir:       resolvePath(dir || DEFAULT_COVERAGE_DIRECTORY),
+                reporters: reporters ? castArray(reporters) : Object.values(COVERAGE_REPORTER),
+            },
+        });
+    }
+
     _validateCompilerOptions () {
         const compilerOptions = this.configuration.getOption(OPTION_NAMES.compilerOptions);
 
@@ -446,10 +544,32 @@ export default class Runner extends EventEmitter {
             validateQuarantineOptions(quarantineMode, OPTION_NAMES.quarantineMode);
     }
 
+    _validateRetriesOptions () {
+        let retries = this.configuration.getOption(OPTION_NAMES.retries);
+
+        if (!retries)
+            return;
+
+        if (this.configuration.getOption(OPTION_NAMES.quarantineMode))
+            throw new GeneralError(RUNTIME_ERRORS.cannotUseRetriesWithQuarantineMode);
+
+        if (typeof retries === 'number')
+            retries = { count: retries };
+
+        validateRetriesOptions(retries);
+
+        this.configuration.mergeOptions({ [OPTION_NAMES.retries]: retries });
+    }
+
     async _validateRunOptions () {
         this._validateDebugLogger();
         this._validateScreenshotOptions();
         await this._validateVideoOptions();
+        this._validateHarOptions();
+        this._validateShardOptions();
+        this._validateCoverageOptions();
+        this._validateTestOrderOption();
+        this._validateTracingOption();
         this._validateSpeedOption();
         this._validateProxyBypassOption();
         this._validateCompilerOptions();
@@ -457,6 +577,7 @@ export default class Runner extends EventEmitter {
         this._validateRequestTimeoutOption(OPTION_NAMES.pageRequestTimeout);
         this._validateRequestTimeoutOption(OPTION_NAMES.ajaxRequestTimeout);
         this._validateQuarantineOptions();
+        this._validateRetriesOptions();
         this._validateConcurrencyOption();
         await this._validateBrowsers();
     }
@@ -627,12 +748,13 @@ export default class Runner extends EventEmitter {
     screenshots (...options) {
         let fullPage;
         let thumbnails;
+        let baselinesPath;
         let [path, takeOnFails, pathPattern] = options;
 
         if (options.length === 1 && options[0] && typeof options[0] === 'object')
-            ({ path, takeOnFails, pathPattern, fullPage, thumbnails } = options[0]);
+            ({ path, takeOnFails, pathPattern, fullPage, thumbnails, baselinesPath } = options[0]);
 
-        this._options.screenshots = { path, takeOnFails, pathPattern, fullPage, thumbnails };
+        this._options.screenshots = { path, takeOnFails, pathPattern, fullPage, thumbnails, baselinesPath };
 
         return this;
     }
@@ -645,6 +767,27 @@ export default class Runner extends EventEmitter {
         return this;
     }
 
+    har (path, options) {
+        this._options[OPTION_NAMES.harPath]    = path;
+        this._options[OPTION_NAMES.harOptions] = options;
+
+        return this;
+    }
+
+    shard (value, options) {
+        this._options[OPTION_NAMES.shard]        = value;
+        this._options[OPTION_NAMES.shardOptions] = options;
+
+        return this;
+    }
+
+    coverage (enabled, options) {
+        this._options[OPTION_NAMES.coverage]        = enabled;
+        this._options[OPTION_NAMES.coverageOptions] = options;
+
+        return this;
+    }
+
     startApp (command, initDelay) {
         this._options[OPTION_NAMES.appCommand]   = command;
         this._options[OPTION_NAMES.appInitDelay] = initDelay;
@@ -698,6 +841,14 @@ export default class Runner extends EventEmitter {
             })
             .then(() => this._createRunnableConfiguration())
             .then(async ({ browserSet, tests, testedApp, commonClientScripts, id }) => {
+                // NOTE: only a shard can have no tests to run, other cases are reported as errors by the bootstrapper.
+                // When there are fewer tests than shards, this should not fail the CI job that runs such a shard.
+                if (!tests.length) {
+                    const { index, total } = this.bootstrapper.shard;
+
+                    this.warningLog.addWarning(WARNING_MESSAGES.noTestsToRunInShard, index, total);
+                }
+
                 await this._prepareClientScripts(tests, commonClientScripts);
 
                 const resultOptions = this.configuration.getOptions();
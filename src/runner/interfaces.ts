@@ -1,5 +1,6 @@
 import { CommandBase } from '../test-run/commands/base';
 import TestRun from '../test-run';
+import { TestStep } from '../test-run/step-tree';
 import WarningLog from '../notifications/warning-log';
 import { Writable as WritableStream } from 'stream';
 import BrowserConnection from '../browser/connection';
@@ -10,8 +11,10 @@ import { Proxy } from 'testcafe-hammerhead';
 import { Dictionary } from '../configuration/interfaces';
 import FixtureHookController from './fixture-hook-controller';
 import Screenshots from '../screenshots';
+import Snapshots from '../snapshots';
 import Capturer from '../screenshots/capturer';
 import MessageBus from '../utils/message-bus';
+import SHARD_STRATEGY from '../configuration/shard-strategy';
 
 export interface ActionEventArg {
     apiActionName: string;
@@ -19,6 +22,11 @@ export interface ActionEventArg {
     testRun?: TestRun;
 }
 
+export interface StepEventArg {
+    step: TestStep;
+    testRun?: TestRun;
+}
+
 interface ReportedTestItem {
     id: string;
     name: string;
@@ -59,6 +67,7 @@ export interface BrowserJobInit {
     browserConnections: BrowserConnection[];
     proxy: Proxy;
     screenshots: Screenshots;
+    snapshots?: Snapshots;
     warningLog: WarningLog;
     fixtureHookController: FixtureHookController;
     opts: Dictionary<OptionValue>;
@@ -81,6 +90,7 @@ export interface TestRunControllerInit {
     index: number;
     proxy: Proxy;
     screenshots: Screenshots;
+    snapshots?: Snapshots;
     warningLog: WarningLog;
     fixtureHookController: FixtureHookController;
     opts: Dictionary<OptionValue>;
@@ -96,3 +106,15 @@ export interface TestRunInit {
     opts: Dictionary<OptionValue>;
     compilerService?: CompilerService;
 }
+
+export interface ShardInit {
+    index: number;
+    total: number;
+    by: SHARD_STRATEGY;
+    durationsPath?: string;
+}
+
+export interface TestHistoryEntry {
+    duration: number;
+    failed: boolean;
+}
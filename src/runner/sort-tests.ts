@@ -0,0 +1,56 @@
+import { sortBy, sum } from 'lodash';
+import Test from '../api/structure/test';
+import Fixture from '../api/structure/fixture';
+import TEST_ORDER from '../configuration/test-order';
+import { Dictionary } from '../configuration/interfaces';
+import { TestHistoryEntry } from './interfaces';
+import { getTestDurationKey } from './test-durations';
+
+interface FixtureTests {
+    tests: Test[];
+    weight: number;
+}
+
+function createWeightGetter (order: TEST_ORDER, history: Dictionary<TestHistoryEntry>): (test: Test) => number {
+    const durations = Object.values(history).map(entry => entry.duration);
+
+    // NOTE: tests that do not have a historic duration (e.g., new tests) are considered average
+    const defaultDuration = durations.length ? sum(durations) / durations.length : 0;
+
+    return test => {
+        const entry = history[getTestDurationKey(test)];
+
+        if (order === TEST_ORDER.failedFirst)
+            return entry?.failed ? 1 : 0;
+
+        return entry ? entry.duration : defaultDuration;
+    };
+}
+
+// NOTE: reporters expect tests of a fixture to go one after another, so tests are reordered within
+// their fixtures, and fixtures are reordered by the total duration or by the presence of failed tests.
+// The sorting is stable: tests with equal weights keep the compile order.
+export default function sortTests (tests: Test[], order: TEST_ORDER, history: Dictionary<TestHistoryEntry>): Test[] {
+    const getWeight  = createWeightGetter(order, history);
+    const fixtureMap = new Map<Fixture, FixtureTests>();
+
+    tests.forEach(test => {
+        const fixture = test.fixture as Fixture;
+
+        if (!fixtureMap.has(fixture))
+            fixtureMap.set(fixture, { tests: [], weight: 0 });
+
+        const fixtureTests = fixtureMap.get(fixture) as FixtureTests;
+        const weight       = getWeight(test);
+
+        fixtureTests.tests.push(test);
+
+        fixtureTests.weight = order === TEST_ORDER.failedFirst ? Math.max(fixtureTests.weight, weight) : fixtureTests.weight + weight;
+    });
+
+    const sortedFixtures = sortBy(Array.from(fixtureMap.values()), fixtureTests => -fixtureTests.weight);
+
+    return sortedFixtures.reduce((result: Test[], fixtureTests) => {
+        return result.concat(sortBy(fixtureTests.tests, test => -getWeight(test)));
+    }, []);
+}
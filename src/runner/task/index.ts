@@ -3,22 +3,30 @@ import moment from 'moment';
 import AsyncEventEmitter from '../../utils/async-event-emitter';
 import BrowserJob from '../browser-job';
 import Screenshots from '../../screenshots';
+import Snapshots from '../../snapshots';
 import WarningLog from '../../notifications/warning-log';
 import FixtureHookController from '../fixture-hook-controller';
 import * as clientScriptsRouting from '../../custom-client-scripts/routing';
 import Videos from '../../video-recorder/videos';
+import HarRecorder from '../../har-recorder';
+import CoverageCollector from '../../code-coverage';
+import TestDurationsRecorder from '../test-durations-recorder';
+import { getTestDurationsCachePath } from '../test-durations';
 import TestRun from '../../test-run';
 import { Proxy } from 'testcafe-hammerhead';
 import { Dictionary } from '../../configuration/interfaces';
 import {
     ActionEventArg,
     ReportedTestStructureItem,
+    StepEventArg,
     TaskInit,
 } from '../interfaces';
 
 import BrowserConnection from '../../browser/connection';
 import Test from '../../api/structure/test';
 import { VideoOptions } from '../../video-recorder/interfaces';
+import { HarOptions } from '../../har-recorder/interfaces';
+import { CoverageOptions } from '../../code-coverage/interfaces';
 import TaskPhase from './phase';
 import CompilerService from '../../services/compiler/host';
 import Fixture from '../../api/structure/fixture';
@@ -33,11 +41,15 @@ export default class Task extends AsyncEventEmitter {
     private readonly _proxy: Proxy;
     public readonly warningLog: WarningLog;
     public readonly screenshots: Screenshots;
+    public readonly snapshots: Snapshots;
     public readonly fixtureHookController: FixtureHookController;
     private readonly _pendingBrowserJobs: BrowserJob[];
     private readonly _clientScriptRoutes: string[];
     public readonly testStructure: ReportedTestStructureItem[];
     public readonly videos?: Videos;
+    public readonly har?: HarRecorder;
+    public readonly coverage?: CoverageCollector;
+    public readonly testDurations?: TestDurationsRecorder;
     private readonly _compilerService?: CompilerService;
     private readonly _messageBus: MessageBus;
     public startTime?: Date;
@@ -75,8 +87,9 @@ export default class Task extends AsyncEventEmitter {
             thumbnails,
         });
 
+        this.snapshots             = new Snapshots(messageBus, { update: !!this.opts.updateSnapshots }, this.warningLog);
         this.fixtureHookController = new FixtureHookController(tests, browserConnectionGroups.length);
-        this._pendingBrowserJobs   = this._createBrowserJobs(proxy, this.opts);
+        this._pendingBrowserJobs   = tests.length ? this._createBrowserJobs(proxy, this.opts) : [];
         this._clientScriptRoutes   = clientScriptsRouting.register(proxy, tests);
         this.testStructure         = this._prepareTestStructure(tests);
 
@@ -85,6 +98,46 @@ export default class Task extends AsyncEventEmitter {
 
             this.videos = new Videos(this._pendingBrowserJobs, { videoPath, videoOptions, videoEncodingOptions } as unknown as VideoOptions, this.warningLog, this._timeStamp);
         }
+
+        if (this.opts.harPath) {
+            const { harPath, harOptions } = this.opts;
+
+            this.har = new HarRecorder(tests, messageBus, { harPath, harOptions } as unknown as HarOptions, this.warningLog, this._timeStamp);
+        }
+
+        if (this.opts.coverage)
+            this.coverage = new CoverageCollector(messageBus, this.opts.coverageOptions as unknown as CoverageOptions, this.warningLog);
+
+        if (this.opts.testOrder)
+            this.testDurations = new TestDurationsRecorder(messageBus, getTestDurationsCachePath(), this.warningLog);
+
+        // NOTE: a shard can have no tests to run. There are no browser jobs to start and finish
+        // the task in this case, so it is reported as an empty one right away.
+        if (!tests.length)
+            process.nextTick(() => this._runWithoutTests());
+    }
+
+    private async _runWithoutTests (): Promise<void> {
+        this._phase    = TaskPhase.started;
+        this.startTime = new Date();
+
+        await this._messageBus.emit('start', this);
+
+        this._phase = TaskPhase.done;
+
+        await this._emitDone();
+    }
+
+    private async _emitDone (): Promise<void> {
+        await this.snapshots.save();
+
+        if (this.testDurations)
+            await this.testDurations.save();
+
+        if (this.coverage)
+            await this.coverage.save();
+
+        await this._messageBus.emit('done');
     }
 
     private _assignBrowserJobEventHandlers (job: BrowserJob): void {
@@ -94,7 +147,7 @@ export default class Task extends AsyncEventEmitter {
             if (this.opts.stopOnFirstFail && testRun.errs.length) {
                 this.abort();
 
-                await this._messageBus.emit('done');
+                await this._emitDone();
             }
         });
 
@@ -115,7 +168,7 @@ export default class Task extends AsyncEventEmitter {
             if (!this._pendingBrowserJobs.length) {
                 this._phase = TaskPhase.done;
 
-                await this._messageBus.emit('done');
+                await this._emitDone();
             }
         });
 
@@ -126,6 +179,13 @@ export default class Task extends AsyncEventEmitter {
             await this._messageBus.emit('test-action-done', args);
         });
 
+        job.on('test-step-done', async (args: StepEventArg) => {
+            if (this._phase === TaskPhase.done)
+                return;
+
+            await this._messageBus.emit('test-step-done', args);
+        });
+
     }
 
     private _prepareTestStructure (tests: Test[]): ReportedTestStructureItem[] {
@@ -157,6 +217,7 @@ export default class Task extends AsyncEventEmitter {
                 tests:                 this.tests,
                 browserConnections:    browserConnectionGroup,
                 screenshots:           this.screenshots,
+                snapshots:             this.snapshots,
                 warningLog:            this.warningLog,
                 fixtureHookController: this.fixtureHookController,
                 compilerService:       this._compilerService,
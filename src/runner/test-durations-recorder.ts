@@ -0,0 +1,78 @@
+import TestRun from '../test-run';
+import MessageBus from '../utils/message-bus';
+import WarningLog from '../notifications/warning-log';
+import WARNING_MESSAGES from '../notifications/warning-message';
+import { Dictionary } from '../configuration/interfaces';
+import { TestHistoryEntry } from './interfaces';
+
+import {
+    getTestDurationKey,
+    readTestHistory,
+    writeTestHistory,
+} from './test-durations';
+
+export default class TestDurationsRecorder {
+    private readonly _cachePath: string;
+    private readonly _warningLog: WarningLog;
+    private readonly _startTimes: Dictionary<number>;
+    private readonly _history: Dictionary<TestHistoryEntry>;
+
+    public constructor (messageBus: MessageBus, cachePath: string, warningLog: WarningLog) {
+        this._cachePath  = cachePath;
+        this._warningLog = warningLog;
+        this._startTimes = {};
+        this._history    = {};
+
+        messageBus.on('test-run-start', async (testRun: TestRun) => this._onTestRunStart(testRun));
+        messageBus.on('test-run-done', async (testRun: TestRun) => this._onTestRunDone(testRun));
+    }
+
+    private _onTestRunStart (testRun: TestRun): void {
+        if (!testRun.test.skip)
+            this._startTimes[testRun.id] = +new Date();
+    }
+
+    // NOTE: a test runs in several browsers concurrently, so the slowest
+    // browser determines the test duration, and a failure in any browser marks the test as failed
+    private _onTestRunDone (testRun: TestRun): void {
+        const startTime = this._startTimes[testRun.id];
+
+        if (startTime === void 0)
+            return;
+
+        const key      = getTestDurationKey(testRun.test);
+        const duration = +new Date() - startTime;
+        const failed   = !!testRun.errs.length;
+        const entry    = this._history[key];
+
+        this._history[key] = entry
+            ? { duration: Math.max(entry.duration, duration), failed: entry.failed || failed }
+            : { duration, failed };
+
+        delete this._startTimes[testRun.id];
+    }
+
+    private async _readCachedHistory (): Promise<Dictionary<TestHistoryEntry>> {
+        try {
+            return await readTestHistory(this._cachePath);
+        }
+        catch (err) {
+            // NOTE: the cache does not exist before the first run and is overwritten if it is corrupted
+            return {};
+        }
+    }
+
+    public async save (): Promise<void> {
+        if (!Object.keys(this._history).length)
+            return;
+
+        try {
+            const history = await this._readCachedHistory();
+
+            await writeTestHistory(this._cachePath, Object.assign(history, this._history));
+        }
+        catch (err) {
+            this._warningLog.addWarning(WARNING_MESSAGES.testDurationsSavingError, this._cachePath, err.message);
+        }
+    }
+}
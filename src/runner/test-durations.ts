@@ -0,0 +1,89 @@
+import {
+    relative,
+    resolve,
+    dirname,
+} from 'path';
+import makeDir from 'make-dir';
+import Test from '../api/structure/test';
+import Fixture from '../api/structure/fixture';
+import { GeneralError } from '../errors/runtime';
+import { RUNTIME_ERRORS } from '../errors/types';
+import { Dictionary } from '../configuration/interfaces';
+import { readFile, writeFile } from '../utils/promisified-functions';
+import { TestHistoryEntry } from './interfaces';
+
+export const KEY_SEPARATOR = ' > ';
+
+const CACHE_PATH = ['node_modules', '.cache', 'testcafe', 'test-durations.json'];
+
+// NOTE: test durations are shared between machines (e.g., CI agents),
+// so the key should not depend on the absolute path of the test file
+export function getTestKeyParts (test: Test): string[] {
+    const fixture  = test.fixture as Fixture;
+    const filePath = relative(process.cwd(), fixture.path).split('\\').join('/');
+
+    return [filePath, fixture.name as string, test.name as string];
+}
+
+export function getTestDurationKey (test: Test): string {
+    return getTestKeyParts(test).join(KEY_SEPARATOR);
+}
+
+export function getTestDurationsCachePath (): string {
+    return resolve(process.cwd(), ...CACHE_PATH);
+}
+
+// NOTE: a durations file can map test keys either to durations or to test history entries
+// (the format of the test durations cache), so that the cache can be used as a durations file
+function getTestHistoryEntry (value: unknown): TestHistoryEntry | null {
+    if (typeof value === 'number')
+        return { duration: value, failed: false };
+
+    const entry = value as TestHistoryEntry;
+
+    if (entry && typeof entry === 'object' && typeof entry.duration === 'number')
+        return { duration: entry.duration, failed: !!entry.failed };
+
+    return null;
+}
+
+export async function readTestHistory (filePath: string): Promise<Dictionary<TestHistoryEntry>> {
+    let content = null;
+
+    try {
+        content = JSON.parse((await readFile(filePath)).toString());
+    }
+    catch (err) {
+        throw new GeneralError(RUNTIME_ERRORS.cannotReadTestDurations, filePath, err.message);
+    }
+
+    if (!content || typeof content !== 'object' || Array.isArray(content))
+        throw new GeneralError(RUNTIME_ERRORS.cannotReadTestDurations, filePath, 'The file should contain an object with test durations.');
+
+    const history: Dictionary<TestHistoryEntry> = {};
+
+    Object.entries(content).forEach(([key, value]) => {
+        const entry = getTestHistoryEntry(value);
+
+        if (entry)
+            history[key] = entry;
+    });
+
+    return history;
+}
+
+export async function readTestDurations (filePath: string): Promise<Dictionary<number>> {
+    const history                       = await readTestHistory(filePath);
+    const durations: Dictionary<number> = {};
+
+    Object.entries(history).forEach(([key, { duration }]) => {
+        durations[key] = duration;
+    });
+
+    return durations;
+}
+
+export async function writeTestHistory (filePath: string, history: Dictionary<TestHistoryEntry>): Promise<void> {
+    await makeDir(dirname(filePath));
+    await writeFile(filePath, JSON.stringify(history, null, 2));
+}
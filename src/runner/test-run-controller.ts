@@ -7,12 +7,18 @@ import BrowserConnection from '../browser/connection';
 import { Proxy } from 'testcafe-hammerhead';
 import Test from '../api/structure/test';
 import Screenshots from '../screenshots';
+import Snapshots from '../snapshots';
 import WarningLog from '../notifications/warning-log';
 import FixtureHookController from './fixture-hook-controller';
-import { Dictionary } from '../configuration/interfaces';
-import { ActionEventArg, TestRunControllerInit } from './interfaces';
+import { Dictionary, RetriesOptions } from '../configuration/interfaces';
+import {
+    ActionEventArg,
+    StepEventArg,
+    TestRunControllerInit,
+} from './interfaces';
 import CompilerService from '../services/compiler/host';
 import { Quarantine } from '../utils/get-options/quarantine';
+import { Retries } from '../utils/get-options/retries';
 import MessageBus from '../utils/message-bus';
 
 const DISCONNECT_THRESHOLD = 3;
@@ -20,12 +26,14 @@ const DISCONNECT_THRESHOLD = 3;
 
 export default class TestRunController extends AsyncEventEmitter {
     private readonly _quarantine: null | Quarantine;
+    private readonly _retries: null | Retries;
     private _disconnectionCount: number;
     private readonly _proxy: Proxy;
     public readonly index: number;
     public test: Test;
     private readonly _opts: Dictionary<OptionValue>;
     private _screenshots: Screenshots;
+    private readonly _snapshots?: Snapshots;
     private readonly _warningLog: WarningLog;
     private readonly _fixtureHookController: FixtureHookController;
     private readonly _testRunCtor: LegacyTestRun['constructor'] | TestRun['constructor'];
@@ -39,6 +47,7 @@ export default class TestRunController extends AsyncEventEmitter {
         index,
         proxy,
         screenshots,
+        snapshots,
         warningLog,
         fixtureHookController,
         opts,
@@ -53,6 +62,7 @@ export default class TestRunController extends AsyncEventEmitter {
 
         this._proxy                 = proxy;
         this._screenshots           = screenshots;
+        this._snapshots             = snapshots;
         this._warningLog            = warningLog;
         this._fixtureHookController = fixtureHookController;
 
@@ -61,6 +71,7 @@ export default class TestRunController extends AsyncEventEmitter {
         this.testRun             = null;
         this.done                = false;
         this._quarantine         = this._opts.quarantineMode ? new Quarantine() : null;
+        this._retries            = this._opts.retries ? new Retries(this._opts.retries as RetriesOptions) : null;
         this._disconnectionCount = 0;
         this.compilerService     = compilerService;
         this._messageBus         = messageBus;
@@ -74,7 +85,7 @@ export default class TestRunController extends AsyncEventEmitter {
     }
 
     private async _createTestRun (connection: BrowserConnection, startRunExecutionTime?: Date): Promise<TestRun | LegacyTestRun> {
-        const screenshotCapturer = this._screenshots.createCapturerFor(this.test, this.index, this._quarantine, connection, this._warningLog);
+        const screenshotCapturer = this._screenshots.createCapturerFor(this.test, this.index, this._quarantine || this._retries, connection, this._warningLog);
         const TestRunCtor        = this._testRunCtor;
 
         this.testRun = new TestRunCtor({
@@ -84,6 +95,7 @@ export default class TestRunController extends AsyncEventEmitter {
             opts:              this._opts,
             compilerService:   this.compilerService,
             messageBus:        this._messageBus,
+            snapshots:         this._snapshots,
             screenshotCapturer,
             startRunExecutionTime,
         });
@@ -95,13 +107,16 @@ export default class TestRunController extends AsyncEventEmitter {
         if (this.testRun.addQuarantineInfo)
             this.testRun.addQuarantineInfo(this._quarantine);
 
+        if (this.testRun.addRetriesInfo)
+            this.testRun.addRetriesInfo(this._retries);
+
         if (this._quarantine) {
             const { successThreshold, attemptLimit } = this._opts.quarantineMode as QuarantineOptionValue;
 
             this._quarantine.setCustomParameters(attemptLimit, successThreshold);
         }
 
-        if (!this._quarantine || this._isFirstQuarantineAttempt()) {
+        if (this._isFirstAttempt()) {
             await this.emit('test-run-create', {
                 testRun:    this.testRun,
                 legacy:     TestRunCtor === LegacyTestRun,
@@ -136,6 +151,13 @@ export default class TestRunController extends AsyncEventEmitter {
         return !!this._quarantine && !this._quarantine.attempts.length;
     }
 
+    private _isFirstAttempt (): boolean {
+        if (this._quarantine)
+            return this._isFirstQuarantineAttempt();
+
+        return !this._retries || this._retries.isFirstAttempt();
+    }
+
     private async _keepInQuarantine (): Promise<void> {
         await this._restartTest();
     }
@@ -151,9 +173,28 @@ export default class TestRunController extends AsyncEventEmitter {
             await this._endQuarantine();
     }
 
+    private async _testRunDoneWithRetries (): Promise<void> {
+        const retries     = this._retries as Retries;
+        const shouldRetry = retries.shouldRetry(this.testRun.errs);
+
+        retries.attempts.push(this.testRun.errs);
+
+        if (shouldRetry) {
+            await this._restartTest();
+
+            return;
+        }
+
+        this.testRun.flaky = retries.isFlaky();
+
+        await this._emitTestRunDone();
+    }
+
     private async _testRunDone (): Promise<void> {
         if (this._quarantine)
             await this._testRunDoneInQuarantineMode();
+        else if (this._retries)
+            await this._testRunDoneWithRetries();
         else
             await this._emitTestRunDone();
     }
@@ -166,6 +207,14 @@ export default class TestRunController extends AsyncEventEmitter {
         await this.emit('test-action-done', args);
     }
 
+    private async _emitStepStart (args: StepEventArg): Promise<void> {
+        await this._messageBus.emit('test-step-start', args);
+    }
+
+    private async _emitStepDone (args: StepEventArg): Promise<void> {
+        await this.emit('test-step-done', args);
+    }
+
     private async _emitTestRunDone (): Promise<void> {
         // NOTE: we should report test run completion in order they were completed in browser.
         // To keep a sequence after fixture hook execution we use completion queue.
@@ -190,6 +239,9 @@ export default class TestRunController extends AsyncEventEmitter {
             raiseEvent = isSuccessfulQuarantineFirstAttempt || isAttemptsThresholdReached;
         }
 
+        if (this._retries)
+            raiseEvent = !this._retries.shouldRetry(this.testRun.errs);
+
         if (raiseEvent)
             await this.emit('test-run-before-done');
     }
@@ -209,10 +261,12 @@ export default class TestRunController extends AsyncEventEmitter {
     private _assignTestRunEvents (testRun: TestRun | LegacyTestRun, connection: BrowserConnection): void {
         testRun.on('action-start', async (args: ActionEventArg) => this._emitActionStart(Object.assign(args, { testRun })));
         testRun.on('action-done', async (args: ActionEventArg) => this._emitActionDone(Object.assign(args, { testRun })));
+        testRun.on('step-start', async (args: StepEventArg) => this._emitStepStart(Object.assign(args, { testRun })));
+        testRun.on('step-done', async (args: StepEventArg) => this._emitStepDone(Object.assign(args, { testRun })));
 
         testRun.once('start', async () => this._emitTestRunStart());
         testRun.once('ready', async () => {
-            if (!this._quarantine || this._isFirstQuarantineAttempt())
+            if (this._isFirstAttempt())
                 await this.emit('test-run-ready');
         });
         testRun.once('before-done', () => this._testRunBeforeDone());
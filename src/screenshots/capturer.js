@@ -17,7 +17,14 @@ import {
 } from '../utils/promisified-functions';
 
 import DEFAULT_SCREENSHOT_EXTENSION from './default-extension';
+import PathPattern from '../utils/path-pattern';
 
+const { TEST_INDEX, USERAGENT, QUARANTINE_ATTEMPT } = PathPattern.PLACEHOLDERS;
+
+// NOTE: the screenshot path pattern may not separate test runs by directories,
+// so the trace file name identifies the test run by itself
+const TRACE_FILE_NAME_PATTERN = `test-${TEST_INDEX}_${USERAGENT}_run-${QUARANTINE_ATTEMPT}`;
+const TRACE_FILE_EXTENSION    = 'json';
 
 export default class Capturer {
     // TODO: refactor to use dictionary
@@ -107,6 +114,20 @@ export default class Capturer {
         return this._joinWithBaseScreenshotPath(path);
     }
 
+    getAttachmentPath (fileName) {
+        const screenshotDir = dirname(this.pathPattern.getPath(false));
+
+        return this._joinWithBaseScreenshotPath(joinPath(screenshotDir, 'attachments', fileName));
+    }
+
+    getTracePath () {
+        const screenshotDir = dirname(this.pathPattern.getPath(false));
+
+        const traceFileName = this.pathPattern.getPathByPattern(TRACE_FILE_NAME_PATTERN, TRACE_FILE_EXTENSION);
+
+        return this._joinWithBaseScreenshotPath(joinPath(screenshotDir, 'traces', traceFileName));
+    }
+
     _getThumbnailPath (screenshotPath) {
         const imageName = basename(screenshotPath);
         const imageDir  = dirname(screenshotPath);
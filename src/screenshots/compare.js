@@ -0,0 +1,84 @@
+import { PNG } from 'pngjs';
+import { MARK_BYTES_PER_PIXEL } from './constants';
+
+const DIFF_COLOR            = [255, 0, 0, 255];
+const IGNORED_REGION_COLOR  = [255, 255, 0];
+const BACKGROUND_FADE_RATIO = 0.2;
+
+function isInRegions (x, y, regions) {
+    return regions.some(({ left, top, right, bottom }) => x >= left && x < right && y >= top && y < bottom);
+}
+
+function isPixelEqual (baselineImage, actualImage, x, y) {
+    if (x >= baselineImage.width || y >= baselineImage.height || x >= actualImage.width || y >= actualImage.height)
+        return false;
+
+    const baselineIndex = (baselineImage.width * y + x) * MARK_BYTES_PER_PIXEL;
+    const actualIndex   = (actualImage.width * y + x) * MARK_BYTES_PER_PIXEL;
+
+    for (let i = 0; i < MARK_BYTES_PER_PIXEL; i++) {
+        if (baselineImage.data[baselineIndex + i] !== actualImage.data[actualIndex + i])
+            return false;
+    }
+
+    return true;
+}
+
+function getFadedColor (image, x, y, tint) {
+    if (x >= image.width || y >= image.height)
+        return [255, 255, 255, 255];
+
+    const index = (image.width * y + x) * MARK_BYTES_PER_PIXEL;
+    const gray  = (image.data[index] + image.data[index + 1] + image.data[index + 2]) / 3;
+
+    // NOTE: blend a grayscale version of the actual pixel with white (or the tint color for ignored regions)
+    // so that the differing pixels stand out in the diff image
+    return [0, 1, 2].map(channel => {
+        const background = tint ? tint[channel] : 255;
+
+        return Math.round(background * (1 - BACKGROUND_FADE_RATIO) + gray * BACKGROUND_FADE_RATIO);
+    }).concat(255);
+}
+
+// NOTE: images are compared pixel-by-pixel. Pixels that are present only in one of the images
+// (when the image dimensions differ) are considered different. Pixels in the ignored regions are skipped.
+export default function compareScreenshots (baselineImage, actualImage, { ignoreRegions = [] } = {}) {
+    const width     = Math.max(baselineImage.width, actualImage.width);
+    const height    = Math.max(baselineImage.height, actualImage.height);
+    const diffImage = new PNG({ width, height });
+
+    let comparedPixels = 0;
+    let diffPixels     = 0;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const isIgnored = isInRegions(x, y, ignoreRegions);
+            let color       = null;
+
+            if (isIgnored)
+                color = getFadedColor(actualImage, x, y, IGNORED_REGION_COLOR);
+            else {
+                comparedPixels++;
+
+                if (isPixelEqual(baselineImage, actualImage, x, y))
+                    color = getFadedColor(actualImage, x, y);
+                else {
+                    diffPixels++;
+
+                    color = DIFF_COLOR;
+                }
+            }
+
+            const index = (width * y + x) * MARK_BYTES_PER_PIXEL;
+
+            for (let i = 0; i < MARK_BYTES_PER_PIXEL; i++)
+                diffImage.data[index + i] = color[i];
+        }
+    }
+
+    return {
+        diffPixels,
+        diffRatio: comparedPixels ? diffPixels / comparedPixels : 0,
+        diffImage,
+    };
+}
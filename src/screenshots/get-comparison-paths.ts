@@ -0,0 +1,39 @@
+import { join, dirname } from 'path';
+import sanitizeFilename from 'sanitize-filename';
+import escapeUserAgent from '../utils/escape-user-agent';
+import { ParsedUserAgent } from '../utils/parse-user-agent';
+import DEFAULT_SCREENSHOT_EXTENSION from './default-extension';
+
+const DEFAULT_BASELINES_DIRECTORY = '__screenshots__';
+const COMPARISONS_DIRECTORY       = 'comparisons';
+const DIFF_SUFFIX                 = '.diff';
+
+interface ComparisonPathsInit {
+    screenshotName: string;
+    testFilePath: string;
+    screenshotsPath: string;
+    baselinesPath?: string;
+    parsedUserAgent: ParsedUserAgent;
+}
+
+export interface ComparisonPaths {
+    baselinePath: string;
+    actualRelativePath: string;
+    diffPath: string;
+}
+
+// NOTE: page rendering depends on the browser and the operating system,
+// so baselines are stored separately for each browser and OS, but not for each version
+export default function getComparisonPaths ({ screenshotName, testFilePath, screenshotsPath, baselinesPath, parsedUserAgent }: ComparisonPathsInit): ComparisonPaths {
+    // NOTE: the screenshot name is used as a directory name, so it should not point outside the screenshot directories
+    const screenshotDir      = sanitizeFilename(screenshotName, { replacement: '_' });
+    const baselinesDir       = baselinesPath || join(dirname(testFilePath), DEFAULT_BASELINES_DIRECTORY);
+    const browserKey         = escapeUserAgent(`${parsedUserAgent.name} ${parsedUserAgent.os.name}`);
+    const actualRelativePath = join(COMPARISONS_DIRECTORY, screenshotDir, `${browserKey}.${DEFAULT_SCREENSHOT_EXTENSION}`);
+
+    return {
+        baselinePath: join(baselinesDir, screenshotDir, `${browserKey}.${DEFAULT_SCREENSHOT_EXTENSION}`),
+        diffPath:     join(screenshotsPath, COMPARISONS_DIRECTORY, screenshotDir, `${browserKey}${DIFF_SUFFIX}.${DEFAULT_SCREENSHOT_EXTENSION}`),
+        actualRelativePath,
+    };
+}
@@ -15,6 +15,9 @@ import {
     OkAssertionCommand,
     TypeOfAssertionCommand,
     WithinAssertionCommand,
+    ToMatchScreenshotAssertionCommand,
+    ToMatchSnapshotAssertionCommand,
+    MatchesSchemaAssertionCommand,
 } from '../../../../../test-run/commands/assertion';
 import { CommandConstructor } from './types';
 import AssertionType from '../../../../../assertions/type';
@@ -37,6 +40,9 @@ const ASSERTION_COMMAND_CONSTRUCTORS = new Map<string, CommandConstructor>([
     [AssertionType.notWithin, NotWithinAssertionCommand],
     [AssertionType.match, MatchAssertionCommand],
     [AssertionType.notMatch, NotMatchAssertionCommand],
+    [AssertionType.toMatchScreenshot, ToMatchScreenshotAssertionCommand],
+    [AssertionType.toMatchSnapshot, ToMatchSnapshotAssertionCommand],
+    [AssertionType.matchesSchema, MatchesSchemaAssertionCommand],
 ]);
 
 export default ASSERTION_COMMAND_CONSTRUCTORS;
@@ -19,6 +19,11 @@ import {
     GetBrowserConsoleMessagesCommand,
     GetCurrentWindowCommand,
     GetNativeDialogHistoryCommand,
+    GetPerformanceMetricsCommand,
+    AttachCommand,
+    RequestCommand,
+    EmulateCommand,
+    SetNetworkConditionsCommand,
     HoverCommand,
     NavigateToCommand,
     OpenWindowCommand,
@@ -69,6 +74,11 @@ const COMMAND_CONSTRUCTORS = new Map<string, CommandConstructor>([
     [CommandType.switchToMainWindow, SwitchToMainWindowCommand],
     [CommandType.getNativeDialogHistory, GetNativeDialogHistoryCommand],
     [CommandType.getBrowserConsoleMessages, GetBrowserConsoleMessagesCommand],
+    [CommandType.getPerformanceMetrics, GetPerformanceMetricsCommand],
+    [CommandType.attach, AttachCommand],
+    [CommandType.request, RequestCommand],
+    [CommandType.emulate, EmulateCommand],
+    [CommandType.setNetworkConditions, SetNetworkConditionsCommand],
     [CommandType.setTestSpeed, SetTestSpeedCommand],
     [CommandType.setPageLoadTimeout, SetPageLoadTimeoutCommand],
     [CommandType.pressKey, PressKeyCommand],
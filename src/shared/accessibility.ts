@@ -0,0 +1,55 @@
+// -------------------------------------------------------------
+// WARNING: this file is used by both the client and the server.
+// Do not use any browser or node-specific API!
+// -------------------------------------------------------------
+
+export interface AccessibilityViolationNode {
+    html: string;
+    target: string;
+}
+
+export interface AccessibilityViolation {
+    id: string;
+    impact: string;
+    description: string;
+    nodes: AccessibilityViolationNode[];
+}
+
+export interface AccessibilityRule {
+    id: string;
+    impact: string;
+    description: string;
+}
+
+export interface AccessibilityCheckResult {
+    url: string;
+    violations: AccessibilityViolation[];
+}
+
+// NOTE: impact levels are sorted from the least to the most severe one
+export const IMPACT_LEVELS = ['minor', 'moderate', 'serious', 'critical'];
+
+export const DEFAULT_IMPACT_LEVEL = IMPACT_LEVELS[0];
+
+// NOTE: the order of rules determines the order of violations in the audit result.
+// The checks of the rules are performed on the client (see src/client/core/accessibility/rules.js).
+export const RULES: AccessibilityRule[] = [
+    { id: 'image-alt', impact: 'critical', description: 'Images must have alternate text' },
+    { id: 'input-image-alt', impact: 'critical', description: 'Image buttons must have alternate text' },
+    { id: 'button-name', impact: 'critical', description: 'Buttons must have discernible text' },
+    { id: 'link-name', impact: 'serious', description: 'Links must have discernible text' },
+    { id: 'label', impact: 'critical', description: 'Form elements must have labels' },
+    { id: 'document-title', impact: 'serious', description: 'Documents must have a <title> element to aid in navigation' },
+    { id: 'html-has-lang', impact: 'serious', description: '<html> element must have a lang attribute' },
+    { id: 'frame-title', impact: 'serious', description: 'Frames must have an accessible name' },
+    { id: 'empty-heading', impact: 'minor', description: 'Headings should not be empty' },
+    { id: 'duplicate-id', impact: 'minor', description: 'id attribute values must be unique' },
+];
+
+export const RULE_IDS = RULES.map(rule => rule.id).sort();
+
+export function filterViolationsByImpact (violations: AccessibilityViolation[], impactLevel: string): AccessibilityViolation[] {
+    const minImpactIndex = IMPACT_LEVELS.indexOf(impactLevel);
+
+    return violations.filter(violation => IMPACT_LEVELS.indexOf(violation.impact) >= minImpactIndex);
+}
@@ -0,0 +1,33 @@
+// -------------------------------------------------------------
+// WARNING: this file is used by both the client and the server.
+// Do not use any browser or node-specific API!
+// -------------------------------------------------------------
+
+export interface Geolocation {
+    latitude: number;
+    longitude: number;
+    accuracy?: number;
+}
+
+// NOTE: null resets the corresponding emulated value, undefined leaves it unchanged
+export interface EmulationSettings {
+    geolocation?: Geolocation | null;
+    timezoneId?: string | null;
+    locale?: string | null;
+    colorScheme?: string | null;
+    reducedMotion?: string | null;
+    offline?: boolean;
+}
+
+export const COLOR_SCHEMES = ['light', 'dark', 'no-preference'];
+
+export const REDUCED_MOTION_MODES = ['reduce', 'no-preference'];
+
+export const DEFAULT_EMULATION_SETTINGS: EmulationSettings = {
+    geolocation:   null,
+    timezoneId:    null,
+    locale:        null,
+    colorScheme:   null,
+    reducedMotion: null,
+    offline:       false,
+};
@@ -143,6 +143,54 @@ export class ActionSpeedOptionError extends ActionOptionErrorBase {
     }
 }
 
+export class ActionRatioOptionError extends ActionOptionErrorBase {
+    constructor (optionName, actualValue) {
+        super(TEST_RUN_ERRORS.actionRatioOptionError, optionName, actualValue);
+    }
+}
+
+export class ActionRegionsOptionError extends ActionOptionErrorBase {
+    constructor (optionName, actualValue) {
+        super(TEST_RUN_ERRORS.actionRegionsOptionError, optionName, actualValue);
+    }
+}
+
+export class ActionImpactLevelOptionError extends ActionOptionErrorBase {
+    constructor (optionName, actualValue) {
+        super(TEST_RUN_ERRORS.actionImpactLevelOptionError, optionName, actualValue);
+    }
+}
+
+export class ActionAccessibilityRulesOptionError extends ActionOptionErrorBase {
+    constructor (optionName, actualValue) {
+        super(TEST_RUN_ERRORS.actionAccessibilityRulesOptionError, optionName, actualValue);
+    }
+}
+
+export class ActionStringOptionError extends ActionOptionErrorBase {
+    constructor (optionName, actualValue) {
+        super(TEST_RUN_ERRORS.actionStringOptionError, optionName, actualValue);
+    }
+}
+
+export class ActionGeolocationOptionError extends ActionOptionErrorBase {
+    constructor (optionName, actualValue) {
+        super(TEST_RUN_ERRORS.actionGeolocationOptionError, optionName, actualValue);
+    }
+}
+
+export class ActionColorSchemeOptionError extends ActionOptionErrorBase {
+    constructor (optionName, actualValue) {
+        super(TEST_RUN_ERRORS.actionColorSchemeOptionError, optionName, actualValue);
+    }
+}
+
+export class ActionReducedMotionOptionError extends ActionOptionErrorBase {
+    constructor (optionName, actualValue) {
+        super(TEST_RUN_ERRORS.actionReducedMotionOptionError, optionName, actualValue);
+    }
+}
+
 
 // Action execution errors
 //--------------------------------------------------------------------
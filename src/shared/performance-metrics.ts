@@ -0,0 +1,43 @@
+// -------------------------------------------------------------
+// WARNING: this file is used by both the client and the server.
+// Do not use any browser or node-specific API!
+// -------------------------------------------------------------
+
+import { Dictionary } from '../configuration/interfaces';
+
+// NOTE: all the values are measured in milliseconds from the start of the navigation
+export interface NavigationTimingMetrics {
+    redirect: number;
+    domainLookup: number;
+    connect: number;
+    timeToFirstByte: number;
+    responseEnd: number;
+    domInteractive: number;
+    domContentLoaded: number;
+    load: number;
+}
+
+export interface PaintTimingMetrics {
+    firstPaint: number | null;
+    firstContentfulPaint: number | null;
+}
+
+export interface LongTaskMetrics {
+    count: number;
+    totalDuration: number;
+}
+
+export interface ResourceMetrics {
+    count: number;
+    transferSize: number;
+    byType: Dictionary<number>;
+}
+
+export interface PerformanceMetrics {
+    url: string;
+    navigation: NavigationTimingMetrics | null;
+    paint: PaintTimingMetrics;
+    longTasks: LongTaskMetrics;
+    resources: ResourceMetrics;
+    browser?: Dictionary<number>;
+}
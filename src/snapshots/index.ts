@@ -0,0 +1,195 @@
+import { dirname } from 'path';
+import makeDir from 'make-dir';
+import { AssertionError } from 'chai';
+import TestRun from '../test-run';
+import TestFile from '../api/structure/test-file';
+import MessageBus from '../utils/message-bus';
+import WarningLog from '../notifications/warning-log';
+import WARNING_MESSAGES from '../notifications/warning-message';
+import { Dictionary } from '../configuration/interfaces';
+import { getPluralSuffix } from '../utils/string';
+import { readFile, writeFile } from '../utils/promisified-functions';
+import { getSnapshotFilePath, getTestSnapshotKeyPrefix } from './utils';
+//@ts-ignore
+import { TestRun as LegacyTestRun } from 'testcafe-legacy-api';
+
+interface SnapshotFile {
+    snapshots: Dictionary<string>;
+    checkedKeys: Set<string>;
+    changed: boolean;
+}
+
+export interface SnapshotsOptions {
+    update: boolean;
+}
+
+export default class Snapshots {
+    private readonly _update: boolean;
+    private readonly _warningLog: WarningLog;
+    private readonly _files: Map<string, Promise<SnapshotFile>>;
+    private readonly _passedTestKeyPrefixes: Map<string, Set<string>>;
+    private readonly _testFiles: Map<string, TestFile>;
+
+    public constructor (messageBus: MessageBus, { update }: SnapshotsOptions, warningLog: WarningLog) {
+        this._update                = update;
+        this._warningLog            = warningLog;
+        this._files                 = new Map();
+        this._passedTestKeyPrefixes = new Map();
+        this._testFiles             = new Map();
+
+        messageBus.on('test-run-done', async (testRun: TestRun) => this._onTestRunDone(testRun));
+    }
+
+    private static async _readSnapshots (filePath: string): Promise<Dictionary<string>> {
+        let content = null;
+
+        try {
+            content = await readFile(filePath);
+        }
+        catch (err) {
+            // NOTE: the snapshot file does not exist before the first snapshot of the test file is saved
+            return {};
+        }
+
+        return JSON.parse(content.toString());
+    }
+
+    private static _sortSnapshots (snapshots: Dictionary<string>): Dictionary<string> {
+        return Object.keys(snapshots).sort().reduce((result: Dictionary<string>, key) => {
+            result[key] = snapshots[key];
+
+            return result;
+        }, {});
+    }
+
+    // NOTE: a file is loaded once, even if its snapshots are requested from several test runs concurrently
+    private _getFile (filePath: string): Promise<SnapshotFile> {
+        if (!this._files.has(filePath)) {
+            this._files.set(filePath, Snapshots._readSnapshots(filePath).then(snapshots => ({
+                snapshots,
+                checkedKeys: new Set<string>(),
+                changed:     false,
+            })));
+        }
+
+        return this._files.get(filePath) as Promise<SnapshotFile>;
+    }
+
+    // NOTE: the event is raised once for the final result of a test in each browser, after all its attempts.
+    // Snapshots of a failed test can be left unchecked, so only the tests that passed in any browser are taken into account.
+    // Legacy tests do not have snapshot assertions.
+    private _onTestRunDone (testRun: TestRun): void {
+        if ((testRun.test as LegacyTestRun).isLegacy || testRun.test.skip || testRun.errs.length)
+            return;
+
+        const filePath = getSnapshotFilePath(testRun.test.testFile.filename);
+
+        if (!this._passedTestKeyPrefixes.has(filePath)) {
+            this._passedTestKeyPrefixes.set(filePath, new Set());
+            this._testFiles.set(filePath, testRun.test.testFile);
+        }
+
+        (this._passedTestKeyPrefixes.get(filePath) as Set<string>).add(getTestSnapshotKeyPrefix(testRun.test));
+    }
+
+    // NOTE: a test file is completed if all its tests, except for the skipped ones, ran and passed.
+    // The tests excluded by a filter or by the "only" modifier did not run, so their snapshots cannot be checked.
+    private _isTestFileCompleted (filePath: string): boolean {
+        const testFile          = this._testFiles.get(filePath) as TestFile;
+        const passedKeyPrefixes = this._passedTestKeyPrefixes.get(filePath) as Set<string>;
+
+        return testFile.collectedTests.every(test => test.skip || passedKeyPrefixes.has(getTestSnapshotKeyPrefix(test)));
+    }
+
+    // NOTE: a snapshot is obsolete if its test passed without checking it. If the test file is completed,
+    // the snapshots of the renamed and removed tests, whose keys match none of the file's tests, are obsolete as well.
+    private _getObsoleteKeys (filePath: string, file: SnapshotFile): string[] {
+        const passedKeyPrefixes = Array.from(this._passedTestKeyPrefixes.get(filePath) || []);
+        const testFile          = this._testFiles.get(filePath);
+        const testKeyPrefixes   = testFile && this._isTestFileCompleted(filePath) ? testFile.collectedTests.map(getTestSnapshotKeyPrefix) : null;
+
+        return Object.keys(file.snapshots).filter(key => {
+            if (file.checkedKeys.has(key))
+                return false;
+
+            const isPrefixOf = (prefix: string): boolean => key.startsWith(prefix);
+
+            return passedKeyPrefixes.some(isPrefixOf) || !!testKeyPrefixes && !testKeyPrefixes.some(isPrefixOf);
+        });
+    }
+
+    private _processObsoleteSnapshots (filePath: string, file: SnapshotFile): void {
+        const obsoleteKeys = this._getObsoleteKeys(filePath, file);
+
+        if (!obsoleteKeys.length)
+            return;
+
+        if (!this._update) {
+            this._warningLog.addWarning(WARNING_MESSAGES.obsoleteSnapshotsFound, filePath, obsoleteKeys.length,
+                getPluralSuffix(obsoleteKeys), obsoleteKeys.join('\n'));
+
+            return;
+        }
+
+        for (const key of obsoleteKeys)
+            delete file.snapshots[key];
+
+        file.changed = true;
+    }
+
+    public async match (testFilePath: string, key: string, value: string): Promise<void> {
+        const file     = await this._getFile(getSnapshotFilePath(testFilePath));
+        const expected = file.snapshots[key];
+
+        file.checkedKeys.add(key);
+
+        if (expected === value)
+            return;
+
+        if (expected === void 0 || this._update) {
+            file.snapshots[key] = value;
+            file.changed        = true;
+
+            return;
+        }
+
+        throw new AssertionError(`expected the value to match the "${key}" snapshot`, {
+            actual:   value,
+            expected,
+            showDiff: true,
+        });
+    }
+
+    // NOTE: besides the files used by snapshot assertions, the files of the completed test files are loaded
+    // to find the snapshots left after the removed assertions and tests
+    public async save (): Promise<void> {
+        for (const filePath of this._testFiles.keys()) {
+            if (this._isTestFileCompleted(filePath))
+                this._getFile(filePath);
+        }
+
+        for (const [filePath, filePromise] of this._files) {
+            let file = null;
+
+            try {
+                file = await filePromise;
+            }
+            catch (err) {
+                continue;
+            }
+
+            this._processObsoleteSnapshots(filePath, file);
+
+            if (!file.changed)
+                continue;
+
+            try {
+                await makeDir(dirname(filePath));
+                await writeFile(filePath, JSON.stringify(Snapshots._sortSnapshots(file.snapshots), null, 2));
+            }
+            catch (err) {
+                this._warningLog.addWarning(WARNING_MESSAGES.snapshotsSavingError, filePath, err.message);
+            }
+        }
+    }
+}
@@ -0,0 +1,48 @@
+import {
+    join,
+    dirname,
+    basename,
+} from 'path';
+import Test from '../api/structure/test';
+import Fixture from '../api/structure/fixture';
+
+const SNAPSHOTS_DIRECTORY       = '__snapshots__';
+const SNAPSHOT_FILE_EXTENSION   = '.snap';
+const KEY_SEPARATOR             = ' > ';
+const WHITESPACES_BETWEEN_TAGS  = />\s+</g;
+const WHITESPACES               = /\s+/g;
+const ADJACENT_TAGS             = /></g;
+
+export function getSnapshotFilePath (testFilePath: string): string {
+    return join(dirname(testFilePath), SNAPSHOTS_DIRECTORY, basename(testFilePath) + SNAPSHOT_FILE_EXTENSION);
+}
+
+export function getTestSnapshotKeyPrefix (test: Test): string {
+    return [(test.fixture as Fixture).name, test.name].join(KEY_SEPARATOR) + KEY_SEPARATOR;
+}
+
+export function getSnapshotKey (test: Test, name: string): string {
+    return getTestSnapshotKeyPrefix(test) + name;
+}
+
+// NOTE: the markup is formatted so that each tag starts a new line,
+// which makes the diff of a failed assertion readable
+export function normalizeHtml (html: string): string {
+    return html
+        .replace(WHITESPACES_BETWEEN_TAGS, '><')
+        .replace(WHITESPACES, ' ')
+        .trim()
+        .replace(ADJACENT_TAGS, '>\n<');
+}
+
+export function serializeSnapshotValue (value: unknown, html = false): string {
+    if (html)
+        return normalizeHtml(String(value));
+
+    if (typeof value === 'string')
+        return value;
+
+    const json = JSON.stringify(value, null, 2);
+
+    return json === void 0 ? String(value) : json;
+}
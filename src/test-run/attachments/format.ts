@@ -0,0 +1,7 @@
+enum AttachmentFormat {
+    text = 'text',
+    json = 'json',
+    binary = 'binary'
+}
+
+export default AttachmentFormat;
@@ -0,0 +1,121 @@
+import { dirname, extname } from 'path';
+import makeDir from 'make-dir';
+import sanitizeFilename from 'sanitize-filename';
+import { isPlainObject } from 'lodash';
+import db from 'mime-db';
+import AttachmentFormat from './format';
+import resolvePathRelativelyCwd from '../../utils/resolve-path-relatively-cwd';
+import {
+    copyFile,
+    stat,
+    writeFile,
+} from '../../utils/promisified-functions';
+
+export interface AttachmentInfo {
+    name: string;
+    path: string;
+    contentType: string;
+    size: number;
+}
+
+export interface AttachmentData {
+    name: string;
+    content: string;
+    format: AttachmentFormat;
+    contentType?: string;
+    fromFile?: boolean;
+}
+
+export interface SerializedAttachmentContent {
+    content: unknown;
+    format: AttachmentFormat;
+}
+
+const DEFAULT_CONTENT_TYPES = {
+    [AttachmentFormat.text]:   'text/plain',
+    [AttachmentFormat.json]:   'application/json',
+    [AttachmentFormat.binary]: 'application/octet-stream',
+};
+
+const UNKNOWN_FILE_CONTENT_TYPE = 'application/octet-stream';
+
+let contentTypesByExtension: Map<string, string> | null = null;
+
+function getContentTypeByExtension (extension: string): string {
+    if (!contentTypesByExtension) {
+        contentTypesByExtension = new Map();
+
+        for (const contentType of Object.keys(db)) {
+            // @ts-ignore: Export of the 'mime-db' module has no index signature.
+            const { extensions } = db[contentType];
+
+            if (!extensions)
+                continue;
+
+            for (const ext of extensions) {
+                if (!contentTypesByExtension.has(ext))
+                    contentTypesByExtension.set(ext, contentType);
+            }
+        }
+    }
+
+    return contentTypesByExtension.get(extension.slice(1).toLowerCase()) || UNKNOWN_FILE_CONTENT_TYPE;
+}
+
+function getExtensionByContentType (contentType: string): string {
+    // @ts-ignore: Export of the 'mime-db' module has no index signature.
+    const { extensions } = db[contentType.toLowerCase()] || {};
+
+    return extensions && extensions.length ? `.${extensions[0]}` : '';
+}
+
+// NOTE: a string is only treated as a file path when it is explicitly requested,
+// so that text that matches the name of an existing file is not replaced with the file contents
+function getSourceFilePath ({ content, format, fromFile }: AttachmentData): string | null {
+    if (!fromFile || format !== AttachmentFormat.text)
+        return null;
+
+    return resolvePathRelativelyCwd(content);
+}
+
+function getFileName (index: number, name: string, contentType: string, sourceFilePath: string | null): string {
+    const extension = extname(name) ? '' : sourceFilePath && extname(sourceFilePath) || getExtensionByContentType(contentType);
+
+    return sanitizeFilename(`${index}-${name}${extension}`, { replacement: '_' });
+}
+
+// NOTE: Buffers and objects cannot be passed to the test run as is,
+// so they are converted to strings before an attach command is created
+export function serializeAttachmentContent (value: unknown): SerializedAttachmentContent {
+    if (Buffer.isBuffer(value))
+        return { content: value.toString('base64'), format: AttachmentFormat.binary };
+
+    if (isPlainObject(value) || Array.isArray(value)) {
+        try {
+            return { content: JSON.stringify(value, null, 2), format: AttachmentFormat.json };
+        }
+        catch (err) {
+            // NOTE: circular objects are reported by the command validation
+        }
+    }
+
+    return { content: value, format: AttachmentFormat.text };
+}
+
+export async function saveAttachment (data: AttachmentData, index: number, getPath: (fileName: string) => string): Promise<AttachmentInfo> {
+    const sourceFilePath = getSourceFilePath(data);
+    const defaultType    = sourceFilePath ? getContentTypeByExtension(extname(sourceFilePath)) : DEFAULT_CONTENT_TYPES[data.format];
+    const contentType    = data.contentType || defaultType;
+    const path           = getPath(getFileName(index, data.name, contentType, sourceFilePath));
+
+    await makeDir(dirname(path));
+
+    if (sourceFilePath)
+        await copyFile(sourceFilePath, path);
+    else
+        await writeFile(path, data.content, data.format === AttachmentFormat.binary ? 'base64' : 'utf8');
+
+    const { size } = await stat(path);
+
+    return { name: data.name, path, contentType, size };
+}
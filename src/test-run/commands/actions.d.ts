@@ -1,3 +1,4 @@
+import { OutgoingHttpHeaders } from 'http';
 import { ActionCommandBase, CommandBase } from './base';
 import { ExecuteClientFunctionCommand, ExecuteSelectorCommand } from './observation';
 
@@ -8,10 +9,17 @@ import {
     MouseOptions,
     PressOptions,
     TypeOptions,
+    AccessibilityOptions,
+    AttachOptions,
+    RequestOptions,
+    EmulationOptions,
+    NetworkConditionsOptions,
 } from './options';
 
 import Role from '../../role/role';
 import TestRun from '../index';
+import AttachmentFormat from '../attachments/format';
+import { RequestCredentials } from '../request';
 
 
 export class SetNativeDialogHandlerCommand extends ActionCommandBase {
@@ -40,6 +48,43 @@ export class TypeTextCommand extends ActionCommandBase {
     public options: TypeOptions;
 }
 
+export class CheckAccessibilityCommand extends ActionCommandBase {
+    public constructor(obj: object, testRun: TestRun, validateProperties?: boolean);
+    public selector: ExecuteSelectorCommand | null;
+    public options: AccessibilityOptions;
+}
+
+export class AttachCommand extends ActionCommandBase {
+    public constructor(obj: object, testRun: TestRun, validateProperties?: boolean);
+    public name: string;
+    public content: string;
+    public format: AttachmentFormat;
+    public options: AttachOptions;
+    public static NOT_REPORTED_PROPERTIES: string[];
+}
+
+export class RequestCommand extends ActionCommandBase {
+    public constructor(obj: object, testRun: TestRun, validateProperties?: boolean);
+    public url: string;
+    public method: string;
+    public headers?: OutgoingHttpHeaders;
+    public params?: Record<string, unknown> | URLSearchParams;
+    public body?: unknown;
+    public auth?: RequestCredentials;
+    public options: RequestOptions;
+    public static NOT_REPORTED_PROPERTIES: string[];
+}
+
+export class EmulateCommand extends ActionCommandBase {
+    public constructor(obj: object, testRun: TestRun, validateProperties?: boolean);
+    public options: EmulationOptions;
+}
+
+export class SetNetworkConditionsCommand extends ActionCommandBase {
+    public constructor(obj: object, testRun: TestRun, validateProperties?: boolean);
+    public conditions: NetworkConditionsOptions;
+}
+
 export class UseRoleCommand extends ActionCommandBase {
     public constructor(obj: object, testRun: TestRun, validateProperties?: boolean);
     public role: Role;
@@ -95,6 +140,10 @@ export class GetBrowserConsoleMessagesCommand extends ActionCommandBase {
     public constructor(obj: object, testRun: TestRun, validateProperties?: boolean);
 }
 
+export class GetPerformanceMetricsCommand extends ActionCommandBase {
+    public constructor(obj?: object, testRun?: TestRun, validateProperties?: boolean);
+}
+
 export class SetTestSpeedCommand extends ActionCommandBase {
     public constructor(obj: object, testRun?: TestRun, validateProperties?: boolean);
     public speed: number;
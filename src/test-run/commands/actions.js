@@ -11,6 +11,11 @@ import {
     PressOptions,
     DragToElementOptions,
     OffsetOptions,
+    AccessibilityOptions,
+    AttachOptions,
+    RequestOptions,
+    EmulationOptions,
+    NetworkConditionsOptions,
 } from './options';
 
 import { initSelector, initUploadSelector } from './validations/initializers';
@@ -30,11 +35,15 @@ import {
     actionRoleArgument,
     booleanArgument,
     functionArgument,
+    attachmentContentArgument,
+    objectArgument,
+    requestCredentialsArgument,
 } from './validations/argument';
 
 import { SetNativeDialogHandlerCodeWrongTypeError } from '../../errors/test-run';
 import { ExecuteClientFunctionCommand } from './observation';
 import { camelCase } from 'lodash';
+import AttachmentFormat from '../attachments/format';
 
 
 // Initializers
@@ -66,6 +75,26 @@ function initPressOptions (name, val, initOptions, validate = true) {
     return new PressOptions(val, validate);
 }
 
+function initAccessibilityOptions (name, val, initOptions, validate = true) {
+    return new AccessibilityOptions(val, validate);
+}
+
+function initAttachOptions (name, val, initOptions, validate = true) {
+    return new AttachOptions(val, validate);
+}
+
+function initRequestOptions (name, val, initOptions, validate = true) {
+    return new RequestOptions(val, validate);
+}
+
+function initEmulationOptions (name, val, initOptions, validate = true) {
+    return new EmulationOptions(val, validate);
+}
+
+function initNetworkConditionsOptions (name, val, initOptions, validate = true) {
+    return new NetworkConditionsOptions(val, validate);
+}
+
 function initDialogHandler (name, val, { skipVisibilityCheck, testRun }) {
     let fn;
 
@@ -588,6 +617,104 @@ export class GetBrowserConsoleMessagesCommand extends ActionCommandBase {
     }
 }
 
+export class CheckAccessibilityCommand extends ActionCommandBase {
+    static methodName = camelCase(TYPE.checkAccessibility);
+
+    constructor (obj, testRun, validateProperties) {
+        super(obj, testRun, TYPE.checkAccessibility, validateProperties);
+    }
+
+    _getAssignableProperties () {
+        return [
+            { name: 'selector', init: initSelector, required: false },
+            { name: 'options', type: actionOptions, init: initAccessibilityOptions, required: true },
+        ];
+    }
+}
+
+export class GetPerformanceMetricsCommand extends ActionCommandBase {
+    static methodName = camelCase(TYPE.getPerformanceMetrics);
+
+    constructor (obj, testRun, validateProperties) {
+        super(obj, testRun, TYPE.getPerformanceMetrics, validateProperties);
+    }
+}
+
+export class AttachCommand extends ActionCommandBase {
+    static methodName = camelCase(TYPE.attach);
+
+    constructor (obj, testRun, validateProperties) {
+        super(obj, testRun, TYPE.attach, validateProperties);
+    }
+
+    // NOTE: the attachment content can be large, so it is not passed to reporters
+    static get NOT_REPORTED_PROPERTIES () {
+        return ['content'];
+    }
+
+    _getAssignableProperties () {
+        return [
+            { name: 'name', type: nonEmptyStringArgument, required: true },
+            { name: 'content', type: attachmentContentArgument, required: true },
+            { name: 'format', defaultValue: AttachmentFormat.text },
+            { name: 'options', type: actionOptions, init: initAttachOptions, required: true },
+        ];
+    }
+}
+
+export class RequestCommand extends ActionCommandBase {
+    static methodName = camelCase(TYPE.request);
+
+    constructor (obj, testRun, validateProperties) {
+        super(obj, testRun, TYPE.request, validateProperties);
+    }
+
+    // NOTE: request headers, credentials and bodies can contain sensitive data, so they are not passed to reporters
+    static get NOT_REPORTED_PROPERTIES () {
+        return ['headers', 'body', 'auth'];
+    }
+
+    _getAssignableProperties () {
+        return [
+            { name: 'url', type: nonEmptyStringArgument, required: true },
+            { name: 'method', type: nonEmptyStringArgument, defaultValue: 'GET' },
+            { name: 'headers', type: objectArgument },
+            { name: 'params', type: objectArgument },
+            { name: 'body' },
+            { name: 'auth', type: requestCredentialsArgument },
+            { name: 'options', type: actionOptions, init: initRequestOptions, required: true },
+        ];
+    }
+}
+
+export class EmulateCommand extends ActionCommandBase {
+    static methodName = camelCase(TYPE.emulate);
+
+    constructor (obj, testRun, validateProperties) {
+        super(obj, testRun, TYPE.emulate, validateProperties);
+    }
+
+    _getAssignableProperties () {
+        return [
+            { name: 'options', type: actionOptions, init: initEmulationOptions, required: true },
+        ];
+    }
+}
+
+export class SetNetworkConditionsCommand extends ActionCommandBase {
+    static methodName = camelCase(TYPE.setNetworkConditions);
+
+    constructor (obj, testRun, validateProperties) {
+        super(obj, testRun, TYPE.setNetworkConditions, validateProperties);
+    }
+
+    _getAssignableProperties () {
+        return [
+            { name: 'conditions', type: actionOptions, init: initNetworkConditionsOptions, required: true },
+        ];
+    }
+}
+
 export class SetTestSpeedCommand extends ActionCommandBase {
     static methodName = camelCase(TYPE.setTestSpeed);
 
@@ -1,6 +1,11 @@
 import { ActionCommandBase } from './base';
-import { AssertionOptions } from './options';
+import {
+    AssertionOptions,
+    ScreenshotComparisonOptions,
+    SnapshotOptions,
+} from './options';
 import TestRun from '../index';
+import { JsonSchema } from '../../assertions/json-schema/validator';
 
 export class AssertionCommand extends ActionCommandBase {
     public constructor(obj: object, testRun: TestRun, validateProperties?: boolean);
@@ -11,6 +16,7 @@ export class AssertionCommand extends ActionCommandBase {
     public expected: unknown;
     public expected2: unknown;
     public message: string;
+    public poll?: boolean;
     public options: AssertionOptions;
     public static NOT_REPORTED_PROPERTIES: string[];
 }
@@ -46,3 +52,17 @@ export class NotWithinAssertionCommand extends AssertionCommand {}
 export class MatchAssertionCommand extends AssertionCommand {}
 
 export class NotMatchAssertionCommand extends AssertionCommand {}
+
+export class ToMatchScreenshotAssertionCommand extends AssertionCommand {
+    public expected: string;
+    public options: ScreenshotComparisonOptions;
+}
+
+export class ToMatchSnapshotAssertionCommand extends AssertionCommand {
+    public expected: string | undefined;
+    public options: SnapshotOptions;
+}
+
+export class MatchesSchemaAssertionCommand extends AssertionCommand {
+    public expected: JsonSchema;
+}
@@ -1,6 +1,10 @@
 import TYPE from './type';
 import { ActionCommandBase } from './base';
-import { AssertionOptions } from './options';
+import {
+    AssertionOptions,
+    ScreenshotComparisonOptions,
+    SnapshotOptions,
+} from './options';
 import { APIError } from '../../errors/runtime';
 import { AssertionExecutableArgumentError } from '../../errors/test-run';
 import { executeJsExpression } from '../execute-js-expression';
@@ -11,14 +15,31 @@ import {
     stringArgument,
     actionOptions,
     nonEmptyStringArgument,
+    jsonSchemaArgument,
+    functionArgument,
 } from './validations/argument';
 
 
+// Validators
+function pollArgument (name, { fn, options }) {
+    functionArgument('fn', fn);
+    actionOptions('options', options);
+}
+
+
 // Initializers
 function initAssertionOptions (name, val) {
     return new AssertionOptions(val, true);
 }
 
+function initSnapshotOptions (name, val) {
+    return new SnapshotOptions(val, true);
+}
+
+function initScreenshotComparisonOptions (name, val) {
+    return new ScreenshotComparisonOptions(val, true);
+}
+
 //Initializers
 function initAssertionParameter (name, val, { skipVisibilityCheck, testRun }) {
     try {
@@ -32,7 +53,12 @@ function initAssertionParameter (name, val, { skipVisibilityCheck, testRun }) {
     }
 }
 
-const NOT_REPORTED_PROPERTIES = ['id', 'originActual'];
+// NOTE: the polled function is passed to the command as the actual value
+function initPoll () {
+    return true;
+}
+
+const NOT_REPORTED_PROPERTIES = ['id', 'originActual', 'poll'];
 
 // Commands
 export class AssertionCommand extends ActionCommandBase {
@@ -51,6 +77,7 @@ export class AssertionCommand extends ActionCommandBase {
             { name: 'expected', init: initAssertionParameter, defaultValue: void 0 },
             { name: 'expected2', init: initAssertionParameter, defaultValue: void 0 },
             { name: 'message', type: stringArgument, defaultValue: null },
+            { name: 'poll', type: pollArgument, init: initPoll },
             { name: 'options', type: actionOptions, init: initAssertionOptions, required: true },
         ];
     }
@@ -123,3 +150,54 @@ export class MatchAssertionCommand extends AssertionCommand {
 export class NotMatchAssertionCommand extends AssertionCommand {
     static methodName = ASSERTION_TYPE.notMatch;
 }
+
+export class ToMatchScreenshotAssertionCommand extends AssertionCommand {
+    static methodName = ASSERTION_TYPE.toMatchScreenshot;
+
+    _getAssignableProperties () {
+        return [
+            { name: 'id', type: nonEmptyStringArgument, required: false },
+            { name: 'assertionType', type: nonEmptyStringArgument, required: true },
+            { name: 'originActual', defaultValue: void 0 },
+            { name: 'actual', init: initAssertionParameter, defaultValue: void 0 },
+            { name: 'expected', type: nonEmptyStringArgument, required: true },
+            { name: 'message', type: stringArgument, defaultValue: null },
+            { name: 'poll', type: pollArgument, init: initPoll },
+            { name: 'options', type: actionOptions, init: initScreenshotComparisonOptions, required: true },
+        ];
+    }
+}
+
+export class ToMatchSnapshotAssertionCommand extends AssertionCommand {
+    static methodName = ASSERTION_TYPE.toMatchSnapshot;
+
+    _getAssignableProperties () {
+        return [
+            { name: 'id', type: nonEmptyStringArgument, required: false },
+            { name: 'assertionType', type: nonEmptyStringArgument, required: true },
+            { name: 'originActual', defaultValue: void 0 },
+            { name: 'actual', init: initAssertionParameter, defaultValue: void 0 },
+            { name: 'expected', type: nonEmptyStringArgument, defaultValue: void 0 },
+            { name: 'message', type: stringArgument, defaultValue: null },
+            { name: 'poll', type: pollArgument, init: initPoll },
+            { name: 'options', type: actionOptions, init: initSnapshotOptions, required: true },
+        ];
+    }
+}
+
+export class MatchesSchemaAssertionCommand extends AssertionCommand {
+    static methodName = ASSERTION_TYPE.matchesSchema;
+
+    _getAssignableProperties () {
+        return [
+            { name: 'id', type: nonEmptyStringArgument, required: false },
+            { name: 'assertionType', type: nonEmptyStringArgument, required: true },
+            { name: 'originActual', defaultValue: void 0 },
+            { name: 'actual', init: initAssertionParameter, defaultValue: void 0 },
+            { name: 'expected', type: jsonSchemaArgument, required: true },
+            { name: 'message', type: stringArgument, defaultValue: null },
+            { name: 'poll', type: pollArgument, init: initPoll },
+            { name: 'options', type: actionOptions, init: initAssertionOptions, required: true },
+        ];
+    }
+}
@@ -23,9 +23,21 @@ import {
     ExecuteExpressionCommand,
     ExecuteAsyncExpressionCommand,
     RecorderCommand,
+    CheckAccessibilityCommand,
+    GetPerformanceMetricsCommand,
+    AttachCommand,
+    RequestCommand,
+    EmulateCommand,
+    SetNetworkConditionsCommand,
 } from './actions';
 
-import { AssertionCommand } from './assertion';
+import {
+    AssertionCommand,
+    ToMatchScreenshotAssertionCommand,
+    ToMatchSnapshotAssertionCommand,
+    MatchesSchemaAssertionCommand,
+} from './assertion';
+import ASSERTION_TYPE from '../../assertions/type';
 
 import {
     TakeScreenshotCommand,
@@ -37,7 +49,7 @@ import {
 
 import { WaitCommand, DebugCommand } from './observation';
 
-function getCmdCtor (type) {
+function getCmdCtor (type, assertionType) {
     switch (type) {
         case TYPE.click:
             return ClickCommand;
@@ -114,7 +126,34 @@ function getCmdCtor (type) {
         case TYPE.setPageLoadTimeout:
             return SetPageLoadTimeoutCommand;
 
+        case TYPE.checkAccessibility:
+            return CheckAccessibilityCommand;
+
+        case TYPE.getPerformanceMetrics:
+            return GetPerformanceMetricsCommand;
+
+        case TYPE.attach:
+            return AttachCommand;
+
+        case TYPE.request:
+            return RequestCommand;
+
+        case TYPE.emulate:
+            return EmulateCommand;
+
+        case TYPE.setNetworkConditions:
+            return SetNetworkConditionsCommand;
+
         case TYPE.assertion:
+            if (assertionType === ASSERTION_TYPE.toMatchScreenshot)
+                return ToMatchScreenshotAssertionCommand;
+
+            if (assertionType === ASSERTION_TYPE.toMatchSnapshot)
+                return ToMatchSnapshotAssertionCommand;
+
+            if (assertionType === ASSERTION_TYPE.matchesSchema)
+                return MatchesSchemaAssertionCommand;
+
             return AssertionCommand;
 
         case TYPE.debug:
@@ -136,7 +175,7 @@ function getCmdCtor (type) {
 
 // Create command from object
 export default function createCommandFromObject (obj, testRun) {
-    const CmdCtor = getCmdCtor(obj.type);
+    const CmdCtor = getCmdCtor(obj.type, obj.assertionType);
 
     return CmdCtor && new CmdCtor(obj, testRun);
 }
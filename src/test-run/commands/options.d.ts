@@ -1,3 +1,5 @@
+import { Geolocation } from '../../shared/emulation';
+
 interface Modifiers {
     ctrl: boolean;
     alt: boolean;
@@ -45,6 +47,24 @@ export class AssertionOptions {
     public constructor(data: object, validate: boolean);
     public timeout: number;
     public allowUnawaitedPromise: number;
+    public soft: boolean;
+    public interval?: number;
+}
+
+export interface ScreenshotRegion {
+    left: number;
+    top: number;
+    right: number;
+    bottom: number;
+}
+
+export class SnapshotOptions extends AssertionOptions {
+    public html: boolean;
+}
+
+export class ScreenshotComparisonOptions extends AssertionOptions {
+    public threshold: number;
+    public ignoreRegions: ScreenshotRegion[];
 }
 
 export class ResizeToFitDeviceOptions {
@@ -64,3 +84,41 @@ export class ElementScreenshotOptions extends ActionOptions {
     public includePaddings: number;
     public crop: CropOptions;
 }
+
+export class AccessibilityOptions {
+    public constructor (obj: object, validate: boolean);
+    public rules: string[];
+    public impactLevel: string;
+}
+
+export class AttachOptions {
+    public constructor (obj: object, validate: boolean);
+    public contentType?: string;
+    public fromFile?: boolean;
+}
+
+export class RequestOptions {
+    public constructor (obj: object, validate: boolean);
+    public timeout?: number;
+    public withCredentials: boolean;
+    public rawResponse: boolean;
+    public rejectUnauthorized: boolean;
+}
+
+export class EmulationOptions {
+    public constructor (obj: object, validate: boolean);
+    public geolocation?: Geolocation | null;
+    public timezoneId?: string | null;
+    public locale?: string | null;
+    public colorScheme?: string | null;
+    public reducedMotion?: string | null;
+    public offline?: boolean;
+}
+
+export class NetworkConditionsOptions {
+    public constructor (obj: object, validate: boolean);
+    public latency?: number;
+    public download?: number;
+    public upload?: number;
+    public offline?: boolean;
+}
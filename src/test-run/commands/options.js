@@ -8,19 +8,51 @@ import {
     createBooleanValidator,
     createIntegerValidator,
     createPositiveIntegerValidator,
+    createNonEmptyStringValidator,
     createSpeedValidator,
+    createRatioValidator,
+    createRegionsValidator,
+    createEnumValidator,
+    createEnumArrayValidator,
+    createGeolocationValidator,
+    createNullableValidator,
 } from './validations/factories';
 import {
     ActionIntegerOptionError,
     ActionPositiveIntegerOptionError,
     ActionBooleanOptionError,
     ActionSpeedOptionError,
+    ActionRatioOptionError,
+    ActionRegionsOptionError,
+    ActionImpactLevelOptionError,
+    ActionAccessibilityRulesOptionError,
+    ActionStringOptionError,
+    ActionGeolocationOptionError,
+    ActionColorSchemeOptionError,
+    ActionReducedMotionOptionError,
 } from '../../shared/errors';
 
+import {
+    IMPACT_LEVELS,
+    RULE_IDS,
+    DEFAULT_IMPACT_LEVEL,
+} from '../../shared/accessibility';
+
+import { COLOR_SCHEMES, REDUCED_MOTION_MODES } from '../../shared/emulation';
+
 export const integerOption         = createIntegerValidator(ActionIntegerOptionError);
 export const positiveIntegerOption = createPositiveIntegerValidator(ActionPositiveIntegerOptionError);
 export const booleanOption         = createBooleanValidator(ActionBooleanOptionError);
 export const speedOption           = createSpeedValidator(ActionSpeedOptionError);
+export const ratioOption           = createRatioValidator(ActionRatioOptionError);
+export const regionsOption         = createRegionsValidator(ActionRegionsOptionError);
+export const impactLevelOption     = createEnumValidator(ActionImpactLevelOptionError, IMPACT_LEVELS);
+export const ruleIdsOption         = createEnumArrayValidator(ActionAccessibilityRulesOptionError, RULE_IDS);
+export const nonEmptyStringOption  = createNonEmptyStringValidator(ActionStringOptionError);
+export const geolocationOption     = createNullableValidator(createGeolocationValidator(ActionGeolocationOptionError));
+export const colorSchemeOption     = createNullableValidator(createEnumValidator(ActionColorSchemeOptionError, COLOR_SCHEMES));
+export const reducedMotionOption   = createNullableValidator(createEnumValidator(ActionReducedMotionOptionError, REDUCED_MOTION_MODES));
+export const nullableStringOption  = createNullableValidator(nonEmptyStringOption);
 
 
 // Actions
@@ -245,6 +277,8 @@ export class AssertionOptions extends Assignable {
 
         this.timeout               = void 0;
         this.allowUnawaitedPromise = false;
+        this.soft                  = false;
+        this.interval              = void 0;
 
         this._assignFrom(obj, validate);
     }
@@ -253,10 +287,46 @@ export class AssertionOptions extends Assignable {
         return [
             { name: 'timeout', type: positiveIntegerOption },
             { name: 'allowUnawaitedPromise', type: booleanOption },
+            { name: 'soft', type: booleanOption },
+            { name: 'interval', type: positiveIntegerOption },
         ];
     }
 }
 
+export class SnapshotOptions extends AssertionOptions {
+    constructor (obj, validate) {
+        super();
+
+        this.html = false;
+
+        this._assignFrom(obj, validate);
+    }
+
+    _getAssignableProperties () {
+        return super._getAssignableProperties().concat([
+            { name: 'html', type: booleanOption },
+        ]);
+    }
+}
+
+export class ScreenshotComparisonOptions extends AssertionOptions {
+    constructor (obj, validate) {
+        super();
+
+        this.threshold     = 0;
+        this.ignoreRegions = [];
+
+        this._assignFrom(obj, validate);
+    }
+
+    _getAssignableProperties () {
+        return super._getAssignableProperties().concat([
+            { name: 'threshold', type: ratioOption },
+            { name: 'ignoreRegions', type: regionsOption },
+        ]);
+    }
+}
+
 // Press
 export class PressOptions extends ActionOptions {
     constructor (obj, validate) {
@@ -273,3 +343,114 @@ export class PressOptions extends ActionOptions {
         ]);
     }
 }
+
+// Accessibility
+export class AccessibilityOptions extends Assignable {
+    constructor (obj, validate) {
+        super();
+
+        this.rules       = [];
+        this.impactLevel = DEFAULT_IMPACT_LEVEL;
+
+        this._assignFrom(obj, validate);
+    }
+
+    _getAssignableProperties () {
+        return [
+            { name: 'rules', type: ruleIdsOption },
+            { name: 'impactLevel', type: impactLevelOption },
+        ];
+    }
+}
+
+// Attach
+export class AttachOptions extends Assignable {
+    constructor (obj, validate) {
+        super();
+
+        this.contentType = void 0;
+        this.fromFile    = void 0;
+
+        this._assignFrom(obj, validate);
+    }
+
+    _getAssignableProperties () {
+        return [
+            { name: 'contentType', type: nonEmptyStringOption },
+            { name: 'fromFile', type: booleanOption },
+        ];
+    }
+}
+
+// Request
+export class RequestOptions extends Assignable {
+    constructor (obj, validate) {
+        super();
+
+        this.timeout            = void 0;
+        this.withCredentials    = false;
+        this.rawResponse        = false;
+        this.rejectUnauthorized = true;
+
+        this._assignFrom(obj, validate);
+    }
+
+    _getAssignableProperties () {
+        return [
+            { name: 'timeout', type: positiveIntegerOption },
+            { name: 'withCredentials', type: booleanOption },
+            { name: 'rawResponse', type: booleanOption },
+            { name: 'rejectUnauthorized', type: booleanOption },
+        ];
+    }
+}
+
+// Emulate
+export class EmulationOptions extends Assignable {
+    constructor (obj, validate) {
+        super();
+
+        this.geolocation   = void 0;
+        this.timezoneId    = void 0;
+        this.locale        = void 0;
+        this.colorScheme   = void 0;
+        this.reducedMotion = void 0;
+        this.offline       = void 0;
+
+        this._assignFrom(obj, validate);
+    }
+
+    _getAssignableProperties () {
+        return [
+            { name: 'geolocation', type: geolocationOption },
+            { name: 'timezoneId', type: nullableStringOption },
+            { name: 'locale', type: nullableStringOption },
+            { name: 'colorScheme', type: colorSchemeOption },
+            { name: 'reducedMotion', type: reducedMotionOption },
+            { name: 'offline', type: booleanOption },
+        ];
+    }
+}
+
+// Set network conditions
+export class NetworkConditionsOptions extends Assignable {
+    constructor (obj, validate) {
+        super();
+
+        this.latency  = void 0;
+        this.download = void 0;
+        this.upload   = void 0;
+        this.offline  = void 0;
+
+        this._assignFrom(obj, validate);
+    }
+
+    _getAssignableProperties () {
+        return [
+            { name: 'latency', type: positiveIntegerOption },
+            { name: 'download', type: positiveIntegerOption },
+            { name: 'upload', type: positiveIntegerOption },
+            { name: 'offline', type: booleanOption },
+        ];
+    }
+}
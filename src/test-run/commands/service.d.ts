@@ -0,0 +1,56 @@
+export class ShowAssertionRetriesStatusCommand {
+    public constructor(timeout: number);
+    public type: string;
+    public timeout: number;
+}
+
+export class HideAssertionRetriesStatusCommand {
+    public constructor(success: boolean);
+    public type: string;
+    public success: boolean;
+}
+
+export class SetBreakpointCommand {
+    public constructor(isTestError: boolean, inCompilerService: boolean);
+    public type: string;
+    public isTestError: boolean;
+    public inCompilerService: boolean;
+}
+
+export class TestDoneCommand {
+    public constructor();
+    public type: string;
+}
+
+export class BackupStoragesCommand {
+    public constructor();
+    public type: string;
+}
+
+export class UnlockPageCommand {
+    public constructor();
+    public type: string;
+}
+
+export class GetActiveElementCommand {
+    public constructor();
+    public type: string;
+}
+
+export class PrepareClientEnvironmentInDebugMode {
+    public constructor(esmRuntime: string);
+    public type: string;
+    public esmRuntime: string;
+}
+
+export class StepStartCommand {
+    public constructor(name: string);
+    public type: string;
+    public name: string;
+}
+
+export class StepDoneCommand {
+    public constructor(failed: boolean);
+    public type: string;
+    public failed: boolean;
+}
@@ -53,3 +53,17 @@ export class PrepareClientEnvironmentInDebugMode {
         this.esmRuntime = esmRuntime;
     }
 }
+
+export class StepStartCommand {
+    constructor (name) {
+        this.type = TYPE.stepStart;
+        this.name = name;
+    }
+}
+
+export class StepDoneCommand {
+    constructor (failed) {
+        this.type   = TYPE.stepDone;
+        this.failed = failed;
+    }
+}
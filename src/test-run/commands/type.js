@@ -49,6 +49,12 @@ export default {
     getNativeDialogHistory:              'get-native-dialog-history',
     getBrowserConsoleMessages:           'get-browser-console-messages',
     getActiveElement:                    'get-active-element',
+    checkAccessibility:                  'check-accessibility',
+    getPerformanceMetrics:               'get-performance-metrics',
+    attach:                              'attach',
+    request:                             'request',
+    emulate:                             'emulate',
+    setNetworkConditions:                'set-network-conditions',
     setTestSpeed:                        'set-test-speed',
     setPageLoadTimeout:                  'set-page-load-timeout',
     debug:                               'debug',
@@ -56,6 +62,8 @@ export default {
     assertion:                           'assertion',
     useRole:                             'useRole',
     testDone:                            'test-done',
+    stepStart:                           'step-start',
+    stepDone:                            'step-done',
     backupStorages:                      'backup-storages',
     executeExpression:                   'execute-expression',
     executeAsyncExpression:              'execute-async-expression',
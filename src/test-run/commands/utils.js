@@ -85,5 +85,9 @@ export function isExecutableOnClientCommand (command) {
            command.type !== TYPE.useRole &&
            command.type !== TYPE.assertion &&
            command.type !== TYPE.executeExpression &&
-           command.type !== TYPE.executeAsyncExpression;
+           command.type !== TYPE.executeAsyncExpression &&
+           command.type !== TYPE.attach &&
+           command.type !== TYPE.request &&
+           command.type !== TYPE.emulate &&
+           command.type !== TYPE.setNetworkConditions;
 }
@@ -20,12 +20,17 @@ import {
     ActionStringArrayElementError,
     ActionUnsupportedDeviceTypeError,
     ActionFunctionArgumentError,
+    ActionAttachmentContentArgumentError,
+    ActionJsonSchemaArgumentError,
+    ActionObjectArgumentError,
+    ActionInvalidJsonSchemaArgumentError,
     SetTestSpeedArgumentError,
     ForbiddenCharactersInScreenshotPathError,
 } from '../../../errors/test-run';
 
 import { assertPageUrl } from '../../../api/test-page-url';
 import checkFilePath from '../../../utils/check-file-path';
+import JsonSchemaValidator from '../../../assertions/json-schema/validator';
 
 
 // Validators
@@ -127,3 +132,37 @@ export function functionArgument (name, val) {
     if (typeof val !== 'function')
         throw new ActionFunctionArgumentError(name, val);
 }
+
+export function attachmentContentArgument (name, val) {
+    if (typeof val !== 'string')
+        throw new ActionAttachmentContentArgumentError(name, typeof val);
+}
+
+export function objectArgument (name, val) {
+    const valType = val === null ? 'null' : typeof val;
+
+    if (valType !== 'object' || Array.isArray(val))
+        throw new ActionObjectArgumentError(name, Array.isArray(val) ? 'array' : valType);
+}
+
+export function requestCredentialsArgument (name, val) {
+    objectArgument(name, val);
+    nonEmptyStringArgument(`${name}.username`, val.username);
+    stringArgument(`${name}.password`, val.password);
+}
+
+export function jsonSchemaArgument (name, val) {
+    const valType = val === null ? 'null' : typeof val;
+
+    if (valType !== 'boolean' && (valType !== 'object' || Array.isArray(val)))
+        throw new ActionJsonSchemaArgumentError(name, Array.isArray(val) ? 'array' : valType);
+
+    // NOTE: the schema is compiled when the assertion is created, so that an invalid schema
+    // fails the assertion once instead of being retried until the assertion timeout expires
+    try {
+        JsonSchemaValidator.compile(val);
+    }
+    catch (err) {
+        throw new ActionInvalidJsonSchemaArgumentError(name, err.message);
+    }
+}
@@ -39,6 +39,104 @@ export function createBooleanValidator (ErrorCtor) {
     };
 }
 
+export function createNonEmptyStringValidator (ErrorCtor) {
+    return (name, val) => {
+        const valType = typeof val;
+
+        if (valType !== 'string')
+            throw new ErrorCtor(name, valType);
+
+        if (!val.length)
+            throw new ErrorCtor(name, '""');
+    };
+}
+
+export function createRatioValidator (ErrorCtor) {
+    return (name, val) => {
+        const valType = typeof val;
+
+        if (valType !== 'number')
+            throw new ErrorCtor(name, valType);
+
+        if (isNaN(val) || val < 0 || val > 1)
+            throw new ErrorCtor(name, val);
+    };
+}
+
+export function createRegionsValidator (ErrorCtor) {
+    const isValidCoordinate = val => typeof val === 'number' && val >= 0 && val === Math.floor(val);
+
+    return (name, val) => {
+        if (!Array.isArray(val))
+            throw new ErrorCtor(name, typeof val);
+
+        for (let i = 0; i < val.length; i++) {
+            const region = val[i];
+
+            const isValidRegion = !!region && typeof region === 'object' &&
+                                  isValidCoordinate(region.left) && isValidCoordinate(region.top) &&
+                                  isValidCoordinate(region.right) && isValidCoordinate(region.bottom) &&
+                                  region.right > region.left && region.bottom > region.top;
+
+            if (!isValidRegion)
+                throw new ErrorCtor(name, `an array whose element at index ${i} is not a valid region`);
+        }
+    };
+}
+
+export function createEnumValidator (ErrorCtor, values) {
+    return (name, val) => {
+        if (values.indexOf(val) === -1)
+            throw new ErrorCtor(name, typeof val === 'string' ? `"${val}"` : typeof val);
+    };
+}
+
+export function createEnumArrayValidator (ErrorCtor, values) {
+    return (name, val) => {
+        if (!Array.isArray(val))
+            throw new ErrorCtor(name, typeof val);
+
+        for (let i = 0; i < val.length; i++) {
+            if (values.indexOf(val[i]) === -1)
+                throw new ErrorCtor(name, `an array whose element at index ${i} is ${typeof val[i] === 'string' ? `"${val[i]}"` : typeof val[i]}`);
+        }
+    };
+}
+
+export function createGeolocationValidator (ErrorCtor) {
+    const COORDINATE_RANGES = {
+        latitude:  [-90, 90],
+        longitude: [-180, 180],
+        accuracy:  [0, Infinity],
+    };
+
+    return (name, val) => {
+        if (!val || typeof val !== 'object')
+            throw new ErrorCtor(name, typeof val);
+
+        for (const property of Object.keys(COORDINATE_RANGES)) {
+            const [min, max] = COORDINATE_RANGES[property];
+            const value      = val[property];
+
+            if (property === 'accuracy' && value === void 0)
+                continue;
+
+            if (typeof value !== 'number')
+                throw new ErrorCtor(name, `an object whose "${property}" property is ${typeof value}`);
+
+            if (isNaN(value) || value < min || value > max)
+                throw new ErrorCtor(name, `an object whose "${property}" property is ${value}`);
+        }
+    };
+}
+
+export function createNullableValidator (validator) {
+    return (name, val) => {
+        if (val !== null)
+            validator(name, val);
+    };
+}
+
 export function createSpeedValidator (ErrorCtor) {
     return (name, val) => {
         const valType = typeof val;
@@ -5,6 +5,8 @@ import {
 } from 'lodash';
 
 import nanoid from 'nanoid';
+import { dirname } from 'path';
+import makeDir from 'make-dir';
 import { readSync as read } from 'read-file-relative';
 import promisifyEvent from 'promisify-event';
 import Mustache from 'mustache';
@@ -24,6 +26,10 @@ import {
     TestTimeoutError,
     ExternalAssertionLibraryError,
     RunTimeoutError,
+    AccessibilityViolationsError,
+    RequestError,
+    EmulationNotSupportedError,
+    NetworkOfflineModeNotSupportedError,
 } from '../errors/test-run/';
 
 import CLIENT_MESSAGES from './client-messages';
@@ -63,12 +69,20 @@ import {
     canSetDebuggerBreakpointBeforeCommand,
     isExecutableOnClientCommand,
     isResizeWindowCommand,
+    isAssertionCommand,
 } from './commands/utils';
 
 import {
+    AttachCommand,
+    CheckAccessibilityCommand,
+    EmulateCommand,
     ExecuteAsyncExpressionCommand,
     ExecuteExpressionCommand,
     GetCurrentWindowsCommand,
+    GetPerformanceMetricsCommand,
+    NavigateToCommand,
+    RequestCommand,
+    SetNetworkConditionsCommand,
     SwitchToWindowByPredicateCommand,
     SwitchToWindowCommand,
 } from './commands/actions';
@@ -85,18 +99,39 @@ import SessionController from './session-controller';
 import TestController from '../api/test-controller';
 import BrowserManipulationQueue from './browser-manipulation-queue';
 import ObservedCallsitesStorage from './observed-callsites-storage';
+import StepTree, { TestStep } from './step-tree';
+import { AttachmentInfo, saveAttachment } from './attachments';
+import {
+    CookieStorage,
+    ExternalProxySettings,
+    ResponseInfo,
+    sendRequest,
+} from './request';
+import { DEFAULT_EMULATION_SETTINGS, EmulationSettings } from '../shared/emulation';
+import { NetworkConditions } from './network-conditions/interfaces';
+import NetworkThrottlingHook from './network-conditions/throttling-hook';
+import Snapshots from '../snapshots';
+import { getSnapshotKey, serializeSnapshotValue } from '../snapshots/utils';
 import ClientScript from '../custom-client-scripts/client-script';
 import BrowserConnection from '../browser/connection';
 import { Quarantine } from '../utils/get-options/quarantine';
+import { Retries } from '../utils/get-options/retries';
 import RequestHook from '../api/request-hooks/hook';
 import DriverStatus from '../client/driver/status';
 import { CommandBase, ActionCommandBase } from './commands/base.js';
 import Role from '../role/role';
 import { TestRunErrorBase } from '../shared/errors';
+import { AccessibilityCheckResult, filterViolationsByImpact } from '../shared/accessibility';
+import { PerformanceMetrics } from '../shared/performance-metrics';
+import { CoverageData } from '../code-coverage/interfaces';
 import { CallsiteRecord } from 'callsite-record';
 import EventEmitter from 'events';
 import getAssertionTimeout from '../utils/get-options/get-assertion-timeout';
-import { AssertionCommand } from './commands/assertion';
+import {
+    AssertionCommand,
+    ToMatchScreenshotAssertionCommand,
+    ToMatchSnapshotAssertionCommand,
+} from './commands/assertion';
 import { TakeScreenshotBaseCommand } from './commands/browser-manipulation';
 //@ts-ignore
 import { TestRun as LegacyTestRun } from 'testcafe-legacy-api';
@@ -109,16 +144,23 @@ import {
     ExecuteSelectorCommand,
 } from './commands/observation';
 
+import { StepStartCommand, StepDoneCommand } from './commands/service';
+
 import { RE_EXECUTABLE_PROMISE_MARKER_DESCRIPTION } from '../services/serialization/replicator/transforms/re-executable-promise-transform/marker';
 import ReExecutablePromise from '../utils/re-executable-promise';
 import addRenderedWarning from '../notifications/add-rendered-warning';
 import getBrowser from '../utils/get-browser';
 import AssertionExecutor from '../assertions/executor';
+import ScreenshotAssertionExecutor from '../assertions/screenshot-executor';
+import getComparisonPaths from '../screenshots/get-comparison-paths';
+import ASSERTION_TYPE from '../assertions/type';
 import asyncFilter from '../utils/async-filter';
 import PROXYLESS_COMMANDS from './proxyless-commands-support';
 import Fixture from '../api/structure/fixture';
 import MessageBus from '../utils/message-bus';
 import executeFnWithTimeout from '../utils/execute-fn-with-timeout';
+import { writeFile } from '../utils/promisified-functions';
+import TRACING_MODE from '../configuration/tracing-mode';
 
 const lazyRequire                 = require('import-lazy')(require);
 const ClientFunctionBuilder       = lazyRequire('../client-functions/client-function-builder');
@@ -145,11 +187,16 @@ const COMPILER_SERVICE_EVENTS = [
     'removeHeaderOnConfigureResponseEvent',
 ];
 
+const REQUEST_HOOK_TEST_RUN_ERROR_CODES = [
+    TEST_RUN_ERRORS.requestHookNotImplementedError,
+    TEST_RUN_ERRORS.requestMockHarEntryNotFoundError,
+];
 
 interface TestRunInit {
     test: Test;
     browserConnection: BrowserConnection;
     screenshotCapturer: Capturer;
+    snapshots?: Snapshots;
     globalWarningLog: WarningLog;
     opts: Dictionary<OptionValue>;
     compilerService?: CompilerService;
@@ -202,6 +249,7 @@ export default class TestRun extends AsyncEventEmitter {
     public readonly test: Test;
     public readonly browserConnection: BrowserConnection;
     public unstable: boolean;
+    public flaky: boolean;
     public phase: TestRunPhase;
     private driverTaskQueue: DriverTask[];
     private testDoneCommandQueued: boolean;
@@ -217,6 +265,17 @@ export default class TestRun extends AsyncEventEmitter {
     private requestTimeout: RequestTimeout;
     public readonly session: SessionController;
     public consoleMessages: BrowserConsoleMessages;
+    public accessibilityReports: AccessibilityCheckResult[];
+    public readonly stepTree: StepTree;
+    public attachments: AttachmentInfo[];
+    private isEmulationChanged: boolean;
+    private networkConditions: NetworkConditions | null;
+    private readonly networkThrottlingHook: NetworkThrottlingHook;
+    private isTracing: boolean;
+    public tracePath: string | null;
+    private readonly snapshots: Snapshots | null;
+    private unloadedPagesCoverage: CoverageData[];
+    private snapshotCount: number;
     private pendingRequest: PendingRequest | null;
     private pendingPageError: PageLoadError | Error | null;
     public controller: TestController | null;
@@ -236,8 +295,10 @@ export default class TestRun extends AsyncEventEmitter {
     private readonly disableDebugBreakpoints: boolean;
     private readonly debugReporterPluginHost: ReporterPluginHost;
     private readonly browserManipulationQueue: BrowserManipulationQueue;
+    private readonly screenshotCapturer: Capturer;
     private debugLog: TestRunDebugLog;
     public quarantine: Quarantine | null;
+    public retries: Retries | null;
     private readonly debugLogger: any;
     public observedCallsites: ObservedCallsitesStorage;
     public readonly compilerService?: CompilerService;
@@ -250,7 +311,7 @@ export default class TestRun extends AsyncEventEmitter {
     private _clientEnvironmentPrepared: boolean = false;
     public readonly startRunExecutionTime?: Date;
 
-    public constructor ({ test, browserConnection, screenshotCapturer, globalWarningLog, opts, compilerService, messageBus, startRunExecutionTime }: TestRunInit) {
+    public constructor ({ test, browserConnection, screenshotCapturer, snapshots, globalWarningLog, opts, compilerService, messageBus, startRunExecutionTime }: TestRunInit) {
         super();
 
         this[testRunMarker]    = true;
@@ -260,6 +321,7 @@ export default class TestRun extends AsyncEventEmitter {
         this.test              = test;
         this.browserConnection = browserConnection;
         this.unstable          = false;
+        this.flaky             = false;
         this.browser           = getBrowser(browserConnection);
 
         this.phase = TestRunPhase.initial;
@@ -284,6 +346,21 @@ export default class TestRun extends AsyncEventEmitter {
 
         this.consoleMessages = new BrowserConsoleMessages();
 
+        this.accessibilityReports = [];
+        this.stepTree             = new StepTree();
+        this.attachments          = [];
+        this.isEmulationChanged   = false;
+        this.snapshots            = snapshots || null;
+        this.snapshotCount        = 0;
+
+        this.networkConditions     = null;
+        this.networkThrottlingHook = new NetworkThrottlingHook();
+
+        this.isTracing = false;
+        this.tracePath = null;
+
+        this.unloadedPagesCoverage = [];
+
         this.pendingRequest   = null;
         this.pendingPageError = null;
 
@@ -311,11 +388,13 @@ export default class TestRun extends AsyncEventEmitter {
         this.disableDebugBreakpoints = false;
         this.debugReporterPluginHost = new ReporterPluginHost({ noColors: false });
 
+        this.screenshotCapturer       = screenshotCapturer;
         this.browserManipulationQueue = new BrowserManipulationQueue(browserConnection, screenshotCapturer, this.warningLog);
 
         this.debugLog = new TestRunDebugLog(this.browserConnection.userAgent);
 
         this.quarantine  = null;
+        this.retries     = null;
 
         this.debugLogger = this.opts.debugLogger;
 
@@ -427,6 +506,10 @@ export default class TestRun extends AsyncEventEmitter {
         this.quarantine = quarantine;
     }
 
+    public addRetriesInfo (retries: Retries): void {
+        this.retries = retries;
+    }
+
     public addRequestHook (hook: RequestHook): void {
         if (this.test.requestHooks.includes(hook))
             return;
@@ -443,6 +526,16 @@ export default class TestRun extends AsyncEventEmitter {
         this._disposeRequestHook(hook);
     }
 
+    // NOTE: unlike the hooks added via the test controller, these hooks are not added to the test,
+    // so they do not receive requests of other test runs of the same test
+    public attachRequestHook (hook: RequestHook): void {
+        this._initRequestHook(hook);
+    }
+
+    public detachRequestHook (hook: RequestHook): void {
+        this._disposeRequestHook(hook);
+    }
+
     private _initRequestHook (hook: RequestHook): void {
         hook._warningLog = this.warningLog;
 
@@ -468,10 +561,10 @@ export default class TestRun extends AsyncEventEmitter {
     }
 
     private _onRequestHookMethodError (event: RequestHookMethodError, hookClassName: string): void {
-        let err: Error | TestRunErrorBase            = event.error;
-        const isRequestHookNotImplementedMethodError = (err as unknown as TestRunErrorBase)?.code === TEST_RUN_ERRORS.requestHookNotImplementedError;
+        let err: Error | TestRunErrorBase = event.error;
+        const isRequestHookTestRunError   = REQUEST_HOOK_TEST_RUN_ERROR_CODES.includes((err as unknown as TestRunErrorBase)?.code);
 
-        if (!isRequestHookNotImplementedMethodError)
+        if (!isRequestHookTestRunError)
             err = new RequestHookUnhandledError(err, hookClassName, event.methodName);
 
         this.addError(err);
@@ -546,6 +639,8 @@ export default class TestRun extends AsyncEventEmitter {
             speed:                        this.speed,
             dialogHandler:                JSON.stringify(this.activeDialogHandler),
             canUseDefaultWindowActions:   JSON.stringify(await this.browserConnection.canUseDefaultWindowActions()),
+            performanceMetrics:           !!this.opts.performanceMetrics,
+            coverage:                     !!this.opts.coverage,
         });
     }
 
@@ -648,6 +743,12 @@ export default class TestRun extends AsyncEventEmitter {
     public async start (): Promise<void> {
         testRunTracker.addActiveTestRun(this);
 
+        if (this.test.networkConditions)
+            await this._setTestNetworkConditions(this.test.networkConditions);
+
+        if (this.opts.tracing && this.opts.tracing !== TRACING_MODE.off)
+            await this._startTracing();
+
         await this.emit('start');
 
         const onDisconnected = (err: Error): void => this._disconnect(err);
@@ -678,12 +779,15 @@ export default class TestRun extends AsyncEventEmitter {
 
         await this.emit('before-done');
 
+        await this._resetEmulation();
+        await this._resetNetworkConditions();
         await this._internalExecuteCommand(new serviceCommands.TestDoneCommand());
 
         this._addPendingPageErrorIfAny();
         this.session.clearRequestEventListeners();
         this.normalizeRequestHookErrors();
 
+        await this._stopTracing();
         await this._finalizeTestRun(this.session.id);
 
         await this.emit('done');
@@ -729,8 +833,8 @@ export default class TestRun extends AsyncEventEmitter {
 
     public normalizeRequestHookErrors (): void {
         const requestHookErrors = remove(this.errs, e =>
-            (e as unknown as TestRunErrorBase).code === TEST_RUN_ERRORS.requestHookNotImplementedError ||
-            (e as unknown as TestRunErrorBase).code === TEST_RUN_ERRORS.requestHookUnhandledError);
+            (e as unknown as TestRunErrorBase).code === TEST_RUN_ERRORS.requestHookUnhandledError ||
+            REQUEST_HOOK_TEST_RUN_ERROR_CODES.includes((e as unknown as TestRunErrorBase).code));
 
         if (!requestHookErrors.length)
             return;
@@ -774,6 +878,226 @@ export default class TestRun extends AsyncEventEmitter {
         return consoleMessageCopy[String(this.activeWindowId)];
     }
 
+    private async _checkAccessibility (command: CheckAccessibilityCommand, callsite: CallsiteRecord): Promise<AccessibilityCheckResult> {
+        const result          = await this._enqueueCommand(command, callsite) as AccessibilityCheckResult;
+        const { impactLevel } = command.options;
+        const violations      = filterViolationsByImpact(result.violations, impactLevel);
+
+        this.accessibilityReports.push(result);
+
+        if (violations.length)
+            throw new AccessibilityViolationsError(impactLevel, violations, callsite);
+
+        return result;
+    }
+
+    private async _getPerformanceMetrics (command: GetPerformanceMetricsCommand, callsite: CallsiteRecord): Promise<PerformanceMetrics> {
+        const metrics        = await this._enqueueCommand(command, callsite) as PerformanceMetrics;
+        const browserMetrics = await this.browserConnection.provider.getPerformanceMetrics(this.browserConnection.id);
+
+        if (browserMetrics)
+            metrics.browser = browserMetrics;
+
+        return metrics;
+    }
+
+    private async _attach (command: AttachCommand): Promise<AttachmentInfo> {
+        const data = {
+            name:        command.name,
+            content:     command.content,
+            format:      command.format,
+            contentType: command.options.contentType,
+            fromFile:    command.options.fromFile,
+        };
+
+        const attachment = await saveAttachment(data, this.attachments.length + 1, fileName => this.screenshotCapturer.getAttachmentPath(fileName));
+
+        this.attachments.push(attachment);
+
+        return attachment;
+    }
+
+    private async _emulate (command: EmulateCommand, callsite: CallsiteRecord): Promise<void> {
+        const { geolocation, timezoneId, locale, colorScheme, reducedMotion, offline } = command.options;
+        const settings: EmulationSettings = { geolocation, timezoneId, locale, colorScheme, reducedMotion, offline };
+
+        if (!await this.browserConnection.provider.emulate(this.browserConnection.id, settings))
+            throw new EmulationNotSupportedError(this.browserConnection.browserInfo.alias, callsite);
+
+        this.isEmulationChanged = true;
+    }
+
+    // NOTE: the browser is reused by the following tests, so the emulation settings changed by the test are reset
+    private async _resetEmulation (): Promise<void> {
+        if (!this.isEmulationChanged)
+            return;
+
+        this.isEmulationChanged = false;
+
+        try {
+            await this.browserConnection.provider.emulate(this.browserConnection.id, DEFAULT_EMULATION_SETTINGS);
+        }
+        catch (err) {
+            this.warningLog.addWarning(WARNING_MESSAGE.emulationResetError, this.test.name, err.message);
+        }
+    }
+
+    private _setProxyNetworkConditions (conditions: NetworkConditions | null): void {
+        const hook = this.networkThrottlingHook;
+
+        if (conditions && !hook.conditions)
+            this._initRequestHook(hook);
+        else if (!conditions && hook.conditions)
+            this._disposeRequestHook(hook);
+
+        hook.conditions = conditions;
+    }
+
+    private async _setNetworkConditions (conditions: NetworkConditions | null, callsite?: CallsiteRecord): Promise<void> {
+        this.networkConditions = conditions;
+
+        // NOTE: the proxy throttles page requests until the browser confirms that it throttles the network by itself,
+        // so the requests sent by the page in the meantime are throttled as well
+        this._setProxyNetworkConditions(conditions);
+
+        if (await this.browserConnection.provider.setNetworkConditions(this.browserConnection.id, conditions)) {
+            this._setProxyNetworkConditions(null);
+
+            return;
+        }
+
+        // NOTE: the proxy cannot make page requests fail at the network level
+        if (conditions && conditions.offline) {
+            this.networkConditions = null;
+
+            this._setProxyNetworkConditions(null);
+
+            throw new NetworkOfflineModeNotSupportedError(this.browserConnection.browserInfo.alias, callsite);
+        }
+    }
+
+    private async _applyNetworkConditions (command: SetNetworkConditionsCommand, callsite: CallsiteRecord): Promise<void> {
+        const { latency, download, upload, offline } = command.conditions;
+        const isThrottled                            = !!(latency || download || upload || offline);
+
+        await this._setNetworkConditions(isThrottled ? { latency, download, upload, offline } : null, callsite);
+    }
+
+    // NOTE: if the browser fails to throttle the network, the proxy keeps throttling page requests
+    private async _setTestNetworkConditions (conditions: NetworkConditions): Promise<void> {
+        try {
+            await this._setNetworkConditions(conditions);
+        }
+        catch (err) {
+            if (err instanceof NetworkOfflineModeNotSupportedError)
+                this.addError(err);
+            else
+                this.warningLog.addWarning(WARNING_MESSAGE.networkConditionsSetError, this.test.name, err.message);
+        }
+    }
+
+    private async _resetNetworkConditions (): Promise<void> {
+        if (!this.networkConditions)
+            return;
+
+        try {
+            await this._setNetworkConditions(null);
+        }
+        catch (err) {
+            this.warningLog.addWarning(WARNING_MESSAGE.networkConditionsResetError, this.test.name, err.message);
+        }
+    }
+
+    private _addTracingWarning (err: Error): void {
+        this.warningLog.addWarning(WARNING_MESSAGE.tracingError, this.test.name, err.message);
+    }
+
+    private async _startTracing (): Promise<void> {
+        const { provider, id, browserInfo } = this.browserConnection;
+
+        try {
+            this.isTracing = await provider.startTracing(id);
+        }
+        catch (err) {
+            this._addTracingWarning(err);
+
+            return;
+        }
+
+        if (!this.isTracing)
+            this.warningLog.addWarning(WARNING_MESSAGE.tracingNotSupportedByBrowser, browserInfo.alias);
+    }
+
+    // NOTE: the trace is saved after all test run errors are collected to determine whether the test has failed
+    private async _stopTracing (): Promise<void> {
+        if (!this.isTracing)
+            return;
+
+        this.isTracing = false;
+
+        try {
+            const trace = await this.browserConnection.provider.stopTracing(this.browserConnection.id);
+
+            if (!trace || this.opts.tracing === TRACING_MODE.onFailure && !this.errs.length)
+                return;
+
+            const tracePath = this.screenshotCapturer.getTracePath();
+
+            await makeDir(dirname(tracePath));
+            await writeFile(tracePath, trace);
+
+            this.tracePath = tracePath;
+        }
+        catch (err) {
+            this._addTracingWarning(err);
+        }
+    }
+
+    private async _request (command: RequestCommand, callsite: CallsiteRecord): Promise<ResponseInfo> {
+        const { url, method, headers, params, body, auth, options } = command;
+
+        // NOTE: the session cookie storage is shared with the browser, so cookies set by the response are available on the page
+        const context = {
+            cookies: options.withCredentials ? (this.session as unknown as { cookies: CookieStorage }).cookies : null,
+            proxy:   (this.session as unknown as { externalProxySettings: ExternalProxySettings | null }).externalProxySettings,
+        };
+
+        const init = {
+            url,
+            method,
+            headers,
+            params,
+            body,
+            auth,
+            timeout:            options.timeout || this.requestTimeout.ajax,
+            rawResponse:        options.rawResponse,
+            rejectUnauthorized: options.rejectUnauthorized,
+        };
+
+        try {
+            return await sendRequest(init, context);
+        }
+        catch (err) {
+            throw new RequestError(method.toUpperCase(), url, err.message, callsite);
+        }
+    }
+
+    // NOTE: navigation performance metrics are supplementary, so a failure to collect them
+    // should not fail the navigation action
+    private async _getNavigationPerformanceMetrics (command: ActionCommandBase, callsite: CallsiteRecord): Promise<PerformanceMetrics | null> {
+        if (command.type !== COMMAND_TYPE.navigateTo || !this.opts.performanceMetrics)
+            return null;
+
+        try {
+            return await this._getPerformanceMetrics(new GetPerformanceMetricsCommand(), callsite);
+        }
+        catch (err) {
+            this.warningLog.addWarning(WARNING_MESSAGE.performanceMetricsError, (command as NavigateToCommand).url, this.test.name, err.message);
+
+            return null;
+        }
+    }
+
     private async _enqueueSetBreakpointCommand (callsite: CallsiteRecord | undefined, error?: string): Promise<void> {
         if (this.debugLogger)
             this.debugLogger.showBreakpoint(this.session.id, this.browserConnection.userAgent, callsite, error);
@@ -876,6 +1200,9 @@ export default class TestRun extends AsyncEventEmitter {
 
         this.consoleMessages.concat(driverStatus.consoleMessages);
 
+        if (driverStatus.pageCoverage)
+            this.unloadedPagesCoverage.push(...driverStatus.pageCoverage);
+
         this._handleDebugState(driverStatus);
 
         if (!currentTaskRejectedByError && driverStatus.isCommandResult) {
@@ -962,12 +1289,56 @@ export default class TestRun extends AsyncEventEmitter {
         };
     }
 
+    private _createScreenshotAssertionExecutor (command: ToMatchScreenshotAssertionCommand, timeout: number, callsite: CallsiteRecord): ScreenshotAssertionExecutor {
+        const { path, baselinesPath } = this.opts.screenshots as ScreenshotOptionValue;
+
+        const paths = getComparisonPaths({
+            screenshotName:  command.expected,
+            testFilePath:    this.test.testFile.filename,
+            screenshotsPath: path,
+            baselinesPath,
+            parsedUserAgent: this.browserConnection.browserInfo.parsedUserAgent,
+        });
+
+        const captureScreenshot = async (): Promise<string | null> => {
+            const screenshotCommand = new browserManipulationCommands.TakeElementScreenshotCommand({
+                selector: command.actual,
+                path:     paths.actualRelativePath,
+            }, this);
+
+            return await this._internalExecuteCommand(screenshotCommand, callsite) as string | null;
+        };
+
+        return new ScreenshotAssertionExecutor(command, timeout, callsite, {
+            captureScreenshot,
+            paths,
+            updateBaselines: !!this.opts.updateScreenshotBaselines,
+        });
+    }
+
+    // NOTE: the snapshot key is obtained before the assertion is executed,
+    // so that retries of the assertion do not change the number of the snapshot
+    private _createSnapshotAssertionFn (command: ToMatchSnapshotAssertionCommand): Function {
+        const key          = getSnapshotKey(this.test, command.expected || String(++this.snapshotCount));
+        const testFilePath = this.test.testFile.filename;
+
+        return async () => {
+            const value = serializeSnapshotValue(command.actual, command.options.html);
+
+            await (this.snapshots as Snapshots).match(testFilePath, key, value);
+        };
+    }
+
     private async _executeAssertion (command: AssertionCommand, callsite: CallsiteRecord): Promise<void> {
+        if (command.assertionType === ASSERTION_TYPE.toMatchScreenshot)
+            return this._executeScreenshotAssertion(command as ToMatchScreenshotAssertionCommand, callsite);
+
         if (command.actual === Symbol.for(RE_EXECUTABLE_PROMISE_MARKER_DESCRIPTION))
             this._redirectReExecutablePromiseExecutionToCompilerService(command);
 
         const assertionTimeout = getAssertionTimeout(command, this.opts);
-        const executor         = new AssertionExecutor(command, assertionTimeout, callsite);
+        const assertionFn      = command.assertionType === ASSERTION_TYPE.toMatchSnapshot ? this._createSnapshotAssertionFn(command as ToMatchSnapshotAssertionCommand) : void 0;
+        const executor         = new AssertionExecutor(command, assertionTimeout, callsite, assertionFn);
 
         executor.once('start-assertion-retries', (timeout: number) => this._internalExecuteCommand(new serviceCommands.ShowAssertionRetriesStatusCommand(timeout)));
         executor.once('end-assertion-retries', (success: boolean) => this._internalExecuteCommand(new serviceCommands.HideAssertionRetriesStatusCommand(success)));
@@ -978,6 +1349,18 @@ export default class TestRun extends AsyncEventEmitter {
         return await executeFn();
     }
 
+    private async _executeScreenshotAssertion (command: ToMatchScreenshotAssertionCommand, callsite: CallsiteRecord): Promise<void> {
+        const assertionTimeout = getAssertionTimeout(command, this.opts);
+        const executor         = this._createScreenshotAssertionExecutor(command, assertionTimeout, callsite);
+
+        executor.once('start-assertion-retries', (timeout: number) => this._internalExecuteCommand(new serviceCommands.ShowAssertionRetriesStatusCommand(timeout)));
+        executor.once('end-assertion-retries', (success: boolean) => this._internalExecuteCommand(new serviceCommands.HideAssertionRetriesStatusCommand(success)));
+
+        const executeFn = this.decoratePreventEmitActionEvents(() => executor.run(), { prevent: true });
+
+        return await executeFn();
+    }
+
     private _adjustConfigurationWithCommand (command: CommandBase): void {
         if (command.type === COMMAND_TYPE.testDone) {
             this.testDoneCommandQueued = true;
@@ -1057,18 +1440,43 @@ export default class TestRun extends AsyncEventEmitter {
             await this._enqueueSetBreakpointCommand(callsite);
     }
 
+    private async _startStep (command: StepStartCommand): Promise<TestStep> {
+        const step = this.stepTree.start(command.name);
+
+        await this.emit('step-start', { step });
+
+        return step;
+    }
+
+    private async _finishStep (command: StepDoneCommand): Promise<TestStep | null> {
+        const step = this.stepTree.finish(command.failed);
+
+        if (step)
+            await this.emit('step-done', { step });
+
+        return step;
+    }
+
     public async executeCommand (command: CommandBase | ActionCommandBase, callsite?: string | CallsiteRecord): Promise<unknown> {
+        // NOTE: steps are tracked on the server and are not passed to the driver
+        if (command.type === COMMAND_TYPE.stepStart)
+            return this._startStep(command as unknown as StepStartCommand);
+
+        if (command.type === COMMAND_TYPE.stepDone)
+            return this._finishStep(command as unknown as StepDoneCommand);
+
         return command instanceof ActionCommandBase
             ? this._executeActionCommand(command, callsite as CallsiteRecord)
             : this._internalExecuteCommand(command, callsite);
     }
 
     public async _executeActionCommand (command: ActionCommandBase, callsite: CallsiteRecord): Promise<unknown> {
-        const actionArgs = { apiActionName: command.methodName, command };
+        const actionArgs = { apiActionName: command.methodName, command, step: this.stepTree.current };
 
-        let errorAdapter = null;
-        let error        = null;
-        let result       = null;
+        let errorAdapter       = null;
+        let error              = null;
+        let result             = null;
+        let performanceMetrics = null;
 
         await this._adjustCommandOptionsAndEnvironment(command);
 
@@ -1088,6 +1496,9 @@ export default class TestRun extends AsyncEventEmitter {
 
         const duration = new Date().getTime() - start;
 
+        if (!error)
+            performanceMetrics = await this._getNavigationPerformanceMetrics(command, callsite);
+
         if (error) {
             // NOTE: check if error is TestCafeErrorList is specific for the `useRole` action
             // if error is TestCafeErrorList we do not need to create an adapter,
@@ -1104,17 +1515,37 @@ export default class TestRun extends AsyncEventEmitter {
         Object.assign(actionArgs, {
             result,
             duration,
+            performanceMetrics,
             err: errorAdapter,
         });
 
+        this.stepTree.addAction({
+            actionId:      command.actionId,
+            apiActionName: command.methodName,
+            failed:        !!error,
+            duration,
+        });
+
         await this.emitActionEvent('action-done', actionArgs);
 
+        // NOTE: failed soft assertions do not stop the test. Their errors are collected
+        // and reported together with other test errors after the test is finished.
+        if (error && this._isSoftAssertionCommand(command)) {
+            this.errs.push(errorAdapter as TestRunErrorFormattableAdapter);
+
+            return result;
+        }
+
         if (error)
             throw error;
 
         return result;
     }
 
+    private _isSoftAssertionCommand (command: CommandBase): boolean {
+        return isAssertionCommand(command) && !!(command as AssertionCommand).options.soft;
+    }
+
     private async _canExecuteCommandThroughCDP (command: CommandBase): Promise<boolean> {
         if (!this.opts.proxyless || !PROXYLESS_COMMANDS.has(command.type))
             return false;
@@ -1214,6 +1645,24 @@ export default class TestRun extends AsyncEventEmitter {
         if (command.type === COMMAND_TYPE.getBrowserConsoleMessages)
             return this._enqueueBrowserConsoleMessagesCommand(command, callsite as CallsiteRecord);
 
+        if (command.type === COMMAND_TYPE.checkAccessibility)
+            return this._checkAccessibility(command as CheckAccessibilityCommand, callsite as CallsiteRecord);
+
+        if (command.type === COMMAND_TYPE.getPerformanceMetrics)
+            return this._getPerformanceMetrics(command as GetPerformanceMetricsCommand, callsite as CallsiteRecord);
+
+        if (command.type === COMMAND_TYPE.attach)
+            return this._attach(command as AttachCommand);
+
+        if (command.type === COMMAND_TYPE.request)
+            return this._request(command as RequestCommand, callsite as CallsiteRecord);
+
+        if (command.type === COMMAND_TYPE.emulate)
+            return this._emulate(command as EmulateCommand, callsite as CallsiteRecord);
+
+        if (command.type === COMMAND_TYPE.setNetworkConditions)
+            return this._applyNetworkConditions(command as SetNetworkConditionsCommand, callsite as CallsiteRecord);
+
         if (command.type === COMMAND_TYPE.switchToPreviousWindow)
             (command as any).windowId = this.browserConnection.previousActiveWindowId;
 
@@ -1372,6 +1821,28 @@ export default class TestRun extends AsyncEventEmitter {
         await bookmark.restore(callsite, stateSnapshot);
     }
 
+    // NOTE: the coverage counters of a page are reset when it is unloaded, so the driver saves them before
+    // the page is unloaded and sends them with the next status. The coverage of the current page is requested.
+    public async getIstanbulCoverage (): Promise<CoverageData[]> {
+        const coverage = this.unloadedPagesCoverage;
+
+        this.unloadedPagesCoverage = [];
+
+        // NOTE: executing a client function consumes the pending page error, which should be reported as a test error
+        if (this.pendingPageError)
+            return coverage;
+
+        const builder = new ClientFunctionBuilder(() => {
+            // @ts-ignore
+            return window.__coverage__ || null; // eslint-disable-line no-undef
+        }, { boundTestRun: this });
+
+        const getCoverage         = builder.getFunction();
+        const currentPageCoverage = await getCoverage();
+
+        return currentPageCoverage ? coverage.concat(currentPageCoverage) : coverage;
+    }
+
     public async getCurrentUrl (): Promise<string> {
         const builder = new ClientFunctionBuilder(() => {
             return window.location.href; // eslint-disable-line no-undef
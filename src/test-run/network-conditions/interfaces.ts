@@ -0,0 +1,6 @@
+export interface NetworkConditions {
+    latency?: number;
+    download?: number;
+    upload?: number;
+    offline?: boolean;
+}
@@ -0,0 +1,48 @@
+import {
+    ConfigureResponseEventOptions,
+    RequestEvent,
+    ResponseEvent,
+} from 'testcafe-hammerhead';
+
+import RequestHook from '../../api/request-hooks/hook';
+import delay from '../../utils/delay';
+import { NetworkConditions } from './interfaces';
+
+function getTransferTime (size: number, throughput?: number): number {
+    return throughput ? Math.round(size / throughput * 1000) : 0;
+}
+
+// NOTE: throttles page requests on the proxy side in browsers that cannot throttle the network by themselves.
+// TestCafe service requests are not sent through the request pipeline, so they are not affected.
+// The offline mode cannot be emulated on the proxy side, so the test run rejects it in these browsers.
+export default class NetworkThrottlingHook extends RequestHook {
+    public conditions: NetworkConditions | null;
+
+    public constructor () {
+        // NOTE: a predicate rule is used instead of RequestFilterRule.ANY to get a unique rule id,
+        // otherwise the listeners would replace the listeners of request hooks that accept any request
+        super(() => true, new ConfigureResponseEventOptions(false, true));
+
+        this._className = 'NetworkThrottlingHook';
+        this.conditions = null;
+    }
+
+    public async onRequest (event: RequestEvent): Promise<void> {
+        if (!this.conditions)
+            return;
+
+        const { latency = 0, upload } = this.conditions;
+        const body = event._requestInfo.body;
+
+        await delay(latency + getTransferTime(body ? body.length : 0, upload));
+    }
+
+    public async onResponse (event: ResponseEvent): Promise<void> {
+        if (!this.conditions)
+            return;
+
+        const body = event.body;
+
+        await delay(getTransferTime(body ? body.length : 0, this.conditions.download));
+    }
+}
@@ -0,0 +1,227 @@
+import http from 'http';
+import https from 'https';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { applyProxySettings, shouldUseProxy } from './proxy';
+
+import {
+    CookieStorage,
+    ExternalProxySettings,
+    RequestInit,
+    ResponseInfo,
+} from './interfaces';
+
+export * from './interfaces';
+
+// NOTE: the same as the default hammerhead timeout for XHR and fetch requests
+const DEFAULT_REQUEST_TIMEOUT = 2 * 60 * 1000;
+
+const MAX_REDIRECT_COUNT = 20;
+
+const REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308];
+
+const TEXT_CONTENT_TYPE_RE = /^text\/|[/+](xml|javascript|x-www-form-urlencoded)\b/i;
+const JSON_CONTENT_TYPE_RE = /[/+]json\b/i;
+
+const DECOMPRESSORS: Record<string, (buffer: Buffer) => Promise<Buffer>> = {
+    'gzip':    promisify(zlib.gunzip),
+    'x-gzip':  promisify(zlib.gunzip),
+    'deflate': promisify(zlib.inflate),
+    'br':      promisify(zlib.brotliDecompress),
+};
+
+interface SerializedBody {
+    content: Buffer | null;
+    contentType?: string;
+}
+
+interface RawResponse {
+    message: http.IncomingMessage;
+    body: Buffer;
+}
+
+export interface RequestContext {
+    cookies: CookieStorage | null;
+    proxy: ExternalProxySettings | null;
+}
+
+function serializeBody (body: unknown): SerializedBody {
+    if (body === void 0 || body === null)
+        return { content: null };
+
+    if (Buffer.isBuffer(body))
+        return { content: body };
+
+    if (typeof body === 'string')
+        return { content: Buffer.from(body) };
+
+    if (body instanceof URLSearchParams)
+        return { content: Buffer.from(body.toString()), contentType: 'application/x-www-form-urlencoded' };
+
+    return { content: Buffer.from(JSON.stringify(body)), contentType: 'application/json' };
+}
+
+function normalizeHeaders (headers: http.OutgoingHttpHeaders = {}): http.OutgoingHttpHeaders {
+    const result: http.OutgoingHttpHeaders = {};
+
+    for (const name of Object.keys(headers)) {
+        if (headers[name] !== void 0)
+            result[name.toLowerCase()] = headers[name];
+    }
+
+    return result;
+}
+
+function getRequestUrl ({ url, params }: RequestInit): URL {
+    const requestUrl = new URL(url);
+
+    if (!params)
+        return requestUrl;
+
+    const searchParams = params instanceof URLSearchParams ? params : Object.entries(params);
+
+    for (const [name, value] of searchParams)
+        requestUrl.searchParams.append(name, String(value));
+
+    return requestUrl;
+}
+
+function getCookieHeader (url: URL, headers: http.OutgoingHttpHeaders, cookies: CookieStorage | null): string | null {
+    const sessionCookies = cookies ? cookies.getHeader(url.href) : null;
+    const cookieHeader   = headers.cookie ? String(headers.cookie) : null;
+
+    if (sessionCookies && cookieHeader)
+        return `${sessionCookies}; ${cookieHeader}`;
+
+    return sessionCookies || cookieHeader;
+}
+
+function isRedirect (message: http.IncomingMessage): boolean {
+    return REDIRECT_STATUS_CODES.includes(message.statusCode as number) && !!message.headers.location;
+}
+
+// NOTE: browsers change the method to GET when they are redirected after a POST request
+function shouldChangeMethodToGet (statusCode: number, method: string): boolean {
+    return statusCode === 303 && method !== 'HEAD' || (statusCode === 301 || statusCode === 302) && method === 'POST';
+}
+
+async function decompressBody (body: Buffer, contentEncoding?: string): Promise<Buffer> {
+    const decompress = contentEncoding && DECOMPRESSORS[contentEncoding.trim().toLowerCase()];
+
+    return decompress ? decompress(body) : body;
+}
+
+function parseBody (body: Buffer, contentType = ''): unknown {
+    if (JSON_CONTENT_TYPE_RE.test(contentType)) {
+        const text = body.toString();
+
+        try {
+            return text ? JSON.parse(text) : null;
+        }
+        catch (err) {
+            return text;
+        }
+    }
+
+    if (TEXT_CONTENT_TYPE_RE.test(contentType))
+        return body.toString();
+
+    return body;
+}
+
+function getRequestOptions (url: URL, method: string, headers: http.OutgoingHttpHeaders, { proxy }: RequestContext, rejectUnauthorized: boolean): https.RequestOptions {
+    const options: https.RequestOptions = {
+        protocol: url.protocol,
+        hostname: url.hostname,
+        port:     url.port,
+        path:     url.pathname + url.search,
+        method,
+        headers,
+        rejectUnauthorized,
+    };
+
+    return shouldUseProxy(url, proxy) ? applyProxySettings(url, options, proxy) : options;
+}
+
+function sendRawRequest (options: https.RequestOptions, body: Buffer | null, timeout: number): Promise<RawResponse> {
+    const { request } = options.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const req = request(options, message => {
+            const chunks: Buffer[] = [];
+
+            message.on('data', chunk => chunks.push(chunk));
+            message.on('end', () => resolve({ message, body: Buffer.concat(chunks) }));
+            message.on('error', reject);
+        });
+
+        req.setTimeout(timeout, () => req.destroy(new Error(`The request timed out after ${timeout} ms.`)));
+        req.on('error', reject);
+        req.end(body || void 0);
+    });
+}
+
+export async function sendRequest (init: RequestInit, context: RequestContext): Promise<ResponseInfo> {
+    const headers                  = normalizeHeaders(init.headers);
+    const { content, contentType } = serializeBody(init.body);
+    const timeout                  = init.timeout || DEFAULT_REQUEST_TIMEOUT;
+    const rejectUnauthorized       = init.rejectUnauthorized !== false;
+
+    let url    = getRequestUrl(init);
+    let method = init.method.toUpperCase();
+    let body   = content;
+
+    if (contentType && !headers['content-type'])
+        headers['content-type'] = contentType;
+
+    if (init.auth && !headers.authorization)
+        headers.authorization = 'Basic ' + Buffer.from(`${init.auth.username}:${init.auth.password}`).toString('base64');
+
+    for (let redirectCount = 0; ; redirectCount++) {
+        const cookieHeader = getCookieHeader(url, headers, context.cookies);
+
+        const requestHeaders = {
+            ...headers,
+            'cookie':         cookieHeader || void 0,
+            'content-length': body ? body.length : void 0,
+        };
+
+        const options  = getRequestOptions(url, method, normalizeHeaders(requestHeaders), context, rejectUnauthorized);
+        const response = await sendRawRequest(options, body, timeout);
+        const message  = response.message;
+
+        if (context.cookies && message.headers['set-cookie'])
+            context.cookies.setByServer(url.href, message.headers['set-cookie']);
+
+        if (!isRedirect(message) || redirectCount >= MAX_REDIRECT_COUNT) {
+            const decompressedBody = await decompressBody(response.body, message.headers['content-encoding']);
+
+            return {
+                status:     message.statusCode as number,
+                statusText: message.statusMessage || '',
+                headers:    message.headers,
+                body:       init.rawResponse ? decompressedBody : parseBody(decompressedBody, message.headers['content-type']),
+                url:        url.href,
+            };
+        }
+
+        if (shouldChangeMethodToGet(message.statusCode as number, method)) {
+            method = 'GET';
+            body   = null;
+
+            delete headers['content-type'];
+        }
+
+        const redirectUrl = new URL(message.headers.location as string, url);
+
+        // NOTE: credentials are not sent to other origins the request is redirected to,
+        // session cookies are still sent according to their domains
+        if (redirectUrl.origin !== url.origin) {
+            delete headers.authorization;
+            delete headers.cookie;
+        }
+
+        url = redirectUrl;
+    }
+}
+
@@ -0,0 +1,42 @@
+import { OutgoingHttpHeaders, IncomingHttpHeaders } from 'http';
+
+export interface RequestCredentials {
+    username: string;
+    password: string;
+}
+
+export interface RequestInit {
+    url: string;
+    method: string;
+    headers?: OutgoingHttpHeaders;
+    params?: Record<string, unknown> | URLSearchParams;
+    body?: unknown;
+    timeout?: number;
+    auth?: RequestCredentials;
+    rawResponse?: boolean;
+    rejectUnauthorized?: boolean;
+}
+
+export interface ResponseInfo {
+    status: number;
+    statusText: string;
+    headers: IncomingHttpHeaders;
+    body: unknown;
+    url: string;
+}
+
+// NOTE: the external proxy settings of the hammerhead session
+export interface ExternalProxySettings {
+    host: string;
+    hostname: string;
+    port?: string;
+    proxyAuth?: string;
+    authHeader?: string;
+    bypassRules?: string[];
+}
+
+// NOTE: a subset of the hammerhead session cookie storage API
+export interface CookieStorage {
+    getHeader (url: string): string | null;
+    setByServer (url: string, cookies: string | string[]): void;
+}
@@ -0,0 +1,33 @@
+import http from 'http';
+import https from 'https';
+import matchUrlWildcard from 'match-url-wildcard';
+import { ExternalProxySettings } from './interfaces';
+
+const tunnelAgent = require('tunnel-agent');
+
+// NOTE: the proxy settings are parsed by the hammerhead session and the requests are sent through the proxy
+// in the same way as hammerhead sends page requests, so both obey the same proxy and bypass rules
+export function shouldUseProxy (url: URL, proxy: ExternalProxySettings | null): proxy is ExternalProxySettings {
+    return !!proxy && !matchUrlWildcard(url.href, proxy.bypassRules);
+}
+
+export function applyProxySettings (url: URL, options: https.RequestOptions, proxy: ExternalProxySettings): https.RequestOptions {
+    if (url.protocol === 'https:') {
+        // NOTE: HTTPS requests are sent through the tunnel established by the CONNECT request to the proxy
+        const agent = tunnelAgent.httpsOverHttp({ proxy, rejectUnauthorized: options.rejectUnauthorized });
+
+        return Object.assign(options, { agent });
+    }
+
+    const headers: http.OutgoingHttpHeaders = { ...options.headers };
+
+    if (proxy.authHeader)
+        headers['proxy-authorization'] = proxy.authHeader;
+
+    return Object.assign(options, {
+        hostname: proxy.hostname,
+        port:     proxy.port,
+        path:     url.href,
+        headers,
+    });
+}
@@ -0,0 +1,76 @@
+import nanoid from 'nanoid';
+
+export interface TestStepAction {
+    actionId: string;
+    apiActionName: string;
+    duration: number;
+    failed: boolean;
+}
+
+export interface TestStep {
+    id: string;
+    name: string;
+    path: string[];
+    startTime: number;
+    duration: number | null;
+    failed: boolean;
+    actions: TestStepAction[];
+    steps: TestStep[];
+}
+
+export default class StepTree {
+    public readonly steps: TestStep[];
+    private readonly _stack: TestStep[];
+
+    public constructor () {
+        this.steps  = [];
+        this._stack = [];
+    }
+
+    public get current (): TestStep | null {
+        return this._stack[this._stack.length - 1] || null;
+    }
+
+    public start (name: string): TestStep {
+        const parent = this.current;
+
+        const step: TestStep = {
+            id:        nanoid(7),
+            name,
+            path:      parent ? parent.path.concat(name) : [name],
+            startTime: Date.now(),
+            duration:  null,
+            failed:    false,
+            actions:   [],
+            steps:     [],
+        };
+
+        if (parent)
+            parent.steps.push(step);
+        else
+            this.steps.push(step);
+
+        this._stack.push(step);
+
+        return step;
+    }
+
+    public finish (failed: boolean): TestStep | null {
+        const step = this._stack.pop();
+
+        if (!step)
+            return null;
+
+        step.duration = Date.now() - step.startTime;
+        step.failed   = failed;
+
+        return step;
+    }
+
+    public addAction (action: TestStepAction): void {
+        const step = this.current;
+
+        if (step)
+            step.actions.push(action);
+    }
+}
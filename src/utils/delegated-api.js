@@ -1,5 +1,15 @@
 const API_IMPLEMENTATION_METHOD_RE = /^_(\S+)\$(getter|setter)?$/;
 
+// NOTE: nested API methods are available as properties of other API methods,
+// for example, the '_expect$soft$' implementation method is exposed as 't.expect.soft'
+const API_NESTED_IMPLEMENTATION_METHOD_RE = /^_([^\s$]+)\$([^\s$]+)\$$/;
+
+// NOTE: nested API functions are named after both API methods, because a nested method name
+// can be a reserved word that cannot be used as a function name, for example, 't.request.delete'
+export function getNestedAPIFunctionName (apiProp, nestedProp) {
+    return `${apiProp}$${nestedProp}`;
+}
+
 function isTestController (obj) {
     return obj?.constructor?.name === 'TestController';
 }
@@ -18,6 +28,16 @@ export function getDelegatedAPIList (src) {
     return Object
         .getOwnPropertyNames(src)
         .map(prop => {
+            const nestedMatch = prop.match(API_NESTED_IMPLEMENTATION_METHOD_RE);
+
+            if (nestedMatch) {
+                return {
+                    srcProp:    prop,
+                    apiProp:    nestedMatch[1],
+                    nestedProp: nestedMatch[2],
+                };
+            }
+
             const match = prop.match(API_IMPLEMENTATION_METHOD_RE);
 
             if (match) {
@@ -33,32 +53,73 @@ export function getDelegatedAPIList (src) {
         .filter(item => !!item);
 }
 
-export function delegateAPI (dest, apiList, opts) {
-    apiList.forEach(({ srcProp, apiProp, accessor }) => {
-        let fn = function (...args) {
-            if (opts.proxyMethod)
-                opts.proxyMethod();
+function getHandler (ctx, apiProp, accessor, opts) {
+    if (opts.useCurrentCtxAsHandler)
+        return ctx;
 
-            let handler = null;
+    if (opts.getHandler)
+        return opts.getHandler(apiProp, accessor);
 
-            if (opts.useCurrentCtxAsHandler)
-                handler = this;
+    return opts.handler;
+}
 
-            else if (opts.getHandler)
-                handler = opts.getHandler(apiProp, accessor);
+function createDelegatedFunction ({ srcProp, apiProp, accessor, fnName = apiProp }, opts, getCtx) {
+    const fn = function (...args) {
+        if (opts.proxyMethod)
+            opts.proxyMethod();
 
-            else
-                handler = opts.handler;
+        const handler = getHandler(getCtx ? getCtx() : this, apiProp, accessor, opts);
 
-            return handler[srcProp](...args);
-        };
+        return handler[srcProp](...args);
+    };
 
-        // NOTE: need to create named function to process possible err.stack correctly
-        const createNamedFunction = new Function('srcProp', 'apiProp', 'accessor', 'opts', `
-            return ${fn.toString().replace('function', 'function ' + apiProp)}
-        `);
+    // NOTE: need to create named function to process possible err.stack correctly
+    const createNamedFunction = new Function('srcProp', 'apiProp', 'accessor', 'opts', 'getCtx', 'getHandler', `
+        return ${fn.toString().replace('function', 'function ' + fnName)}
+    `);
 
-        fn = createNamedFunction(srcProp, apiProp, accessor, opts);
+    return createNamedFunction(srcProp, apiProp, accessor, opts, getCtx, getHandler);
+}
+
+function createNestedAPIHost (api, nestedApiList, opts, ctx) {
+    const getCtx = () => ctx;
+    const host   = createDelegatedFunction(api, opts, getCtx);
+
+    nestedApiList.forEach(({ srcProp, apiProp, nestedProp }) => {
+        const fnName = getNestedAPIFunctionName(apiProp, nestedProp);
+
+        host[nestedProp] = createDelegatedFunction({ srcProp, apiProp: nestedProp, fnName }, opts, getCtx);
+    });
+
+    return host;
+}
+
+export function delegateAPI (dest, apiList, opts) {
+    const nestedApiLists = new Map();
+    const nestedApiHosts = new WeakMap();
+
+    apiList
+        .filter(({ nestedProp }) => !!nestedProp)
+        .forEach(api => {
+            if (!nestedApiLists.has(api.apiProp))
+                nestedApiLists.set(api.apiProp, []);
+
+            nestedApiLists.get(api.apiProp).push(api);
+        });
+
+    apiList.filter(({ nestedProp }) => !nestedProp).forEach(api => {
+        const { apiProp, accessor } = api;
+        const nestedApiList         = nestedApiLists.get(apiProp);
+        const fn                    = createDelegatedFunction(api, opts);
+
+        // NOTE: nested API methods are called with the API method as the context,
+        // so the API method is bound to the current context in this case
+        const getNestedAPIHost = ctx => {
+            if (!nestedApiHosts.has(ctx))
+                nestedApiHosts.set(ctx, createNestedAPIHost(api, nestedApiList, opts, ctx));
+
+            return nestedApiHosts.get(ctx);
+        };
 
         if (accessor === 'getter')
             Object.defineProperty(dest, apiProp, { get: fn, configurable: true });
@@ -78,7 +139,7 @@ export function delegateAPI (dest, apiList, opts) {
                         debugger;
                     }
 
-                    return fn;
+                    return nestedApiList ? getNestedAPIHost(this) : fn;
                 },
                 configurable: true,
             });
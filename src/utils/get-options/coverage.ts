@@ -0,0 +1,55 @@
+import COVERAGE_OPTION_NAMES from '../../configuration/coverage-option-names';
+import COVERAGE_REPORTER from '../../configuration/coverage-reporter';
+import { RUNTIME_ERRORS } from '../../errors/types';
+import { GeneralError } from '../../errors/runtime';
+import { Dictionary } from '../../configuration/interfaces';
+import { getConcatenatedValuesString } from '../string';
+
+const OPTIONS_SEPARATOR   = ',';
+const KEY_VALUE_SEPARATOR = '=';
+
+function isCoverageOption (option: string): option is COVERAGE_OPTION_NAMES {
+    return Object.values(COVERAGE_OPTION_NAMES).includes(option as COVERAGE_OPTION_NAMES);
+}
+
+export function validateCoverageOptions (options: Dictionary<unknown>): void {
+    const unknownOption = Object.keys(options).find(key => !isCoverageOption(key));
+
+    if (unknownOption)
+        throw new GeneralError(RUNTIME_ERRORS.invalidCoverageOption, unknownOption);
+
+    if (options.reporters === void 0)
+        return;
+
+    const availableReporters = Object.values(COVERAGE_REPORTER) as string[];
+    const reporters          = Array.isArray(options.reporters) ? options.reporters : [options.reporters];
+    const invalidReporter    = reporters.find(reporter => !availableReporters.includes(reporter));
+
+    if (invalidReporter !== void 0)
+        throw new GeneralError(RUNTIME_ERRORS.invalidCoverageReporter, String(invalidReporter), getConcatenatedValuesString(availableReporters));
+}
+
+// NOTE: reporter names are separated by the same separator as options, so values
+// that follow "reporters" and do not have a key are added to the reporter list (e.g., "dir=out,reporters=lcov,json")
+export async function getCoverageOptions (options: string): Promise<Dictionary<string | string[]>> {
+    const parsedOptions: Dictionary<string | string[]> = {};
+    let isReportersParsing                             = false;
+
+    options.split(OPTIONS_SEPARATOR).forEach(optionStr => {
+        const [key, value] = optionStr.split(KEY_VALUE_SEPARATOR);
+
+        if (value === void 0 && isReportersParsing) {
+            (parsedOptions.reporters as string[]).push(key);
+
+            return;
+        }
+
+        isReportersParsing = key === COVERAGE_OPTION_NAMES.reporters;
+
+        parsedOptions[key] = isReportersParsing ? [value] : value;
+    });
+
+    validateCoverageOptions(parsedOptions);
+
+    return parsedOptions;
+}
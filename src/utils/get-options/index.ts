@@ -1,7 +1,11 @@
 import getSSLOptions from './ssl';
 import { getQuarantineOptions } from './quarantine';
+import { getRetriesOptions } from './retries';
 import getScreenshotOptions from './screenshot';
 import getVideoOptions from './video';
+import getHarOptions from './har';
+import { getShardOptions } from './shard';
+import { getCoverageOptions } from './coverage';
 import getMetaOptions from './meta';
 import getGrepOptions from './grep';
 import getCompilerOptions from './compiler';
@@ -9,8 +13,12 @@ import getCompilerOptions from './compiler';
 export {
     getSSLOptions,
     getQuarantineOptions,
+    getRetriesOptions,
     getScreenshotOptions,
     getVideoOptions,
+    getHarOptions,
+    getShardOptions,
+    getCoverageOptions,
     getMetaOptions,
     getGrepOptions,
     getCompilerOptions,
@@ -0,0 +1,112 @@
+import RETRIES_OPTION_NAMES from '../../configuration/retries-option-names';
+import { RUNTIME_ERRORS, TEST_RUN_ERRORS } from '../../errors/types';
+import { GeneralError } from '../../errors/runtime';
+import { assertType, is } from '../../errors/runtime/type-assertions';
+import { Dictionary, RetriesOptions } from '../../configuration/interfaces';
+import TestRunErrorFormattableAdapter from '../../errors/test-run/formattable-adapter';
+import { TestRunErrorBase } from '../../shared/errors';
+
+const OPTIONS_SEPARATOR   = ',';
+const KEY_VALUE_SEPARATOR = '=';
+const DEFAULT_COUNT       = 1;
+
+function _isRetriesOption (option: string): option is RETRIES_OPTION_NAMES {
+    return Object.values(RETRIES_OPTION_NAMES).includes(option as RETRIES_OPTION_NAMES);
+}
+
+export function validateRetriesOptions (options: Dictionary<unknown>): void {
+    const invalidOption = Object.keys(options).find(key => !_isRetriesOption(key));
+
+    if (invalidOption)
+        throw new GeneralError(RUNTIME_ERRORS.invalidRetriesOption, invalidOption);
+
+    const { count, onlyOn } = options;
+
+    if (count !== void 0 && (!Number.isInteger(count) || count as number < 1))
+        throw new GeneralError(RUNTIME_ERRORS.invalidRetriesCount, String(count));
+
+    if (onlyOn === void 0)
+        return;
+
+    assertType(is.array, null, 'The "onlyOn" retries option', onlyOn);
+
+    const errorCodes   = Object.values(TEST_RUN_ERRORS);
+    const invalidCodes = (onlyOn as unknown[]).filter(code => !errorCodes.includes(code as string));
+
+    if (invalidCodes.length)
+        throw new GeneralError(RUNTIME_ERRORS.invalidRetriesErrorCode, String(invalidCodes[0]));
+}
+
+// NOTE: error codes are separated by the same separator as options, so values
+// that follow "onlyOn" and do not have a key are added to the error code list (e.g., "count=2,onlyOn=E24,E25")
+export async function getRetriesOptions (options: string | number | Dictionary<unknown>): Promise<RetriesOptions> {
+    if (typeof options === 'number' || /^\d+$/.test(String(options)))
+        options = { count: Number(options) };
+
+    if (typeof options !== 'string') {
+        validateRetriesOptions(options);
+
+        return options as unknown as RetriesOptions;
+    }
+
+    const parsedOptions: Dictionary<unknown> = {};
+    let isOnlyOnParsing                      = false;
+
+    options.split(OPTIONS_SEPARATOR).forEach(optionStr => {
+        const [key, value] = optionStr.split(KEY_VALUE_SEPARATOR);
+
+        if (value === void 0 && isOnlyOnParsing) {
+            (parsedOptions.onlyOn as string[]).push(key);
+
+            return;
+        }
+
+        isOnlyOnParsing = key === RETRIES_OPTION_NAMES.onlyOn;
+
+        if (isOnlyOnParsing)
+            parsedOptions[key] = [value];
+        else
+            parsedOptions[key] = key === RETRIES_OPTION_NAMES.count ? Number(value) : value;
+    });
+
+    validateRetriesOptions(parsedOptions);
+
+    return parsedOptions as unknown as RetriesOptions;
+}
+
+export class Retries {
+    public attempts: TestRunErrorFormattableAdapter[][];
+    public count: number;
+    public onlyOn: string[] | null;
+
+    public constructor ({ count, onlyOn }: Partial<RetriesOptions> = {}) {
+        this.attempts = [];
+        this.count    = count || DEFAULT_COUNT;
+        this.onlyOn   = onlyOn || null;
+    }
+
+    public getNextAttemptNumber (): number {
+        return this.attempts.length + 1;
+    }
+
+    public isFirstAttempt (): boolean {
+        return !this.attempts.length;
+    }
+
+    // NOTE: a test is retried only if all its errors are caused by the specified reasons,
+    // so that real failures (e.g., failed assertions) are not hidden by retries
+    public shouldRetry (errors: TestRunErrorFormattableAdapter[]): boolean {
+        if (!errors.length || this.attempts.length >= this.count)
+            return false;
+
+        const onlyOn = this.onlyOn;
+
+        return !onlyOn || errors.every(err => onlyOn.includes((err as unknown as TestRunErrorBase).code));
+    }
+
+    public isFlaky (): boolean {
+        const lastAttempt = this.attempts[this.attempts.length - 1];
+
+        return this.attempts.length > 1 && !!lastAttempt && !lastAttempt.length;
+    }
+}
@@ -0,0 +1,52 @@
+import baseGetOptions from './base';
+import SHARD_OPTION_NAMES from '../../configuration/shard-option-names';
+import SHARD_STRATEGY from '../../configuration/shard-strategy';
+import { RUNTIME_ERRORS } from '../../errors/types';
+import { GeneralError } from '../../errors/runtime';
+import { Dictionary } from '../../configuration/interfaces';
+import { getConcatenatedValuesString } from '../string';
+
+const SHARD_RE = /^(\d+)\/(\d+)$/;
+
+interface ParsedShard {
+    index: number;
+    total: number;
+}
+
+function isShardOption (option: string): option is SHARD_OPTION_NAMES {
+    return Object.values(SHARD_OPTION_NAMES).includes(option as SHARD_OPTION_NAMES);
+}
+
+export function parseShard (value: unknown): ParsedShard {
+    const match = typeof value === 'string' ? value.trim().match(SHARD_RE) : null;
+    const index = match ? parseInt(match[1], 10) : 0;
+    const total = match ? parseInt(match[2], 10) : 0;
+
+    if (index < 1 || index > total)
+        throw new GeneralError(RUNTIME_ERRORS.invalidShardValue, String(value));
+
+    return { index, total };
+}
+
+export function validateShardOptions (options: Dictionary<unknown>): void {
+    const unknownOption = Object.keys(options).find(key => !isShardOption(key));
+
+    if (unknownOption)
+        throw new GeneralError(RUNTIME_ERRORS.invalidShardOption, unknownOption);
+
+    const strategies = Object.values(SHARD_STRATEGY) as string[];
+
+    if (options.by !== void 0 && !strategies.includes(options.by as string))
+        throw new GeneralError(RUNTIME_ERRORS.invalidShardStrategy, String(options.by), getConcatenatedValuesString(strategies));
+
+    if (options.by === SHARD_STRATEGY.duration && !options.durationsPath)
+        throw new GeneralError(RUNTIME_ERRORS.shardDurationsPathIsNotSpecified);
+}
+
+export async function getShardOptions (options: string): Promise<Dictionary<number | string | boolean>> {
+    const parsedOptions = await baseGetOptions(options, { skipOptionValueTypeConversion: true });
+
+    validateShardOptions(parsedOptions);
+
+    return parsedOptions;
+}
@@ -130,6 +130,12 @@ export default class PathPattern extends EventEmitter {
         return correctFilePath(path, this.fileExtension);
     }
 
+    getPathByPattern (pattern, fileExtension) {
+        const path = this._buildPath(pattern, this.placeholderToDataMap, false);
+
+        return correctFilePath(path, fileExtension);
+    }
+
     // For testing purposes
     static get PLACEHOLDERS () {
         return PLACEHOLDERS;
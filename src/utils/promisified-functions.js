@@ -9,6 +9,7 @@ export const stat       = promisify(fs.stat);
 export const writeFile  = promisify(fs.writeFile);
 export const readFile   = promisify(fs.readFile);
 export const deleteFile = promisify(fs.unlink);
+export const copyFile   = promisify(fs.copyFile);
 
 export const exec = promisify(childProcess.exec);
 
@@ -0,0 +1,151 @@
+const testCafeCore  = window.getTestCafeModule('testCafeCore');
+const accessibility = testCafeCore.accessibility;
+
+let container = null;
+
+function getViolationTargets (ruleId, html) {
+    container.innerHTML = html;
+
+    const violations = accessibility.runAudit(container, [ruleId]);
+
+    return violations.length ? violations[0].nodes.map(function (node) {
+        return node.target;
+    }) : [];
+}
+
+function getDocumentViolationIds (ruleId) {
+    return accessibility.runAudit(document.documentElement, [ruleId]).map(function (violation) {
+        return violation.id;
+    });
+}
+
+QUnit.testStart(function () {
+    container    = document.createElement('div');
+    container.id = 'container';
+
+    document.body.appendChild(container);
+});
+
+QUnit.testDone(function () {
+    container.parentNode.removeChild(container);
+});
+
+module('accessibility rules');
+
+test('image-alt', function () {
+    deepEqual(getViolationTargets('image-alt', '<img src="a.png"><img alt=""><img role="presentation"><img aria-label="Logo">'), [
+        '#container > img:nth-child(1)',
+    ]);
+});
+
+test('input-image-alt', function () {
+    deepEqual(getViolationTargets('input-image-alt', '<input type="image"><input type="image" alt="Search"><input type="image" title="Send">'), [
+        '#container > input:nth-child(1)',
+    ]);
+});
+
+test('button-name', function () {
+    const html = '<button></button><button>OK</button><div role="button"><img alt="Close"></div>' +
+                 '<input type="button"><input type="button" value="Save">';
+
+    deepEqual(getViolationTargets('button-name', html), [
+        '#container > button:nth-child(1)',
+        '#container > input:nth-child(4)',
+    ]);
+});
+
+test('link-name', function () {
+    deepEqual(getViolationTargets('link-name', '<a href="/"></a><a href="/">Home</a><a></a><a href="/" aria-label="Home"></a>'), [
+        '#container > a:nth-child(1)',
+    ]);
+});
+
+test('label', function () {
+    const html = '<input type="text"><label>Name <input type="text"></label><label for="email">Email</label><input id="email">' +
+                 '<input type="hidden"><textarea aria-label="Comment"></textarea><select></select>';
+
+    deepEqual(getViolationTargets('label', html), [
+        '#container > input:nth-child(1)',
+        '#container > select:nth-child(7)',
+    ]);
+});
+
+test('frame-title', function () {
+    deepEqual(getViolationTargets('frame-title', '<iframe></iframe><iframe title="Map"></iframe>'), [
+        '#container > iframe:nth-child(1)',
+    ]);
+});
+
+test('empty-heading', function () {
+    deepEqual(getViolationTargets('empty-heading', '<h1></h1><h2>Title</h2><div role="heading"> </div>'), [
+        '#container > h1:nth-child(1)',
+        '#container > div:nth-child(3)',
+    ]);
+});
+
+test('duplicate-id', function () {
+    deepEqual(getViolationTargets('duplicate-id', '<div id="item"></div><span id="item"></span><p id="other"></p>'), [
+        '#container > span:nth-child(2)',
+    ]);
+});
+
+test('document-title', function () {
+    const title = document.title;
+
+    document.title = '';
+    deepEqual(getDocumentViolationIds('document-title'), ['document-title']);
+
+    document.title = 'Page';
+    deepEqual(getDocumentViolationIds('document-title'), []);
+
+    document.title = title;
+});
+
+test('html-has-lang', function () {
+    const lang = document.documentElement.getAttribute('lang');
+
+    document.documentElement.removeAttribute('lang');
+    deepEqual(getDocumentViolationIds('html-has-lang'), ['html-has-lang']);
+
+    document.documentElement.setAttribute('lang', 'en');
+    deepEqual(getDocumentViolationIds('html-has-lang'), []);
+
+    if (lang === null)
+        document.documentElement.removeAttribute('lang');
+    else
+        document.documentElement.setAttribute('lang', lang);
+});
+
+module('accessibility audit');
+
+test('should not check the document rules in an element context', function () {
+    const title = document.title;
+
+    document.title = '';
+    deepEqual(accessibility.runAudit(container, ['document-title', 'html-has-lang']), []);
+
+    document.title = title;
+});
+
+test('should skip elements hidden from assistive technologies', function () {
+    deepEqual(getViolationTargets('image-alt', '<img style="display: none"><div aria-hidden="true"><img></div><img style="visibility: hidden">'), []);
+});
+
+test('should return violations with the shared rule metadata in the rule order', function () {
+    container.innerHTML = '<h1></h1><img>';
+
+    deepEqual(accessibility.runAudit(container, []), [
+        {
+            id:          'image-alt',
+            impact:      'critical',
+            description: 'Images must have alternate text',
+            nodes:       [{ html: '<img>', target: '#container > img:nth-child(2)' }],
+        },
+        {
+            id:          'empty-heading',
+            impact:      'minor',
+            description: 'Headings should not be empty',
+            nodes:       [{ html: '<h1></h1>', target: '#container > h1:nth-child(1)' }],
+        },
+    ]);
+});
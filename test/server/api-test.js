@@ -242,6 +242,39 @@ describe('API', function () {
                 });
         });
 
+        it('Should apply the fixture network conditions to tests without their own network conditions', function () {
+            return compile('test/server/data/test-suites/throttle/testfile.js')
+                .then(function (compiled) {
+                    expect(compiled.tests[0].networkConditions).eql({ latency: 400, download: 50000, upload: 20000 });
+                    expect(compiled.tests[1].networkConditions).eql({ offline: true });
+                });
+        });
+
+        it('Should raise an error if throttle takes a wrong argument', function () {
+            const testfile = resolve('test/server/data/test-suites/throttle/latency-is-negative.js');
+
+            return compile(testfile)
+                .then(function () {
+                    throw new Error('Promise rejection expected');
+                })
+                .catch(function (err) {
+                    assertAPIError(err, {
+                        stackTop: testfile,
+
+                        message: 'Cannot prepare tests due to the following error:\n\n' +
+                                 'fixture.throttle.latency (-1) is not of expected type (non-negative number).',
+
+                        callsite: '   1 |fixture `Latency is negative`\n' +
+                                  ' > 2 |    .throttle({ latency: -1 });\n' +
+                                  '   3 |\n' +
+                                  "   4 |test('Some test', () => {\n" +
+                                  '   5 |\n' +
+                                  '   6 |});\n' +
+                                  '   7 |',
+                    });
+                });
+        });
+
         it('Should raise an error if requestHooks takes a wrong argument', function () {
             const fixtureHookHasWrongType = resolve('test/server/data/test-suites/request-hooks/fixture-hook-has-wrong-type.js');
 
@@ -0,0 +1,99 @@
+const { expect } = require('chai');
+const fs         = require('fs');
+const path       = require('path');
+const tmp        = require('tmp');
+
+const {
+    serializeAttachmentContent,
+    saveAttachment,
+} = require('../../lib/test-run/attachments');
+
+describe('Attachments', () => {
+    describe('serializeAttachmentContent', () => {
+        it('Should serialize Buffers, objects and strings', () => {
+            expect(serializeAttachmentContent(Buffer.from('data'))).eql({ content: 'ZGF0YQ==', format: 'binary' });
+            expect(serializeAttachmentContent({ status: 'ok' })).eql({ content: '{\n  "status": "ok"\n}', format: 'json' });
+            expect(serializeAttachmentContent([1, 2])).eql({ content: '[\n  1,\n  2\n]', format: 'json' });
+            expect(serializeAttachmentContent('log')).eql({ content: 'log', format: 'text' });
+        });
+
+        it('Should not serialize unsupported values', () => {
+            const circular = {};
+
+            circular.self = circular;
+
+            expect(serializeAttachmentContent(123)).eql({ content: 123, format: 'text' });
+            expect(serializeAttachmentContent(circular)).eql({ content: circular, format: 'text' });
+        });
+    });
+
+    describe('saveAttachment', () => {
+        let attachmentsDir = null;
+
+        beforeEach(() => {
+            attachmentsDir = tmp.dirSync({ unsafeCleanup: true });
+        });
+
+        afterEach(() => {
+            attachmentsDir.removeCallback();
+        });
+
+        function save (data, index = 1) {
+            return saveAttachment(data, index, fileName => path.join(attachmentsDir.name, 'attachments', fileName));
+        }
+
+        it('Should save text, JSON and binary content', async () => {
+            const text   = await save({ name: 'log', content: 'Test log', format: 'text' }, 1);
+            const json   = await save({ name: 'response', content: '{"status":"ok"}', format: 'json' }, 2);
+            const binary = await save({ name: 'image.png', content: 'ZGF0YQ==', format: 'binary' }, 3);
+
+            expect(text).eql({
+                name:        'log',
+                path:        path.join(attachmentsDir.name, 'attachments', '1-log.txt'),
+                contentType: 'text/plain',
+                size:        8,
+            });
+
+            expect(json.path).eql(path.join(attachmentsDir.name, 'attachments', '2-response.json'));
+            expect(json.contentType).eql('application/json');
+
+            expect(binary.path).eql(path.join(attachmentsDir.name, 'attachments', '3-image.png'));
+            expect(binary.contentType).eql('application/octet-stream');
+            expect(fs.readFileSync(binary.path).toString()).eql('data');
+        });
+
+        it('Should copy an attached file', async () => {
+            const sourcePath = path.join(attachmentsDir.name, 'session.har');
+
+            fs.writeFileSync(sourcePath, '{}');
+
+            const attachment = await save({ name: 'network', content: sourcePath, format: 'text', fromFile: true });
+
+            expect(attachment).eql({
+                name:        'network',
+                path:        path.join(attachmentsDir.name, 'attachments', '1-network.har'),
+                contentType: 'application/octet-stream',
+                size:        2,
+            });
+        });
+
+        it('Should save text that matches an existing file path as text', async () => {
+            const sourcePath = path.join(attachmentsDir.name, 'session.har');
+
+            fs.writeFileSync(sourcePath, '{}');
+
+            const attachment = await save({ name: 'network', content: sourcePath, format: 'text' });
+
+            expect(attachment.path).eql(path.join(attachmentsDir.name, 'attachments', '1-network.txt'));
+            expect(attachment.contentType).eql('text/plain');
+            expect(fs.readFileSync(attachment.path).toString()).eql(sourcePath);
+        });
+
+        it('Should use the specified content type and sanitize the file name', async () => {
+            const attachment = await save({ name: 'logs/console', content: 'Test log', format: 'text', contentType: 'text/csv' });
+
+            expect(attachment.path).eql(path.join(attachmentsDir.name, 'attachments', '1-logs_console.csv'));
+            expect(attachment.contentType).eql('text/csv');
+        });
+    });
+});
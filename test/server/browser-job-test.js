@@ -18,12 +18,13 @@ describe('Browser Job', function () {
 
         const testRunController = job._testRunControllerQueue[0];
 
-        expect(testRunController.listenerCount()).eql(6);
+        expect(testRunController.listenerCount()).eql(7);
         expect(testRunController.listenerCount('test-run-create')).eql(1);
         expect(testRunController.listenerCount('test-run-ready')).eql(1);
         expect(testRunController.listenerCount('test-run-restart')).eql(1);
         expect(testRunController.listenerCount('test-run-before-done')).eql(1);
         expect(testRunController.listenerCount('test-run-done')).eql(1);
         expect(testRunController.listenerCount('test-action-done')).eql(1);
+        expect(testRunController.listenerCount('test-step-done')).eql(1);
     });
 });
@@ -201,6 +201,161 @@ describe('Browser provider', function () {
         });
     });
 
+    describe('Browser configuration objects', function () {
+        const mockedBrowserProviderPool = proxyquire('../../lib/browser/provider/pool', {
+            './built-in': {
+                'chrome':            { ...BUILTIN_PROVIDERS.chrome, isValidBrowserName: async () => true },
+                'locally-installed': { ...BUILTIN_PROVIDERS['locally-installed'], isValidBrowserName: async () => true },
+                'remote':            BUILTIN_PROVIDERS.remote,
+            },
+        });
+
+        async function getBrowserInfoError (config) {
+            try {
+                await mockedBrowserProviderPool.getBrowserInfo(config);
+            }
+            catch (err) {
+                return err.message;
+            }
+
+            throw new Error('Promise rejection expected');
+        }
+
+        it('Should parse configuration objects for dedicated providers', async () => {
+            const browserInfo = await mockedBrowserProviderPool.getBrowserInfo({
+                name:      'chrome',
+                headless:  true,
+                emulation: { width: 800, height: 600 },
+                env:       { LANG: 'de_DE.UTF-8' },
+            });
+
+            expect(browserInfo).include({
+                providerName: 'chrome',
+                browserName:  '{"headless":true,"emulation":{"width":800,"height":600},"env":{"LANG":"de_DE.UTF-8"}}',
+            });
+
+            expect(browserInfo.browserOption).include({
+                headless:  true,
+                emulation: true,
+                width:     800,
+                height:    600,
+            });
+
+            expect(browserInfo.browserOption.env).eql({ LANG: 'de_DE.UTF-8' });
+        });
+
+        it('Should handle configuration objects without options as aliases', async () => {
+            const browserInfo = await mockedBrowserProviderPool.getBrowserInfo({ name: 'chrome:headless' });
+
+            expect(browserInfo).include({
+                providerName: 'chrome',
+                browserName:  'headless',
+            });
+        });
+
+        it('Should pass arguments from configuration objects to locally installed browsers', async () => {
+            const browserInfo = await mockedBrowserProviderPool.getBrowserInfo({ name: 'safari', args: ['--arg1', '--arg2'] });
+
+            expect(browserInfo).include({
+                providerName: 'locally-installed',
+                browserName:  'safari --arg1 --arg2',
+            });
+        });
+
+        it('Should validate configuration objects', async () => {
+            expect(await getBrowserInfoError({ name: 'chrome', headles: true })).eql(
+                'The "headles" browser option does not exist. Use the following options to configure the browser: ' +
+                '"name", "path", "headless", "userProfile", "emulation", "cdpPort", "marionettePort", "args", and "env".'
+            );
+
+            expect(await getBrowserInfoError({ name: 'chrome', headless: 'true' })).eql(
+                'The "headless" browser option value ("true") is invalid. Specify a boolean value.'
+            );
+
+            expect(await getBrowserInfoError({ name: 'chrome', args: '--arg1' })).eql(
+                'The "args" browser option value ("--arg1") is invalid. Specify an array of strings.'
+            );
+
+            expect(await getBrowserInfoError({ name: 'chrome', emulation: { width: '800px' } })).eql(
+                'The "emulation.width" browser option value ("800px") is invalid. Specify a positive integer.'
+            );
+
+            expect(await getBrowserInfoError({ name: 'chrome', emulation: { dpr: 2 } })).eql(
+                'The "emulation.dpr" browser option does not exist. Use the following options to configure the browser: ' +
+                '"emulation.device", "emulation.orientation", "emulation.width", "emulation.height", ' +
+                '"emulation.scaleFactor", "emulation.mobile", "emulation.touch", and "emulation.userAgent".'
+            );
+
+            expect(await getBrowserInfoError({ name: 'chrome:headless', userProfile: true })).eql(
+                'The "name" browser option value ("chrome:headless") is invalid. Specify a browser alias without modes and options.'
+            );
+        });
+
+        it('Should raise an error if the provider does not support an option', async () => {
+            expect(await getBrowserInfoError({ name: 'safari', headless: true })).eql(
+                'The "locally-installed" browser provider does not support the "headless" browser option.'
+            );
+
+            expect(await getBrowserInfoError({ name: 'remote', args: ['--arg1'] })).eql(
+                'The "remote" browser provider does not support the "args" browser option.'
+            );
+        });
+
+        it('Should start browsers with the specified environment variables', async () => {
+            const startedBrowsers = [];
+
+            const BrowserStarter = proxyquire('../../lib/browser/provider/utils/browser-starter', {
+                'testcafe-browser-tools': {
+                    open: async ({ path }) => {
+                        startedBrowsers.push({ path, lang: process.env.TESTCAFE_BROWSER_LANG });
+                    },
+
+                    __esModule: false,
+                },
+            });
+
+            const browserStarter = new BrowserStarter();
+
+            await browserStarter.startBrowser({ path: '/usr/bin/chrome' }, 'http://example.com', { TESTCAFE_BROWSER_LANG: 'de' });
+            await browserStarter.startBrowser({ path: '/usr/bin/firefox' }, 'http://example.com');
+
+            expect(startedBrowsers).eql([
+                { path: '/usr/bin/chrome', lang: 'de' },
+                { path: '/usr/bin/firefox', lang: void 0 },
+            ]);
+
+            expect(process.env.TESTCAFE_BROWSER_LANG).to.be.undefined;
+        });
+
+        it('Should not pass environment variables to browsers started at the same time', async () => {
+            const startedBrowsers = [];
+
+            const BrowserStarter = proxyquire('../../lib/browser/provider/utils/browser-starter', {
+                'testcafe-browser-tools': {
+                    open: async ({ path }) => {
+                        startedBrowsers.push({ path, lang: process.env.TESTCAFE_BROWSER_LANG });
+
+                        await new Promise(resolve => setTimeout(resolve, 50));
+                    },
+
+                    __esModule: false,
+                },
+            });
+
+            const browserStarter = new BrowserStarter();
+
+            await Promise.all([
+                browserStarter.startBrowser({ path: '/usr/bin/chrome' }, 'http://example.com', { TESTCAFE_BROWSER_LANG: 'de' }),
+                browserStarter.startBrowser({ path: '/usr/bin/firefox' }, 'http://example.com'),
+            ]);
+
+            expect(startedBrowsers).eql([
+                { path: '/usr/bin/chrome', lang: 'de' },
+                { path: '/usr/bin/firefox', lang: void 0 },
+            ]);
+        });
+    });
+
     describe('Init/dispose error handling', function () {
         let initShouldSuccess = false;
 
@@ -391,6 +546,251 @@ describe('Browser provider', function () {
         });
     });
 
+    describe('Chrome provider', () => {
+        function createChromeProvider (log) {
+            let browserContextsCount = 0;
+
+            class BrowserClientMock {
+                constructor (runtimeInfo) {
+                    this.runtimeInfo = runtimeInfo;
+
+                    runtimeInfo.browserClient = this;
+                }
+
+                async init () {
+                }
+
+                async closeTab () {
+                    log.push(`close tab of ${this.runtimeInfo.browserId}`);
+                }
+
+                async startTracing () {
+                    log.push(`start tracing in ${this.runtimeInfo.browserId}`);
+                }
+
+                async stopTracing () {
+                    log.push(`stop tracing in ${this.runtimeInfo.browserId}`);
+
+                    return Buffer.from('{}');
+                }
+            }
+
+            async function remoteChromeMock () {
+                log.push('connect to the browser target');
+
+                return {
+                    Target: {
+                        createBrowserContext: async () => ({ browserContextId: `context-${++browserContextsCount}` }),
+
+                        createTarget: async ({ url, browserContextId }) => {
+                            log.push(`open ${url} in ${browserContextId}`);
+                        },
+
+                        disposeBrowserContext: async ({ browserContextId }) => {
+                            log.push(`dispose ${browserContextId}`);
+                        },
+                    },
+
+                    close: async () => {
+                        log.push('disconnect from the browser target');
+                    },
+                };
+            }
+
+            remoteChromeMock.Version = async ({ port }) => ({ webSocketDebuggerUrl: `ws://localhost:${port}/devtools/browser/id` });
+
+            remoteChromeMock['@noCallThru'] = true;
+
+            const SharedBrowser = proxyquire('../../lib/browser/provider/built-in/dedicated/chrome/shared-browser', {
+                'chrome-remote-interface': remoteChromeMock,
+            });
+
+            const chromeProvider = proxyquire('../../lib/browser/provider/built-in/dedicated/chrome', {
+                './shared-browser': SharedBrowser,
+                './cdp-client':     { BrowserClient: BrowserClientMock },
+
+                './local-chrome': {
+                    start: async pageUrl => {
+                        log.push(`start browser with ${pageUrl}`);
+                    },
+
+                    stop: async ({ browserId }) => {
+                        log.push(`stop browser of ${browserId}`);
+                    },
+                },
+            });
+
+            return Object.assign({}, chromeProvider, {
+                providerName:           'chrome',
+                openedBrowsers:         {},
+                sharedBrowsers:         {},
+                waitForConnectionReady: async () => {},
+                runInitScript:          async () => ({ width: 800, height: 600 }),
+                setUserAgentMetaInfo:   noop,
+            });
+        }
+
+        async function openBrowsers (provider, browserIds, proxyless) {
+            const config = provider.getConfig('headless');
+
+            await Promise.all(browserIds.map(browserId => {
+                return provider.openBrowser(browserId, `http://localhost:1337/browser/connect/${browserId}`, config, true, proxyless);
+            }));
+        }
+
+        it('Should run concurrent browser connections in browser contexts of a single browser in the proxyless mode', async () => {
+            const log      = [];
+            const provider = createChromeProvider(log);
+
+            await openBrowsers(provider, ['id-1', 'id-2', 'id-3'], true);
+
+            expect(log).eql([
+                'start browser with http://localhost:1337/browser/connect/id-1',
+                'connect to the browser target',
+                'open http://localhost:1337/browser/connect/id-2 in context-1',
+                'open http://localhost:1337/browser/connect/id-3 in context-2',
+            ]);
+
+            log.length = 0;
+
+            await provider.closeBrowser('id-1');
+            await provider.closeBrowser('id-2');
+
+            expect(log).eql(['close tab of id-1', 'dispose context-1']);
+            expect(Object.keys(provider.sharedBrowsers).length).eql(1);
+
+            log.length = 0;
+
+            await provider.closeBrowser('id-3');
+
+            expect(log).eql([
+                'dispose context-2',
+                'disconnect from the browser target',
+                'stop browser of id-1',
+            ]);
+
+            expect(provider.sharedBrowsers).eql({});
+            expect(provider.openedBrowsers).eql({});
+        });
+
+        it('Should record a trace in only one browser context of a shared browser at a time', async () => {
+            const log      = [];
+            const provider = createChromeProvider(log);
+
+            await openBrowsers(provider, ['id-1', 'id-2'], true);
+
+            log.length = 0;
+
+            await provider.startTracing('id-1');
+
+            let error = null;
+
+            try {
+                await provider.startTracing('id-2');
+            }
+            catch (err) {
+                error = err;
+            }
+
+            expect(error.message).eql('Another test run is recording a performance trace in the same browser. ' +
+                                      'Run tests without concurrency to record traces of all test runs.');
+
+            await provider.stopTracing('id-1');
+            await provider.startTracing('id-2');
+
+            expect(log).eql(['start tracing in id-1', 'stop tracing in id-1', 'start tracing in id-2']);
+
+            await provider.closeBrowser('id-2');
+            await provider.startTracing('id-1');
+            await provider.closeBrowser('id-1');
+        });
+
+        it('Should grant permissions to the browser context of the browser connection', async () => {
+            const { BrowserClient } = require('../../lib/browser/provider/built-in/dedicated/chrome/cdp-client');
+
+            const grantedPermissions = [];
+
+            const client = {
+                Browser: {
+                    grantPermissions: async params => grantedPermissions.push(params),
+                },
+
+                Emulation: {
+                    setGeolocationOverride: noop,
+                },
+            };
+
+            const geolocation   = { latitude: 52.52, longitude: 13.4 };
+            const browserClient = new BrowserClient({ browserId: 'id-2', browserContextId: 'context-1' }, true);
+
+            browserClient.getActiveClient = async () => client;
+
+            await browserClient.emulate({ geolocation });
+
+            const defaultContextBrowserClient = new BrowserClient({ browserId: 'id-1', browserContextId: null }, true);
+
+            defaultContextBrowserClient.getActiveClient = async () => client;
+
+            await defaultContextBrowserClient.emulate({ geolocation });
+
+            expect(grantedPermissions).eql([
+                { permissions: ['geolocation'], browserContextId: 'context-1' },
+                { permissions: ['geolocation'], browserContextId: void 0 },
+            ]);
+        });
+
+        it('Should fail page requests sent to the proxy host in the offline mode', async () => {
+            const { BrowserClient } = require('../../lib/browser/provider/built-in/dedicated/chrome/cdp-client');
+
+            async function getRequestResults (proxyless, urls) {
+                const results       = [];
+                const browserClient = new BrowserClient({ browserId: 'id-1' }, proxyless);
+
+                const client = {
+                    Fetch: {
+                        continueRequest: async () => results.push('continue'),
+                        failRequest:     async () => results.push('fail'),
+                    },
+                };
+
+                browserClient._parentTarget = { url: 'http://localhost:1337/browser/connect/id-1' };
+
+                for (const url of urls)
+                    await browserClient._onRequestPaused(client, { requestId: url, request: { url } });
+
+                return results;
+            }
+
+            expect(await getRequestResults(true, [
+                'http://localhost:1337/browser/status/id-1',
+                'http://localhost:3000/index.html',
+                'http://localhost:3000/api/users',
+            ])).eql(['continue', 'fail', 'fail']);
+
+            expect(await getRequestResults(false, [
+                'http://localhost:1337/browser/status/id-1',
+                'http://localhost:1338/messaging',
+                'http://localhost:1337/sessionId*id-1/http://localhost:3000/index.html',
+            ])).eql(['continue', 'continue', 'fail']);
+        });
+
+        it('Should start a separate browser for each browser connection outside the proxyless mode', async () => {
+            const log      = [];
+            const provider = createChromeProvider(log);
+
+            await openBrowsers(provider, ['id-1', 'id-2'], false);
+
+            expect(log).eql([
+                'start browser with http://localhost:1337/browser/connect/id-1',
+                'start browser with http://localhost:1337/browser/connect/id-2',
+            ]);
+
+            expect(provider.sharedBrowsers).eql({});
+
+            await Promise.all(['id-1', 'id-2'].map(browserId => provider.openedBrowsers[browserId].tempProfileDir.dispose()));
+        });
+    });
+
     describe('API', () => {
         describe('Screenshots', () => {
             it('Should add warning if provider does not support `fullPage` screenshots', () => {
@@ -429,6 +829,66 @@ describe('Browser provider', function () {
                     });
             });
         });
+
+        describe('Emulation', () => {
+            it('Should pass emulation settings to the plugin if the browser supports emulation', async () => {
+                const emulatedSettings = [];
+
+                const provider = new ProviderCtor({
+                    hasCustomActionForBrowser: () => ({ hasEmulate: true }),
+                    emulate:                   (browserId, settings) => emulatedSettings.push({ browserId, settings }),
+                });
+
+                const result = await provider.emulate('browser-id', { colorScheme: 'dark' });
+
+                expect(result).to.be.true;
+                expect(emulatedSettings).eql([{ browserId: 'browser-id', settings: { colorScheme: 'dark' } }]);
+            });
+
+            it('Should not emulate if the browser does not support emulation', async () => {
+                const provider = new ProviderCtor({
+                    hasCustomActionForBrowser: () => ({ hasEmulate: false }),
+                    emulate:                   () => {
+                        throw new Error('Should not be called');
+                    },
+                });
+
+                expect(await provider.emulate('browser-id', { offline: true })).to.be.false;
+            });
+        });
+
+        describe('Tracing', () => {
+            it('Should record a trace if the browser supports tracing', async () => {
+                const log = [];
+
+                const provider = new ProviderCtor({
+                    hasCustomActionForBrowser: () => ({ hasTracing: true }),
+                    startTracing:              browserId => log.push(`start ${browserId}`),
+
+                    stopTracing: browserId => {
+                        log.push(`stop ${browserId}`);
+
+                        return Buffer.from('{}');
+                    },
+                });
+
+                expect(await provider.startTracing('browser-id')).to.be.true;
+                expect((await provider.stopTracing('browser-id')).toString()).eql('{}');
+                expect(log).eql(['start browser-id', 'stop browser-id']);
+            });
+
+            it('Should not record a trace if the browser does not support tracing', async () => {
+                const provider = new ProviderCtor({
+                    hasCustomActionForBrowser: () => ({ hasTracing: false }),
+                    startTracing:              () => {
+                        throw new Error('Should not be called');
+                    },
+                });
+
+                expect(await provider.startTracing('browser-id')).to.be.false;
+                expect(await provider.stopTracing('browser-id')).to.be.null;
+            });
+        });
     });
 
     describe('Remote provider', () => {
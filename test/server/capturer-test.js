@@ -71,10 +71,11 @@ describe('Capturer', () => {
         });
 
         const testRunControllerMock = {
-            _screenshots: screenshots,
-            test:         { fixture: {} },
-            emit:         noop,
-            _testRunCtor: function ({ browserConnection }) {
+            _screenshots:    screenshots,
+            test:            { fixture: {} },
+            emit:            noop,
+            _isFirstAttempt: () => true,
+            _testRunCtor:    function ({ browserConnection }) {
                 this.id                = 'test-run-id';
                 this.browserConnection = browserConnection;
                 this.initialize        = noop;
@@ -80,6 +80,56 @@ describe('Chrome provider config parser', function () {
         expect(config.userProfile).to.be.true;
     });
 
+    it('Should parse configuration objects', function () {
+        const config = getChromeConfig(JSON.stringify({
+            path:        '/chrome/path',
+            headless:    true,
+            userProfile: '/home/user/profile',
+            emulation:   { device: 'iPhone 4', orientation: 'horizontal' },
+            cdpPort:     9222,
+            args:        ['--arg1', '--arg2'],
+            env:         { LANG: 'de_DE.UTF-8' },
+        }));
+
+        expect(config.path).to.equal('/chrome/path');
+        expect(config.userProfile).to.be.true;
+        expect(config.headless).to.be.true;
+        expect(config.emulation).to.be.true;
+
+        expect(config.mobile).to.be.true;
+        expect(config.orientation).to.equal('horizontal');
+        expect(config.width).to.equal(480);
+        expect(config.height).to.equal(320);
+
+        expect(config.cdpPort).to.equal(9222);
+        expect(config.userArgs).to.equal('');
+        expect(config.args).eql(['--arg1', '--arg2', '--user-data-dir=/home/user/profile']);
+        expect(config.env).eql({ LANG: 'de_DE.UTF-8' });
+    });
+
+    it('Should provide default values for configuration objects', function () {
+        const config = getChromeConfig(JSON.stringify({ headless: true }));
+
+        expect(config.path).to.equal('');
+        expect(config.userProfile).to.be.false;
+        expect(config.emulation).to.be.true;
+        expect(config.width).to.equal(1280);
+        expect(config.height).to.equal(800);
+        expect(config.cdpPort).to.equal('');
+        expect(config.userArgs).to.equal('');
+        expect(config.args).eql([]);
+    });
+
+    it('Should not split arguments with spaces in configuration objects', function () {
+        const config = getChromeConfig(JSON.stringify({
+            userProfile: '/home/user/my profile',
+            args:        ['--user-agent=Foo Bar', '--window-size=800,600'],
+        }));
+
+        expect(config.args).eql(['--user-agent=Foo Bar', '--window-size=800,600', '--user-data-dir=/home/user/my profile']);
+        expect(config.userProfile).to.be.true;
+    });
+
     if (OS.win) {
         it('Should allow unescaped colon as disk/path separator on Windows', function () {
             const config = getChromeConfig('C:\\Chrome\\chrome.exe:headless');
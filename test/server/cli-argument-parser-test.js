@@ -604,14 +604,60 @@ describe('CLI argument parser', function () {
         });
     });
 
+    describe('HAR options', () => {
+        it('Should parse HAR recording options', async () => {
+            const parser = await parse('--har /home/user/har --har-options failedOnly,pathPattern=${TEST}.har');
+
+            expect(parser.opts.har).eql('/home/user/har');
+            expect(parser.opts.harOptions.failedOnly).eql(true);
+            expect(parser.opts.harOptions.pathPattern).eql('${TEST}.har');
+        });
+
+        it('Should provide "undefined" as a default value for HAR recording options', async () => {
+            const parser = await parse('');
+
+            expect(parser.opts.har).eql(void 0);
+            expect(parser.opts.harOptions).eql(void 0);
+        });
+    });
+
+    describe('Shard options', () => {
+        it('Should parse shard options', async () => {
+            const parser = await parse('--shard 3/8 --shard-options by=duration,durationsPath=durations.json');
+
+            expect(parser.opts.shard).eql('3/8');
+            expect(parser.opts.shardOptions).eql({ by: 'duration', durationsPath: 'durations.json' });
+        });
+
+        it('Should raise an error on invalid shard options', () => {
+            return assertRaisesError('--shard 3/8 --shard-options by=test', 'The "by" shard option value ("test") is invalid. ' +
+                                                                            'Use one of the following values: "file", "fixture", and "duration".');
+        });
+    });
+
+    describe('Coverage options', () => {
+        it('Should parse coverage options', async () => {
+            const parser = await parse('--coverage --coverage-options dir=reports,reporters=lcov,json');
+
+            expect(parser.opts.coverage).to.be.true;
+            expect(parser.opts.coverageOptions).eql({ dir: 'reports', reporters: ['lcov', 'json'] });
+        });
+
+        it('Should raise an error on invalid coverage options', () => {
+            return assertRaisesError('--coverage --coverage-options reporters=html', 'The "reporters" coverage option contains an invalid reporter ("html"). ' +
+                                                                                     'Use one of the following values: "lcov" and "json".');
+        });
+    });
+
     describe('Screenshot options', () => {
         it('Should parse screenshot options', async () => {
-            const parser = await parse('--screenshots path=/a/b/c,fullPage=true,takeOnFails=true,pathPattern=${TEST}.png');
+            const parser = await parse('--screenshots path=/a/b/c,fullPage=true,takeOnFails=true,pathPattern=${TEST}.png,baselinesPath=/a/b/baselines');
 
             expect(parser.opts.screenshots.takeOnFails).to.be.ok;
             expect(parser.opts.screenshots.path).equal('/a/b/c');
             expect(parser.opts.screenshots.fullPage).to.be.ok;
             expect(parser.opts.screenshots.pathPattern).equal('${TEST}.png');
+            expect(parser.opts.screenshots.baselinesPath).equal('/a/b/baselines');
         });
 
         it('Should understand legacy keys', async () => {
@@ -752,6 +798,27 @@ describe('CLI argument parser', function () {
         });
     });
 
+    describe('Retries Option', function () {
+        it('Should parse the retry count', async () => {
+            const parser = await parse('--retries 2');
+
+            expect(parser.opts.retries).eql({ count: 2 });
+        });
+
+        it('Should parse retries options', async () => {
+            const parser = await parse('--retries count=3,onlyOn=E24,E26');
+
+            expect(parser.opts.retries).eql({ count: 3, onlyOn: ['E24', 'E26'] });
+        });
+
+        it('Should fail if retries options are invalid', async () => {
+            await assertRaisesError('--retries attempts=3', 'The "attempts" option does not exist. Specify "count" and "onlyOn" to configure test retries.');
+            await assertRaisesError('--retries count=0', 'The "count" retries option value ("0") is invalid. Specify a positive integer.');
+            await assertRaisesError('--retries count=2,onlyOn=E1000', 'The "onlyOn" retries option contains an invalid error code ("E1000"). ' +
+                                                                      'Specify the codes of test run errors (for example, "E24").');
+        });
+    });
+
     it('Should parse command line arguments', function () {
         return parse('-r list -S -q -e --hostname myhost --proxy localhost:1234 --proxy-bypass localhost:5678 --qr-code --app run-app --speed 0.5 --debug-on-fail --disable-page-reloads --retry-test-pages --dev --sf --disable-page-caching --disable-http2 --proxyless ie test/server/data/file-list/file-1.js')
             .then(parser => {
@@ -803,6 +870,7 @@ describe('CLI argument parser', function () {
             { long: '--screenshot-path-pattern', short: '-p' },
             { long: '--screenshots-on-fails', short: '-S' },
             { long: '--quarantine-mode', short: '-q' },
+            { long: '--retries' },
             { long: '--debug-mode', short: '-d' },
             { long: '--skip-js-errors', short: '-e' },
             { long: '--test', short: '-t' },
@@ -837,6 +905,14 @@ describe('CLI argument parser', function () {
             { long: '--video' },
             { long: '--video-options' },
             { long: '--video-encoding-options' },
+            { long: '--har' },
+            { long: '--har-options' },
+            { long: '--shard' },
+            { long: '--shard-options' },
+            { long: '--coverage' },
+            { long: '--coverage-options' },
+            { long: '--test-order' },
+            { long: '--tracing' },
             { long: '--config-file' },
             { long: '--ts-config-path' },
             { long: '--client-scripts', short: '--cs' },
@@ -845,6 +921,9 @@ describe('CLI argument parser', function () {
             { long: '--retry-test-pages' },
             { long: '--disable-screenshots' },
             { long: '--screenshots-full-page' },
+            { long: '--update-screenshot-baselines' },
+            { long: '--update-snapshots' },
+            { long: '--performance-metrics' },
             { long: '--disable-multiple-windows' },
             { long: '--experimental-debug' },
             { long: '--compiler-options' },
@@ -868,8 +947,8 @@ describe('CLI argument parser', function () {
             expect(option.short).eql(EXPECTED_OPTIONS[i].short, CHANGE_CLI_WARNING);
         }
 
-        const expectedRunOptionsCount   = 21;
-        const expectedOtherOptionsCount = 36;
+        const expectedRunOptionsCount   = 27;
+        const expectedOtherOptionsCount = 42;
         const otherOptionsCount         = options.length - expectedRunOptionsCount;
 
         expect(runOptionNames.length).eql(expectedRunOptionsCount, ADD_TO_RUN_OPTIONS_WARNING);
@@ -895,7 +974,12 @@ describe('CLI argument parser', function () {
             '--disable-page-caching',
             '--disable-page-reloads',
             '--disable-screenshots',
+            '--update-screenshot-baselines',
+            '--update-snapshots',
+            '--performance-metrics',
             '--disable-multiple-windows',
+            '--test-order failed-first',
+            '--tracing on-failure',
         ].join(' ');
 
         return parse(argumentsString)
@@ -918,7 +1002,12 @@ describe('CLI argument parser', function () {
                 expect(runOpts.disablePageCaching).eql(true);
                 expect(runOpts.disablePageReloads).eql(true);
                 expect(runOpts.disableScreenshots).eql(true);
+                expect(runOpts.updateScreenshotBaselines).eql(true);
+                expect(runOpts.updateSnapshots).eql(true);
+                expect(runOpts.performanceMetrics).eql(true);
                 expect(runOpts.disableMultipleWindows).eql(true);
+                expect(runOpts.testOrder).eql('failed-first');
+                expect(runOpts.tracing).eql('on-failure');
                 expect(runOpts.browsers).to.be.undefined;
             });
     });
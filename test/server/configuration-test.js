@@ -17,7 +17,12 @@ const consoleWrapper                          = require('./helpers/console-wrapp
 const {
     CONFIGURATION_EXTENSIONS,
     JS_CONFIGURATION_EXTENSION,
+    CJS_CONFIGURATION_EXTENSION,
+    MJS_CONFIGURATION_EXTENSION,
+    TS_CONFIGURATION_EXTENSION,
+    MTS_CONFIGURATION_EXTENSION,
     JSON_CONFIGURATION_EXTENSION,
+    YAML_CONFIGURATION_EXTENSION,
 } = require('../../lib/configuration/formats');
 
 const tsConfigPath           = 'tsconfig.json';
@@ -327,8 +332,7 @@ describe('TestCafeConfiguration', function () {
                 const expectedMessage =
                           `There are multiple configuration files found, TestCafe will only use one. The file "${pathUtil.resolve('.testcaferc.js')}" will be used.\n` +
                           'The priority order is as follows:\n' +
-                          `1. ${pathUtil.resolve('.testcaferc.js')}\n` +
-                          `2. ${pathUtil.resolve('.testcaferc.json')}`;
+                          TestCafeConfiguration.FILENAMES.map((filename, index) => `${index + 1}. ${pathUtil.resolve(filename)}`).join('\n');
 
                 expect(consoleWrapper.messages.log).eql(expectedMessage);
             });
@@ -347,6 +351,127 @@ describe('TestCafeConfiguration', function () {
             });
         });
 
+        describe('Configuration file formats', () => {
+            const getConfigurationFilename = extension => TestCafeConfiguration.FILENAMES[CONFIGURATION_EXTENSIONS.indexOf(extension)];
+
+            beforeEach(() => {
+                fs.unlinkSync(TestCafeConfiguration.FILENAMES[jsonConfigIndex]);
+            });
+
+            it('CommonJS', async () => {
+                createJsConfig(getConfigurationFilename(CJS_CONFIGURATION_EXTENSION), { hostname: 'cjs-host', port1: 1234 });
+
+                await testCafeConfiguration.init();
+
+                expect(testCafeConfiguration.filePath).eql(pathUtil.resolve('.testcaferc.cjs'));
+                expect(testCafeConfiguration.getOption('hostname')).eql('cjs-host');
+                expect(testCafeConfiguration.getOption('port1')).eql(1234);
+            });
+
+            it('ES module', async () => {
+                fs.writeFileSync(getConfigurationFilename(MJS_CONFIGURATION_EXTENSION), 'export default { hostname: "mjs-host", src: "tests" };');
+
+                await testCafeConfiguration.init();
+
+                expect(testCafeConfiguration.getOption('hostname')).eql('mjs-host');
+                expect(testCafeConfiguration.getOption('src')).eql(['tests']);
+            });
+
+            it('TypeScript', async () => {
+                fs.writeFileSync(getConfigurationFilename(TS_CONFIGURATION_EXTENSION), [
+                    'interface Config { hostname: string; filter: (testName: string) => boolean }',
+                    '',
+                    'const config: Config = {',
+                    '    hostname: "ts-host",',
+                    '    filter:   (testName: string): boolean => testName === "test",',
+                    '};',
+                    '',
+                    'export default config;',
+                ].join('\n'));
+
+                await testCafeConfiguration.init();
+
+                expect(testCafeConfiguration.getOption('hostname')).eql('ts-host');
+                expect(testCafeConfiguration.getOption('filter')('test')).to.be.true;
+            });
+
+            it('TypeScript ES module', async () => {
+                fs.writeFileSync(getConfigurationFilename(MTS_CONFIGURATION_EXTENSION), 'const port: number = 1234;\n\nexport default { port1: port };');
+
+                await testCafeConfiguration.init();
+
+                expect(testCafeConfiguration.getOption('port1')).eql(1234);
+            });
+
+            it('YAML', async () => {
+                fs.writeFileSync(getConfigurationFilename(YAML_CONFIGURATION_EXTENSION), [
+                    'hostname: yaml-host',
+                    'browsers:',
+                    '  - remote',
+                    'filter:',
+                    '  testGrep: test\\d',
+                    'disableHttp2: true',
+                ].join('\n'));
+
+                await testCafeConfiguration.init();
+
+                expect(testCafeConfiguration.getOption('hostname')).eql('yaml-host');
+                expect(testCafeConfiguration.getOption('browsers')[0]).to.include({ providerName: 'remote' });
+                expect(testCafeConfiguration.getOption('filter').testGrep.test('test1')).to.be.true;
+                expect(testCafeConfiguration.getOption('disableHttp2')).to.be.true;
+            });
+
+            it('Should validate options from the TypeScript and YAML configuration files', async () => {
+                const expectedMessage = 'The "filter.testGrep" option does not contain a valid regular expression.';
+
+                for (const extension of [TS_CONFIGURATION_EXTENSION, YAML_CONFIGURATION_EXTENSION]) {
+                    const filename = getConfigurationFilename(extension);
+                    let message    = null;
+
+                    fs.writeFileSync(filename, extension === YAML_CONFIGURATION_EXTENSION ? 'filter:\n  testGrep: "("' : 'export default { filter: { testGrep: "(" } };');
+
+                    try {
+                        await testCafeConfiguration.init();
+                    }
+                    catch (err) {
+                        message = err.message;
+                    }
+
+                    fs.unlinkSync(filename);
+
+                    expect(message).eql(expectedMessage);
+                }
+            });
+
+            it('TypeScript config is not well-formed', async () => {
+                const filePath = getConfigurationFilename(TS_CONFIGURATION_EXTENSION);
+
+                fs.writeFileSync(filePath, 'export default {');
+                consoleWrapper.wrap();
+
+                await testCafeConfiguration.init();
+
+                consoleWrapper.unwrap();
+
+                expect(testCafeConfiguration.getOption('hostname')).eql(void 0);
+                expect(consoleWrapper.messages.log).contains(`Failed to parse the '${pathUtil.resolve(filePath)}' file.`);
+            });
+
+            it('YAML config is not well-formed', async () => {
+                const filePath = getConfigurationFilename(YAML_CONFIGURATION_EXTENSION);
+
+                fs.writeFileSync(filePath, 'hostname: [');
+                consoleWrapper.wrap();
+
+                await testCafeConfiguration.init();
+
+                consoleWrapper.unwrap();
+
+                expect(testCafeConfiguration.getOption('hostname')).eql(void 0);
+                expect(consoleWrapper.messages.log).contains(`Failed to parse the '${pathUtil.resolve(filePath)}' file.`);
+            });
+        });
+
         it('File doesn\'t exists', () => {
             fs.unlinkSync(TestCafeConfiguration.FILENAMES[jsonConfigIndex]);
 
@@ -0,0 +1,221 @@
+const { expect }             = require('chai');
+const fs                     = require('fs');
+const path                   = require('path');
+const tmp                    = require('tmp');
+const CoverageCollector      = require('../../lib/code-coverage');
+const CoverageMap            = require('../../lib/code-coverage/coverage-map');
+const formatLcov             = require('../../lib/code-coverage/lcov');
+const { getCoverageOptions } = require('../../lib/utils/get-options/coverage');
+const AsyncEmitter           = require('../../lib/utils/async-event-emitter');
+const MessageBus             = require('../../lib/utils/message-bus');
+const renderTemplate         = require('../../lib/utils/render-template');
+
+function createRange (startLine, endLine = startLine) {
+    return { start: { line: startLine, column: 0 }, end: { line: endLine, column: 10 } };
+}
+
+function createFileCoverage (filePath, { s = [1, 0, 2], f = [1, 0], b = [[1, 0]] } = {}) {
+    return {
+        path:         filePath,
+        statementMap: { 0: createRange(1), 1: createRange(2), 2: createRange(2) },
+        fnMap:        {
+            0: { name: 'covered', decl: createRange(1), loc: createRange(1, 3), line: 1 },
+            1: { name: 'uncovered', decl: createRange(5), loc: createRange(5, 6), line: 5 },
+        },
+        branchMap: {
+            0: { type: 'if', loc: createRange(2), locations: [createRange(2), createRange(2)], line: 2 },
+        },
+        s: Object.assign({}, s),
+        f: Object.assign({}, f),
+        b: Object.assign({}, b),
+    };
+}
+
+class TestRunMock extends AsyncEmitter {
+    constructor (test, coverage) {
+        super();
+
+        this.test     = test;
+        this.coverage = coverage;
+    }
+
+    async getIstanbulCoverage () {
+        if (this.coverage instanceof Error)
+            throw this.coverage;
+
+        return this.coverage;
+    }
+}
+
+describe('Code coverage', () => {
+    describe('CoverageMap', () => {
+        it('Should sum up counters of the same file', () => {
+            const coverageMap = new CoverageMap();
+
+            coverageMap.merge({ '/src/a.js': createFileCoverage('/src/a.js') });
+            coverageMap.merge({
+                '/src/a.js': createFileCoverage('/src/a.js', { s: [0, 3, 0], f: [0, 1], b: [[0, 4]] }),
+                '/src/b.js': createFileCoverage('/src/b.js'),
+            });
+
+            const [ fileA, fileB ] = coverageMap.getFiles();
+
+            expect(fileA.path).eql('/src/a.js');
+            expect(fileA.s).eql({ 0: 1, 1: 3, 2: 2 });
+            expect(fileA.f).eql({ 0: 1, 1: 1 });
+            expect(fileA.b).eql({ 0: [1, 4] });
+            expect(fileB.s).eql({ 0: 1, 1: 0, 2: 2 });
+        });
+
+        it('Should not modify merged coverage data', () => {
+            const coverageMap  = new CoverageMap();
+            const fileCoverage = createFileCoverage('/src/a.js');
+
+            coverageMap.merge({ '/src/a.js': fileCoverage });
+            coverageMap.merge({ '/src/a.js': createFileCoverage('/src/a.js') });
+
+            expect(fileCoverage.s).eql({ 0: 1, 1: 0, 2: 2 });
+            expect(coverageMap.toJSON()['/src/a.js'].s).eql({ 0: 2, 1: 0, 2: 4 });
+        });
+    });
+
+    it('Should format coverage data as LCOV', () => {
+        expect(formatLcov([createFileCoverage('/src/a.js')])).eql([
+            'TN:',
+            'SF:/src/a.js',
+            'FN:1,covered',
+            'FN:5,uncovered',
+            'FNF:2',
+            'FNH:1',
+            'FNDA:1,covered',
+            'FNDA:0,uncovered',
+            'DA:1,1',
+            'DA:2,2',
+            'LF:2',
+            'LH:2',
+            'BRDA:2,0,0,1',
+            'BRDA:2,0,1,0',
+            'BRF:2',
+            'BRH:1',
+            'end_of_record',
+            '',
+        ].join('\n'));
+    });
+
+    it('Should parse coverage options', async () => {
+        expect(await getCoverageOptions('dir=reports,reporters=lcov,json')).eql({ dir: 'reports', reporters: ['lcov', 'json'] });
+        expect(await getCoverageOptions('reporters=json')).eql({ reporters: ['json'] });
+    });
+
+    it('Should raise an error on invalid coverage options', async () => {
+        const getErrorMessage = options => getCoverageOptions(options).then(() => null, err => err.message);
+
+        expect(await getErrorMessage('path=reports')).eql('The "path" option does not exist. Specify "dir" and "reporters" to configure code coverage collection.');
+        expect(await getErrorMessage('reporters=lcov,html')).eql('The "reporters" coverage option contains an invalid reporter ("html"). ' +
+                                                                 'Use one of the following values: "lcov" and "json".');
+    });
+
+    describe('CoverageCollector', () => {
+        let coverageDir = null;
+
+        beforeEach(() => {
+            coverageDir = tmp.dirSync({ unsafeCleanup: true });
+        });
+
+        afterEach(() => {
+            coverageDir.removeCallback();
+        });
+
+        function createCollector (reporters, warnings = []) {
+            const messageBus = new MessageBus();
+            const warningLog = {
+                addWarning: (message, ...args) => warnings.push(renderTemplate(message, ...args)),
+            };
+
+            const collector = new CoverageCollector(messageBus, { dir: coverageDir.name, reporters }, warningLog);
+
+            return { collector, messageBus };
+        }
+
+        it('Should merge coverage of test runs and save reports', async () => {
+            const test     = { name: 'test' };
+            const testRun1 = new TestRunMock(test, [{ '/src/a.js': createFileCoverage('/src/a.js') }]);
+            const testRun2 = new TestRunMock(test, [{ '/src/a.js': createFileCoverage('/src/a.js', { s: [1, 1, 1], f: [1, 1], b: [[1, 1]] }) }]);
+            const testRun3 = new TestRunMock(test, []);
+
+            const { collector, messageBus } = createCollector(['lcov', 'json']);
+
+            for (const testRun of [testRun1, testRun2, testRun3]) {
+                await messageBus.emit('test-run-start', testRun);
+                await testRun.emit('before-done');
+            }
+
+            await collector.save();
+
+            const json = JSON.parse(fs.readFileSync(path.join(coverageDir.name, 'coverage-final.json')).toString());
+            const lcov = fs.readFileSync(path.join(coverageDir.name, 'lcov.info')).toString();
+
+            expect(json['/src/a.js'].s).eql({ 0: 2, 1: 1, 2: 3 });
+            expect(lcov).contains('SF:/src/a.js\n');
+            expect(lcov).contains('FNDA:1,uncovered\n');
+        });
+
+        it('Should merge coverage of all pages opened during a test run', async () => {
+            const testRun = new TestRunMock({ name: 'test' }, [
+                { '/src/a.js': createFileCoverage('/src/a.js') },
+                { '/src/a.js': createFileCoverage('/src/a.js'), '/src/b.js': createFileCoverage('/src/b.js') },
+            ]);
+
+            const { collector, messageBus } = createCollector(['json']);
+
+            await messageBus.emit('test-run-start', testRun);
+            await testRun.emit('before-done');
+            await collector.save();
+
+            const json = JSON.parse(fs.readFileSync(path.join(coverageDir.name, 'coverage-final.json')).toString());
+
+            expect(json['/src/a.js'].s).eql({ 0: 2, 1: 0, 2: 4 });
+            expect(json['/src/b.js'].s).eql({ 0: 1, 1: 0, 2: 2 });
+        });
+
+        it('Should save only the specified reports', async () => {
+            const testRun = new TestRunMock({ name: 'test' }, [{ '/src/a.js': createFileCoverage('/src/a.js') }]);
+
+            const { collector, messageBus } = createCollector(['json']);
+
+            await messageBus.emit('test-run-start', testRun);
+            await testRun.emit('before-done');
+            await collector.save();
+
+            expect(fs.readdirSync(coverageDir.name)).eql(['coverage-final.json']);
+        });
+
+        it('Should not collect coverage of skipped tests', async () => {
+            const testRun = new TestRunMock({ name: 'test', skip: true }, new Error('Should not be called'));
+
+            const { messageBus } = createCollector(['json']);
+
+            await messageBus.emit('test-run-start', testRun);
+
+            expect(testRun.listenerCount('before-done')).eql(0);
+        });
+
+        it('Should warn if coverage cannot be collected', async () => {
+            const warnings = [];
+            const testRun  = new TestRunMock({ name: 'test' }, new Error('Page error'));
+
+            const { collector, messageBus } = createCollector(['json'], warnings);
+
+            await messageBus.emit('test-run-start', testRun);
+            await testRun.emit('before-done');
+            await collector.save();
+
+            expect(warnings).eql([
+                'Was unable to collect code coverage for the "test" test due to an error.\n\nPage error',
+                'No code coverage was collected. Make sure that the tested application is instrumented with Istanbul ' +
+                'and exposes coverage counters in the "window.__coverage__" variable.',
+            ]);
+            expect(fs.readdirSync(coverageDir.name)).eql([]);
+        });
+    });
+});
@@ -742,6 +742,137 @@ module.exports = [
         },
         browser: { alias: 'test-browser', headless: false }
     },
+    {
+        testRunId: 'test-run-id',
+        name:    'checkAccessibility',
+        command: {
+            selector: { expression:'Selector(\'#main\')' },
+            options:  {
+                impactLevel: 'serious'
+            },
+            type:     'check-accessibility',
+            actionId: 'CheckAccessibilityCommand',
+        },
+        test:    {
+            id:    'test-id',
+            name:  'test-name',
+            phase: 'initial'
+        },
+        fixture: {
+            id:   'fixture-id',
+            name: 'fixture-name',
+        },
+        browser: { alias: 'test-browser', headless: false }
+    },
+    {
+        testRunId: 'test-run-id',
+        name:    'getPerformanceMetrics',
+        command: {
+            type:     'get-performance-metrics',
+            actionId: 'GetPerformanceMetricsCommand',
+        },
+        test:    {
+            id:    'test-id',
+            name:  'test-name',
+            phase: 'initial'
+        },
+        fixture: {
+            id:   'fixture-id',
+            name: 'fixture-name',
+        },
+        browser: { alias: 'test-browser', headless: false }
+    },
+    {
+        testRunId: 'test-run-id',
+        name:    'attach',
+        command: {
+            name:    'response',
+            format:  'json',
+            options: {
+                contentType: 'application/vnd.api+json'
+            },
+            type:     'attach',
+            actionId: 'AttachCommand',
+        },
+        test:    {
+            id:    'test-id',
+            name:  'test-name',
+            phase: 'initial'
+        },
+        fixture: {
+            id:   'fixture-id',
+            name: 'fixture-name',
+        },
+        browser: { alias: 'test-browser', headless: false }
+    },
+    {
+        testRunId: 'test-run-id',
+        name:    'emulate',
+        command: {
+            options: {
+                colorScheme: 'dark',
+                locale:      'de-DE'
+            },
+            type:     'emulate',
+            actionId: 'EmulateCommand',
+        },
+        test:    {
+            id:    'test-id',
+            name:  'test-name',
+            phase: 'initial'
+        },
+        fixture: {
+            id:   'fixture-id',
+            name: 'fixture-name',
+        },
+        browser: { alias: 'test-browser', headless: false }
+    },
+    {
+        testRunId: 'test-run-id',
+        name:    'setNetworkConditions',
+        command: {
+            conditions: {
+                latency:  400,
+                download: 50000
+            },
+            type:     'set-network-conditions',
+            actionId: 'SetNetworkConditionsCommand',
+        },
+        test:    {
+            id:    'test-id',
+            name:  'test-name',
+            phase: 'initial'
+        },
+        fixture: {
+            id:   'fixture-id',
+            name: 'fixture-name',
+        },
+        browser: { alias: 'test-browser', headless: false }
+    },
+    {
+        testRunId: 'test-run-id',
+        name:    'request',
+        command: {
+            url:     'http://example.com/api/users',
+            method:  'POST',
+            params:  { page: 2 },
+            options: {
+                withCredentials: true
+            },
+            type:     'request',
+            actionId: 'RequestCommand',
+        },
+        test:    {
+            id:    'test-id',
+            name:  'test-name',
+            phase: 'initial'
+        },
+        fixture: {
+            id:   'fixture-id',
+            name: 'fixture-name',
+        },
+        browser: { alias: 'test-browser', headless: false }
+    },
     {
         testRunId: 'test-run-id',
         name:    'debug',
@@ -0,0 +1,6 @@
+fixture `Latency is negative`
+    .throttle({ latency: -1 });
+
+test('Some test', () => {
+
+});
@@ -0,0 +1,10 @@
+fixture `Throttle`
+    .throttle({ latency: 400, download: 50000, upload: 20000 });
+
+test('Fixture network conditions', () => {
+});
+
+test
+    .throttle({ offline: true })
+    ('Test network conditions', () => {
+    });
@@ -1,4 +1,18 @@
-import { t } from 'testcafe';
+import { t, registerAssertion } from 'testcafe';
+
+declare global {
+    interface CustomAssertions<E> {
+        toBeSortedBy(key: string, message?: string, options?: AssertionOptions): TestControllerPromise;
+    }
+}
+
+registerAssertion('toBeSortedBy', (actual: any[], key: string) => {
+    return actual.every((item, index) => !index || actual[index - 1][key] <= item[key]);
+});
+
+registerAssertion('toHaveLength', async (actual: any[], expected: number) => {
+    return { pass: actual.length === expected, message: `expected length ${expected}`, actual: actual.length };
+}, { retryable: false });
 
 fixture `ClientFunction`
     .page `http://localhost:3000/fixtures/api/es-next/client-function/pages/index.html`;
@@ -20,3 +34,37 @@ test('.notContains', async t => {
         .expect([42, 34] as number []).notContains(13)
         .expect({ ans: 42, foo: 'bar' }).notContains({ foo: 'baz' })
 });
+
+test('.soft', async t => {
+    await t
+        .expect.soft('foobar').contains('foo')
+        .expect.soft(42).gt(40, 'greater than 40', { timeout: 500 })
+        .expect(true).ok();
+});
+
+test('.poll', async t => {
+    let counter = 0;
+
+    await t
+        .expect.poll(async () => ++counter, { timeout: 1000, interval: 50 }).gte(3)
+        .expect.poll(() => 'done').eql('done');
+});
+
+test('custom assertions', async t => {
+    await t
+        .expect([{ id: 1 }, { id: 2 }]).toBeSortedBy('id')
+        .expect.soft([{ id: 2 }]).toBeSortedBy('id', 'sorted by id', { timeout: 500 });
+});
+
+test('.matchesSchema', async t => {
+    const schema = {
+        type:       'object',
+        required:   ['id'],
+        properties: { id: { type: 'integer' } },
+    };
+
+    await t
+        .expect({ id: 1 }).matchesSchema(schema)
+        .expect(Buffer.from('[]')).matchesSchema({ type: 'array' }, 'an array', { timeout: 500 })
+        .expect.soft('text').matchesSchema(true, { timeout: 500 });
+});
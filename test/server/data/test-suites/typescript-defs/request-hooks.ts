@@ -47,6 +47,7 @@ test
         await t
             .addRequestHooks(mock)
             .removeRequestHooks(mock)
+            .addRequestHooks(RequestMock.fromHar('recorded.har', { urlMatch: 'ignoreQuery', bodyMatch: (requestBody, entryBody) => requestBody === entryBody, notFound: 'fail' }))
             .expect(logger1.contains((t: any) => t.request.statusCode === 200)).ok()
             .expect(logger1.count((t: any) => t.request.statusCode === 200)).eql(1)
             .expect(logger1.requests[0].request.body === 'test').ok()
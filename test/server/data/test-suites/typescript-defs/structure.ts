@@ -28,7 +28,8 @@ fixture
     .clientScripts({
         content: 'abracadabra',
         page:    'some/page',
-    });
+    })
+    .throttle({ latency: 400, download: 50000, upload: 20000 });
 
 test
     .before(async t => {
@@ -65,4 +66,5 @@ test
             path: '/some/path',
             page: 'some/page',
         },
-    ]);
+    ])
+    .throttle({ offline: true });
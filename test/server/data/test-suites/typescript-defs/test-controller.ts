@@ -154,6 +154,23 @@ test('.notMatch() assertion', async t => {
         .expect('42 hey').notMatch(/\d+ hey/);
 });
 
+test('.toMatchScreenshot() assertion', async t => {
+    await t
+        .expect(Selector('#el1')).toMatchScreenshot('element')
+        .expect(Selector('#el2')).toMatchScreenshot('element', {
+            threshold:     0.01,
+            ignoreRegions: [{left: 0, top: 0, right: 10, bottom: 10}],
+        });
+});
+
+test('.toMatchSnapshot() assertion', async t => {
+    await t
+        .expect({ status: 'ok' }).toMatchSnapshot()
+        .expect(Selector('#el1')).toMatchSnapshot('element text')
+        .expect(Selector('#el2')).toMatchSnapshot('element markup', { html: true, timeout: 1000 })
+        .expect(Selector('#el3')).toMatchSnapshot({ html: true });
+});
+
 test('ClientFunction result assertion', async t => {
     const getSomeVar = ClientFunction(() => window.location.toString());
 
@@ -782,6 +799,82 @@ test('t.getBrowserConsoleMessages', async t => {
         .expect(messages.info).eql(['info1', 'info2']);
 });
 
+test('t.checkAccessibility', async t => {
+    const { url, violations } = await t.checkAccessibility('#main', { rules: ['image-alt', 'label'], impactLevel: 'serious' });
+
+    await t
+        .expect(url).contains('http://')
+        .expect(violations.length).eql(0);
+
+    const result = await t.checkAccessibility({ impactLevel: 'critical' });
+
+    await t.expect(result.violations.map(violation => violation.nodes[0].target)).eql([]);
+});
+
+test('t.getPerformanceMetrics', async t => {
+    const { navigation, paint, longTasks, resources, browser } = await t.getPerformanceMetrics();
+
+    await t
+        .expect(navigation ? navigation.load : 0).gte(0)
+        .expect(paint.firstContentfulPaint).notEql(-1)
+        .expect(longTasks.count + resources.count).gte(0)
+        .expect(resources.byType['script'] || 0).gte(0)
+        .expect(browser ? browser['JSHeapUsedSize'] : 0).gte(0);
+});
+
+test('t.step', async t => {
+    await t.step('Log in', async () => {
+        await t.step('Type the name', async nestedT => {
+            await nestedT.typeText('#input', 'admin');
+        });
+
+        await t.click('#submit');
+    });
+});
+
+test('t.attach', async t => {
+    const { path, contentType, size } = await t.attach('response', { status: 'ok' });
+
+    await t.attach('log', 'Test log', { contentType: 'text/plain' });
+    await t.attach('screenshot', Buffer.from('data'));
+
+    await t
+        .expect(path).contains('response')
+        .expect(contentType).eql('application/json')
+        .expect(size).gt(0);
+});
+
+test('t.emulate', async t => {
+    await t
+        .emulate({ geolocation: { latitude: 52.52, longitude: 13.4, accuracy: 10 }, timezoneId: 'Europe/Berlin', locale: 'de-DE' })
+        .emulate({ colorScheme: 'dark', reducedMotion: 'reduce', offline: true })
+        .emulate({ geolocation: null, colorScheme: null, offline: false });
+});
+
+test('t.setNetworkConditions', async t => {
+    await t
+        .setNetworkConditions({ latency: 400, download: 50000, upload: 20000 })
+        .setNetworkConditions({ offline: true })
+        .setNetworkConditions(null)
+        .setNetworkConditions();
+});
+
+test('t.request', async t => {
+    const response = await t.request<{ id: number }>('http://localhost:3000/api/users/1', { withCredentials: true });
+
+    await t.request({ url: 'http://localhost:3000/api/users', method: 'POST', body: { name: 'John' } });
+    await t.request.post('http://localhost:3000/api/users', { body: new URLSearchParams({ name: 'John' }) });
+    await t.request.delete({ url: 'http://localhost:3000/api/users/1', headers: { 'x-token': 'token' } });
+
+    const { status, headers, body } = await t.request.get('http://localhost:3000/api/users', { params: { page: 2 }, rawResponse: true });
+
+    await t
+        .expect(response.body.id).eql(1)
+        .expect(status).eql(200)
+        .expect(headers['content-type']).eql('application/json')
+        .expect(body).ok();
+});
+
 test('messages formatting', async t => {
     // Several arguments
     await t.eval(() => console.log('a', 1, null, void 0, ['b', 2], {c: 3}));
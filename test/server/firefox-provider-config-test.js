@@ -29,6 +29,24 @@ describe('Firefox provider config parser', function () {
         expect(config.userProfile).to.be.true;
     });
 
+    it('Should parse configuration objects', function () {
+        const config = getFirefoxConfig(JSON.stringify({
+            headless:       true,
+            userProfile:    '/home/user/profile',
+            marionettePort: 22822,
+            args:           ['--arg1'],
+            env:            { MOZ_LOG: 'all:5' },
+        }));
+
+        expect(config.path).to.equal('');
+        expect(config.userProfile).to.be.true;
+        expect(config.headless).to.be.true;
+        expect(config.marionettePort).to.equal(22822);
+        expect(config.userArgs).to.equal('');
+        expect(config.args).eql(['--arg1', '-profile', '/home/user/profile']);
+        expect(config.env).eql({ MOZ_LOG: 'all:5' });
+    });
+
     if (OS.win) {
         it('Should allow unescaped colon as disk/path separator on Windows', function () {
             const config = getFirefoxConfig('C:\\Firefox\\firefox.exe:userProfile');
@@ -0,0 +1,250 @@
+const { expect }     = require('chai');
+const sinon          = require('sinon');
+const fs             = require('fs');
+const path           = require('path');
+const tmp            = require('tmp');
+const moment         = require('moment');
+const HarRecorder    = require('../../lib/har-recorder');
+const TestRunHarLog  = require('../../lib/har-recorder/test-run-har-log');
+const AsyncEmitter   = require('../../lib/utils/async-event-emitter');
+const MessageBus     = require('../../lib/utils/message-bus');
+const renderTemplate = require('../../lib/utils/render-template');
+
+function createRequestEvent ({ requestId, url, method = 'GET', headers = {}, body = Buffer.from('') }) {
+    return { _requestInfo: { requestId, url, method, headers, body } };
+}
+
+function createResponseEvent ({ requestId, statusCode = 200, headers = {}, body = Buffer.from('') }) {
+    return { requestId, statusCode, headers, body };
+}
+
+function createHarLog () {
+    return new TestRunHarLog({
+        creatorVersion: '1.0.0',
+        browserName:    'Chrome',
+        browserVersion: '99.0',
+        title:          'fixture - test',
+    });
+}
+
+class TestRunMock extends AsyncEmitter {
+    constructor (id, test) {
+        super();
+
+        this.id                = id;
+        this.test              = test;
+        this.errs              = [];
+        this.quarantine        = null;
+        this.requestHooks      = new Set();
+        this.browserConnection = {
+            browserInfo: {
+                parsedUserAgent: {
+                    name:            'Chrome',
+                    version:         '99.0',
+                    prettyUserAgent: 'Chrome 99.0 / Linux',
+                    os:              { name: 'Linux', version: '0.0' },
+                },
+            },
+        };
+    }
+
+    attachRequestHook (hook) {
+        this.requestHooks.add(hook);
+    }
+
+    detachRequestHook (hook) {
+        this.requestHooks.delete(hook);
+    }
+
+    async emulateRequest (requestEvent, responseEvent) {
+        for (const hook of this.requestHooks) {
+            await hook.onRequest(requestEvent);
+            await hook.onResponse(responseEvent);
+        }
+    }
+}
+
+describe('HAR recorder', () => {
+    describe('TestRunHarLog', () => {
+        it('Should record request and response details', async () => {
+            const harLog = createHarLog();
+
+            await harLog.onRequest(createRequestEvent({
+                requestId: 'r1',
+                url:       'http://example.com/api?a=1&b=2',
+                method:    'POST',
+                headers:   { 'content-type': 'application/json', cookie: 'c1=v1; c2=v2' },
+                body:      Buffer.from('{"x":1}'),
+            }));
+
+            await harLog.onResponse(createResponseEvent({
+                requestId:  'r1',
+                statusCode: 201,
+                headers:    { 'content-type': 'application/json', 'set-cookie': ['s1=v1; Path=/'] },
+                body:       Buffer.from('{"ok":true}'),
+            }));
+
+            const { log }   = harLog.toHar();
+            const [ entry ] = log.entries;
+
+            expect(log.version).eql('1.2');
+            expect(log.creator).eql({ name: 'TestCafe', version: '1.0.0' });
+            expect(log.browser).eql({ name: 'Chrome', version: '99.0' });
+            expect(log.pages[0].title).eql('fixture - test');
+            expect(log.entries.length).eql(1);
+
+            expect(entry.pageref).eql(log.pages[0].id);
+            expect(entry.request.method).eql('POST');
+            expect(entry.request.queryString).eql([{ name: 'a', value: '1' }, { name: 'b', value: '2' }]);
+            expect(entry.request.cookies).eql([{ name: 'c1', value: 'v1' }, { name: 'c2', value: 'v2' }]);
+            expect(entry.request.postData).eql({ mimeType: 'application/json', text: '{"x":1}', params: [] });
+            expect(entry.response.status).eql(201);
+            expect(entry.response.statusText).eql('Created');
+            expect(entry.response.cookies).eql([{ name: 's1', value: 'v1' }]);
+            expect(entry.response.content).eql({ size: 11, mimeType: 'application/json', text: '{"ok":true}' });
+            expect(entry.timings.wait).eql(entry.time);
+        });
+
+        it('Should attribute the request time to waiting for the response', async () => {
+            const harLog = createHarLog();
+            const now    = sinon.stub(Date, 'now');
+
+            try {
+                now.returns(1000);
+                await harLog.onRequest(createRequestEvent({ requestId: 'r1', url: 'http://example.com/' }));
+
+                now.returns(1500);
+                await harLog.onResponse(createResponseEvent({ requestId: 'r1' }));
+            }
+            finally {
+                now.restore();
+            }
+
+            const [ entry ] = harLog.toHar().log.entries;
+
+            expect(entry.time).eql(500);
+            expect(entry.timings).eql({ blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: 500, receive: 0 });
+        });
+
+        it('Should encode binary content and record redirects', async () => {
+            const harLog = createHarLog();
+
+            await harLog.onRequest(createRequestEvent({ requestId: 'r1', url: 'http://example.com/old' }));
+            await harLog.onResponse(createResponseEvent({ requestId: 'r1', statusCode: 302, headers: { location: 'http://example.com/new' } }));
+            await harLog.onRequest(createRequestEvent({ requestId: 'r2', url: 'http://example.com/image.png' }));
+            await harLog.onResponse(createResponseEvent({ requestId: 'r2', headers: { 'content-type': 'image/png' }, body: Buffer.from([1, 2, 3]) }));
+
+            const [ redirect, image ] = harLog.toHar().log.entries;
+
+            expect(redirect.response.redirectURL).eql('http://example.com/new');
+            expect(image.response.content).eql({ size: 3, mimeType: 'image/png', text: 'AQID', encoding: 'base64' });
+        });
+
+        it('Should keep requests without responses', async () => {
+            const harLog = createHarLog();
+
+            await harLog.onRequest(createRequestEvent({ requestId: 'r1', url: 'http://example.com/pending' }));
+
+            const [ entry ] = harLog.toHar().log.entries;
+
+            expect(entry.request.url).eql('http://example.com/pending');
+            expect(entry.response.status).eql(0);
+        });
+    });
+
+    describe('HarRecorder', () => {
+        let harDir = null;
+
+        beforeEach(() => {
+            harDir = tmp.dirSync({ unsafeCleanup: true });
+        });
+
+        afterEach(() => {
+            harDir.removeCallback();
+        });
+
+        function createRecorder (tests, harOptions, warnings = []) {
+            const messageBus = new MessageBus();
+            const warningLog = {
+                addWarning: (message, ...args) => warnings.push(renderTemplate(message, ...args)),
+            };
+
+            const recorder = new HarRecorder(tests, messageBus, { harPath: harDir.name, harOptions }, warningLog, moment());
+
+            return { recorder, messageBus };
+        }
+
+        it('Should save a HAR file for each test run and expose its path', async () => {
+            const test    = { id: 'test-1', name: 'test', fixture: { name: 'fixture' } };
+            const testRun = new TestRunMock('run-1', test);
+
+            const { recorder, messageBus } = createRecorder([test], { pathPattern: '${FIXTURE}/${TEST}-${TEST_INDEX}.har' });
+
+            await messageBus.emit('test-run-start', testRun);
+            await testRun.emulateRequest(
+                createRequestEvent({ requestId: 'r1', url: 'http://example.com/' }),
+                createResponseEvent({ requestId: 'r1', headers: { 'content-type': 'text/html' }, body: Buffer.from('<html></html>') })
+            );
+            await testRun.emit('before-done');
+
+            const expectedPath = path.join(harDir.name, 'fixture', 'test-1.har');
+            const har          = JSON.parse(fs.readFileSync(expectedPath).toString());
+
+            expect(recorder.getTestHarFiles('test-1')).eql([{ testRunId: 'run-1', harPath: expectedPath }]);
+            expect(har.log.entries.length).eql(1);
+            expect(har.log.entries[0].response.content.text).eql('<html></html>');
+            expect(testRun.requestHooks.size).eql(0);
+        });
+
+        it('Should save HAR files only for failed test runs in the "failedOnly" mode', async () => {
+            const passedTest    = { id: 'test-1', name: 'passed', fixture: { name: 'fixture' } };
+            const failedTest    = { id: 'test-2', name: 'failed', fixture: { name: 'fixture' } };
+            const passedTestRun = new TestRunMock('run-1', passedTest);
+            const failedTestRun = new TestRunMock('run-2', failedTest);
+
+            failedTestRun.errs.push(new Error('test error'));
+
+            const { recorder, messageBus } = createRecorder([passedTest, failedTest], { failedOnly: true });
+
+            await messageBus.emit('test-run-start', passedTestRun);
+            await messageBus.emit('test-run-start', failedTestRun);
+            await passedTestRun.emit('before-done');
+            await failedTestRun.emit('before-done');
+
+            expect(recorder.getTestHarFiles('test-1')).eql([]);
+            expect(recorder.getTestHarFiles('test-2').length).eql(1);
+        });
+
+        it('Should not record skipped tests', async () => {
+            const test    = { id: 'test-1', name: 'test', fixture: { name: 'fixture' }, skip: true };
+            const testRun = new TestRunMock('run-1', test);
+
+            const { recorder, messageBus } = createRecorder([test]);
+
+            await messageBus.emit('test-run-start', testRun);
+
+            expect(testRun.requestHooks.size).eql(0);
+            expect(recorder.getTestHarFiles('test-1')).eql([]);
+        });
+
+        it('Should warn about problematic path pattern placeholders', async () => {
+            const warnings = [];
+            const test     = { id: 'test-1', name: 'test', fixture: { name: 'fixture' } };
+            const testRun  = new TestRunMock('run-1', test);
+
+            const { recorder, messageBus } = createRecorder([test], { pathPattern: '${OS}/${TEST}.har' }, warnings);
+
+            testRun.browserConnection.browserInfo.parsedUserAgent.os.name = void 0;
+
+            await messageBus.emit('test-run-start', testRun);
+            await testRun.emit('before-done');
+
+            expect(warnings).eql([
+                'The "${OS}" path pattern placeholder cannot be applied to the recorded HAR file.\n' +
+                '\n' +
+                'The placeholder was replaced with an empty string.',
+            ]);
+            expect(recorder.getTestHarFiles('test-1')).eql([{ testRunId: 'run-1', harPath: path.join(harDir.name, 'test.har') }]);
+        });
+    });
+});
@@ -0,0 +1,27 @@
+const path = require('path');
+
+
+function createFixture (file, name, hooks = {}) {
+    return Object.assign({
+        path:           path.resolve(file),
+        name:           name,
+        beforeFn:       null,
+        afterFn:        null,
+        globalBeforeFn: null,
+        globalAfterFn:  null,
+    }, hooks);
+}
+
+function createTests (fixture, names) {
+    return names.map(name => ({ name, fixture, skip: false }));
+}
+
+function getTestNames (tests) {
+    return tests.map(test => test.name);
+}
+
+module.exports = {
+    createFixture,
+    createTests,
+    getTestNames,
+};
@@ -0,0 +1,212 @@
+const { expect } = require('chai');
+
+const assertMatchesSchema = require('../../lib/assertions/json-schema');
+const JsonSchemaValidator = require('../../lib/assertions/json-schema/validator');
+
+describe('JSON schema assertion', () => {
+    function validateJsonSchema (schema, value) {
+        return new JsonSchemaValidator(schema).validate(value);
+    }
+
+    function getErrors (schema, value) {
+        return validateJsonSchema(schema, value).map(({ instancePath, message }) => `${instancePath}: ${message}`);
+    }
+
+    it('Should validate types, enums and constants', () => {
+        expect(getErrors({ type: 'integer' }, 1.0)).eql([]);
+        expect(getErrors({ type: ['string', 'null'] }, null)).eql([]);
+        expect(getErrors({ type: 'object' }, [])).eql([': must be object']);
+        expect(getErrors({ type: ['string', 'null'] }, 1)).eql([': must be string,null']);
+        expect(getErrors({ enum: [1, { a: 1 }] }, { a: 1 })).eql([]);
+        expect(getErrors({ enum: ['a', 'b'] }, 'c')).eql([': must be equal to one of the allowed values']);
+        expect(getErrors({ const: { a: [1] } }, { a: [2] })).eql([': must be equal to constant']);
+        expect(getErrors(true, 'any')).eql([]);
+        expect(getErrors(false, 'any')).eql([': boolean schema is false']);
+    });
+
+    it('Should validate numbers and strings', () => {
+        expect(getErrors({ multipleOf: 0.1 }, 0.3)).eql([]);
+
+        expect(getErrors({ multipleOf: 2, maximum: 3, exclusiveMinimum: 5 }, 5)).eql([
+            ': must be <= 3',
+            ': must be > 5',
+            ': must be multiple of 2',
+        ]);
+
+        expect(getErrors({ minLength: 2 }, '😀')).eql([': must NOT have fewer than 2 characters']);
+        expect(getErrors({ maxLength: 1, pattern: '^\\d+$' }, 'ab')).eql([
+            ': must NOT have more than 1 characters',
+            ': must match pattern "^\\d+$"',
+        ]);
+    });
+
+    it('Should validate arrays', () => {
+        const schema = {
+            prefixItems: [{ type: 'string' }],
+            items:       { type: 'number' },
+            contains:    { const: 3 },
+            maxContains: 1,
+            uniqueItems: true,
+        };
+
+        expect(getErrors(schema, ['a', 3, 4])).eql([]);
+        expect(getErrors(schema, [1, 'b', 3, 3])).eql([
+            '/0: must be string',
+            '/1: must be number',
+            '/0: must be equal to constant',
+            '/1: must be equal to constant',
+            ': must contain at least 1 and no more than 1 valid item(s)',
+            ': must NOT have duplicate items (items ## 3 and 2 are identical)',
+        ]);
+
+        expect(getErrors({ prefixItems: [true], items: false, minItems: 2 }, [1])).eql([': must NOT have fewer than 2 items']);
+        expect(getErrors({ prefixItems: [true], items: false }, [1, 2])).eql([': must NOT have more than 1 items']);
+        expect(getErrors({ contains: { type: 'string' } }, [1])).eql(['/0: must be string', ': must contain at least 1 valid item(s)']);
+    });
+
+    it('Should validate objects', () => {
+        const schema = {
+            required:             ['id'],
+            properties:           { id: { type: 'integer' }, 'a/b': { type: 'string' } },
+            patternProperties:    { '^x-': { type: 'string' } },
+            additionalProperties: false,
+            propertyNames:        { maxLength: 3 },
+            dependentRequired:    { 'x-a': ['id'] },
+        };
+
+        expect(getErrors(schema, { id: 1, 'x-a': 'a' })).eql([]);
+        expect(getErrors(schema, { 'a/b': 1, 'x-a': 2, other: true })).eql([
+            ': must have required property \'id\'',
+            ': must NOT have more than 3 characters',
+            ': property name must be valid',
+            ': must NOT have additional properties ("other")',
+            '/a~1b: must be string',
+            '/x-a: must be string',
+            ': must have property id when property x-a is present',
+        ]);
+
+        expect(getErrors({ maxProperties: 1, minProperties: 3 }, { a: 1, b: 2 })).eql([
+            ': must NOT have more than 1 properties',
+            ': must NOT have fewer than 3 properties',
+        ]);
+    });
+
+    it('Should validate combinators and conditionals', () => {
+        expect(getErrors({ anyOf: [{ type: 'string' }, { minimum: 2 }] }, 1)).eql([
+            ': must be string',
+            ': must be >= 2',
+            ': must match a schema in anyOf',
+        ]);
+        expect(getErrors({ oneOf: [{ type: 'number' }, { minimum: 2 }] }, 3)).eql([': must match exactly one schema in oneOf']);
+        expect(getErrors({ oneOf: [{ type: 'number' }, { minimum: 2 }] }, 1)).eql([]);
+        expect(getErrors({ not: { type: 'number' } }, 1)).eql([': must NOT be valid']);
+        expect(getErrors({ allOf: [{ type: 'number' }, { maximum: 0 }] }, 1)).eql([': must be <= 0']);
+
+        const conditionalSchema = {
+            if:   { properties: { type: { const: 'user' } } },
+            then: { required: ['name'] },
+            else: { required: ['title'] },
+        };
+
+        expect(getErrors(conditionalSchema, { type: 'user' })).eql([': must have required property \'name\'', ': must match "then" schema']);
+        expect(getErrors(conditionalSchema, { type: 'post' })).eql([': must have required property \'title\'', ': must match "else" schema']);
+        expect(getErrors({ dependentSchemas: { a: { required: ['b'] } } }, { a: 1 })).eql([': must have required property \'b\'']);
+    });
+
+    it('Should validate unevaluated properties and items', () => {
+        const schema = {
+            allOf:                 [{ properties: { id: true } }],
+            anyOf:                 [{ properties: { name: true } }, { required: ['none'] }],
+            unevaluatedProperties: false,
+        };
+
+        expect(getErrors(schema, { id: 1, name: 'a' })).eql([]);
+        expect(getErrors(schema, { id: 1, extra: 2 })).eql([': must NOT have unevaluated properties ("extra")']);
+
+        expect(getErrors({ prefixItems: [true], unevaluatedItems: { type: 'boolean' } }, [1, true, 2])).eql(['/2: must be boolean']);
+    });
+
+    it('Should resolve references', () => {
+        const schema = {
+            $id:   'https://example.com/schemas/user.json',
+            $defs: {
+                id:      { type: 'integer', minimum: 1 },
+                name:    { $anchor: 'name', type: 'string' },
+                'a~b/c': { const: true },
+                address: {
+                    $id:        'address.json',
+                    properties: { zip: { $ref: '#/$defs/zip' } },
+                    $defs:      { zip: { pattern: '^\\d{5}$' } },
+                },
+            },
+
+            properties: {
+                id:      { $ref: '#/$defs/id' },
+                name:    { $ref: '#name' },
+                flag:    { $ref: '#/$defs/a~0b~1c' },
+                address: { $ref: 'https://example.com/schemas/address.json' },
+                friends: { type: 'array', items: { $ref: '#' } },
+            },
+        };
+
+        expect(getErrors(schema, { id: 1, name: 'a', flag: true, address: { zip: '12345' }, friends: [{ id: 2 }] })).eql([]);
+        expect(getErrors(schema, { id: 0, name: 1, flag: false, address: { zip: '1' }, friends: [{ id: 'a' }] })).eql([
+            '/id: must be >= 1',
+            '/name: must be string',
+            '/flag: must be equal to constant',
+            '/address/zip: must match pattern "^\\d{5}$"',
+            '/friends/0/id: must be integer',
+        ]);
+
+    });
+
+    it('Should throw an error when the schema is invalid', () => {
+        expect(() => new JsonSchemaValidator({ $ref: '#/$defs/missing' })).to.throw('can\'t resolve reference #/$defs/missing from id #');
+        expect(() => new JsonSchemaValidator({ type: 'unknown' })).to.throw('schema is invalid: data/type must be equal to one of the allowed values');
+    });
+
+    it('Should resolve dynamic references', () => {
+        const tree = {
+            $id:            'https://example.com/tree',
+            $dynamicAnchor: 'node',
+            type:           'object',
+            properties:     { children: { type: 'array', items: { $dynamicRef: '#node' } } },
+        };
+
+        const strictTree = {
+            $id:                   'https://example.com/strict-tree',
+            $dynamicAnchor:        'node',
+            $ref:                  'tree',
+            unevaluatedProperties: false,
+            $defs:                 { tree },
+        };
+
+        expect(getErrors(strictTree, { children: [{ children: [] }] })).eql([]);
+        expect(getErrors(strictTree, { children: [{ extra: 1 }] })).eql([
+            '/children/0: must NOT have unevaluated properties ("extra")',
+        ]);
+    });
+
+    it('Should throw an assertion error with all validation errors', () => {
+        const schema = { type: 'object', required: ['id'], properties: { name: { type: 'string' } } };
+
+        expect(() => assertMatchesSchema({ id: 1 }, schema)).not.to.throw();
+        expect(() => assertMatchesSchema(Buffer.from('{"id":1}'), schema)).not.to.throw();
+
+        try {
+            assertMatchesSchema({ name: 1 }, schema, 'user');
+
+            throw new Error('Error expected');
+        }
+        catch (err) {
+            expect(err.name).eql('AssertionError');
+            expect(err.message).eql(
+                'user: expected the value to match the JSON schema, but 2 validation errors occurred:\n' +
+                '- "": must have required property \'id\'\n' +
+                '- "/name": must be string'
+            );
+        }
+
+        expect(() => assertMatchesSchema(Buffer.from('<html>'), schema)).to.throw(/^expected the Buffer to contain a JSON document, but it cannot be parsed: /);
+    });
+});
@@ -26,10 +26,13 @@ const browserSetMock = {
 };
 
 class FileWatcherMock extends FileWatcher {
-    addFile (controller, file) {
+    addFile (controller, file, parent) {
         if (!FileWatcher.shouldWatchFile(file.replace(DOCKER_TESTCAFE_FOLDER_REGEXP, '')))
             return;
 
+        if (parent)
+            this._addDependency(parent, file);
+
         this.files = this.files || [];
 
         this.files.push(file);
@@ -48,12 +51,16 @@ class ControllerMock extends LiveModeController {
         super(runner);
 
         this.logger = {
-            writeIntroMessage:          noop,
-            writeStopRunningMessage:    noop,
-            writeTestsFinishedMessage:  noop,
-            writeRunTestsMessage:       noop,
-            writeToggleWatchingMessage: noop,
-            writeExitMessage:           noop,
+            writeIntroMessage:             noop,
+            writeStopRunningMessage:       noop,
+            writeTestsFinishedMessage:     noop,
+            writeRunTestsMessage:          noop,
+            writeToggleWatchingMessage:    noop,
+            writeExitMessage:              noop,
+            writeAffectedTestFilesMessage: noop,
+            writeNoFailedTestsMessage:     noop,
+            writeFilterPromptDone:         noop,
+            writeFilterMessage:            noop,
 
             err: err => {
                 errors.push(err);
@@ -448,6 +455,60 @@ describe('TestCafe Live', function () {
             });
     });
 
+    it('Should track the test files that depend on a changed module', async () => {
+        let changedFiles = null;
+
+        await runTests([testFileWithSingleTestPath, testFileWithExternalModulePath]);
+
+        runner.controller.runAffectedTests = files => {
+            changedFiles = files;
+        };
+
+        runner.controller.fileWatcher._onChanged(runner.controller, externalModulePath);
+
+        expect(changedFiles).include(externalModulePath);
+        expect(changedFiles).include(testFileWithExternalModulePath);
+        expect(changedFiles).not.include(testFileWithSingleTestPath);
+    });
+
+    it('Keyboard event observer filter prompt', () => {
+        const observer = new LiveModeKeyboardEventObserverMock();
+        const calls    = [];
+
+        observer.controllers = [{
+            promptFilter:       (optionName, pattern) => calls.push(['prompt', optionName, pattern]),
+            setFilter:          (optionName, pattern) => calls.push(['set', optionName, pattern]),
+            cancelFilterPrompt: () => calls.push(['cancel']),
+        }];
+
+        observer._onKeyPress(void 0, { ctrl: true, name: 't' });
+        observer._onKeyPress('a', { name: 'a' });
+        observer._onKeyPress('b', { name: 'b' });
+        observer._onKeyPress(void 0, { name: 'backspace' });
+        observer._onKeyPress('\\', { name: void 0 });
+        observer._onKeyPress('d', { name: 'd' });
+        observer._onKeyPress('\r', { name: 'return' });
+
+        observer.lockKeyPress = false;
+
+        observer._onKeyPress(void 0, { ctrl: true, name: 'x' });
+        observer._onKeyPress('f', { name: 'f' });
+        observer._onKeyPress(void 0, { name: 'escape' });
+
+        expect(calls).eql([
+            ['prompt', 'testGrep', ''],
+            ['prompt', 'testGrep', 'a'],
+            ['prompt', 'testGrep', 'ab'],
+            ['prompt', 'testGrep', 'a'],
+            ['prompt', 'testGrep', 'a\\'],
+            ['prompt', 'testGrep', 'a\\d'],
+            ['set', 'testGrep', 'a\\d'],
+            ['prompt', 'fixtureGrep', ''],
+            ['prompt', 'fixtureGrep', 'f'],
+            ['cancel'],
+        ]);
+    });
+
     describe('Controller', function () {
         it('restart', function () {
             return runTests(testFileWithSingleTestPath)
@@ -500,6 +561,119 @@ describe('TestCafe Live', function () {
                 });
         });
 
+        it('run affected tests', async () => {
+            const getTestNames = () => runner.configurationCache.tests.map(test => test.name);
+
+            await runTests([testFileWithSingleTestPath, testFileWithMultipleTestsPath]);
+            await runner.controller.runAffectedTests([externalModulePath, testFileWithMultipleTestsPath]);
+
+            expect(runner.runCount).eql(2);
+            expect(getTestNames()).eql(['multiple 1', 'multiple 2']);
+            expect(runner.testRunController.expectedTestCount).eql(2);
+
+            await runner.controller.restart();
+
+            expect(runner.runCount).eql(3);
+            expect(getTestNames()).eql(['multiple 1', 'multiple 2']);
+
+            await runner.controller.runAllTests();
+
+            expect(runner.runCount).eql(4);
+            expect(getTestNames()).eql(['basic', 'multiple 1', 'multiple 2']);
+        });
+
+        it('report the tests included in a run', async () => {
+            const testScopes = [];
+
+            await runTests([testFileWithSingleTestPath, testFileWithMultipleTestsPath]);
+
+            runner.controller.logger.writeRunTestsMessage = (sourceChanged, testScope) => testScopes.push(testScope);
+
+            await runner.controller.runAffectedTests([testFileWithMultipleTestsPath]);
+            await runner.controller.restart();
+
+            const [ basicTest ] = runner.configurationCache.tests;
+
+            runner.testRunController._saveTestResult({ test: basicTest, errs: [new Error('test error')] });
+
+            await runner.controller.runFailedTests();
+            await runner.controller.restart();
+            await runner.controller.runAllTests();
+            await runner.controller.restart();
+
+            expect(testScopes).eql(['affected', 'affected', 'failed', 'failed', null, null]);
+        });
+
+        it('run all tests if changes do not affect test files', async () => {
+            await runTests([testFileWithSingleTestPath, testFileWithMultipleTestsPath]);
+            await runner.controller.runAffectedTests([externalModulePath]);
+
+            expect(runner.runCount).eql(2);
+            expect(runner.configurationCache.tests.length).eql(3);
+        });
+
+        it('run failed tests', async () => {
+            await runTests([testFileWithSingleTestPath, testFileWithMultipleTestsPath]);
+            await runner.controller.runFailedTests();
+
+            expect(runner.runCount).eql(1);
+
+            const [ basicTest, multipleTest ] = runner.configurationCache.tests;
+            const testRunController           = runner.testRunController;
+
+            testRunController._saveTestResult({ test: basicTest, errs: [] });
+            testRunController._saveTestResult({ test: multipleTest, errs: [new Error('test error')] });
+
+            await runner.controller.runFailedTests();
+
+            expect(runner.runCount).eql(2);
+            expect(runner.configurationCache.tests.map(test => test.name)).eql(['multiple 1']);
+
+            // NOTE: a test fails if it fails in any of the browsers
+            testRunController.run();
+            testRunController._saveTestResult({ test: runner.configurationCache.tests[0], errs: [new Error('test error')] });
+            testRunController._saveTestResult({ test: runner.configurationCache.tests[0], errs: [] });
+
+            expect(testRunController.failedTests.size).eql(1);
+
+            testRunController.run();
+            testRunController._saveTestResult({ test: runner.configurationCache.tests[0], errs: [] });
+
+            expect(testRunController.failedTests.size).eql(0);
+        });
+
+        it('filter tests', async () => {
+            const getTestNames = () => runner.configurationCache.tests.map(test => test.name);
+
+            await runTests([testFileWithSingleTestPath, testFileWithMultipleTestsPath]);
+            await runner.controller.setFilter('testGrep', '\\d$');
+
+            expect(runner.runCount).eql(2);
+            expect(getTestNames()).eql(['multiple 1', 'multiple 2']);
+
+            await runner.controller.setFilter('fixtureGrep', 'basic|multiple');
+            await runner.controller.runAffectedTests([testFileWithSingleTestPath, testFileWithMultipleTestsPath]);
+
+            expect(runner.runCount).eql(4);
+            expect(getTestNames()).eql(['multiple 1', 'multiple 2']);
+
+            await runner.controller.setFilter('testGrep', '');
+
+            expect(runner.runCount).eql(5);
+            expect(getTestNames()).eql(['basic', 'multiple 1', 'multiple 2']);
+
+            await runner.controller.setFilter('fixtureGrep', '(');
+
+            expect(runner.runCount).eql(5);
+            expect(errors.length).eql(1);
+            expect(errors[0].message).eql('The "filter.fixtureGrep" option does not contain a valid regular expression.');
+
+            await runner.controller.setFilter('fixtureGrep', 'unknown');
+
+            expect(errors.length).eql(2);
+            expect(errors[1].message).contains('No tests match your filter.');
+        });
+
         it('watching', function () {
             return runTests(testFileWithSingleTestPath)
                 .then(() => {
@@ -0,0 +1,188 @@
+const { expect }                      = require('chai');
+const { noop }                        = require('lodash');
+const NetworkThrottlingHook           = require('../../lib/test-run/network-conditions/throttling-hook');
+const { SetNetworkConditionsCommand } = require('../../lib/test-run/commands/actions');
+const BaseTestRunMock                 = require('./helpers/base-test-run-mock');
+
+describe('Network throttling', () => {
+    describe('Proxy-side throttling', () => {
+        function createRequestEvent (body) {
+            const event = {
+                mocks: [],
+
+                _requestInfo: { body },
+
+                setMock: async mock => {
+                    event.mocks.push(mock);
+                },
+            };
+
+            return event;
+        }
+
+        async function measure (fn) {
+            const start = Date.now();
+
+            await fn();
+
+            return Date.now() - start;
+        }
+
+        it('Should not delay requests without network conditions', async () => {
+            const hook  = new NetworkThrottlingHook();
+            const event = createRequestEvent(Buffer.alloc(100));
+
+            expect(await measure(() => hook.onRequest(event))).below(50);
+            expect(await measure(() => hook.onResponse({ body: Buffer.alloc(100) }))).below(50);
+            expect(event.mocks).eql([]);
+        });
+
+        it('Should delay requests and responses according to the latency and throughput', async () => {
+            const hook = new NetworkThrottlingHook();
+
+            hook.conditions = { latency: 100, upload: 1000, download: 2000 };
+
+            const requestTime  = await measure(() => hook.onRequest(createRequestEvent(Buffer.alloc(100))));
+            const responseTime = await measure(() => hook.onResponse({ body: Buffer.alloc(400) }));
+
+            expect(requestTime).within(190, 400);
+            expect(responseTime).within(190, 400);
+        });
+
+    });
+
+    describe('Test run', () => {
+        function createTestRun (isThrottledByBrowser) {
+            const testRun = new BaseTestRunMock({
+                test:             { name: 'test-name' },
+                globalWarningLog: { addPlainMessage: noop },
+            });
+
+            testRun.providerLog = [];
+            testRun.listenerLog = [];
+
+            testRun.browserConnection.id          = 'browser-id';
+            testRun.browserConnection.browserInfo = { alias: 'firefox' };
+            testRun.browserConnection.provider    = {
+                setNetworkConditions: async (browserId, conditions) => {
+                    testRun.providerLog.push({ browserId, conditions });
+
+                    return isThrottledByBrowser;
+                },
+            };
+
+            testRun.session.addRequestEventListeners    = () => testRun.listenerLog.push('add');
+            testRun.session.removeRequestEventListeners = () => testRun.listenerLog.push('remove');
+
+            return testRun;
+        }
+
+        it('Should throttle page requests on the proxy side if the browser cannot throttle the network', async () => {
+            const testRun = createTestRun(false);
+
+            await testRun._setNetworkConditions({ latency: 400 });
+
+            expect(testRun.networkThrottlingHook.conditions).eql({ latency: 400 });
+            expect(testRun.listenerLog).eql(['add']);
+
+            await testRun._resetNetworkConditions();
+
+            expect(testRun.networkThrottlingHook.conditions).to.be.null;
+            expect(testRun.listenerLog).eql(['add', 'remove']);
+            expect(testRun.providerLog).eql([
+                { browserId: 'browser-id', conditions: { latency: 400 } },
+                { browserId: 'browser-id', conditions: null },
+            ]);
+        });
+
+        it('Should hand throttling over to the browser if the browser can throttle the network', async () => {
+            const testRun = createTestRun(true);
+
+            await testRun._setNetworkConditions({ offline: true });
+
+            expect(testRun.networkThrottlingHook.conditions).to.be.null;
+            expect(testRun.listenerLog).eql(['add', 'remove']);
+            expect(testRun.providerLog).eql([{ browserId: 'browser-id', conditions: { offline: true } }]);
+        });
+
+        it('Should stop throttling if the command does not specify network conditions', async () => {
+            const testRun = createTestRun(false);
+
+            await testRun._applyNetworkConditions(new SetNetworkConditionsCommand({ conditions: { download: 50000 } }, testRun));
+            await testRun._applyNetworkConditions(new SetNetworkConditionsCommand({ conditions: {} }, testRun));
+
+            expect(testRun.providerLog.map(({ conditions }) => conditions)).eql([
+                { latency: void 0, download: 50000, upload: void 0, offline: void 0 },
+                null,
+            ]);
+
+            expect(testRun.networkConditions).to.be.null;
+            expect(testRun.listenerLog).eql(['add', 'remove']);
+        });
+
+        it('Should throttle page requests on the proxy side if the browser fails to apply the test network conditions', async () => {
+            const testRun = createTestRun(false);
+
+            testRun.browserConnection.provider.setNetworkConditions = async () => {
+                throw new Error('Browser is disconnected');
+            };
+
+            await testRun._setTestNetworkConditions({ latency: 400 });
+
+            expect(testRun.networkThrottlingHook.conditions).eql({ latency: 400 });
+            expect(testRun.listenerLog).eql(['add']);
+            expect(testRun.warningLog.messages).eql([
+                'Was unable to apply the network conditions specified for the "test-name" test in the browser due to an error. ' +
+                'Page requests are throttled by the TestCafe proxy instead.\n\nBrowser is disconnected',
+            ]);
+        });
+
+        it('Should reject the offline mode if the browser cannot throttle the network', async () => {
+            const testRun = createTestRun(false);
+
+            let error = null;
+
+            try {
+                await testRun._setNetworkConditions({ offline: true, latency: 400 });
+            }
+            catch (err) {
+                error = err;
+            }
+
+            expect(error.code).eql('E101');
+            expect(error.browserAlias).eql('firefox');
+            expect(testRun.networkConditions).to.be.null;
+            expect(testRun.networkThrottlingHook.conditions).to.be.null;
+            expect(testRun.listenerLog).eql(['add', 'remove']);
+        });
+
+        it('Should fail the test if the test network conditions specify the offline mode in a browser that cannot throttle the network', async () => {
+            const testRun = createTestRun(false);
+
+            await testRun._setTestNetworkConditions({ offline: true });
+
+            expect(testRun.errs.length).eql(1);
+            expect(testRun.errs[0].code).eql('E101');
+            expect(testRun.warningLog.messages).eql([]);
+        });
+
+        it('Should report a warning if network conditions cannot be reset', async () => {
+            const testRun = createTestRun(false);
+
+            await testRun._setNetworkConditions({ latency: 400 });
+
+            testRun.browserConnection.provider.setNetworkConditions = async () => {
+                throw new Error('Browser is disconnected');
+            };
+
+            await testRun._resetNetworkConditions();
+
+            expect(testRun.networkThrottlingHook.conditions).to.be.null;
+            expect(testRun.listenerLog).eql(['add', 'remove']);
+            expect(testRun.warningLog.messages).eql([
+                'Was unable to reset the network conditions changed in the "test-name" test due to an error. ' +
+                'The next tests may run with these conditions.\n\nBrowser is disconnected',
+            ]);
+        });
+    });
+});
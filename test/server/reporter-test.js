@@ -63,6 +63,7 @@ describe('Reporter', () => {
             name:        'fixture1test1',
             pageUrl:     'urlf1t1',
             fixture:     fixtureMocks[0],
+            testFile:    { filename: fixtureMocks[0].path },
             skip:        false,
             screenshots: [{
                 testRunId:         'idf1t1-1',
@@ -82,6 +83,7 @@ describe('Reporter', () => {
             name:        'fixture1test2',
             pageUrl:     'urlf1t2',
             fixture:     fixtureMocks[0],
+            testFile:    { filename: fixtureMocks[0].path },
             skip:        false,
             screenshots: [{
                 testRunId:         'idf1t2-1',
@@ -109,6 +111,7 @@ describe('Reporter', () => {
             pageUrl:       'urlf1t3',
             skip:          false,
             fixture:       fixtureMocks[0],
+            testFile:      { filename: fixtureMocks[0].path },
             clientScripts: [],
             meta:          {
                 run: 'run-001',
@@ -120,6 +123,7 @@ describe('Reporter', () => {
             pageUrl:       'urlf2t1',
             skip:          false,
             fixture:       fixtureMocks[1],
+            testFile:      { filename: fixtureMocks[1].path },
             clientScripts: [],
             meta:          {
                 run: 'run-001',
@@ -131,6 +135,7 @@ describe('Reporter', () => {
             pageUrl:       'urlf2t2',
             skip:          false,
             fixture:       fixtureMocks[1],
+            testFile:      { filename: fixtureMocks[1].path },
             clientScripts: [],
             meta:          {
                 run: 'run-001',
@@ -142,6 +147,7 @@ describe('Reporter', () => {
             pageUrl:       'urlf3t1',
             skip:          false,
             fixture:       fixtureMocks[2],
+            testFile:      { filename: fixtureMocks[2].path },
             clientScripts: [],
             meta:          {
                 run: 'run-001',
@@ -153,6 +159,7 @@ describe('Reporter', () => {
             pageUrl:       'urlf3t2',
             skip:          true,
             fixture:       fixtureMocks[2],
+            testFile:      { filename: fixtureMocks[2].path },
             clientScripts: [],
             meta:          {
                 run: 'run-001',
@@ -164,6 +171,7 @@ describe('Reporter', () => {
             pageUrl:       'urlf3t3',
             skip:          false,
             fixture:       fixtureMocks[2],
+            testFile:      { filename: fixtureMocks[2].path },
             clientScripts: [],
             meta:          {
                 run: 'run-001',
@@ -293,6 +301,7 @@ describe('Reporter', () => {
             errs:              [{ text: 'err1' }],
             warningLog:        { messages: [] },
             browser:           browserMocks[1],
+            tracePath:         '/screenshots/test-2/firefox/traces/trace.json',
         },
 
         //fixture1test3
@@ -326,6 +335,44 @@ describe('Reporter', () => {
             errs:              [],
             warningLog:        { messages: [] },
             browser:           browserMocks[1],
+
+            stepTree: {
+                steps: [
+                    {
+                        id:        'sf2t2',
+                        name:      'Check images',
+                        path:      ['Check images'],
+                        startTime: 1000,
+                        duration:  10,
+                        failed:    false,
+                        actions:   [{ actionId: 'af2t2', apiActionName: 'checkAccessibility', duration: 10, failed: false }],
+                        steps:     [],
+                    },
+                ],
+            },
+
+            attachments: [
+                {
+                    name:        'accessibility-report',
+                    path:        '/attachments/1-accessibility-report.json',
+                    contentType: 'application/json',
+                    size:        2,
+                },
+            ],
+
+            accessibilityReports: [
+                {
+                    url:        'urlf2t2',
+                    violations: [
+                        {
+                            id:          'image-alt',
+                            impact:      'critical',
+                            description: 'Images must have alternate text',
+                            nodes:       [{ html: '<img src="logo.png">', target: '#logo' }],
+                        },
+                    ],
+                },
+            ],
         },
 
         //fixture3test1
@@ -363,6 +410,8 @@ describe('Reporter', () => {
     ];
 
     chromeTestRunMocks.concat(firefoxTestRunMocks).forEach(testRunMock => {
+        testRunMock.accessibilityReports = testRunMock.accessibilityReports || [];
+
         testRunMock.errs.forEach(err => {
             err.userAgent = testRunMock.browserConnection.userAgent;
         });
@@ -483,13 +532,15 @@ describe('Reporter', () => {
 
         createReporter(messageBus);
 
-        expect(messageBus.listenerCount()).eql(7);
+        expect(messageBus.listenerCount()).eql(9);
         expect(messageBus.listenerCount('warning-add')).eql(1);
         expect(messageBus.listenerCount('start')).eql(1);
         expect(messageBus.listenerCount('test-run-start')).eql(1);
         expect(messageBus.listenerCount('test-run-done')).eql(1);
         expect(messageBus.listenerCount('test-action-start')).eql(1);
         expect(messageBus.listenerCount('test-action-done')).eql(1);
+        expect(messageBus.listenerCount('test-step-start')).eql(1);
+        expect(messageBus.listenerCount('test-step-done')).eql(1);
         expect(messageBus.listenerCount('done')).eql(1);
     });
 
@@ -695,12 +746,18 @@ describe('Reporter', () => {
                 args:   [
                     'fixture1test1',
                     {
-                        errs:       [],
-                        warnings:   [],
-                        durationMs: 74000,
-                        unstable:   true,
-                        skipped:    false,
-                        quarantine: {
+                        errs:          [],
+                        warnings:      [],
+                        durationMs:    74000,
+                        unstable:      true,
+                        flaky:         false,
+                        skipped:       false,
+                        accessibility: [],
+                        steps:         [],
+                        attachments:   [],
+                        traces:        [],
+                        attempts:      [],
+                        quarantine:    {
                             1: { passed: false },
                             2: { passed: true },
                         },
@@ -714,6 +771,7 @@ describe('Reporter', () => {
                             quarantineAttempt: 2,
                         }],
                         videos:   [],
+                        har:      [],
                         testId:   'idf1t1',
                         browsers: [
                             {
@@ -776,10 +834,22 @@ describe('Reporter', () => {
                             },
                         ],
 
-                        warnings:       [],
-                        durationMs:     74000,
-                        unstable:       false,
-                        skipped:        false,
+                        warnings:      [],
+                        durationMs:    74000,
+                        unstable:      false,
+                        flaky:         false,
+                        skipped:       false,
+                        accessibility: [],
+                        steps:         [],
+                        attachments:   [],
+                        traces:        [
+                            {
+                                testRunId: 'f1t2ff',
+                                browser:   browserMocks[1],
+                                path:      '/screenshots/test-2/firefox/traces/trace.json',
+                            },
+                        ],
+                        attempts:       [],
                         quarantine:     null,
                         screenshotPath: '/screenshots/1445437598847',
                         screenshots:    [{
@@ -798,6 +868,7 @@ describe('Reporter', () => {
                             quarantineAttempt: null,
                         }],
                         videos:   [],
+                        har:      [],
                         testId:   'idf1t2',
                         browsers: [
                             {
@@ -849,11 +920,18 @@ describe('Reporter', () => {
                         warnings:       [],
                         durationMs:     74000,
                         unstable:       false,
+                        flaky:          false,
                         skipped:        false,
+                        accessibility:  [],
+                        steps:          [],
+                        attachments:    [],
+                        traces:         [],
+                        attempts:       [],
                         quarantine:     null,
                         screenshotPath: null,
                         screenshots:    [],
                         videos:         [],
+                        har:            [],
                         testId:         'idf1t3',
                         browsers:       [
                             {
@@ -915,11 +993,18 @@ describe('Reporter', () => {
                         warnings:       [],
                         durationMs:     74000,
                         unstable:       false,
+                        flaky:          false,
                         skipped:        false,
+                        accessibility:  [],
+                        steps:          [],
+                        attachments:    [],
+                        traces:         [],
+                        attempts:       [],
                         quarantine:     null,
                         screenshotPath: null,
                         screenshots:    [],
                         videos:         [],
+                        har:            [],
                         testId:         'idf2t1',
                         browsers:       [
                             {
@@ -967,15 +1052,62 @@ describe('Reporter', () => {
                 args:   [
                     'fixture2test2',
                     {
-                        errs:           [],
-                        warnings:       [],
-                        durationMs:     74000,
-                        unstable:       false,
-                        skipped:        false,
+                        errs:          [],
+                        warnings:      [],
+                        durationMs:    74000,
+                        unstable:      false,
+                        flaky:         false,
+                        skipped:       false,
+                        accessibility: [
+                            {
+                                testRunId:  'f2t2ff',
+                                browser:    browserMocks[1],
+                                url:        'urlf2t2',
+                                violations: [
+                                    {
+                                        id:          'image-alt',
+                                        impact:      'critical',
+                                        description: 'Images must have alternate text',
+                                        nodes:       [{ html: '<img src="logo.png">', target: '#logo' }],
+                                    },
+                                ],
+                            },
+                        ],
+                        steps: [
+                            {
+                                testRunId: 'f2t2ff',
+                                browser:   browserMocks[1],
+                                steps:     [
+                                    {
+                                        id:        'sf2t2',
+                                        name:      'Check images',
+                                        path:      ['Check images'],
+                                        startTime: new Date(1000),
+                                        duration:  10,
+                                        failed:    false,
+                                        actions:   [{ actionId: 'af2t2', apiActionName: 'checkAccessibility', duration: 10, failed: false }],
+                                        steps:     [],
+                                    },
+                                ],
+                            },
+                        ],
+                        attachments: [
+                            {
+                                testRunId:   'f2t2ff',
+                                browser:     browserMocks[1],
+                                name:        'accessibility-report',
+                                path:        '/attachments/1-accessibility-report.json',
+                                contentType: 'application/json',
+                                size:        2,
+                            },
+                        ],
+                        traces:         [],
+                        attempts:       [],
                         quarantine:     null,
                         screenshotPath: null,
                         screenshots:    [],
                         videos:         [],
+                        har:            [],
                         testId:         'idf2t2',
                         browsers:       [
                             {
@@ -1041,11 +1173,18 @@ describe('Reporter', () => {
                         warnings:       ['warning1'],
                         durationMs:     74000,
                         unstable:       true,
+                        flaky:          false,
                         skipped:        false,
+                        accessibility:  [],
+                        steps:          [],
+                        attachments:    [],
+                        traces:         [],
+                        attempts:       [],
                         quarantine:     null,
                         screenshotPath: null,
                         screenshots:    [],
                         videos:         [],
+                        har:            [],
                         testId:         'idf3t1',
                         browsers:       [
                             {
@@ -1097,11 +1236,18 @@ describe('Reporter', () => {
                         warnings:       [],
                         durationMs:     74000,
                         unstable:       true,
+                        flaky:          false,
                         skipped:        true,
+                        accessibility:  [],
+                        steps:          [],
+                        attachments:    [],
+                        traces:         [],
+                        attempts:       [],
                         quarantine:     null,
                         screenshotPath: null,
                         screenshots:    [],
                         videos:         [],
+                        har:            [],
                         testId:         'idf3t2',
                         browsers:       [
                             {
@@ -1153,11 +1299,18 @@ describe('Reporter', () => {
                         warnings:       ['warning2', 'warning3'],
                         durationMs:     74000,
                         unstable:       true,
+                        flaky:          false,
                         skipped:        false,
+                        accessibility:  [],
+                        steps:          [],
+                        attachments:    [],
+                        traces:         [],
+                        attempts:       [],
                         quarantine:     null,
                         screenshotPath: null,
                         screenshots:    [],
                         videos:         [],
+                        har:            [],
                         testId:         'idf3t3',
                         browsers:       [
                             {
@@ -1187,7 +1340,7 @@ describe('Reporter', () => {
                     new Date('1970-01-01T00:15:25.000Z'),
                     5,
                     ['warning1', 'warning2', 'warning3'],
-                    { passedCount: 5, failedCount: 2, skippedCount: 1 },
+                    { passedCount: 5, failedCount: 2, skippedCount: 1, flakyCount: 0 },
                 ],
             },
             'task-done resolved',
@@ -1281,6 +1434,100 @@ describe('Reporter', () => {
             });
     });
 
+    it('Should provide HAR files info to the reporter', async function () {
+        this.timeout(3000);
+
+        const harLog   = [];
+        const taskMock = new TaskMock();
+
+        const testHarInfos = {
+            'idf1t1': [
+                { testRunId: 'f1t1', harPath: 'f1t1-chrome.har' },
+                { testRunId: 'f1t1ff', harPath: 'f1t1-firefox.har' },
+            ],
+        };
+
+        taskMock.har = { getTestHarFiles: testId => testHarInfos[testId] || [] };
+
+        function createReporter () {
+            return new Reporter({
+                reportTaskStart:    noop,
+                reportTaskDone:     noop,
+                reportFixtureStart: noop,
+                reportTestStart:    noop,
+                reportTestDone:     (name, testRunInfo) => {
+                    harLog.push(testRunInfo.har);
+                },
+            }, taskMock._messageBus);
+        }
+
+        createReporter();
+
+        await taskMock._messageBus.emit('start', taskMock);
+
+        await Promise.all([
+            emulateBrowserJob(taskMock, chromeTestRunMocks.slice(0, 2)),
+            emulateBrowserJob(taskMock, firefoxTestRunMocks.slice(0, 2)),
+        ]);
+
+        expect(harLog).eql([
+            [
+                { testRunId: 'f1t1', harPath: 'f1t1-chrome.har' },
+                { testRunId: 'f1t1ff', harPath: 'f1t1-firefox.har' },
+            ],
+            [],
+        ]);
+    });
+
+    it('Should provide test attempts info to the reporter', async function () {
+        this.timeout(3000);
+
+        const testRunInfos = [];
+        const taskMock     = new TaskMock();
+
+        const retriedChromeTestRunMock = Object.assign({}, chromeTestRunMocks[0], {
+            unstable:   false,
+            flaky:      true,
+            quarantine: null,
+            retries:    { attempts: [[{ text: 'err3' }], []] },
+        });
+
+        const retriedFirefoxTestRunMock = Object.assign({}, firefoxTestRunMocks[0], {
+            unstable:   false,
+            quarantine: null,
+            retries:    { attempts: [[]] },
+        });
+
+        function createReporter () {
+            return new Reporter({
+                reportTaskStart:    noop,
+                reportTaskDone:     noop,
+                reportFixtureStart: noop,
+                reportTestStart:    noop,
+                reportTestDone:     (name, testRunInfo) => {
+                    testRunInfos.push(testRunInfo);
+                },
+            }, taskMock._messageBus);
+        }
+
+        createReporter();
+
+        await taskMock._messageBus.emit('start', taskMock);
+
+        await Promise.all([
+            emulateBrowserJob(taskMock, [retriedChromeTestRunMock]),
+            emulateBrowserJob(taskMock, [retriedFirefoxTestRunMock]),
+        ]);
+
+        expect(testRunInfos.length).eql(1);
+        expect(testRunInfos[0].flaky).to.be.true;
+        expect(testRunInfos[0].attempts).to.have.deep.members([
+            { attempt: 1, passed: false, browser: browserMocks[0], errs: [{ text: 'err3' }] },
+            { attempt: 2, passed: true, browser: browserMocks[0], errs: [] },
+            { attempt: 1, passed: true, browser: browserMocks[1], errs: [] },
+        ]);
+    });
+
     it('Should dispatch uncaught exception from any plugin method to Task `error` event', async () => {
         function createBrokenReporter (task) {
             const reporterObject = {};
@@ -2,7 +2,11 @@ const { RequestFilterRule }                       = require('testcafe-hammerhead
 const testRunTracker                              = require('../../lib/api/test-run-tracker');
 const exportableLib                               = require('../../lib/api/exportable-lib');
 const { RequestMock, RequestLogger, RequestHook } = exportableLib;
+const { TEST_RUN_ERRORS, RUNTIME_ERRORS }         = require('../../lib/errors/types');
 const nanoid                                      = require('nanoid');
+const tmp                                         = require('tmp');
+const fs                                          = require('fs');
+const path                                        = require('path');
 const { expect }                                  = require('chai');
 
 describe('RequestLogger', () => {
@@ -219,6 +223,189 @@ describe('RequestMock', () => {
         expect(mock._requestFilterRules.length).eql(1);
         expect(mock._requestFilterRules[0].options.url).eql('http://example.com');
     });
+
+    describe('fromHar', () => {
+        let harDir = null;
+
+        const HAR = {
+            log: {
+                version: '1.2',
+                entries: [
+                    {
+                        request: {
+                            method:   'GET',
+                            url:      'http://example.com/api/users?page=1',
+                            postData: void 0,
+                        },
+                        response: {
+                            status:  200,
+                            headers: [
+                                { name: 'Content-Type', value: 'application/json' },
+                                { name: 'Content-Encoding', value: 'gzip' },
+                                { name: 'Set-Cookie', value: 'a=1' },
+                                { name: 'Set-Cookie', value: 'b=2' },
+                            ],
+                            content: { size: 12, mimeType: 'application/json', text: '[{"id":"1"}]' },
+                        },
+                    },
+                    {
+                        request: {
+                            method:   'POST',
+                            url:      'http://example.com/api/users',
+                            postData: { mimeType: 'application/json', text: '{"name":"John","age":42}' },
+                        },
+                        response: {
+                            status:  201,
+                            headers: [],
+                            content: { size: 3, mimeType: 'image/png', text: 'AQID', encoding: 'base64' },
+                        },
+                    },
+                    {
+                        request:  { method: 'GET', url: 'http://example.com/pending' },
+                        response: { status: 0, headers: [], content: {} },
+                    },
+                ],
+            },
+        };
+
+        function createHarFile (content) {
+            const harPath = path.join(harDir.name, 'recorded.har');
+
+            fs.writeFileSync(harPath, typeof content === 'string' ? content : JSON.stringify(content));
+
+            return harPath;
+        }
+
+        function createRequestEvent (url, method = 'GET', body = '') {
+            return {
+                mock:         null,
+                _requestInfo: { url, method, body: Buffer.from(body) },
+
+                async setMock (mock) {
+                    this.mock = mock;
+                },
+            };
+        }
+
+        async function handleRequest (hook, ...args) {
+            const event = createRequestEvent(...args);
+
+            await hook.onRequest(event);
+
+            return event.mock;
+        }
+
+        function getConfigureError (fn) {
+            try {
+                fn();
+            }
+            catch (err) {
+                return err;
+            }
+
+            return null;
+        }
+
+        beforeEach(() => {
+            harDir = tmp.dirSync({ unsafeCleanup: true });
+        });
+
+        afterEach(() => {
+            harDir.removeCallback();
+        });
+
+        it('Should serve recorded responses', async () => {
+            const mock = RequestMock.fromHar(createHarFile(HAR));
+
+            expect(mock._requestFilterRules.length).eql(1);
+            expect(mock._requestFilterRules[0].options).eql(RequestFilterRule.ANY.options);
+
+            const jsonResponse  = await handleRequest(mock, 'http://example.com/api/users?page=1', 'get');
+            const imageResponse = await handleRequest(mock, 'http://example.com/api/users', 'POST', '{"name":"John","age":42}');
+
+            expect(jsonResponse.statusCode).eql(200);
+            expect(jsonResponse.headers).eql({ 'content-type': 'application/json', 'set-cookie': ['a=1', 'b=2'] });
+            expect(jsonResponse.body.toString()).eql('[{"id":"1"}]');
+            expect(imageResponse.statusCode).eql(201);
+            expect(imageResponse.body).eql(Buffer.from([1, 2, 3]));
+            expect(await handleRequest(mock, 'http://example.com/pending')).to.be.null;
+        });
+
+        it('Should resolve a relative HAR file path against the directory of the calling file', () => {
+            const missingFileError = getConfigureError(() => RequestMock.fromHar('missing.har'));
+
+            expect(missingFileError.message).contains(`Cannot read the "${path.join(__dirname, 'missing.har')}" HAR file.`);
+        });
+
+        it('Should match requests using the specified strategies', async () => {
+            const harPath = createHarFile(HAR);
+
+            const exactMock = RequestMock.fromHar(harPath, { bodyMatch: 'exact' });
+            const looseMock = RequestMock.fromHar(harPath, { urlMatch: 'ignoreQuery', methodMatch: 'ignore', bodyMatch: 'json' });
+
+            const customMock = RequestMock.fromHar(harPath, {
+                urlMatch:  (requestUrl, entryUrl) => requestUrl.toLowerCase() === entryUrl,
+                bodyMatch: (requestBody, entryBody) => JSON.parse(entryBody).name === requestBody,
+            });
+
+            expect(await handleRequest(exactMock, 'http://example.com/api/users?page=2')).to.be.null;
+            expect(await handleRequest(exactMock, 'http://example.com/api/users', 'PUT', '{"name":"John","age":42}')).to.be.null;
+            expect(await handleRequest(exactMock, 'http://example.com/api/users', 'POST', '{"age":42,"name":"John"}')).to.be.null;
+
+            expect((await handleRequest(looseMock, 'http://example.com/api/users?page=2')).statusCode).eql(200);
+            expect((await handleRequest(looseMock, 'http://example.com/api/users', 'PUT', '{"age":42,"name":"John"}')).statusCode).eql(201);
+
+            expect((await handleRequest(customMock, 'http://EXAMPLE.com/api/users', 'POST', 'John')).statusCode).eql(201);
+        });
+
+        it('Should handle unmatched requests according to the "notFound" option', async () => {
+            const harPath = createHarFile(HAR);
+            const url     = 'http://example.com/unknown';
+
+            expect(await handleRequest(RequestMock.fromHar(harPath), url)).to.be.null;
+            expect((await handleRequest(RequestMock.fromHar(harPath, { notFound: '404' }), url)).statusCode).eql(404);
+
+            const failingMock = RequestMock.fromHar(harPath, { notFound: 'fail' });
+            const event       = createRequestEvent(url, 'get');
+            let err           = null;
+
+            try {
+                await failingMock.onRequest(event);
+            }
+            catch (e) {
+                err = e;
+            }
+
+            expect(event.mock.statusCode).eql(404);
+            expect(err.code).eql(TEST_RUN_ERRORS.requestMockHarEntryNotFoundError);
+            expect(err.hookClassName).eql('RequestMock');
+            expect(err.method).eql('GET');
+            expect(err.url).eql(url);
+        });
+
+        it('Should raise an error for invalid arguments', () => {
+            const harPath = createHarFile(HAR);
+
+            const invalidPathError    = getConfigureError(() => RequestMock.fromHar(42));
+            const invalidOptionError  = getConfigureError(() => RequestMock.fromHar(harPath, { urlMatch: 'startsWith' }));
+            const invalidPolicyError  = getConfigureError(() => RequestMock.fromHar(harPath, { notFound: 'ignore' }));
+            const missingFileError    = getConfigureError(() => RequestMock.fromHar(path.join(harDir.name, 'missing.har')));
+            const malformedFileError  = getConfigureError(() => RequestMock.fromHar(createHarFile('{ "log": ')));
+            const invalidContentError = getConfigureError(() => RequestMock.fromHar(createHarFile({ log: {} })));
+
+            expect(invalidPathError.code).eql(RUNTIME_ERRORS.invalidValueType);
+            expect(invalidPathError.message).contains('The HAR file path (number) is not of expected type (string).');
+
+            expect(invalidOptionError.code).eql(RUNTIME_ERRORS.requestHookConfigureAPIError);
+            expect(invalidOptionError.message).contains('RequestMock: The "urlMatch" option value is invalid. Use one of the following values: "exact" and "ignoreQuery". You can also specify a predicate function.');
+            expect(invalidPolicyError.message).contains('RequestMock: The "notFound" option value is invalid. Use one of the following values: "passThrough", "404", and "fail".');
+
+            expect(missingFileError.code).eql(RUNTIME_ERRORS.requestHookConfigureAPIError);
+            expect(missingFileError.message).contains(`RequestMock: Cannot read the "${path.join(harDir.name, 'missing.har')}" HAR file. ENOENT`);
+            expect(malformedFileError.message).contains('HAR file. Unexpected end of JSON input');
+            expect(invalidContentError.message).contains('file is not a valid HAR file. It does not contain the "log.entries" array.');
+        });
+    });
 });
 
 describe('RequestHook', () => {
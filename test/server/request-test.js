@@ -0,0 +1,261 @@
+const { expect }            = require('chai');
+const http                  = require('http');
+const https                 = require('https');
+const net                   = require('net');
+const zlib                  = require('zlib');
+const selfSignedCertificate = require('openssl-self-signed-certificate');
+
+const { sendRequest }    = require('../../lib/test-run/request');
+const { shouldUseProxy } = require('../../lib/test-run/request/proxy');
+
+describe('Request', () => {
+    let server         = null;
+    let serverUrl      = null;
+    let httpsServer    = null;
+    let httpsServerUrl = null;
+    let requests       = null;
+
+    function readBody (req) {
+        return new Promise(resolve => {
+            const chunks = [];
+
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => resolve(Buffer.concat(chunks).toString()));
+        });
+    }
+
+    const routes = {
+        '/echo': (req, res, body) => {
+            res.setHeader('content-type', 'application/json');
+            res.setHeader('set-cookie', 'token=abc; Path=/');
+            res.end(JSON.stringify({ method: req.method, url: req.url, headers: req.headers, body }));
+        },
+
+        '/redirect': (req, res) => {
+            res.statusCode = 302;
+
+            res.setHeader('location', '/echo?redirected=true');
+            res.end();
+        },
+
+        '/gzip': (req, res) => {
+            res.setHeader('content-type', 'text/plain');
+            res.setHeader('content-encoding', 'gzip');
+            res.end(zlib.gzipSync('compressed text'));
+        },
+
+        '/binary': (req, res) => {
+            res.setHeader('content-type', 'application/octet-stream');
+            res.end(Buffer.from([1, 2, 3]));
+        },
+
+        '/cross-origin-redirect': (req, res) => {
+            res.statusCode = 302;
+
+            res.setHeader('location', `${serverUrl.replace('127.0.0.1', 'localhost')}/echo`);
+            res.end();
+        },
+
+        '/hang': () => {},
+    };
+
+    before(done => {
+        server = http.createServer(async (req, res) => {
+            const body = await readBody(req);
+
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+            routes[new URL(req.url, serverUrl).pathname](req, res, body);
+        });
+
+        // NOTE: the server also acts as a proxy that tunnels CONNECT requests to the HTTPS server
+        server.on('connect', (req, socket) => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers });
+
+            const target = net.connect(httpsServer.address().port, '127.0.0.1', () => {
+                socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+
+                target.pipe(socket);
+                socket.pipe(target);
+            });
+
+            target.on('close', () => socket.destroy());
+        });
+
+        server.listen(0, () => {
+            serverUrl = `http://127.0.0.1:${server.address().port}`;
+
+            done();
+        });
+    });
+
+    before(done => {
+        httpsServer = https.createServer({ key: selfSignedCertificate.key, cert: selfSignedCertificate.cert }, (req, res) => {
+            res.setHeader('content-type', 'text/plain');
+            res.end('secure');
+        });
+
+        httpsServer.listen(0, () => {
+            httpsServerUrl = `https://127.0.0.1:${httpsServer.address().port}`;
+
+            done();
+        });
+    });
+
+    after(done => {
+        server.close(done);
+    });
+
+    after(done => {
+        httpsServer.close(done);
+    });
+
+    beforeEach(() => {
+        requests = [];
+    });
+
+    const noContext = { cookies: null, proxy: null };
+
+    it('Should send a JSON body with query parameters and parse the JSON response', async () => {
+        const response = await sendRequest({
+            url:     `${serverUrl}/echo?a=1`,
+            method:  'post',
+            params:  { b: 2 },
+            headers: { 'X-Custom': 'value' },
+            body:    { name: 'John' },
+        }, noContext);
+
+        expect(response.status).eql(200);
+        expect(response.statusText).eql('OK');
+        expect(response.url).eql(`${serverUrl}/echo?a=1&b=2`);
+        expect(response.headers['content-type']).eql('application/json');
+        expect(response.body.method).eql('POST');
+        expect(response.body.url).eql('/echo?a=1&b=2');
+        expect(response.body.body).eql('{"name":"John"}');
+        expect(response.body.headers['content-type']).eql('application/json');
+        expect(response.body.headers['x-custom']).eql('value');
+        expect(response.body.headers.cookie).to.be.undefined;
+    });
+
+    it('Should follow redirects and change the method to GET after POST', async () => {
+        const response = await sendRequest({ url: `${serverUrl}/redirect`, method: 'POST', body: 'data' }, noContext);
+
+        expect(response.url).eql(`${serverUrl}/echo?redirected=true`);
+        expect(requests.map(({ method, url }) => `${method} ${url}`)).eql(['POST /redirect', 'GET /echo?redirected=true']);
+        expect(requests[1].body).eql('');
+    });
+
+    it('Should not send credentials to other origins after redirects', async () => {
+        const headers  = { Authorization: 'Bearer token', Cookie: 'custom=2' };
+        const response = await sendRequest({ url: `${serverUrl}/cross-origin-redirect`, method: 'GET', headers }, noContext);
+
+        expect(requests[0].headers.authorization).eql('Bearer token');
+        expect(requests[0].headers.cookie).eql('custom=2');
+        expect(response.body.headers.authorization).to.be.undefined;
+        expect(response.body.headers.cookie).to.be.undefined;
+    });
+
+    it('Should verify TLS certificates unless the verification is disabled', async () => {
+        try {
+            await sendRequest({ url: httpsServerUrl, method: 'GET' }, noContext);
+
+            throw new Error('Promise rejection expected');
+        }
+        catch (err) {
+            expect(err.code).eql('DEPTH_ZERO_SELF_SIGNED_CERT');
+        }
+
+        const response = await sendRequest({ url: httpsServerUrl, method: 'GET', rejectUnauthorized: false }, noContext);
+
+        expect(response.body).eql('secure');
+    });
+
+    it('Should decompress bodies and return raw bodies as Buffers', async () => {
+        const textResponse   = await sendRequest({ url: `${serverUrl}/gzip`, method: 'GET' }, noContext);
+        const binaryResponse = await sendRequest({ url: `${serverUrl}/binary`, method: 'GET' }, noContext);
+        const rawResponse    = await sendRequest({ url: `${serverUrl}/echo`, method: 'GET', rawResponse: true }, noContext);
+
+        expect(textResponse.body).eql('compressed text');
+        expect(binaryResponse.body).eql(Buffer.from([1, 2, 3]));
+        expect(Buffer.isBuffer(rawResponse.body)).to.be.true;
+    });
+
+    it('Should use the session cookies', async () => {
+        const cookieLog = [];
+
+        const cookies = {
+            getHeader: url => {
+                cookieLog.push(`get ${url}`);
+
+                return 'session=1';
+            },
+
+            setByServer: (url, setCookie) => {
+                cookieLog.push(`set ${url} ${setCookie.join()}`);
+            },
+        };
+
+        const response = await sendRequest({ url: `${serverUrl}/echo`, method: 'GET', headers: { Cookie: 'custom=2' } }, { cookies, proxy: null });
+
+        expect(response.body.headers.cookie).eql('session=1; custom=2');
+        expect(cookieLog).eql([
+            `get ${serverUrl}/echo`,
+            `set ${serverUrl}/echo token=abc; Path=/`,
+        ]);
+    });
+
+    function createProxySettings (bypassRules) {
+        const port = String(server.address().port);
+
+        return {
+            host:       `127.0.0.1:${port}`,
+            hostname:   '127.0.0.1',
+            port,
+            proxyAuth:  'user:pass',
+            authHeader: 'Basic ' + Buffer.from('user:pass').toString('base64'),
+            bypassRules,
+        };
+    }
+
+    it('Should send HTTP requests through the proxy', async () => {
+        const proxy    = createProxySettings(['localhost']);
+        const response = await sendRequest({ url: 'http://example.com/echo', method: 'GET' }, { cookies: null, proxy });
+
+        expect(response.body.url).eql('http://example.com/echo');
+        expect(response.body.headers['proxy-authorization']).eql('Basic ' + Buffer.from('user:pass').toString('base64'));
+    });
+
+    it('Should send HTTPS requests through the proxy tunnel', async () => {
+        const proxy    = createProxySettings();
+        const response = await sendRequest({ url: `https://secure.example.com:${httpsServer.address().port}/`, method: 'GET', rejectUnauthorized: false }, { cookies: null, proxy });
+
+        expect(response.body).eql('secure');
+        expect(requests.length).eql(1);
+        expect(requests[0].method).eql('CONNECT');
+        expect(requests[0].url).eql(`secure.example.com:${httpsServer.address().port}`);
+        expect(requests[0].headers['proxy-authorization']).eql('Basic ' + Buffer.from('user:pass').toString('base64'));
+    });
+
+    it('Should match proxy bypass rules', () => {
+        const proxy = createProxySettings(['localhost:3000', '*.internal.com', 'docs.*']);
+
+        expect(shouldUseProxy(new URL('http://localhost:3000/api'), proxy)).to.be.false;
+        expect(shouldUseProxy(new URL('http://localhost:4000/api'), proxy)).to.be.true;
+        expect(shouldUseProxy(new URL('https://api.internal.com'), proxy)).to.be.false;
+        expect(shouldUseProxy(new URL('https://internal.com'), proxy)).to.be.true;
+        expect(shouldUseProxy(new URL('https://docs.example.org'), proxy)).to.be.false;
+        expect(shouldUseProxy(new URL('https://example.com'), createProxySettings())).to.be.true;
+        expect(shouldUseProxy(new URL('https://example.com'), null)).to.be.false;
+    });
+
+    it('Should fail when the request times out', async () => {
+        try {
+            await sendRequest({ url: `${serverUrl}/hang`, method: 'GET', timeout: 50 }, noContext);
+
+            throw new Error('Promise rejection expected');
+        }
+        catch (err) {
+            expect(err.message).eql('The request timed out after 50 ms.');
+        }
+    });
+});
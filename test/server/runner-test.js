@@ -1,6 +1,7 @@
 /*eslint-disable no-console */
 
 const path                    = require('path');
+const { EventEmitter }        = require('events');
 const { expect }              = require('chai');
 const fs                      = require('fs');
 const del                     = require('del');
@@ -454,6 +455,126 @@ describe('Runner', () => {
         });
     });
 
+    describe('.har()', () => {
+        it('Should throw an error if HAR options are specified without a base HAR path', () => {
+            return runner
+                .browsers(connection)
+                .har(void 0, { failedOnly: true })
+                .src('test/server/data/test-suites/basic/testfile2.js')
+                .run()
+                .then(() => {
+                    throw new Error('Promise rejection expected');
+                })
+                .catch(err => {
+                    expect(err.message).eql('You cannot specify HAR recording options when HAR recording is disabled. ' +
+                                            'Specify the root folder for HAR files to enable HAR recording.');
+                });
+        });
+    });
+
+    describe('.shard()', () => {
+        it('Should throw an error if the shard value is invalid', () => {
+            return runner
+                .browsers(connection)
+                .shard('9/8')
+                .src('test/server/data/test-suites/basic/testfile2.js')
+                .run()
+                .then(() => {
+                    throw new Error('Promise rejection expected');
+                })
+                .catch(err => {
+                    expect(err.message).eql('The "shard" option value ("9/8") is invalid. Specify the shard index and the total number of shards ' +
+                                            'separated by a slash (for example, "3/8"). The shard index should be an integer from 1 to the total number of shards.');
+                });
+        });
+
+        it('Should throw an error if shard options are specified without the shard value', () => {
+            return runner
+                .browsers(connection)
+                .shard(void 0, { by: 'fixture' })
+                .src('test/server/data/test-suites/basic/testfile2.js')
+                .run()
+                .then(() => {
+                    throw new Error('Promise rejection expected');
+                })
+                .catch(err => {
+                    expect(err.message).eql('You cannot specify shard options when test sharding is disabled. ' +
+                                            'Specify the "shard" option to enable test sharding.');
+                });
+        });
+
+        it('Should report an empty task with a warning if the shard does not contain any tests', () => {
+            const storedGetBrowserConnectionsFn = runner.bootstrapper._getBrowserConnections;
+            const reportLog                     = [];
+
+            let browserSetDisposed = false;
+
+            runner.bootstrapper._getBrowserConnections = () => {
+                runner.bootstrapper._getBrowserConnections = storedGetBrowserConnectionsFn;
+
+                return Promise.resolve(Object.assign(new EventEmitter(), {
+                    browserConnectionGroups: [],
+
+                    dispose: () => {
+                        browserSetDisposed = true;
+
+                        return Promise.resolve();
+                    },
+                }));
+            };
+
+            return runner
+                .browsers(connection)
+                .shard('3/3')
+                .reporter(createReporter({
+                    reportTaskStart: (startTime, userAgents, testCount) => reportLog.push({ testCount }),
+                    reportTaskDone:  (endTime, passed, warnings) => reportLog.push({ passed, warnings }),
+                }))
+                .src('test/server/data/test-suites/basic/testfile2.js')
+                .run()
+                .then(failedCount => {
+                    expect(failedCount).eql(0);
+                    expect(browserSetDisposed).to.be.true;
+                    expect(reportLog).eql([
+                        { testCount: 0 },
+                        { passed: 0, warnings: ['The 3/3 shard does not contain any tests. Decrease the number of shards.'] },
+                    ]);
+                });
+        });
+    });
+
+    describe('.coverage()', () => {
+        it('Should throw an error if coverage options are specified when coverage is disabled', () => {
+            return runner
+                .browsers(connection)
+                .coverage(false, { dir: 'reports' })
+                .src('test/server/data/test-suites/basic/testfile2.js')
+                .run()
+                .then(() => {
+                    throw new Error('Promise rejection expected');
+                })
+                .catch(err => {
+                    expect(err.message).eql('You cannot specify code coverage options when code coverage collection is disabled. ' +
+                                            'Specify the "coverage" option to enable code coverage collection.');
+                });
+        });
+
+        it('Should throw an error if the coverage reporter is invalid', () => {
+            return runner
+                .browsers(connection)
+                .coverage(true, { reporters: ['html'] })
+                .src('test/server/data/test-suites/basic/testfile2.js')
+                .run()
+                .then(() => {
+                    throw new Error('Promise rejection expected');
+                })
+                .catch(err => {
+                    expect(err.message).eql('The "reporters" coverage option contains an invalid reporter ("html"). ' +
+                                            'Use one of the following values: "lcov" and "json".');
+                });
+        });
+    });
+
     describe('.src()', () => {
         it('Should accept source files in different forms', () => {
             const cwd                           = process.cwd();
@@ -833,6 +954,50 @@ describe('Runner', () => {
                 .then(() => expect(exceptionCount).to.be.eql(4));
         });
 
+        it('Should raise an error if testOrder option has wrong value', () => {
+            return runner
+                .run({ testOrder: 'random' })
+                .then(() => {
+                    throw new Error('Promise rejection expected');
+                })
+                .catch(err => {
+                    expect(err.message).eql('The "testOrder" option value ("random") is invalid. Use one of the following values: "longest-first" and "failed-first".');
+                });
+        });
+
+        it('Should raise an error if tracing option has wrong value', () => {
+            return runner
+                .run({ tracing: true })
+                .then(() => {
+                    throw new Error('Promise rejection expected');
+                })
+                .catch(err => {
+                    expect(err.message).eql('The "tracing" option value ("true") is invalid. Use one of the following values: "off", "on", and "on-failure".');
+                });
+        });
+
+        it('Should raise an error if retries are enabled together with quarantine mode', () => {
+            return runner
+                .run({ retries: 2, quarantineMode: true })
+                .then(() => {
+                    throw new Error('Promise rejection expected');
+                })
+                .catch(err => {
+                    expect(err.message).eql('You cannot enable test retries and quarantine mode at the same time. Disable one of these options.');
+                });
+        });
+
+        it('Should raise an error if the "onlyOn" retries option is not an array', () => {
+            return runner
+                .run({ retries: { count: 2, onlyOn: 'E24' } })
+                .then(() => {
+                    throw new Error('Promise rejection expected');
+                })
+                .catch(err => {
+                    expect(err.message).eql('The "onlyOn" retries option (string) is not of expected type (array).');
+                });
+        });
+
         it('Should raise an error if concurrency option has wrong value', () => {
             let exceptionCount = 0;
 
@@ -0,0 +1,148 @@
+const expect   = require('chai').expect;
+const { PNG }  = require('pngjs');
+const { join } = require('path');
+
+const compareScreenshots          = require('../../lib/screenshots/compare');
+const getComparisonPaths          = require('../../lib/screenshots/get-comparison-paths');
+const ScreenshotAssertionExecutor = require('../../lib/assertions/screenshot-executor');
+
+const WHITE = [255, 255, 255, 255];
+const BLACK = [0, 0, 0, 255];
+const RED   = [255, 0, 0, 255];
+
+function createImage (width, height, getColor = () => WHITE) {
+    const image = new PNG({ width, height });
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const color = getColor(x, y);
+            const index = (width * y + x) * 4;
+
+            for (let i = 0; i < 4; i++)
+                image.data[index + i] = color[i];
+        }
+    }
+
+    return image;
+}
+
+function getPixel (image, x, y) {
+    const index = (image.width * y + x) * 4;
+
+    return Array.from(image.data.slice(index, index + 4));
+}
+
+describe('Screenshot comparison', () => {
+    describe('compareScreenshots', () => {
+        it('Should not find differences in equal images', () => {
+            const result = compareScreenshots(createImage(4, 4), createImage(4, 4));
+
+            expect(result.diffPixels).eql(0);
+            expect(result.diffRatio).eql(0);
+            expect(result.diffImage.width).eql(4);
+            expect(result.diffImage.height).eql(4);
+        });
+
+        it('Should calculate the ratio of differing pixels and mark them in the diff image', () => {
+            const actualImage = createImage(4, 4, (x, y) => x === 1 && y < 2 ? BLACK : WHITE);
+            const result      = compareScreenshots(createImage(4, 4), actualImage);
+
+            expect(result.diffPixels).eql(2);
+            expect(result.diffRatio).eql(0.125);
+            expect(getPixel(result.diffImage, 1, 0)).eql(RED);
+            expect(getPixel(result.diffImage, 1, 1)).eql(RED);
+            expect(getPixel(result.diffImage, 0, 0)).not.eql(RED);
+        });
+
+        it('Should consider pixels outside one of the images as different', () => {
+            const result = compareScreenshots(createImage(4, 4), createImage(4, 2));
+
+            expect(result.diffPixels).eql(8);
+            expect(result.diffRatio).eql(0.5);
+            expect(result.diffImage.height).eql(4);
+            expect(getPixel(result.diffImage, 0, 3)).eql(RED);
+        });
+
+        it('Should skip pixels in the ignored regions', () => {
+            const actualImage   = createImage(4, 4, (x, y) => y === 0 ? BLACK : WHITE);
+            const ignoreRegions = [{ left: 0, top: 0, right: 4, bottom: 1 }];
+            const result        = compareScreenshots(createImage(4, 4), actualImage, { ignoreRegions });
+
+            expect(result.diffPixels).eql(0);
+            expect(result.diffRatio).eql(0);
+            expect(getPixel(result.diffImage, 0, 0)).not.eql(RED);
+        });
+    });
+
+    it('Should compose baseline, actual and diff screenshot paths', () => {
+        const parsedUserAgent = { name: 'Chrome', os: { name: 'macOS' } };
+
+        const paths = getComparisonPaths({
+            screenshotName:  'header',
+            testFilePath:    join('/tests', 'test.js'),
+            screenshotsPath: join('/screenshots'),
+            parsedUserAgent,
+        });
+
+        expect(paths).eql({
+            baselinePath:       join('/tests', '__screenshots__', 'header', 'Chrome_macOS.png'),
+            actualRelativePath: join('comparisons', 'header', 'Chrome_macOS.png'),
+            diffPath:           join('/screenshots', 'comparisons', 'header', 'Chrome_macOS.diff.png'),
+        });
+
+        const customPaths = getComparisonPaths({
+            screenshotName:  'header',
+            testFilePath:    join('/tests', 'test.js'),
+            screenshotsPath: join('/screenshots'),
+            baselinesPath:   join('/baselines'),
+            parsedUserAgent,
+        });
+
+        expect(customPaths.baselinePath).eql(join('/baselines', 'header', 'Chrome_macOS.png'));
+    });
+
+    it('Should not allow screenshot names to point outside the screenshot directories', () => {
+        const paths = getComparisonPaths({
+            screenshotName:  '../../header',
+            testFilePath:    join('/tests', 'test.js'),
+            screenshotsPath: join('/screenshots'),
+            parsedUserAgent: { name: 'Chrome', os: { name: 'macOS' } },
+        });
+
+        expect(paths).eql({
+            baselinePath:       join('/tests', '__screenshots__', '.._.._header', 'Chrome_macOS.png'),
+            actualRelativePath: join('comparisons', '.._.._header', 'Chrome_macOS.png'),
+            diffPath:           join('/screenshots', 'comparisons', '.._.._header', 'Chrome_macOS.diff.png'),
+        });
+
+        const parentDirPaths = getComparisonPaths({
+            screenshotName:  '..',
+            testFilePath:    join('/tests', 'test.js'),
+            screenshotsPath: join('/screenshots'),
+            parsedUserAgent: { name: 'Chrome', os: { name: 'macOS' } },
+        });
+
+        expect(parentDirPaths.baselinePath).eql(join('/tests', '__screenshots__', '_', 'Chrome_macOS.png'));
+    });
+
+    it('Should fail the assertion if screenshots are disabled', async () => {
+        const command  = { expected: 'header', options: { threshold: 0 } };
+        const executor = new ScreenshotAssertionExecutor(command, 0, null, {
+            captureScreenshot: async () => null,
+            paths:             { baselinePath: join('/tests', '__screenshots__', 'header', 'Chrome_macOS.png') },
+            updateBaselines:   true,
+        });
+
+        let error = null;
+
+        try {
+            await executor.run();
+        }
+        catch (err) {
+            error = err;
+        }
+
+        expect(error.code).eql('E102');
+        expect(error.screenshotName).eql('header');
+    });
+});
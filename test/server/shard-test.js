@@ -0,0 +1,116 @@
+const { expect } = require('chai');
+
+const getShardTests                        = require('../../lib/runner/get-shard-tests');
+const { getTestDurationKey }               = require('../../lib/runner/test-durations');
+const { parseShard, validateShardOptions } = require('../../lib/utils/get-options/shard');
+
+const { createFixture, createTests, getTestNames } = require('./helpers/test-structure');
+
+function getAllShards (tests, total, options = {}) {
+    const shards = [];
+
+    for (let index = 1; index <= total; index++)
+        shards.push(getShardTests(tests, Object.assign({ index, total, by: 'file' }, options)));
+
+    return shards;
+}
+
+describe('Test sharding', () => {
+    const fixture1 = createFixture('a.js', 'Fixture 1');
+    const fixture2 = createFixture('a.js', 'Fixture 2');
+    const fixture3 = createFixture('b.js', 'Fixture 3');
+    const fixture4 = createFixture('c.js', 'Fixture 4', { beforeFn: () => {} });
+
+    const tests = [
+        ...createTests(fixture1, ['test 1', 'test 2']),
+        ...createTests(fixture2, ['test 3']),
+        ...createTests(fixture3, ['test 4', 'test 5']),
+        ...createTests(fixture4, ['test 6', 'test 7', 'test 8']),
+    ];
+
+    it('Should split tests into disjoint shards that contain all tests', () => {
+        ['file', 'fixture', 'duration'].forEach(by => {
+            const shards   = getAllShards(tests, 3, { by, durations: {} });
+            const allTests = [].concat(...shards);
+
+            expect(allTests.length).eql(tests.length);
+            expect(new Set(allTests).size).eql(tests.length);
+        });
+    });
+
+    it('Should not depend on the order of compiled tests', () => {
+        const shards         = getAllShards(tests, 3, { by: 'fixture' });
+        const reversedShards = getAllShards(tests.slice().reverse(), 3, { by: 'fixture' });
+
+        shards.forEach((shard, index) => {
+            expect(getTestNames(reversedShards[index]).sort()).eql(getTestNames(shard).sort());
+        });
+    });
+
+    it('Should keep tests in the original order', () => {
+        const [shard] = getAllShards(tests, 1);
+
+        expect(shard).eql(tests);
+    });
+
+    it('Should split tests by file', () => {
+        const shards = getAllShards(tests, 3);
+
+        expect(shards.map(getTestNames)).eql([
+            ['test 1', 'test 2', 'test 3'],
+            ['test 6', 'test 7', 'test 8'],
+            ['test 4', 'test 5'],
+        ]);
+    });
+
+    it('Should split tests by fixture', () => {
+        const shards = getAllShards(tests, 4, { by: 'fixture' });
+
+        expect(shards.map(getTestNames)).eql([
+            ['test 6', 'test 7', 'test 8'],
+            ['test 1', 'test 2'],
+            ['test 4', 'test 5'],
+            ['test 3'],
+        ]);
+    });
+
+    it('Should split tests by duration and keep fixtures with hooks on one shard', () => {
+        const durations = {};
+
+        durations[getTestDurationKey(tests[0])] = 1000;
+        durations[getTestDurationKey(tests[3])] = 5000;
+        durations[getTestDurationKey(tests[5])] = 100;
+
+        const shards = getAllShards(tests, 2, { by: 'duration', durations });
+
+        expect(shards.map(getTestNames)).eql([
+            ['test 1', 'test 3', 'test 4'],
+            ['test 2', 'test 5', 'test 6', 'test 7', 'test 8'],
+        ]);
+    });
+
+    it('Should compose test duration keys relative to the current working directory', () => {
+        expect(getTestDurationKey(tests[0])).eql('a.js > Fixture 1 > test 1');
+    });
+
+    it('Should parse the shard value', () => {
+        expect(parseShard('3/8')).eql({ index: 3, total: 8 });
+
+        ['0/8', '9/8', '3', '3/8/1', 'a/b', 3].forEach(value => {
+            expect(() => parseShard(value)).to.throw(`The "shard" option value ("${value}") is invalid.`);
+        });
+    });
+
+    it('Should validate shard options', () => {
+        expect(() => validateShardOptions({ by: 'fixture', durationsPath: 'durations.json' })).to.not.throw();
+
+        expect(() => validateShardOptions({ strategy: 'file' }))
+            .to.throw('The "strategy" option does not exist. Specify "by" and "durationsPath" to configure test sharding.');
+
+        expect(() => validateShardOptions({ by: 'test' }))
+            .to.throw('The "by" shard option value ("test") is invalid. Use one of the following values: "file", "fixture", and "duration".');
+
+        expect(() => validateShardOptions({ by: 'duration' }))
+            .to.throw('Specify the "durationsPath" shard option to distribute tests among shards by their historic duration.');
+    });
+});
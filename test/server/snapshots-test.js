@@ -0,0 +1,267 @@
+const { expect } = require('chai');
+const fs         = require('fs');
+const path       = require('path');
+const tmp        = require('tmp');
+
+const Snapshots  = require('../../lib/snapshots');
+const MessageBus = require('../../lib/utils/message-bus');
+const WarningLog = require('../../lib/notifications/warning-log');
+
+const {
+    getSnapshotFilePath,
+    getSnapshotKey,
+    normalizeHtml,
+    serializeSnapshotValue,
+} = require('../../lib/snapshots/utils');
+
+describe('Snapshots', () => {
+    describe('Utils', () => {
+        it('Should serialize values', () => {
+            expect(serializeSnapshotValue('text')).eql('text');
+            expect(serializeSnapshotValue({ status: 'ok' })).eql('{\n  "status": "ok"\n}');
+            expect(serializeSnapshotValue([1, 2])).eql('[\n  1,\n  2\n]');
+            expect(serializeSnapshotValue(void 0)).eql('undefined');
+            expect(serializeSnapshotValue('<div>  <span>text</span>\n</div>', true)).eql('<div>\n<span>text</span>\n</div>');
+        });
+
+        it('Should normalize HTML', () => {
+            expect(normalizeHtml('\n  <ul class="list">\n    <li>First   item</li><li>Second</li>\n  </ul>\n')).eql(
+                '<ul class="list">\n' +
+                '<li>First item</li>\n' +
+                '<li>Second</li>\n' +
+                '</ul>'
+            );
+        });
+
+        it('Should build snapshot file paths and keys', () => {
+            const test = { name: 'Test', fixture: { name: 'Fixture' } };
+
+            expect(getSnapshotFilePath(path.join('tests', 'login.js'))).eql(path.join('tests', '__snapshots__', 'login.js.snap'));
+            expect(getSnapshotKey(test, 'header')).eql('Fixture > Test > header');
+        });
+    });
+
+    describe('Storage', () => {
+        let testsDir     = null;
+        let testFilePath = null;
+        let snapshotPath = null;
+        let messageBus   = null;
+        let warningLog   = null;
+        let testFile     = null;
+
+        beforeEach(() => {
+            testsDir     = tmp.dirSync({ unsafeCleanup: true });
+            testFilePath = path.join(testsDir.name, 'test.js');
+            snapshotPath = path.join(testsDir.name, '__snapshots__', 'test.js.snap');
+            messageBus   = new MessageBus();
+            warningLog   = new WarningLog();
+            testFile     = { filename: testFilePath, collectedTests: [] };
+        });
+
+        afterEach(() => {
+            testsDir.removeCallback();
+        });
+
+        function createSnapshots (update = false) {
+            return new Snapshots(messageBus, { update }, warningLog);
+        }
+
+        function writeSnapshots (snapshots) {
+            fs.mkdirSync(path.dirname(snapshotPath));
+            fs.writeFileSync(snapshotPath, JSON.stringify(snapshots));
+        }
+
+        function readSnapshots () {
+            return JSON.parse(fs.readFileSync(snapshotPath).toString());
+        }
+
+        function createTest (name, props = {}) {
+            const test = Object.assign({ name, fixture: { name: 'Fixture' }, testFile }, props);
+
+            testFile.collectedTests.push(test);
+
+            return test;
+        }
+
+        function emitTestRunDone (test, errs = []) {
+            return messageBus.emit('test-run-done', { test, errs });
+        }
+
+        it('Should save new snapshots', async () => {
+            const snapshots = createSnapshots();
+
+            await snapshots.match(testFilePath, 'Fixture > Test > 2', 'second');
+            await snapshots.match(testFilePath, 'Fixture > Test > 1', 'first');
+            await snapshots.save();
+
+            expect(fs.readFileSync(snapshotPath).toString()).eql('{\n  "Fixture > Test > 1": "first",\n  "Fixture > Test > 2": "second"\n}');
+        });
+
+        it('Should throw an assertion error with a diff if a snapshot does not match', async () => {
+            writeSnapshots({ 'Fixture > Test > 1': 'expected' });
+
+            const snapshots = createSnapshots();
+
+            await snapshots.match(testFilePath, 'Fixture > Test > 1', 'expected');
+
+            try {
+                await snapshots.match(testFilePath, 'Fixture > Test > 1', 'actual');
+
+                throw new Error('Promise rejection expected');
+            }
+            catch (err) {
+                expect(err.name).eql('AssertionError');
+                expect(err.message).eql('expected the value to match the "Fixture > Test > 1" snapshot');
+                expect(err.actual).eql('actual');
+                expect(err.expected).eql('expected');
+                expect(err.showDiff).to.be.true;
+            }
+
+            await snapshots.save();
+
+            expect(readSnapshots()).eql({ 'Fixture > Test > 1': 'expected' });
+        });
+
+        it('Should overwrite mismatched snapshots in the update mode', async () => {
+            writeSnapshots({ 'Fixture > Test > 1': 'expected' });
+
+            const snapshots = createSnapshots(true);
+
+            await snapshots.match(testFilePath, 'Fixture > Test > 1', 'actual');
+            await snapshots.save();
+
+            expect(readSnapshots()).eql({ 'Fixture > Test > 1': 'actual' });
+        });
+
+        it('Should warn about obsolete snapshots of passed tests', async () => {
+            writeSnapshots({
+                'Fixture > Passed > 1':  'checked',
+                'Fixture > Passed > 2':  'obsolete',
+                'Fixture > Failed > 1':  'unchecked',
+                'Fixture > Removed > 1': 'unknown',
+            });
+
+            const snapshots = createSnapshots();
+            const passed    = createTest('Passed');
+            const failed    = createTest('Failed');
+
+            await snapshots.match(testFilePath, 'Fixture > Passed > 1', 'checked');
+            await emitTestRunDone(passed);
+            await emitTestRunDone(failed, [new Error()]);
+            await snapshots.save();
+
+            expect(warningLog.messages).eql([
+                `The "${snapshotPath}" file contains 1 obsolete snapshot:\nFixture > Passed > 2\n\n` +
+                'Run tests with the "--update-snapshots" flag to remove obsolete snapshots.',
+            ]);
+
+            expect(readSnapshots()).eql({
+                'Fixture > Passed > 1':  'checked',
+                'Fixture > Passed > 2':  'obsolete',
+                'Fixture > Failed > 1':  'unchecked',
+                'Fixture > Removed > 1': 'unknown',
+            });
+        });
+
+        it('Should use the final result of a test in each browser', async () => {
+            writeSnapshots({
+                'Fixture > Passed > 1': 'checked',
+                'Fixture > Passed > 2': 'obsolete',
+            });
+
+            const snapshots = createSnapshots();
+            const test      = createTest('Passed');
+
+            await snapshots.match(testFilePath, 'Fixture > Passed > 1', 'checked');
+            await emitTestRunDone(test, [new Error()]);
+            await emitTestRunDone(test);
+            await snapshots.save();
+
+            expect(warningLog.messages.length).eql(1);
+            expect(warningLog.messages[0]).contains('Fixture > Passed > 2');
+        });
+
+        it('Should warn about snapshots of removed tests if all tests of the file passed', async () => {
+            writeSnapshots({
+                'Fixture > Passed > 1':  'obsolete',
+                'Fixture > Skipped > 1': 'unchecked',
+                'Fixture > Removed > 1': 'obsolete',
+            });
+
+            const snapshots = createSnapshots();
+
+            createTest('Skipped', { skip: true });
+
+            await emitTestRunDone(createTest('Passed'));
+            await snapshots.save();
+
+            expect(warningLog.messages).eql([
+                `The "${snapshotPath}" file contains 2 obsolete snapshots:\nFixture > Passed > 1\nFixture > Removed > 1\n\n` +
+                'Run tests with the "--update-snapshots" flag to remove obsolete snapshots.',
+            ]);
+        });
+
+        it('Should remove snapshots of removed tests in the update mode', async () => {
+            writeSnapshots({
+                'Fixture > Passed > 1':  'obsolete',
+                'Fixture > Skipped > 1': 'unchecked',
+                'Fixture > Removed > 1': 'obsolete',
+            });
+
+            const snapshots = createSnapshots(true);
+
+            createTest('Skipped', { skip: true });
+
+            await emitTestRunDone(createTest('Passed'));
+            await snapshots.save();
+
+            expect(warningLog.messages).eql([]);
+            expect(readSnapshots()).eql({ 'Fixture > Skipped > 1': 'unchecked' });
+        });
+
+        it('Should not load snapshot files that are not used by assertions if some tests did not run', async () => {
+            writeSnapshots({
+                'Fixture > Passed > 1':  'obsolete',
+                'Fixture > Removed > 1': 'obsolete',
+            });
+
+            const snapshots = createSnapshots(true);
+
+            createTest('Filtered');
+
+            await emitTestRunDone(createTest('Passed'));
+            await snapshots.save();
+
+            expect(warningLog.messages).eql([]);
+            expect(readSnapshots()).eql({
+                'Fixture > Passed > 1':  'obsolete',
+                'Fixture > Removed > 1': 'obsolete',
+            });
+        });
+
+        it('Should ignore legacy test runs', async () => {
+            const snapshots = createSnapshots();
+
+            await messageBus.emit('test-run-done', { test: { name: 'Legacy', fixture: { name: 'Fixture' }, isLegacy: true }, errs: [] });
+            await snapshots.save();
+
+            expect(warningLog.messages).eql([]);
+        });
+
+        it('Should remove obsolete snapshots in the update mode', async () => {
+            writeSnapshots({
+                'Fixture > Passed > 1': 'checked',
+                'Fixture > Passed > 2': 'obsolete',
+            });
+
+            const snapshots = createSnapshots(true);
+
+            await snapshots.match(testFilePath, 'Fixture > Passed > 1', 'checked');
+            await emitTestRunDone(createTest('Passed'));
+            await snapshots.save();
+
+            expect(warningLog.messages).eql([]);
+            expect(readSnapshots()).eql({ 'Fixture > Passed > 1': 'checked' });
+        });
+    });
+});
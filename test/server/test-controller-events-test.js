@@ -139,6 +139,12 @@ const actions = {
     setNativeDialogHandler:    [() => true],
     getNativeDialogHistory:    [],
     getBrowserConsoleMessages: [],
+    checkAccessibility:        ['#main', { impactLevel: 'serious' }],
+    getPerformanceMetrics:     [],
+    attach:                    ['response', { status: 'ok' }, { contentType: 'application/vnd.api+json' }],
+    emulate:                   [{ colorScheme: 'dark', locale: 'de-DE' }],
+    setNetworkConditions:      [{ latency: 400, download: 50000 }],
+    request:                   ['http://example.com/api/users', { method: 'POST', headers: { 'x-token': 'token' }, params: { page: 2 }, body: { name: 'John' }, withCredentials: true }],
     debug:                     [],
     setTestSpeed:              [1],
     setPageLoadTimeout:        [1],
@@ -200,7 +206,8 @@ describe('TestController action events', () => {
 
         // eval and expect has their functional tests
         // addRequestHooks/removeRequestHooks are not logged
-        const exceptions = ['eval', 'expect', 'addRequestHooks', 'removeRequestHooks'];
+        // step is reported by the reportTestStepStart/Done methods
+        const exceptions = ['eval', 'expect', 'addRequestHooks', 'removeRequestHooks', 'step'];
 
         const props = TestController.API_LIST
             .filter(prop => !prop.accessor)
@@ -261,6 +268,84 @@ describe('TestController action events', () => {
             });
     });
 
+    it('Soft assertions', async () => {
+        const doneLog = [];
+
+        initializeReporter({
+            async reportTestActionDone (name, { err }) {
+                doneLog.push({ name, err: err && err.errMsg });
+            },
+        });
+
+        await messageBus.emit('start', task);
+
+        testController.testRun._internalExecuteCommand = (command, callsite) => {
+            return delay(10)
+                .then(() => {
+                    if (command.type !== 'assertion')
+                        return;
+
+                    const err = new Error(`${command.actual} is not ${command.expected}`);
+
+                    err.callsite = callsite;
+
+                    throw err;
+                });
+        };
+
+        await testController.expect.soft('foo').eql('bar');
+        await testController.expect.soft(1).eql(2);
+        await testController.click('#target');
+
+        const { errs } = testController.testRun;
+
+        expect(doneLog).eql([
+            { name: 'eql', err: 'Error: foo is not bar' },
+            { name: 'eql', err: 'Error: 1 is not 2' },
+            { name: 'click', err: void 0 },
+        ]);
+
+        expect(errs.length).eql(2);
+        expect(errs.map(err => err.errMsg)).eql(['Error: foo is not bar', 'Error: 1 is not 2']);
+        expect(errs[0].callsite.filename).eql(__filename);
+        expect(errs[1].callsite.lineNum).eql(errs[0].callsite.lineNum + 1);
+
+        return testController.expect(true).eql(false)
+            .then(() => {
+                throw new Error('Should not be resolved');
+            })
+            .catch(err => {
+                expect(err.message).eql('true is not false');
+                expect(errs.length).eql(2);
+            });
+    });
+
+    it('Request methods', async () => {
+        const commands = [];
+
+        await messageBus.emit('start', task);
+
+        testController.testRun._internalExecuteCommand = (command, callsite) => {
+            commands.push({ method: command.method, url: command.url, callsite });
+
+            return delay(10);
+        };
+
+        await testController.request.post('http://example.com/api/users', { method: 'PUT' });
+        await testController.request.delete({ url: 'http://example.com/api/users/1' });
+        await testController.request({ url: 'http://example.com/api/users', method: 'PATCH' });
+
+        expect(commands.map(({ method, url }) => `${method} ${url}`)).eql([
+            'POST http://example.com/api/users',
+            'DELETE http://example.com/api/users/1',
+            'PATCH http://example.com/api/users',
+        ]);
+
+        expect(commands[0].callsite.filename).eql(__filename);
+        expect(commands[1].callsite.lineNum).eql(commands[0].callsite.lineNum + 1);
+        expect(commands[2].callsite.lineNum).eql(commands[0].callsite.lineNum + 2);
+    });
+
     it('Duration', async () => {
         let resultDuration = null;
 
@@ -282,6 +367,81 @@ describe('TestController action events', () => {
             });
     });
 
+    it('Performance metrics of the navigateTo action', async () => {
+        const log = [];
+
+        const clientMetrics = {
+            url:        'http://example.com/index.html',
+            navigation: { timeToFirstByte: 10, load: 100 },
+            paint:      { firstPaint: 20, firstContentfulPaint: 30 },
+            longTasks:  { count: 0, totalDuration: 0 },
+            resources:  { count: 1, transferSize: 1024, byType: { script: 1 } },
+        };
+
+        initializeReporter({
+            async reportTestActionDone (name, { performanceMetrics }) {
+                log.push({ name, performanceMetrics });
+            },
+        });
+
+        await messageBus.emit('start', task);
+
+        const testRun = testController.testRun;
+
+        testRun.opts.performanceMetrics    = true;
+        testRun.browserConnection.id       = 'browser-id';
+        testRun.browserConnection.provider = {
+            getPerformanceMetrics: async () => ({ JSHeapUsedSize: 2048 }),
+        };
+
+        testRun._enqueueCommand = async command => {
+            expect(command.type).eql('get-performance-metrics');
+
+            return Object.assign({}, clientMetrics);
+        };
+
+        await testController.navigateTo('./index.html');
+        await testController.click('#target');
+
+        expect(log).eql([
+            {
+                name:               'navigateTo',
+                performanceMetrics: Object.assign({ browser: { JSHeapUsedSize: 2048 } }, clientMetrics),
+            },
+            {
+                name:               'click',
+                performanceMetrics: void 0,
+            },
+        ]);
+    });
+
+    it('Should not fail the navigateTo action if performance metrics cannot be collected', async () => {
+        const log = [];
+
+        initializeReporter({
+            async reportTestActionDone (name, { err, performanceMetrics }) {
+                log.push({ name, err, performanceMetrics });
+            },
+        });
+
+        await messageBus.emit('start', task);
+
+        const testRun = testController.testRun;
+
+        testRun.opts.performanceMetrics = true;
+
+        testRun._enqueueCommand = async () => {
+            throw new Error('Page is unloaded');
+        };
+
+        await testController.navigateTo('./index.html');
+
+        expect(log).eql([{ name: 'navigateTo', err: void 0, performanceMetrics: void 0 }]);
+        expect(testRun.warningLog.messages).eql([
+            'Was unable to collect performance metrics after navigating to "./index.html" in the "test-name" test due to an error.\n\nPage is unloaded',
+        ]);
+    });
+
     it('Default command options should not be passed to the `reportTestActionDone` method', async () => {
         const log  = [];
 
@@ -358,4 +518,101 @@ describe('TestController action events', () => {
 
         expect(doneLog).eql(expectedLog);
     });
+
+    describe('Steps', () => {
+        it('Should report nested steps', async () => {
+            const log = [];
+
+            initializeReporter({
+                async reportTestStepStart (name, { testRunId, test, fixture, step }) {
+                    log.push({ event: 'step-start', name, testRunId, test: test.name, fixture: fixture.name, path: step.path });
+                },
+
+                async reportTestStepDone (name, { step }) {
+                    log.push({
+                        event:    'step-done',
+                        name,
+                        failed:   step.failed,
+                        actions:  step.actions.map(action => action.apiActionName),
+                        steps:    step.steps.map(child => child.name),
+                        duration: typeof step.duration,
+                    });
+                },
+
+                async reportTestActionDone (name, { step }) {
+                    log.push({ event: 'action-done', name, step: step ? step.path : null });
+                },
+            });
+
+            await messageBus.emit('start', task);
+
+            await testController.click('#outside');
+
+            await testController.step('Log in', async t => {
+                await t.typeText('#login', 'admin');
+
+                await t.step('Submit', async () => {
+                    await testController.click('#submit');
+                    await testController.expect(true).ok();
+                });
+            });
+
+            expect(log).eql([
+                { event: 'action-done', name: 'click', step: null },
+                { event: 'step-start', name: 'Log in', testRunId: 'test-run-id', test: 'test-name', fixture: 'fixture-name', path: ['Log in'] },
+                { event: 'action-done', name: 'typeText', step: ['Log in'] },
+                { event: 'step-start', name: 'Submit', testRunId: 'test-run-id', test: 'test-name', fixture: 'fixture-name', path: ['Log in', 'Submit'] },
+                { event: 'action-done', name: 'click', step: ['Log in', 'Submit'] },
+                { event: 'action-done', name: 'ok', step: ['Log in', 'Submit'] },
+                { event: 'step-done', name: 'Submit', failed: false, actions: ['click', 'ok'], steps: [], duration: 'number' },
+                { event: 'step-done', name: 'Log in', failed: false, actions: ['typeText'], steps: ['Submit'], duration: 'number' },
+            ]);
+
+            expect(testController.testRun.stepTree.steps.map(step => step.name)).eql(['Log in']);
+        });
+
+        it('Should mark the error with the step in which it occurred', async () => {
+            const log = [];
+
+            initializeReporter({
+                async reportTestStepDone (name, { step }) {
+                    log.push({ name, failed: step.failed });
+                },
+            });
+
+            await messageBus.emit('start', task);
+
+            const error = await testController.step('Log in', async () => {
+                await testController.step('Submit', async () => {
+                    throw new Error('step error');
+                });
+            }).then(() => null, err => err);
+
+            expect(error.message).eql('step error');
+            expect(error.step).eql(['Log in', 'Submit']);
+            expect(log).eql([
+                { name: 'Submit', failed: true },
+                { name: 'Log in', failed: true },
+            ]);
+
+            // NOTE: the test controller should be able to execute actions after the failed step
+            await testController.click('#target');
+        });
+
+        it('Should validate step arguments', () => {
+            const getError = fn => {
+                try {
+                    fn();
+                }
+                catch (err) {
+                    return { argumentName: err.argumentName, actualValue: err.actualValue, hasCallsite: !!err.callsite };
+                }
+
+                return null;
+            };
+
+            expect(getError(() => testController.step('', async () => {}))).eql({ argumentName: 'name', actualValue: '""', hasCallsite: true });
+            expect(getError(() => testController.step('step', 'fn'))).eql({ argumentName: 'fn', actualValue: 'fn', hasCallsite: true });
+        });
+    });
 });
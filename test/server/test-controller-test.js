@@ -1,7 +1,9 @@
-const { expect }        = require('chai');
-const TestController    = require('../../lib/api/test-controller');
-const AssertionExecutor = require('../../lib/assertions/executor');
-const BaseTestRunMock   = require('./helpers/base-test-run-mock');
+const { expect }            = require('chai');
+const TestController        = require('../../lib/api/test-controller');
+const AssertionExecutor     = require('../../lib/assertions/executor');
+const BaseTestRunMock       = require('./helpers/base-test-run-mock');
+const { RUNTIME_ERRORS }    = require('../../lib/errors/types');
+const { registerAssertion } = require('../../lib/api/exportable-lib');
 
 const errorMessage = 'some error in click command';
 
@@ -17,15 +19,15 @@ class TestRunMock extends BaseTestRunMock {
         this.errors.push(err);
     }
 
-    _executeActionCommand (command) {
-        return this._internalExecuteCommand(command);
+    _executeActionCommand (command, callsite) {
+        return this._internalExecuteCommand(command, callsite);
     }
 
     _internalExecuteCommand (command, callsite) {
         if (command.type === 'click')
             return Promise.reject(new Error(errorMessage));
 
-        return new AssertionExecutor(command, 0, callsite).run();
+        return new AssertionExecutor(command, command.options.timeout || 0, callsite).run();
     }
 }
 
@@ -42,4 +44,154 @@ describe('TestController', () => {
                 return testController.expect(10).eql(10);
             });
     });
+
+    describe('expect.poll', () => {
+        it('should re-evaluate the function until the assertion passes', async () => {
+            const testController = new TestController(new TestRunMock(''));
+
+            let calls = 0;
+
+            await testController.expect.poll(async () => ++calls, { timeout: 1000, interval: 10 }).eql(3);
+
+            expect(calls).eql(3);
+        });
+
+        it('should fail if the assertion does not pass until the timeout expires', async () => {
+            const testController = new TestController(new TestRunMock(''));
+
+            let calls = 0;
+
+            try {
+                await testController.expect.poll(async () => ++calls && 'pending', { timeout: 100, interval: 20 }).eql('done');
+
+                throw new Error('Promise rejection expected');
+            }
+            catch (err) {
+                expect(err.errMsg).eql("AssertionError: expected 'pending' to deeply equal 'done'");
+                expect(err.callsite.filename).eql(__filename);
+                expect(calls).above(1);
+            }
+        });
+
+        it('should prefer the assertion timeout', async () => {
+            const testController = new TestController(new TestRunMock(''));
+            const startTime      = Date.now();
+
+            try {
+                await testController.expect.poll(() => false, { timeout: 5000, interval: 10 }).ok({ timeout: 50 });
+
+                throw new Error('Promise rejection expected');
+            }
+            catch (err) {
+                expect(err.errMsg).eql('AssertionError: expected false to be truthy');
+                expect(Date.now() - startTime).below(5000);
+            }
+        });
+
+        it('should validate arguments when the assertion command is created', async () => {
+            const testController = new TestController(new TestRunMock(''));
+            const invalidPolls   = [
+                { poll: () => testController.expect.poll('value'), error: { code: 'E79', argumentName: 'fn' } },
+                { poll: () => testController.expect.poll(() => true, 5), error: { code: 'E14' } },
+                { poll: () => testController.expect.poll(() => true, { interval: -1 }), error: { code: 'E10', optionName: 'interval' } },
+            ];
+
+            for (const { poll, error } of invalidPolls) {
+                const assertion = poll();
+
+                try {
+                    await assertion.ok();
+
+                    throw new Error('Promise rejection expected');
+                }
+                catch (err) {
+                    expect(err).includes(error);
+                    expect(err.callsite.filename).eql(__filename);
+                }
+            }
+        });
+    });
+
+    describe('Custom assertions', () => {
+        before(() => {
+            registerAssertion('toBeSortedBy', (actual, key) => {
+                return actual.every((item, index) => !index || actual[index - 1][key] <= item[key]);
+            });
+
+            registerAssertion('toHaveLength', async (actual, expected) => {
+                return { pass: actual.length === expected, actual: actual.length };
+            }, { retryable: false });
+        });
+
+        it('should execute a registered assertion', async () => {
+            const testController = new TestController(new TestRunMock(''));
+
+            await testController.expect([{ id: 1 }, { id: 2 }]).toBeSortedBy('id');
+
+            try {
+                await testController.expect([{ id: 2 }, { id: 1 }]).toBeSortedBy('id', 'wrong order');
+
+                throw new Error('Promise rejection expected');
+            }
+            catch (err) {
+                expect(err.errMsg).eql(`AssertionError: wrong order: expected [ { id: 2 }, { id: 1 } ] to pass the "toBeSortedBy" assertion with 'id'`);
+                expect(err.callsite.filename).eql(__filename);
+            }
+        });
+
+        it('should render a diff for the assertion result', async () => {
+            const testController = new TestController(new TestRunMock(''));
+
+            try {
+                await testController.expect([1, 2, 3]).toHaveLength(2);
+
+                throw new Error('Promise rejection expected');
+            }
+            catch (err) {
+                expect(err.errMsg).eql('AssertionError: expected 3 to pass the "toHaveLength" assertion with 2');
+                expect(err.diff).contains('3').and.contains('2');
+            }
+        });
+
+        it('should retry a retryable assertion', async () => {
+            const testController = new TestController(new TestRunMock(''));
+            const items          = [{ id: 2 }];
+
+            let sortedCalls = 0;
+            let lengthCalls = 0;
+
+            await testController.expect.poll(() => {
+                sortedCalls++;
+
+                return sortedCalls < 3 ? [{ id: 2 }, { id: 1 }] : items;
+            }, { timeout: 1000, interval: 10 }).toBeSortedBy('id');
+
+            try {
+                await testController.expect.poll(() => ++lengthCalls && items, { timeout: 1000, interval: 10 }).toHaveLength(2);
+
+                throw new Error('Promise rejection expected');
+            }
+            catch (err) {
+                expect(sortedCalls).eql(3);
+                expect(lengthCalls).eql(1);
+            }
+        });
+
+        it('should validate arguments', () => {
+            expect(() => registerAssertion(42, () => true)).to.throw()
+                .that.includes({ code: RUNTIME_ERRORS.invalidValueType });
+
+            expect(() => registerAssertion('toBeValid', {})).to.throw()
+                .that.includes({ code: RUNTIME_ERRORS.invalidValueType });
+
+            expect(() => registerAssertion('toBeValid', () => true, { retryable: 'yes' })).to.throw()
+                .that.includes({ code: RUNTIME_ERRORS.invalidValueType });
+
+            expect(() => registerAssertion('eql', () => true)).to.throw()
+                .that.includes({ code: RUNTIME_ERRORS.cannotOverrideBuiltInAssertion });
+
+            expect(() => registerAssertion('then', () => true)).to.throw()
+                .that.includes({ code: RUNTIME_ERRORS.cannotOverrideBuiltInAssertion });
+        });
+    });
 });
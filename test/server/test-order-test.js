@@ -0,0 +1,112 @@
+const { expect } = require('chai');
+const path       = require('path');
+const tmp        = require('tmp');
+const fs         = require('fs');
+
+const sortTests = require('../../lib/runner/sort-tests');
+
+const {
+    getTestDurationKey,
+    readTestHistory,
+    readTestDurations,
+    writeTestHistory,
+} = require('../../lib/runner/test-durations');
+
+const { createFixture, createTests, getTestNames } = require('./helpers/test-structure');
+
+describe('Test order', () => {
+    const fixture1 = createFixture('a.js', 'Fixture 1');
+    const fixture2 = createFixture('a.js', 'Fixture 2');
+    const fixture3 = createFixture('b.js', 'Fixture 3');
+
+    const tests = [
+        ...createTests(fixture1, ['test 1', 'test 2']),
+        ...createTests(fixture2, ['test 3', 'test 4']),
+        ...createTests(fixture3, ['test 5']),
+    ];
+
+    function createHistory (entries) {
+        const history = {};
+
+        Object.entries(entries).forEach(([name, entry]) => {
+            const test = tests.find(item => item.name === name);
+
+            history[getTestDurationKey(test)] = Object.assign({ duration: 0, failed: false }, entry);
+        });
+
+        return history;
+    }
+
+    before(() => {
+        tmp.setGracefulCleanup();
+    });
+
+    it('Should run the longest tests first and keep fixture tests together', () => {
+        const history = createHistory({
+            'test 1': { duration: 100 },
+            'test 2': { duration: 300 },
+            'test 3': { duration: 1000 },
+            'test 4': { duration: 200 },
+            'test 5': { duration: 50 },
+        });
+
+        expect(getTestNames(sortTests(tests, 'longest-first', history))).eql(['test 3', 'test 4', 'test 2', 'test 1', 'test 5']);
+    });
+
+    it('Should consider tests without a history as average', () => {
+        const history = createHistory({
+            'test 1': { duration: 100 },
+            'test 3': { duration: 500 },
+        });
+
+        expect(getTestNames(sortTests(tests, 'longest-first', history))).eql(['test 3', 'test 4', 'test 2', 'test 1', 'test 5']);
+    });
+
+    it('Should run the failed tests first', () => {
+        const history = createHistory({
+            'test 2': { duration: 100 },
+            'test 4': { duration: 100, failed: true },
+            'test 5': { duration: 100, failed: true },
+        });
+
+        expect(getTestNames(sortTests(tests, 'failed-first', history))).eql(['test 4', 'test 3', 'test 5', 'test 1', 'test 2']);
+    });
+
+    it('Should keep the compile order if there is no test history', () => {
+        expect(sortTests(tests, 'longest-first', {})).eql(tests);
+        expect(sortTests(tests, 'failed-first', {})).eql(tests);
+    });
+
+    it('Should write and read the test history', async () => {
+        const filePath = path.join(tmp.dirSync().name, 'cache', 'test-durations.json');
+        const history  = createHistory({ 'test 1': { duration: 100, failed: true } });
+
+        await writeTestHistory(filePath, history);
+
+        expect(await readTestHistory(filePath)).eql(history);
+        expect(await readTestDurations(filePath)).eql({ 'a.js > Fixture 1 > test 1': 100 });
+    });
+
+    it('Should read test durations specified as numbers', async () => {
+        const filePath = tmp.fileSync().name;
+
+        fs.writeFileSync(filePath, JSON.stringify({ 'a.js > Fixture 1 > test 1': 100, 'a.js > Fixture 1 > test 2': 'wrong' }));
+
+        expect(await readTestHistory(filePath)).eql({ 'a.js > Fixture 1 > test 1': { duration: 100, failed: false } });
+    });
+
+    it('Should raise an error if the test history cannot be parsed', async () => {
+        const filePath = tmp.fileSync().name;
+
+        fs.writeFileSync(filePath, '[]');
+
+        try {
+            await readTestHistory(filePath);
+
+            throw new Error('Promise rejection expected');
+        }
+        catch (err) {
+            expect(err.message).eql(`Cannot read test durations from the "${filePath}" file. The file should contain an object with test durations.`);
+        }
+    });
+});
@@ -257,6 +257,7 @@ describe('Test run command options', function () {
             expect(JSON.parse(JSON.stringify(options))).eql({
                 timeout:               100,
                 allowUnawaitedPromise: false,
+                soft:                  false,
             });
         });
     });
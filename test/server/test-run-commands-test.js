@@ -996,6 +996,252 @@ describe('Test run commands', () => {
             });
         });
 
+        it('Should create CheckAccessibilityCommand from object', function () {
+            let commandObj = {
+                type:     TYPE.checkAccessibility,
+                selector: '#main',
+                dummy:    'test',
+
+                options: {
+                    rules:       ['image-alt', 'label'],
+                    impactLevel: 'serious',
+                },
+            };
+
+            let command = createCommand(commandObj);
+
+            expect(JSON.parse(JSON.stringify(command))).eql({
+                type:     TYPE.checkAccessibility,
+                actionId: TYPE.checkAccessibility,
+                selector: makeSelector('#main'),
+
+                options: {
+                    rules:       ['image-alt', 'label'],
+                    impactLevel: 'serious',
+                },
+            });
+
+            commandObj = {
+                type: TYPE.checkAccessibility,
+            };
+
+            command = createCommand(commandObj);
+
+            expect(JSON.parse(JSON.stringify(command))).eql({
+                type:     TYPE.checkAccessibility,
+                actionId: TYPE.checkAccessibility,
+
+                options: {
+                    rules:       [],
+                    impactLevel: 'minor',
+                },
+            });
+        });
+
+        it('Should create AttachCommand from object', function () {
+            let commandObj = {
+                type:    TYPE.attach,
+                name:    'response',
+                content: '{ "status": "ok" }',
+                format:  'json',
+                dummy:   'test',
+
+                options: {
+                    contentType: 'application/vnd.api+json',
+                    fromFile:    false,
+                },
+            };
+
+            let command = createCommand(commandObj);
+
+            expect(JSON.parse(JSON.stringify(command))).eql({
+                type:     TYPE.attach,
+                actionId: TYPE.attach,
+                name:     'response',
+                content:  '{ "status": "ok" }',
+                format:   'json',
+
+                options: {
+                    contentType: 'application/vnd.api+json',
+                    fromFile:    false,
+                },
+            });
+
+            commandObj = {
+                type:    TYPE.attach,
+                name:    'log',
+                content: 'logs/test.log',
+            };
+
+            command = createCommand(commandObj);
+
+            expect(JSON.parse(JSON.stringify(command))).eql({
+                type:     TYPE.attach,
+                actionId: TYPE.attach,
+                name:     'log',
+                content:  'logs/test.log',
+                format:   'text',
+                options:  {},
+            });
+        });
+
+        it('Should create RequestCommand from object', function () {
+            let commandObj = {
+                type:    TYPE.request,
+                url:     'http://example.com/api/users',
+                method:  'POST',
+                headers: { 'x-token': 'token' },
+                params:  { page: 2 },
+                body:    { name: 'John' },
+                auth:    { username: 'user', password: 'pass' },
+                dummy:   'test',
+
+                options: {
+                    timeout:            1000,
+                    withCredentials:    true,
+                    rawResponse:        true,
+                    rejectUnauthorized: false,
+                    dummy:              'test',
+                },
+            };
+
+            let command = createCommand(commandObj);
+
+            expect(JSON.parse(JSON.stringify(command))).eql({
+                type:     TYPE.request,
+                actionId: TYPE.request,
+                url:      'http://example.com/api/users',
+                method:   'POST',
+                headers:  { 'x-token': 'token' },
+                params:   { page: 2 },
+                body:     { name: 'John' },
+                auth:     { username: 'user', password: 'pass' },
+
+                options: {
+                    timeout:            1000,
+                    withCredentials:    true,
+                    rawResponse:        true,
+                    rejectUnauthorized: false,
+                },
+            });
+
+            commandObj = {
+                type: TYPE.request,
+                url:  'http://example.com/api/users',
+            };
+
+            command = createCommand(commandObj);
+
+            expect(JSON.parse(JSON.stringify(command))).eql({
+                type:     TYPE.request,
+                actionId: TYPE.request,
+                url:      'http://example.com/api/users',
+                method:   'GET',
+
+                options: {
+                    withCredentials:    false,
+                    rawResponse:        false,
+                    rejectUnauthorized: true,
+                },
+            });
+        });
+
+        it('Should create EmulateCommand from object', function () {
+            let commandObj = {
+                type:  TYPE.emulate,
+                dummy: 'test',
+
+                options: {
+                    geolocation:   { latitude: 52.52, longitude: 13.4, accuracy: 10 },
+                    timezoneId:    'Europe/Berlin',
+                    locale:        'de-DE',
+                    colorScheme:   'dark',
+                    reducedMotion: 'reduce',
+                    offline:       true,
+                    dummy:         'test',
+                },
+            };
+
+            let command = createCommand(commandObj);
+
+            expect(JSON.parse(JSON.stringify(command))).eql({
+                type:     TYPE.emulate,
+                actionId: TYPE.emulate,
+
+                options: {
+                    geolocation:   { latitude: 52.52, longitude: 13.4, accuracy: 10 },
+                    timezoneId:    'Europe/Berlin',
+                    locale:        'de-DE',
+                    colorScheme:   'dark',
+                    reducedMotion: 'reduce',
+                    offline:       true,
+                },
+            });
+
+            commandObj = {
+                type: TYPE.emulate,
+
+                options: {
+                    geolocation: null,
+                    colorScheme: null,
+                },
+            };
+
+            command = createCommand(commandObj);
+
+            expect(JSON.parse(JSON.stringify(command))).eql({
+                type:     TYPE.emulate,
+                actionId: TYPE.emulate,
+
+                options: {
+                    geolocation: null,
+                    colorScheme: null,
+                },
+            });
+        });
+
+        it('Should create SetNetworkConditionsCommand from object', function () {
+            let commandObj = {
+                type:  TYPE.setNetworkConditions,
+                dummy: 'test',
+
+                conditions: {
+                    latency:  400,
+                    download: 50000,
+                    upload:   20000,
+                    offline:  false,
+                    dummy:    'test',
+                },
+            };
+
+            let command = createCommand(commandObj);
+
+            expect(JSON.parse(JSON.stringify(command))).eql({
+                type:     TYPE.setNetworkConditions,
+                actionId: TYPE.setNetworkConditions,
+
+                conditions: {
+                    latency:  400,
+                    download: 50000,
+                    upload:   20000,
+                    offline:  false,
+                },
+            });
+
+            commandObj = {
+                type:       TYPE.setNetworkConditions,
+                conditions: null,
+            };
+
+            command = createCommand(commandObj);
+
+            expect(JSON.parse(JSON.stringify(command))).eql({
+                type:       TYPE.setNetworkConditions,
+                actionId:   TYPE.setNetworkConditions,
+                conditions: {},
+            });
+        });
+
         it('Should create ResizeWindowCommand from object', function () {
             const commandObj = {
                 type:     TYPE.resizeWindow,
@@ -1140,6 +1386,7 @@ describe('Test run commands', () => {
                 options: {
                     timeout:               100,
                     allowUnawaitedPromise: false,
+                    soft:                  false,
                 },
             });
 
@@ -1160,6 +1407,7 @@ describe('Test run commands', () => {
 
                 options: {
                     allowUnawaitedPromise: false,
+                    soft:                  false,
                 },
             });
         });
@@ -1255,6 +1503,7 @@ describe('Test run commands', () => {
 
                 options: {
                     allowUnawaitedPromise: false,
+                    soft:                  false,
                 },
             });
         });
@@ -2718,18 +2967,18 @@ describe('Test run commands', () => {
             );
         });
 
-        it('Should validate ResizeWindowСommand', function () {
+        it('Should validate CheckAccessibilityCommand', function () {
             assertThrow(
                 function () {
                     return createCommand({
-                        type: TYPE.resizeWindow,
+                        type:    TYPE.checkAccessibility,
+                        options: 'serious',
                     });
                 },
                 {
                     isTestCafeError: true,
-                    code:            'E22',
-                    argumentName:    'width',
-                    actualValue:     'undefined',
+                    code:            'E14',
+                    actualType:      'string',
                     callsite:        null,
                 }
             );
@@ -2737,32 +2986,64 @@ describe('Test run commands', () => {
             assertThrow(
                 function () {
                     return createCommand({
-                        type:   TYPE.resizeWindow,
-                        width:  5,
-                        height: -5,
+                        type:    TYPE.checkAccessibility,
+                        options: { impactLevel: 'major' },
                     });
                 },
                 {
                     isTestCafeError: true,
-                    code:            'E22',
-                    argumentName:    'height',
-                    actualValue:     -5,
+                    code:            'E89',
+                    optionName:      'impactLevel',
+                    actualValue:     '"major"',
+                    callsite:        null,
+                }
+            );
+
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:    TYPE.checkAccessibility,
+                        options: { rules: 'image-alt' },
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E90',
+                    optionName:      'rules',
+                    actualValue:     'string',
+                    callsite:        null,
+                }
+            );
+
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:    TYPE.checkAccessibility,
+                        options: { rules: ['image-alt', 'color-contrast'] },
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E90',
+                    optionName:      'rules',
+                    actualValue:     'an array whose element at index 1 is "color-contrast"',
                     callsite:        null,
                 }
             );
         });
 
-        it('Should validate ResizeWindowToFitDeviceСommand', function () {
+        it('Should validate AttachCommand', function () {
             assertThrow(
                 function () {
                     return createCommand({
-                        type: TYPE.resizeWindowToFitDevice,
+                        type:    TYPE.attach,
+                        content: 'log',
                     });
                 },
                 {
                     isTestCafeError: true,
                     code:            'E16',
-                    argumentName:    'device',
+                    argumentName:    'name',
                     actualValue:     'undefined',
                     callsite:        null,
                 }
@@ -2771,14 +3052,15 @@ describe('Test run commands', () => {
             assertThrow(
                 function () {
                     return createCommand({
-                        type:   TYPE.resizeWindowToFitDevice,
-                        device: 5,
+                        type:    TYPE.attach,
+                        name:    'log',
+                        content: 123,
                     });
                 },
                 {
                     isTestCafeError: true,
-                    code:            'E16',
-                    argumentName:    'device',
+                    code:            'E93',
+                    argumentName:    'content',
                     actualValue:     'number',
                     callsite:        null,
                 }
@@ -2787,14 +3069,16 @@ describe('Test run commands', () => {
             assertThrow(
                 function () {
                     return createCommand({
-                        type:   TYPE.resizeWindowToFitDevice,
-                        device: '',
+                        type:    TYPE.attach,
+                        name:    'log',
+                        content: 'log',
+                        options: { contentType: '' },
                     });
                 },
                 {
                     isTestCafeError: true,
-                    code:            'E16',
-                    argumentName:    'device',
+                    code:            'E92',
+                    optionName:      'contentType',
                     actualValue:     '""',
                     callsite:        null,
                 }
@@ -2803,49 +3087,51 @@ describe('Test run commands', () => {
             assertThrow(
                 function () {
                     return createCommand({
-                        type:   TYPE.resizeWindowToFitDevice,
-                        device: 'iPhone 555',
+                        type:    TYPE.attach,
+                        name:    'log',
+                        content: 'logs/test.log',
+                        options: { fromFile: 'true' },
                     });
                 },
                 {
                     isTestCafeError: true,
-                    code:            'E38',
-                    argumentName:    'device',
-                    actualValue:     'iPhone 555',
+                    code:            'E11',
+                    optionName:      'fromFile',
+                    actualValue:     'string',
                     callsite:        null,
                 }
             );
+        });
 
+        it('Should validate RequestCommand', function () {
             assertThrow(
                 function () {
                     return createCommand({
-                        type:    TYPE.resizeWindowToFitDevice,
-                        device:  'iPhone',
-                        options: { portraitOrientation: {} },
+                        type: TYPE.request,
                     });
                 },
                 {
                     isTestCafeError: true,
-                    code:            'E11',
-                    optionName:      'portraitOrientation',
-                    actualValue:     'object',
+                    code:            'E16',
+                    argumentName:    'url',
+                    actualValue:     'undefined',
                     callsite:        null,
                 }
             );
-        });
 
-        it('Should validate SetTestSpeedCommand', function () {
             assertThrow(
                 function () {
                     return createCommand({
-                        type: TYPE.setTestSpeed,
+                        type:   TYPE.request,
+                        url:    'http://example.com',
+                        method: '',
                     });
                 },
                 {
                     isTestCafeError: true,
-                    code:            'E47',
-                    argumentName:    'speed',
-                    actualValue:     'undefined',
+                    code:            'E16',
+                    argumentName:    'method',
+                    actualValue:     '""',
                     callsite:        null,
                 }
             );
@@ -2853,32 +3139,33 @@ describe('Test run commands', () => {
             assertThrow(
                 function () {
                     return createCommand({
-                        type:  TYPE.setTestSpeed,
-                        speed: 2,
+                        type:    TYPE.request,
+                        url:     'http://example.com',
+                        headers: 'Content-Type: application/json',
                     });
                 },
                 {
                     isTestCafeError: true,
-                    code:            'E47',
-                    argumentName:    'speed',
-                    actualValue:     2,
+                    code:            'E103',
+                    argumentName:    'headers',
+                    actualValue:     'string',
                     callsite:        null,
                 }
             );
-        });
 
-        it('Should validate SetPageLoadTimeoutCommand', function () {
             assertThrow(
                 function () {
                     return createCommand({
-                        type: TYPE.setPageLoadTimeout,
+                        type:   TYPE.request,
+                        url:    'http://example.com',
+                        params: ['a', 'b'],
                     });
                 },
                 {
                     isTestCafeError: true,
-                    code:            'E22',
-                    argumentName:    'duration',
-                    actualValue:     'undefined',
+                    code:            'E103',
+                    argumentName:    'params',
+                    actualValue:     'array',
                     callsite:        null,
                 }
             );
@@ -2886,31 +3173,32 @@ describe('Test run commands', () => {
             assertThrow(
                 function () {
                     return createCommand({
-                        type:     TYPE.setPageLoadTimeout,
-                        duration: -1,
+                        type: TYPE.request,
+                        url:  'http://example.com',
+                        auth: null,
                     });
                 },
                 {
                     isTestCafeError: true,
-                    code:            'E22',
-                    argumentName:    'duration',
-                    actualValue:     -1,
+                    code:            'E103',
+                    argumentName:    'auth',
+                    actualValue:     'null',
                     callsite:        null,
                 }
             );
-        });
 
-        it('Should validate AssertionСommand', function () {
             assertThrow(
                 function () {
                     return createCommand({
-                        type: TYPE.assertion,
+                        type: TYPE.request,
+                        url:  'http://example.com',
+                        auth: { password: 'secret' },
                     });
                 },
                 {
                     isTestCafeError: true,
                     code:            'E16',
-                    argumentName:    'assertionType',
+                    argumentName:    'auth.username',
                     actualValue:     'undefined',
                     callsite:        null,
                 }
@@ -2919,14 +3207,15 @@ describe('Test run commands', () => {
             assertThrow(
                 function () {
                     return createCommand({
-                        type:          TYPE.assertion,
-                        assertionType: 123,
+                        type: TYPE.request,
+                        url:  'http://example.com',
+                        auth: { username: 'user', password: 123 },
                     });
                 },
                 {
                     isTestCafeError: true,
                     code:            'E16',
-                    argumentName:    'assertionType',
+                    argumentName:    'auth.password',
                     actualValue:     'number',
                     callsite:        null,
                 }
@@ -2935,15 +3224,16 @@ describe('Test run commands', () => {
             assertThrow(
                 function () {
                     return createCommand({
-                        type:          TYPE.assertion,
-                        assertionType: 'ok',
-                        options:       1,
+                        type:    TYPE.request,
+                        url:     'http://example.com',
+                        options: { timeout: -1 },
                     });
                 },
                 {
                     isTestCafeError: true,
-                    code:            'E14',
-                    actualType:      'number',
+                    code:            'E10',
+                    optionName:      'timeout',
+                    actualValue:     -1,
                     callsite:        null,
                 }
             );
@@ -2951,37 +3241,33 @@ describe('Test run commands', () => {
             assertThrow(
                 function () {
                     return createCommand({
-                        type:          TYPE.assertion,
-                        assertionType: 'ok',
-                        options:       {
-                            timeout: 'timeout',
-                        },
+                        type:    TYPE.request,
+                        url:     'http://example.com',
+                        options: { withCredentials: 'true' },
                     });
                 },
                 {
                     isTestCafeError: true,
-                    code:            'E10',
-                    optionName:      'timeout',
+                    code:            'E11',
+                    optionName:      'withCredentials',
                     actualValue:     'string',
                     callsite:        null,
                 }
             );
+        });
 
+        it('Should validate EmulateCommand', function () {
             assertThrow(
                 function () {
                     return createCommand({
-                        type:          TYPE.assertion,
-                        assertionType: 'ok',
-                        options:       {
-                            timeout: 10.5,
-                        },
+                        type:    TYPE.emulate,
+                        options: 'dark',
                     });
                 },
                 {
                     isTestCafeError: true,
-                    code:            'E10',
-                    optionName:      'timeout',
-                    actualValue:     10.5,
+                    code:            'E14',
+                    actualType:      'string',
                     callsite:        null,
                 }
             );
@@ -2989,13 +3275,443 @@ describe('Test run commands', () => {
             assertThrow(
                 function () {
                     return createCommand({
-                        type:          TYPE.assertion,
-                        assertionType: 'ok',
-
-                        actual: {
-                            type:  'js-expr',
-                            value: 'invalid js code',
-                        },
+                        type:    TYPE.emulate,
+                        options: { geolocation: 'Berlin' },
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E97',
+                    optionName:      'geolocation',
+                    actualValue:     'string',
+                    callsite:        null,
+                }
+            );
+
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:    TYPE.emulate,
+                        options: { geolocation: { latitude: 100, longitude: 0 } },
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E97',
+                    optionName:      'geolocation',
+                    actualValue:     'an object whose "latitude" property is 100',
+                    callsite:        null,
+                }
+            );
+
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:    TYPE.emulate,
+                        options: { colorScheme: 'blue' },
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E98',
+                    optionName:      'colorScheme',
+                    actualValue:     '"blue"',
+                    callsite:        null,
+                }
+            );
+
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:    TYPE.emulate,
+                        options: { reducedMotion: true },
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E99',
+                    optionName:      'reducedMotion',
+                    actualValue:     'boolean',
+                    callsite:        null,
+                }
+            );
+
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:    TYPE.emulate,
+                        options: { timezoneId: '' },
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E92',
+                    optionName:      'timezoneId',
+                    actualValue:     '""',
+                    callsite:        null,
+                }
+            );
+
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:    TYPE.emulate,
+                        options: { offline: 'true' },
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E11',
+                    optionName:      'offline',
+                    actualValue:     'string',
+                    callsite:        null,
+                }
+            );
+        });
+
+        it('Should validate SetNetworkConditionsCommand', function () {
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:       TYPE.setNetworkConditions,
+                        conditions: 400,
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E14',
+                    actualType:      'number',
+                    callsite:        null,
+                }
+            );
+
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:       TYPE.setNetworkConditions,
+                        conditions: { latency: -1 },
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E10',
+                    optionName:      'latency',
+                    actualValue:     -1,
+                    callsite:        null,
+                }
+            );
+
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:       TYPE.setNetworkConditions,
+                        conditions: { download: 1.5 },
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E10',
+                    optionName:      'download',
+                    actualValue:     1.5,
+                    callsite:        null,
+                }
+            );
+
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:       TYPE.setNetworkConditions,
+                        conditions: { offline: 1 },
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E11',
+                    optionName:      'offline',
+                    actualValue:     'number',
+                    callsite:        null,
+                }
+            );
+        });
+
+        it('Should validate ResizeWindowСommand', function () {
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type: TYPE.resizeWindow,
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E22',
+                    argumentName:    'width',
+                    actualValue:     'undefined',
+                    callsite:        null,
+                }
+            );
+
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:   TYPE.resizeWindow,
+                        width:  5,
+                        height: -5,
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E22',
+                    argumentName:    'height',
+                    actualValue:     -5,
+                    callsite:        null,
+                }
+            );
+        });
+
+        it('Should validate ResizeWindowToFitDeviceСommand', function () {
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type: TYPE.resizeWindowToFitDevice,
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E16',
+                    argumentName:    'device',
+                    actualValue:     'undefined',
+                    callsite:        null,
+                }
+            );
+
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:   TYPE.resizeWindowToFitDevice,
+                        device: 5,
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E16',
+                    argumentName:    'device',
+                    actualValue:     'number',
+                    callsite:        null,
+                }
+            );
+
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:   TYPE.resizeWindowToFitDevice,
+                        device: '',
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E16',
+                    argumentName:    'device',
+                    actualValue:     '""',
+                    callsite:        null,
+                }
+            );
+
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:   TYPE.resizeWindowToFitDevice,
+                        device: 'iPhone 555',
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E38',
+                    argumentName:    'device',
+                    actualValue:     'iPhone 555',
+                    callsite:        null,
+                }
+            );
+
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:    TYPE.resizeWindowToFitDevice,
+                        device:  'iPhone',
+                        options: { portraitOrientation: {} },
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E11',
+                    optionName:      'portraitOrientation',
+                    actualValue:     'object',
+                    callsite:        null,
+                }
+            );
+        });
+
+        it('Should validate SetTestSpeedCommand', function () {
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type: TYPE.setTestSpeed,
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E47',
+                    argumentName:    'speed',
+                    actualValue:     'undefined',
+                    callsite:        null,
+                }
+            );
+
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:  TYPE.setTestSpeed,
+                        speed: 2,
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E47',
+                    argumentName:    'speed',
+                    actualValue:     2,
+                    callsite:        null,
+                }
+            );
+        });
+
+        it('Should validate SetPageLoadTimeoutCommand', function () {
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type: TYPE.setPageLoadTimeout,
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E22',
+                    argumentName:    'duration',
+                    actualValue:     'undefined',
+                    callsite:        null,
+                }
+            );
+
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:     TYPE.setPageLoadTimeout,
+                        duration: -1,
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E22',
+                    argumentName:    'duration',
+                    actualValue:     -1,
+                    callsite:        null,
+                }
+            );
+        });
+
+        it('Should validate AssertionСommand', function () {
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type: TYPE.assertion,
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E16',
+                    argumentName:    'assertionType',
+                    actualValue:     'undefined',
+                    callsite:        null,
+                }
+            );
+
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:          TYPE.assertion,
+                        assertionType: 123,
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E16',
+                    argumentName:    'assertionType',
+                    actualValue:     'number',
+                    callsite:        null,
+                }
+            );
+
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:          TYPE.assertion,
+                        assertionType: 'ok',
+                        options:       1,
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E14',
+                    actualType:      'number',
+                    callsite:        null,
+                }
+            );
+
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:          TYPE.assertion,
+                        assertionType: 'ok',
+                        options:       {
+                            timeout: 'timeout',
+                        },
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E10',
+                    optionName:      'timeout',
+                    actualValue:     'string',
+                    callsite:        null,
+                }
+            );
+
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:          TYPE.assertion,
+                        assertionType: 'ok',
+                        options:       {
+                            timeout: 10.5,
+                        },
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E10',
+                    optionName:      'timeout',
+                    actualValue:     10.5,
+                    callsite:        null,
+                }
+            );
+
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:          TYPE.assertion,
+                        assertionType: 'ok',
+
+                        actual: {
+                            type:  'js-expr',
+                            value: 'invalid js code',
+                        },
                     });
                 },
                 {
@@ -3010,6 +3726,187 @@ describe('Test run commands', () => {
             );
         });
 
+        it('Should validate ToMatchScreenshotAssertionCommand', function () {
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:          TYPE.assertion,
+                        assertionType: 'toMatchScreenshot',
+                        actual:        makeSelector('#element'),
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E16',
+                    argumentName:    'expected',
+                    actualValue:     'undefined',
+                    callsite:        null,
+                }
+            );
+
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:          TYPE.assertion,
+                        assertionType: 'toMatchScreenshot',
+                        actual:        makeSelector('#element'),
+                        expected:      'header',
+
+                        options: {
+                            threshold: 2,
+                        },
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E86',
+                    optionName:      'threshold',
+                    actualValue:     2,
+                    callsite:        null,
+                }
+            );
+
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:          TYPE.assertion,
+                        assertionType: 'toMatchScreenshot',
+                        actual:        makeSelector('#element'),
+                        expected:      'header',
+
+                        options: {
+                            ignoreRegions: 'header',
+                        },
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E87',
+                    optionName:      'ignoreRegions',
+                    actualValue:     'string',
+                    callsite:        null,
+                }
+            );
+
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:          TYPE.assertion,
+                        assertionType: 'toMatchScreenshot',
+                        actual:        makeSelector('#element'),
+                        expected:      'header',
+
+                        options: {
+                            ignoreRegions: [{ left: 10, top: 0, right: 5, bottom: 10 }],
+                        },
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E87',
+                    optionName:      'ignoreRegions',
+                    actualValue:     'an array whose element at index 0 is not a valid region',
+                    callsite:        null,
+                }
+            );
+        });
+
+        it('Should validate MatchesSchemaAssertionCommand', function () {
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:          TYPE.assertion,
+                        assertionType: 'matchesSchema',
+                        actual:        { id: 1 },
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E94',
+                    argumentName:    'expected',
+                    actualValue:     'undefined',
+                    callsite:        null,
+                }
+            );
+
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:          TYPE.assertion,
+                        assertionType: 'matchesSchema',
+                        actual:        { id: 1 },
+                        expected:      [{ type: 'object' }],
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E94',
+                    argumentName:    'expected',
+                    actualValue:     'array',
+                    callsite:        null,
+                }
+            );
+
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:          TYPE.assertion,
+                        assertionType: 'matchesSchema',
+                        actual:        { id: 1 },
+                        expected:      { $ref: '#/$defs/missing' },
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E100',
+                    argumentName:    'expected',
+                    errMsg:          "can't resolve reference #/$defs/missing from id #",
+                    callsite:        null,
+                }
+            );
+        });
+
+        it('Should validate ToMatchSnapshotAssertionCommand', function () {
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:          TYPE.assertion,
+                        assertionType: 'toMatchSnapshot',
+                        actual:        'value',
+                        expected:      123,
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E16',
+                    argumentName:    'expected',
+                    actualValue:     'number',
+                    callsite:        null,
+                }
+            );
+
+            assertThrow(
+                function () {
+                    return createCommand({
+                        type:          TYPE.assertion,
+                        assertionType: 'toMatchSnapshot',
+                        actual:        makeSelector('#element'),
+
+                        options: {
+                            html: 'true',
+                        },
+                    });
+                },
+                {
+                    isTestCafeError: true,
+                    code:            'E11',
+                    optionName:      'html',
+                    actualValue:     'string',
+                    callsite:        null,
+                }
+            );
+        });
+
         it('Should validate ExecuteExpressionСommand', function () {
             assertThrow(
                 function () {
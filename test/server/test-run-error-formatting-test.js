@@ -6,6 +6,7 @@ const { TEST_RUN_ERRORS, RUNTIME_ERRORS } = require('../../lib/errors/types');
 const TestRunErrorFormattableAdapter      = require('../../lib/errors/test-run/formattable-adapter');
 const testCallsite                        = require('./data/test-callsite');
 const assertTestRunError                  = require('./helpers/assert-test-run-error');
+const processTestFnError                  = require('../../lib/errors/process-test-fn-error');
 
 const {
     AssertionExecutableArgumentError,
@@ -18,6 +19,14 @@ const {
     ActionBooleanOptionError,
     ActionBooleanArgumentError,
     ActionSpeedOptionError,
+    ActionRatioOptionError,
+    ActionRegionsOptionError,
+    ActionImpactLevelOptionError,
+    ActionAccessibilityRulesOptionError,
+    ActionStringOptionError,
+    ActionGeolocationOptionError,
+    ActionColorSchemeOptionError,
+    ActionReducedMotionOptionError,
     ActionSelectorError,
     ActionOptionsTypeError,
     ActionStringArgumentError,
@@ -25,6 +34,10 @@ const {
     ActionStringOrStringArrayArgumentError,
     ActionStringArrayElementError,
     ActionFunctionArgumentError,
+    ActionAttachmentContentArgumentError,
+    ActionJsonSchemaArgumentError,
+    ActionInvalidJsonSchemaArgumentError,
+    ActionObjectArgumentError,
     PageLoadError,
     UncaughtErrorOnPage,
     UncaughtErrorInTestCode,
@@ -66,10 +79,17 @@ const {
     ForbiddenCharactersInScreenshotPathError,
     InvalidElementScreenshotDimensionsError,
     SetTestSpeedArgumentError,
+    ScreenshotComparisonDisabledError,
+    ScreenshotComparisonError,
+    AccessibilityViolationsError,
+    EmulationNotSupportedError,
+    NetworkOfflineModeNotSupportedError,
+    RequestError,
     RoleSwitchInRoleInitializerError,
     ActionRoleArgumentError,
     RequestHookNotImplementedMethodError,
     RequestHookUnhandledError,
+    RequestMockHarEntryNotFoundError,
     UncaughtErrorInCustomClientScriptCode,
     UncaughtErrorInCustomClientScriptLoadedFromModule,
     UncaughtErrorInCustomScript,
@@ -330,6 +350,16 @@ describe('Error formatting', () => {
             }).to.not.throw();
         });
 
+        it('Should render the step in which the error occurred', () => {
+            const error = processTestFnError(Object.assign(new Error('Custom script error'), { step: ['Log in as <admin>', 'Submit'] }));
+
+            expect(error).instanceOf(UncaughtErrorInTestCode);
+            expect(error.step).eql(['Log in as <admin>', 'Submit']);
+            expect(getErrorAdapter(error).getErrorMarkup()).contains(
+                '<div class="step-info"><strong>Step:</strong> <span class="step-path">Log in as &lt;admin&gt; &gt; Submit</span></div>'
+            );
+        });
+
         it('Should format "actionIntegerOptionError" message', () => {
             assertErrorMessage('action-integer-option-error', new ActionIntegerOptionError('offsetX', '1.01'));
         });
@@ -358,6 +388,38 @@ describe('Error formatting', () => {
             assertErrorMessage('action-speed-option-error', new ActionSpeedOptionError('speed', 'object'));
         });
 
+        it('Should format "actionRatioOptionError" message', () => {
+            assertErrorMessage('action-ratio-option-error', new ActionRatioOptionError('threshold', '2'));
+        });
+
+        it('Should format "actionRegionsOptionError" message', () => {
+            assertErrorMessage('action-regions-option-error', new ActionRegionsOptionError('ignoreRegions', 'string'));
+        });
+
+        it('Should format "actionImpactLevelOptionError" message', () => {
+            assertErrorMessage('action-impact-level-option-error', new ActionImpactLevelOptionError('impactLevel', '"major"'));
+        });
+
+        it('Should format "actionAccessibilityRulesOptionError" message', () => {
+            assertErrorMessage('action-accessibility-rules-option-error', new ActionAccessibilityRulesOptionError('rules', 'string'));
+        });
+
+        it('Should format "actionStringOptionError" message', () => {
+            assertErrorMessage('action-string-option-error', new ActionStringOptionError('contentType', 'number'));
+        });
+
+        it('Should format "actionGeolocationOptionError" message', () => {
+            assertErrorMessage('action-geolocation-option-error', new ActionGeolocationOptionError('geolocation', 'an object whose "latitude" property is 100'));
+        });
+
+        it('Should format "actionColorSchemeOptionError" message', () => {
+            assertErrorMessage('action-color-scheme-option-error', new ActionColorSchemeOptionError('colorScheme', '"blue"'));
+        });
+
+        it('Should format "actionReducedMotionOptionError" message', () => {
+            assertErrorMessage('action-reduced-motion-option-error', new ActionReducedMotionOptionError('reducedMotion', 'boolean'));
+        });
+
         it('Should format "pageLoadError" message', () => {
             assertErrorMessage('page-load-error', new PageLoadError('Failed to find a DNS-record for the resource', 'http://some-url.example.com'));
         });
@@ -644,6 +706,53 @@ describe('Error formatting', () => {
             assertErrorMessage('set-test-speed-argument-error', new SetTestSpeedArgumentError('speed', 'string'));
         });
 
+        it('Should format "screenshotComparisonDisabledError"', () => {
+            assertErrorMessage('screenshot-comparison-disabled-error', new ScreenshotComparisonDisabledError('header', testCallsite));
+        });
+
+        it('Should format "screenshotComparisonError"', () => {
+            assertErrorMessage('screenshot-comparison-error', new ScreenshotComparisonError({
+                screenshotName: 'header',
+                diffRatio:      0.12345,
+                threshold:      0.05,
+                baselinePath:   '/tests/__screenshots__/header/Chrome_macOS.png',
+                actualPath:     '/screenshots/comparisons/header/Chrome_macOS.png',
+                diffPath:       '/screenshots/comparisons/header/Chrome_macOS.diff.png',
+            }));
+        });
+
+        it('Should format "accessibilityViolationsError"', () => {
+            assertErrorMessage('accessibility-violations-error', new AccessibilityViolationsError('serious', [
+                {
+                    id:          'image-alt',
+                    impact:      'critical',
+                    description: 'Images must have alternate text',
+                    nodes:       [
+                        { html: '<img src="logo.png">', target: '#logo' },
+                        { html: '<img src="banner.png">', target: 'body > div:nth-child(2) > img' },
+                    ],
+                },
+                {
+                    id:          'document-title',
+                    impact:      'serious',
+                    description: 'Documents must have a <title> element to aid in navigation',
+                    nodes:       [{ html: '<html>', target: 'html' }],
+                },
+            ]));
+        });
+
+        it('Should format "emulationNotSupportedError"', () => {
+            assertErrorMessage('emulation-not-supported-error', new EmulationNotSupportedError('firefox', testCallsite));
+        });
+
+        it('Should format "networkOfflineModeNotSupportedError"', () => {
+            assertErrorMessage('network-offline-mode-not-supported-error', new NetworkOfflineModeNotSupportedError('firefox', testCallsite));
+        });
+
+        it('Should format "requestError"', () => {
+            assertErrorMessage('request-error', new RequestError('POST', 'http://localhost:3000/api/users', 'connect ECONNREFUSED 127.0.0.1:3000', testCallsite));
+        });
+
         it('Should format "roleSwitchInRoleInitializerError"', () => {
             assertErrorMessage('role-switch-in-role-initializer-error', new RoleSwitchInRoleInitializerError(testCallsite));
         });
@@ -672,6 +781,10 @@ describe('Error formatting', () => {
             assertErrorMessage('request-hook-unhandled-error', new RequestHookUnhandledError(new Error('Test error'), 'MyHook', 'onRequest'));
         });
 
+        it('Should format "requestMockHarEntryNotFoundError"', () => {
+            assertErrorMessage('request-mock-har-entry-not-found-error', new RequestMockHarEntryNotFoundError('RequestMock', 'GET', 'http://example.com/api?a=1&b=2'));
+        });
+
         it('Should format "uncaughtErrorInCustomClientScriptCode"', () => {
             assertErrorMessage('uncaught-error-in-custom-client-script-code', new UncaughtErrorInCustomClientScriptCode(new TypeError('Cannot read property "prop" of undefined')));
         });
@@ -739,6 +852,22 @@ describe('Error formatting', () => {
             assertErrorMessage('action-function-argument-error', new ActionFunctionArgumentError('predicate', 'number'));
         });
 
+        it('Should format "actionAttachmentContentArgumentError"', () => {
+            assertErrorMessage('action-attachment-content-argument-error', new ActionAttachmentContentArgumentError('content', 'number'));
+        });
+
+        it('Should format "actionJsonSchemaArgumentError"', () => {
+            assertErrorMessage('action-json-schema-argument-error', new ActionJsonSchemaArgumentError('schema', 'array'));
+        });
+
+        it('Should format "actionInvalidJsonSchemaArgumentError"', () => {
+            assertErrorMessage('action-invalid-json-schema-argument-error', new ActionInvalidJsonSchemaArgumentError('schema', "can't resolve reference #/$defs/missing from id #"));
+        });
+
+        it('Should format "actionObjectArgumentError"', () => {
+            assertErrorMessage('action-object-argument-error', new ActionObjectArgumentError('headers', 'string'));
+        });
+
         it('Should format "multipleWindowsModeIsDisabledError"', () => {
             assertErrorMessage('multiple-windows-mode-is-disabled-error', new MultipleWindowsModeIsDisabledError('openWindow'));
         });
@@ -0,0 +1,149 @@
+const { expect }      = require('chai');
+const fs              = require('fs');
+const path            = require('path');
+const tmp             = require('tmp');
+const moment          = require('moment');
+const Capturer        = require('../../lib/screenshots/capturer');
+const PathPattern     = require('../../lib/utils/path-pattern');
+const WarningLog      = require('../../lib/notifications/warning-log');
+const BaseTestRunMock = require('./helpers/base-test-run-mock');
+
+describe('Tracing', () => {
+    it('Should save traces next to the screenshots of the test run', () => {
+        const now         = moment('2010-01-02 11:12:13');
+        const pathPattern = new PathPattern(void 0, 'png', {
+            testIndex:         2,
+            quarantineAttempt: 3,
+            now,
+            fixture:           'fixture',
+            test:              'test',
+            parsedUserAgent:   { prettyUserAgent: 'Chrome 99.0.4844.51 / Linux 0.0', os: { name: 'Linux' } },
+        });
+
+        const capturer = new Capturer('/screenshots', null, { provider: null, id: 'id' }, pathPattern);
+
+        expect(capturer.getTracePath()).eql(path.join('/screenshots', '2010-01-02_11-12-13', 'test-2', 'run-3', 'Chrome_99.0.4844.51_Linux_0.0', 'traces',
+            'test-2_Chrome_99.0.4844.51_Linux_0.0_run-3.json'));
+    });
+
+    it('Should not overwrite traces of other test runs if the screenshot path pattern does not separate them', () => {
+        function getTracePath (testIndex, prettyUserAgent, quarantineAttempt) {
+            const pathPattern = new PathPattern('${FIXTURE}/${FILE_INDEX}', 'png', {
+                testIndex,
+                quarantineAttempt,
+                now:             moment('2010-01-02 11:12:13'),
+                fixture:         'fixture',
+                test:            'test',
+                parsedUserAgent: { prettyUserAgent, os: { name: 'Linux' } },
+            });
+
+            return new Capturer('/screenshots', null, { provider: null, id: 'id' }, pathPattern).getTracePath();
+        }
+
+        expect(getTracePath(1, 'Chrome 99.0 / Linux 0.0')).eql(path.join('/screenshots', 'fixture', 'traces', 'test-1_Chrome_99.0_Linux_0.0_run-1.json'));
+        expect(getTracePath(2, 'Chrome 99.0 / Linux 0.0')).eql(path.join('/screenshots', 'fixture', 'traces', 'test-2_Chrome_99.0_Linux_0.0_run-1.json'));
+        expect(getTracePath(1, 'Firefox 98.0 / Linux 0.0', 2)).eql(path.join('/screenshots', 'fixture', 'traces', 'test-1_Firefox_98.0_Linux_0.0_run-2.json'));
+    });
+
+    describe('Test run', () => {
+        let tracesDir = null;
+
+        beforeEach(() => {
+            tracesDir = tmp.dirSync({ unsafeCleanup: true });
+        });
+
+        afterEach(() => {
+            tracesDir.removeCallback();
+        });
+
+        function createTestRun (tracing, { isTracingSupported = true, stopTracingError = null } = {}) {
+            const testRun = new BaseTestRunMock({
+                test:               { name: 'test' },
+                globalWarningLog:   new WarningLog(),
+                opts:               { tracing },
+                screenshotCapturer: { getTracePath: () => path.join(tracesDir.name, 'test-1', 'traces', 'trace.json') },
+
+                browserConnection: {
+                    id:          'browser-id',
+                    browserInfo: { alias: 'firefox' },
+
+                    provider: {
+                        startTracing: async () => {
+                            testRun.providerLog.push('start');
+
+                            return isTracingSupported;
+                        },
+
+                        stopTracing: async () => {
+                            testRun.providerLog.push('stop');
+
+                            if (stopTracingError)
+                                throw stopTracingError;
+
+                            return Buffer.from('{"traceEvents":[]}');
+                        },
+                    },
+                },
+            });
+
+            testRun.providerLog = [];
+
+            return testRun;
+        }
+
+        it('Should save the trace of a failed test', async () => {
+            const testRun = createTestRun('on-failure');
+
+            await testRun._startTracing();
+
+            testRun.errs.push({ code: 'E1' });
+
+            await testRun._stopTracing();
+
+            expect(testRun.providerLog).eql(['start', 'stop']);
+            expect(testRun.tracePath).eql(path.join(tracesDir.name, 'test-1', 'traces', 'trace.json'));
+            expect(fs.readFileSync(testRun.tracePath).toString()).eql('{"traceEvents":[]}');
+        });
+
+        it('Should not save the trace of a passed test in the "on-failure" mode', async () => {
+            const testRun = createTestRun('on-failure');
+
+            await testRun._startTracing();
+            await testRun._stopTracing();
+
+            expect(testRun.providerLog).eql(['start', 'stop']);
+            expect(testRun.tracePath).to.be.null;
+            expect(fs.readdirSync(tracesDir.name)).eql([]);
+        });
+
+        it('Should save the trace of a passed test in the "on" mode', async () => {
+            const testRun = createTestRun('on');
+
+            await testRun._startTracing();
+            await testRun._stopTracing();
+
+            expect(testRun.tracePath).eql(path.join(tracesDir.name, 'test-1', 'traces', 'trace.json'));
+        });
+
+        it('Should raise a warning if the browser does not support tracing', async () => {
+            const testRun = createTestRun('on', { isTracingSupported: false });
+
+            await testRun._startTracing();
+            await testRun._stopTracing();
+
+            expect(testRun.providerLog).eql(['start']);
+            expect(testRun.tracePath).to.be.null;
+            expect(testRun.warningLog.messages).eql(['Performance tracing is not supported by the "firefox" browser.']);
+        });
+
+        it('Should raise a warning if the trace cannot be recorded', async () => {
+            const testRun = createTestRun('on', { stopTracingError: new Error('Target closed.') });
+
+            await testRun._startTracing();
+            await testRun._stopTracing();
+
+            expect(testRun.tracePath).to.be.null;
+            expect(testRun.warningLog.messages).eql(['Was unable to record the performance trace for the "test" test due to an error.\n\nTarget closed.']);
+        });
+    });
+});
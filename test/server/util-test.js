@@ -574,6 +574,21 @@ describe('Utils', () => {
         expect(inDockerFlagMatch.length).eql(1);
     });
 
+    it('Should quote Google Chrome arguments from configuration objects', () => {
+        const config = {
+            userProfile: true,
+            userArgs:    '',
+            args:        ['--user-agent=Foo Bar', '--user-data-dir=/home/user/my profile', '--mute-audio'],
+        };
+
+        const chromeArgs = buildChromeArgs({ config, cdpPort: '', platformArgs: '', tempProfileDir: null, inDocker: false });
+
+        if (OS.win)
+            expect(chromeArgs).eql('"--user-agent=Foo Bar" "--user-data-dir=/home/user/my profile" --mute-audio');
+        else
+            expect(chromeArgs).eql(`'--user-agent=Foo Bar' '--user-data-dir=/home/user/my profile' --mute-audio`);
+    });
+
     describe('Create temporary profile for the Google Chrome browser', () => {
         const TMP_ROOT     = resolvePathRelativelyCwd('__tmp__');
         const savedTmpRoot = TempDirectory.TEMP_DIRECTORIES_ROOT;
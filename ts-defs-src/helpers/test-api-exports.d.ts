@@ -42,5 +42,15 @@ export const t: TestController;
  */
 export const userVariables: UserVariables;
 
+/**
+ * Registers a custom assertion method that becomes available in all assertion chains.
+ *
+ * @param name - The name of the assertion method.
+ * @param fn - A function that receives the actual and expected values and returns
+ * whether the assertion passed or a `CustomAssertionResult` object.
+ * @param options - Custom assertion options.
+ */
+export function registerAssertion(name: string, fn: CustomAssertionFn, options?: CustomAssertionOptions): void;
+
 export const fixture: FixtureFn;
 export const test: TestFn;
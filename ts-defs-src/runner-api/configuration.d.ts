@@ -25,6 +25,15 @@ interface TestCafeConfigurationOptions extends RunOptions, StartOptions {
     videoOptions: VideoConfigOptions['options'];
     videoEncodingOptions: VideoConfigOptions['encodingOptions'];
 
+    harPath: HarConfigOptions['path'];
+    harOptions: HarConfigOptions['options'];
+
+    shard: string;
+    shardOptions: ShardOptions;
+
+    coverage: boolean;
+    coverageOptions: CoverageOptions;
+
     filter: FilterDescriptor; 
 
     clientScripts: ClientScriptOptions;
@@ -31,7 +31,81 @@ interface BrowserDescriptor {
     cmd?: string; 
 }
 
-type BrowserOption  = string | BrowserConnection | BrowserDescriptor;
+interface BrowserEmulationOptions {
+    /**
+     * The name of the emulated device.
+     */
+    device?: string;
+    /**
+     * The device orientation.
+     */
+    orientation?: 'vertical' | 'horizontal';
+    /**
+     * The width of the emulated screen, in pixels.
+     */
+    width?: number;
+    /**
+     * The height of the emulated screen, in pixels.
+     */
+    height?: number;
+    /**
+     * The pixel ratio of the emulated screen.
+     */
+    scaleFactor?: number;
+    /**
+     * Specifies whether to emulate a mobile device.
+     */
+    mobile?: boolean;
+    /**
+     * Specifies whether to emulate touch events.
+     */
+    touch?: boolean;
+    /**
+     * The user agent string.
+     */
+    userAgent?: string;
+}
+
+interface BrowserConfig {
+    /**
+     * The browser alias (for example, "chrome" or "firefox").
+     */
+    name: string;
+    /**
+     * The path to the browser's executable.
+     */
+    path?: string;
+    /**
+     * Runs the browser in headless mode.
+     */
+    headless?: boolean;
+    /**
+     * Runs the browser with the default user profile (`true`) or with the profile from the specified directory.
+     */
+    userProfile?: boolean | string;
+    /**
+     * Emulates a device in Chromium-based browsers.
+     */
+    emulation?: BrowserEmulationOptions;
+    /**
+     * The port of the Chrome Debugging Protocol.
+     */
+    cdpPort?: number;
+    /**
+     * The port of the Firefox Marionette protocol.
+     */
+    marionettePort?: number;
+    /**
+     * Additional command line arguments passed to the browser.
+     */
+    args?: string[];
+    /**
+     * Environment variables of the browser process.
+     */
+    env?: Record<string, string>;
+}
+
+type BrowserOption  = string | BrowserConnection | BrowserDescriptor | BrowserConfig;
 type BrowserOptions = BrowserOption | BrowserOption [];
 
 type CompilerOptions = {
@@ -94,6 +168,11 @@ interface ScreenshotsOptions extends TakeScreenshotOptions {
      * Specifies a custom pattern to compose screenshot files' relative path and name.
      */
     pathPattern?: string;
+    /**
+     * Specifies the directory where the baseline screenshots for the `toMatchScreenshot` assertion are stored.
+     * By default, baselines are stored in the `__screenshots__` directory next to the test file.
+     */
+    baselinesPath?: string;
 }
 
 interface VideoOptions {
@@ -183,6 +262,57 @@ interface VideoConfigOptions {
     encodingOptions?: VideoEncodingOptions;
 }
 
+interface HarOptions {
+    /**
+     * Specifies whether to save HAR files only for failed tests.
+     */
+    failedOnly?: boolean;
+    /**
+     * Specifies a custom pattern that defines how TestCafe composes the relative path to a HAR file.
+     */
+    pathPattern?: string;
+}
+
+interface HarConfigOptions {
+    path: string;
+    options?: HarOptions;
+}
+
+interface ShardOptions {
+    /**
+     * Specifies how tests are distributed between shards: by test file, by fixture, or by historic test duration.
+     * Fixtures with the `before` and `after` hooks are never split between shards.
+     */
+    by?: 'file' | 'fixture' | 'duration';
+    /**
+     * Specifies the path to a JSON file that maps test keys (`file > fixture > test`) to historic test durations.
+     */
+    durationsPath?: string;
+}
+
+interface CoverageOptions {
+    /**
+     * Specifies the directory where code coverage reports are saved. The default directory is `coverage`.
+     */
+    dir?: string;
+    /**
+     * Specifies the formats of code coverage reports: `lcov` (the `lcov.info` file) and `json` (the `coverage-final.json` file).
+     * By default, reports in both formats are saved.
+     */
+    reporters?: ('lcov' | 'json')[];
+}
+
+interface RetriesOptions {
+    /**
+     * Specifies the maximum number of retries for a failed test.
+     */
+    count?: number;
+    /**
+     * Specifies the codes of errors (for example, `E24`) that cause a retry. If omitted, tests are retried after any error.
+     */
+    onlyOn?: string[];
+}
+
 interface ProxyOptions {
     host: string;
     bypassRules?: string | string [];
@@ -201,6 +331,10 @@ interface RunOptions {
      * Defines whether to enable quarantine mode and (optionally) what settings to use.
      */
     quarantineMode: boolean | Record<string, string>;
+    /**
+     * Specifies how many times to retry failed tests. Tests that pass on a retry are reported as flaky.
+     */
+    retries: number | RetriesOptions;
     /**
      * Specifies if tests run in the debug mode. If this option is enabled, test execution is paused before the first action or assertion allowing you to invoke the developer tools and debug. In the debug mode, you can execute the test step-by-step to reproduce its incorrect behavior. You can also use the Unlock Page switch in the footer to unlock the tested page and interact with its elements.
      */
@@ -249,7 +383,32 @@ interface RunOptions {
      * Prevents TestCafe from taking screenshots. When this option is specified, screenshots are not taken whenever a test fails or when t.takeScreenshot or t.takeElementScreenshot is executed.
      */
     disableScreenshots: boolean;
+    /**
+     * Overwrites the baseline screenshots used by the `toMatchScreenshot` assertion with the actual screenshots.
+     */
+    updateScreenshotBaselines: boolean;
+    /**
+     * Overwrites the snapshots used by the `toMatchSnapshot` assertion with the actual values and removes obsolete snapshots.
+     */
+    updateSnapshots: boolean;
+    /**
+     * Collects page performance metrics after each `t.navigateTo` action and passes them to reporters in the action data.
+     */
+    performanceMetrics: boolean;
     disableMultipleWindows: boolean;
+    /**
+     * Runs tests in the specified order based on the durations and results of previous test runs.
+     * `longest-first` runs the slowest tests first, `failed-first` runs the tests that failed during the previous run first.
+     * The durations and results are only recorded during test runs with this option enabled.
+     */
+    testOrder: 'longest-first' | 'failed-first';
+    /**
+     * Records a Chrome DevTools performance trace of each test run and saves it to the screenshots directory.
+     * `on` saves traces of all tests, `on-failure` saves traces of failed tests only.
+     * In the proxyless mode, concurrent test runs share a browser process, which records only one trace at a time.
+     * Traces of the other concurrent test runs are not saved, and the saved trace can include their activity.
+     */
+    tracing: 'off' | 'on' | 'on-failure';
 }
 
 interface StartOptions {
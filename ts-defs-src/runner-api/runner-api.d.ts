@@ -54,6 +54,13 @@ interface Runner {
      */
     browsers(browser: BrowserDescriptor): this;
 
+    /**
+     * Configures the test runner to run tests in the specified browsers.
+     *
+     * @param browser - The browser alias (BrowserConfig.name) and browser options.
+     */
+    browsers(browser: BrowserConfig): this;
+
     /**
      * Configures the test runner to run tests in the specified browsers.
      *
@@ -100,6 +107,31 @@ interface Runner {
         encodingOptions?: VideoConfigOptions['encodingOptions']
     ): this;
 
+    /**
+     * Enables TestCafe to record the network traffic of each test run to HAR files.
+     *
+     * @param path - Output directory
+     * @param options - HAR recording options
+     */
+    har(path: HarConfigOptions['path'], options?: HarConfigOptions['options']): this;
+
+    /**
+     * Runs only a portion of tests to distribute them between several machines.
+     *
+     * @param value - The shard index and the total number of shards separated by a slash (for example, "3/8")
+     * @param options - Sharding options
+     */
+    shard(value: string, options?: ShardOptions): this;
+
+    /**
+     * Collects code coverage of the tested application from pages instrumented with Istanbul
+     * and saves coverage reports when all tests are completed.
+     *
+     * @param enabled - Specifies whether to collect code coverage
+     * @param options - Code coverage report options
+     */
+    coverage(enabled: boolean, options?: CoverageOptions): this;
+
     /**
      * Configures TestCafe's reporting feature.
      *
@@ -174,3 +174,136 @@ interface ResizeToFitDeviceOptions {
      */
     portraitOrientation?: boolean;
 }
+
+interface AccessibilityCheckOptions {
+    /**
+     * The IDs of the rules to check (for example, `image-alt` or `label`). By default, all rules are checked.
+     */
+    rules?: ('button-name' | 'document-title' | 'duplicate-id' | 'empty-heading' | 'frame-title' | 'html-has-lang' | 'image-alt' | 'input-image-alt' | 'label' | 'link-name')[];
+    /**
+     * The minimum impact of violations that fail the test. The default is `minor`, so that any violation fails the test.
+     */
+    impactLevel?: 'minor' | 'moderate' | 'serious' | 'critical';
+}
+
+interface AttachOptions {
+    /**
+     * The MIME type of the attachment. By default, it is determined by the attached file extension or the content type:
+     * `text/plain` for strings, `application/json` for objects and `application/octet-stream` for Buffers.
+     */
+    contentType?: string;
+    /**
+     * Specifies that the string content is a path to the attached file (relative to the current working directory).
+     * By default, strings are attached as text.
+     */
+    fromFile?: boolean;
+}
+
+interface HttpRequestOptions {
+    /**
+     * The request method. Defaults to `GET`.
+     */
+    method?: string;
+    /**
+     * The request headers.
+     */
+    headers?: { [name: string]: string | string[] };
+    /**
+     * The query parameters appended to the request URL.
+     */
+    params?: { [name: string]: string | number | boolean } | URLSearchParams;
+    /**
+     * The request body. Objects and arrays are sent as JSON, URLSearchParams instances are sent as URL-encoded forms.
+     */
+    body?: string | Buffer | URLSearchParams | object;
+    /**
+     * The credentials sent with the basic HTTP authentication.
+     */
+    auth?: { username: string; password: string };
+    /**
+     * The request timeout, in milliseconds. Defaults to the AJAX request timeout.
+     */
+    timeout?: number;
+    /**
+     * `true` to send the cookies of the tested page and save the cookies set by the response. Defaults to `false`.
+     */
+    withCredentials?: boolean;
+    /**
+     * `true` to return the response body as a Buffer without parsing it. Defaults to `false`.
+     */
+    rawResponse?: boolean;
+    /**
+     * `false` to skip the verification of the server's TLS certificate, for example, to send requests to a server with a self-signed certificate.
+     * Defaults to `true`.
+     */
+    rejectUnauthorized?: boolean;
+}
+
+interface HttpRequestOptionsWithUrl extends HttpRequestOptions {
+    /**
+     * The request URL.
+     */
+    url: string;
+}
+
+interface GeolocationOptions {
+    /**
+     * The latitude, from -90 to 90.
+     */
+    latitude: number;
+    /**
+     * The longitude, from -180 to 180.
+     */
+    longitude: number;
+    /**
+     * The accuracy, in meters. Defaults to 0.
+     */
+    accuracy?: number;
+}
+
+interface EmulationOptions {
+    /**
+     * The geolocation reported to the page. `null` resets the emulated geolocation.
+     */
+    geolocation?: GeolocationOptions | null;
+    /**
+     * The ICU time zone ID, for example, `Europe/Berlin`. `null` resets the emulated time zone.
+     */
+    timezoneId?: string | null;
+    /**
+     * The ICU locale, for example, `de-DE`. `null` resets the emulated locale.
+     */
+    locale?: string | null;
+    /**
+     * The emulated value of the `prefers-color-scheme` media feature. `null` resets the emulated value.
+     */
+    colorScheme?: 'light' | 'dark' | 'no-preference' | null;
+    /**
+     * The emulated value of the `prefers-reduced-motion` media feature. `null` resets the emulated value.
+     */
+    reducedMotion?: 'reduce' | 'no-preference' | null;
+    /**
+     * `true` to make requests from the tested page fail as if the network were disconnected.
+     */
+    offline?: boolean;
+}
+
+interface NetworkConditions {
+    /**
+     * The latency added to each request, in milliseconds.
+     */
+    latency?: number;
+    /**
+     * The maximum download throughput, in bytes per second. The download throughput is not limited if the value is not specified.
+     */
+    download?: number;
+    /**
+     * The maximum upload throughput, in bytes per second. The upload throughput is not limited if the value is not specified.
+     */
+    upload?: number;
+    /**
+     * `true` to make requests from the tested page fail as if the network were disconnected.
+     * The offline mode is only supported in local Chromium-based browsers. In other browsers, the test fails.
+     */
+    offline?: boolean;
+}
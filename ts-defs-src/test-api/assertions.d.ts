@@ -17,7 +17,111 @@ interface AssertionOptions {
     allowUnawaitedPromise?: boolean;
 }
 
-interface Assertion<E = any> {
+interface SnapshotOptions extends AssertionOptions {
+    /**
+     * Specifies whether the normalized outer HTML of the element is compared instead of its text.
+     * Applies when a selector is passed to the assertion.
+     */
+    html?: boolean;
+}
+
+type JsonSchema = boolean | { [keyword: string]: any };
+
+interface ScreenshotRegion {
+    left: number;
+    top: number;
+    right: number;
+    bottom: number;
+}
+
+interface ScreenshotComparisonOptions {
+    /**
+     * The amount of time, in milliseconds, allowed for the element screenshot to match the baseline before the test fails.
+     */
+    timeout?: number;
+    /**
+     * The maximum ratio (from 0 to 1) of differing pixels at which screenshots are considered matching. Defaults to 0.
+     */
+    threshold?: number;
+    /**
+     * Regions of the element screenshot that are excluded from the comparison. Coordinates are relative to the element.
+     */
+    ignoreRegions?: ScreenshotRegion[];
+}
+
+interface PollOptions {
+    /**
+     * The amount of time, in milliseconds, allowed for the assertion to pass before the test fails.
+     * The `timeout` assertion option takes precedence over this value.
+     */
+    timeout?: number;
+    /**
+     * The time, in milliseconds, between two consecutive function calls. Defaults to 200.
+     */
+    interval?: number;
+}
+
+interface ExpectFunction {
+    /**
+     * Starts an assertion chain and specifies assertion actual value.
+     *
+     * @param actual - An actual value of the assertion.
+     */
+    <A>(actual: A | Promise<A>): Assertion<A>;
+    /**
+     * Starts a soft assertion chain and specifies assertion actual value.
+     * A failed soft assertion does not stop the test. Its error is reported when the test is finished.
+     *
+     * @param actual - An actual value of the assertion.
+     */
+    soft<A>(actual: A | Promise<A>): Assertion<A>;
+    /**
+     * Starts an assertion chain whose actual value is the result of the specified function.
+     * The function is called again on each assertion retry until the assertion passes or the timeout expires.
+     *
+     * @param fn - A function that returns an actual value of the assertion or a Promise for it.
+     * @param options - Polling options.
+     */
+    poll<A>(fn: () => A | Promise<A>, options?: PollOptions): Assertion<A>;
+}
+
+interface CustomAssertionResult {
+    /**
+     * `true` if the assertion passed.
+     */
+    pass: boolean;
+    /**
+     * A message that will be displayed in the report if the assertion fails.
+     */
+    message?: string;
+    /**
+     * An actual value that will be displayed in the report diff. Defaults to the assertion actual value.
+     */
+    actual?: any;
+    /**
+     * An expected value that will be displayed in the report diff. Defaults to the assertion expected value.
+     */
+    expected?: any;
+}
+
+interface CustomAssertionOptions {
+    /**
+     * Specifies whether the assertion is retried until it passes or the timeout expires if a selector property,
+     * a client function or `t.expect.poll` was used in the assertion. Defaults to `true`.
+     */
+    retryable?: boolean;
+}
+
+type CustomAssertionFn = (actual: any, expected: any) => boolean | CustomAssertionResult | Promise<boolean | CustomAssertionResult>;
+
+/**
+ * Custom assertion methods registered with the `registerAssertion` function.
+ * Extend this interface with declaration merging to type the registered methods.
+ */
+interface CustomAssertions<E = any> {
+}
+
+interface Assertion<E = any> extends CustomAssertions<E> {
     /**
      * Asserts that `actual` is deeply equal to `expected`.
      *
@@ -258,4 +362,44 @@ interface Assertion<E = any> {
      * @param options - Assertion options.
      */
     notMatch(re: RegExp, options?: AssertionOptions): TestControllerPromise;
+    /**
+     * Asserts that `actual` is valid against the JSON schema (draft 2020-12).
+     * Buffers, for example, response bodies logged by RequestLogger, are parsed as JSON.
+     *
+     * @param schema - A JSON schema that `actual` is expected to match.
+     * @param message - An assertion message that will be displayed in the report if the test fails.
+     * @param options - Assertion options.
+     */
+    matchesSchema(schema: JsonSchema, message?: string, options?: AssertionOptions): TestControllerPromise;
+    /**
+     * Asserts that `actual` is valid against the JSON schema (draft 2020-12).
+     * Buffers, for example, response bodies logged by RequestLogger, are parsed as JSON.
+     *
+     * @param schema - A JSON schema that `actual` is expected to match.
+     * @param options - Assertion options.
+     */
+    matchesSchema(schema: JsonSchema, options?: AssertionOptions): TestControllerPromise;
+    /**
+     * Asserts that the element screenshot matches the baseline screenshot with the specified name.
+     * If the baseline does not exist, the actual screenshot is saved as the baseline.
+     *
+     * @param name - The name of the baseline screenshot. Characters that are not allowed in file names, including path separators, are replaced with underscores.
+     * @param options - Screenshot comparison options.
+     */
+    toMatchScreenshot(name: string, options?: ScreenshotComparisonOptions): TestControllerPromise;
+    /**
+     * Asserts that the serialized actual value matches the snapshot with the specified name.
+     * Selectors are serialized to the text or the normalized outer HTML of the matched element.
+     * If the snapshot does not exist, the actual value is saved as the snapshot.
+     *
+     * @param name - The name of the snapshot. Defaults to the number of the snapshot in the test.
+     * @param options - Snapshot options.
+     */
+    toMatchSnapshot(name?: string, options?: SnapshotOptions): TestControllerPromise;
+    /**
+     * Asserts that the serialized actual value matches the next snapshot of the test.
+     *
+     * @param options - Snapshot options.
+     */
+    toMatchSnapshot(options?: SnapshotOptions): TestControllerPromise;
 }
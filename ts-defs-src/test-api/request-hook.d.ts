@@ -161,8 +161,35 @@ interface RequestMock {
     respond(body?: object | string | ((req: RequestOptions, res: ResponseMock) => Promise<void>), statusCode?: number, headers?: Record<string, string>): RequestMock;
 }
 
+interface RequestMockHarOptions {
+    /**
+     * Specifies how request URLs are compared with recorded URLs: `exact` (default), `ignoreQuery` or a predicate function.
+     */
+    urlMatch?: 'exact' | 'ignoreQuery' | ((requestUrl: string, entryUrl: string) => boolean);
+    /**
+     * Specifies whether request methods should match recorded methods: `exact` (default) or `ignore`.
+     */
+    methodMatch?: 'exact' | 'ignore';
+    /**
+     * Specifies how request bodies are compared with recorded bodies: `ignore` (default), `exact`, `json` or a predicate function.
+     */
+    bodyMatch?: 'ignore' | 'exact' | 'json' | ((requestBody: string, entryBody: string) => boolean);
+    /**
+     * Specifies what happens to requests that do not match any recorded entry:
+     * `passThrough` (default) sends them to the server, `404` responds with the 404 status code,
+     * `fail` responds with the 404 status code and fails the test.
+     */
+    notFound?: 'passThrough' | '404' | 'fail';
+}
+
 interface RequestMockFactory {
     (): RequestMock;
+    /**
+     * Creates a request mock that serves the responses recorded in a HAR file.
+     * @param path - The path to the HAR file. Relative paths are resolved against the directory of the file that calls the method.
+     * @param options - Specifies how requests are matched with the recorded entries.
+     */
+    fromHar(path: string, options?: RequestMockHarOptions): RequestHook;
 }
 
 /**
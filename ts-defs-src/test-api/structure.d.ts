@@ -100,6 +100,12 @@ interface FixtureFn {
      * Disables page caching for tests in this fixture.
      */
     disablePageCaching: this;
+    /**
+     * Throttles the network or emulates the offline mode for all tests in the fixture.
+     *
+     * @param conditions - The network conditions.
+     */
+    throttle(conditions: NetworkConditions): this;
     /**
      * WARNING: This feature is experimental and is not recommended for everyday use. It can be removed in the future TestCafe versions.
      *
@@ -181,6 +187,12 @@ interface TestFn {
      * Disables page caching for this test.
      */
     disablePageCaching: this;
+    /**
+     * Throttles the network or emulates the offline mode for the test.
+     *
+     * @param conditions - The network conditions.
+     */
+    throttle(conditions: NetworkConditions): this;
     /**
      * WARNING: This feature is experimental and is not recommended for everyday use. It can be removed in the future TestCafe versions.
      *
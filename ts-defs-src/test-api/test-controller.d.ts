@@ -43,6 +43,208 @@ interface BrowserConsoleMessages {
     info: string[];
 }
 
+interface AccessibilityViolationNode {
+    /**
+     * The HTML markup of the element.
+     */
+    html: string;
+    /**
+     * A CSS selector that identifies the element.
+     */
+    target: string;
+}
+
+interface AccessibilityViolation {
+    /**
+     * The ID of the violated rule.
+     */
+    id: string;
+    /**
+     * The impact of the violation: `minor`, `moderate`, `serious` or `critical`.
+     */
+    impact: 'minor' | 'moderate' | 'serious' | 'critical';
+    /**
+     * The description of the violated rule.
+     */
+    description: string;
+    /**
+     * The elements that violate the rule.
+     */
+    nodes: AccessibilityViolationNode[];
+}
+
+interface AccessibilityCheckResult {
+    /**
+     * The URL of the checked page.
+     */
+    url: string;
+    /**
+     * All violations found on the page, regardless of their impact.
+     */
+    violations: AccessibilityViolation[];
+}
+
+interface NavigationTimingMetrics {
+    /**
+     * The time spent on redirects, in milliseconds.
+     */
+    redirect: number;
+    /**
+     * The time spent on the DNS lookup, in milliseconds.
+     */
+    domainLookup: number;
+    /**
+     * The time spent on establishing the connection, in milliseconds.
+     */
+    connect: number;
+    /**
+     * The time from the navigation start until the first byte of the response is received, in milliseconds.
+     */
+    timeToFirstByte: number;
+    /**
+     * The time from the navigation start until the response is received, in milliseconds.
+     */
+    responseEnd: number;
+    /**
+     * The time from the navigation start until the document becomes interactive, in milliseconds.
+     */
+    domInteractive: number;
+    /**
+     * The time from the navigation start until the `DOMContentLoaded` event handlers complete, in milliseconds.
+     */
+    domContentLoaded: number;
+    /**
+     * The time from the navigation start until the `load` event handlers complete, in milliseconds.
+     */
+    load: number;
+}
+
+interface PerformanceMetrics {
+    /**
+     * The URL of the page.
+     */
+    url: string;
+    /**
+     * Navigation Timing metrics, or `null` if the browser does not support the Navigation Timing API.
+     */
+    navigation: NavigationTimingMetrics | null;
+    /**
+     * Paint timings in milliseconds from the navigation start, or `null` if the browser does not report them.
+     */
+    paint: {
+        firstPaint: number | null;
+        firstContentfulPaint: number | null;
+    };
+    /**
+     * The number and total duration (in milliseconds) of tasks that blocked the main thread for 50 ms or longer.
+     */
+    longTasks: {
+        count: number;
+        totalDuration: number;
+    };
+    /**
+     * The number and transfer size (in bytes) of resources loaded by the page, and the resource count by initiator type.
+     */
+    resources: {
+        count: number;
+        transferSize: number;
+        byType: { [initiatorType: string]: number };
+    };
+    /**
+     * Metrics reported by the Chrome DevTools Protocol `Performance` domain. Available in Chromium-based browsers only.
+     */
+    browser?: { [name: string]: number };
+}
+
+interface AttachmentInfo {
+    /**
+     * The attachment name.
+     */
+    name: string;
+    /**
+     * The path to the saved attachment file.
+     */
+    path: string;
+    /**
+     * The MIME type of the attachment.
+     */
+    contentType: string;
+    /**
+     * The attachment file size, in bytes.
+     */
+    size: number;
+}
+
+interface HttpResponse<T = any> {
+    /**
+     * The response status code.
+     */
+    status: number;
+    /**
+     * The response status message.
+     */
+    statusText: string;
+    /**
+     * The response headers.
+     */
+    headers: { [name: string]: string | string[] | undefined };
+    /**
+     * The response body. JSON bodies are parsed, text bodies are returned as strings, other bodies are returned as Buffers.
+     */
+    body: T;
+    /**
+     * The response URL. It differs from the request URL if the request was redirected.
+     */
+    url: string;
+}
+
+interface HttpRequestMethodFunction {
+    /**
+     * Sends an HTTP request with the specified method.
+     *
+     * @param url - The request URL.
+     * @param options - Request options.
+     */
+    <T = any>(url: string, options?: HttpRequestOptions): Promise<HttpResponse<T>>;
+    /**
+     * Sends an HTTP request with the specified method.
+     *
+     * @param options - Request options.
+     */
+    <T = any>(options: HttpRequestOptionsWithUrl): Promise<HttpResponse<T>>;
+}
+
+interface HttpRequestFunction extends HttpRequestMethodFunction {
+    /**
+     * Sends a GET request.
+     */
+    get: HttpRequestMethodFunction;
+    /**
+     * Sends a POST request.
+     */
+    post: HttpRequestMethodFunction;
+    /**
+     * Sends a PUT request.
+     */
+    put: HttpRequestMethodFunction;
+    /**
+     * Sends a PATCH request.
+     */
+    patch: HttpRequestMethodFunction;
+    /**
+     * Sends a DELETE request.
+     */
+    delete: HttpRequestMethodFunction;
+    /**
+     * Sends a HEAD request.
+     */
+    head: HttpRequestMethodFunction;
+    /**
+     * Sends an OPTIONS request.
+     */
+    options: HttpRequestMethodFunction;
+}
+
 interface Browser {
     /**
      * The browser alias string specified when tests were launched.
@@ -446,11 +648,63 @@ interface TestController {
      */
     getBrowserConsoleMessages(): Promise<BrowserConsoleMessages>;
     /**
-     * Starts an assertion chain and specifies assertion actual value.
+     * Returns performance metrics of the current page: Navigation Timing, paint timings, long tasks and loaded resources.
+     */
+    getPerformanceMetrics(): Promise<PerformanceMetrics>;
+    /**
+     * Checks the page for accessibility violations and fails the test if there are violations
+     * with the specified or higher impact.
+     *
+     * @param selector - Identifies the element whose content is checked. If omitted, the entire page is checked.
+     * @param options - Accessibility check options.
+     */
+    checkAccessibility(selector?: string | Selector | NodeSnapshot | SelectorPromise | ((...args: any[]) => Node | Node[] | NodeList | HTMLCollection),
+                       options?: AccessibilityCheckOptions): Promise<AccessibilityCheckResult>;
+    /**
+     * Checks the entire page for accessibility violations and fails the test if there are violations
+     * with the specified or higher impact.
      *
-     * @param actual - An actual value of the assertion.
+     * @param options - Accessibility check options.
      */
-    expect<A>(actual: A | Promise<A>): Assertion<A>;
+    checkAccessibility(options: AccessibilityCheckOptions): Promise<AccessibilityCheckResult>;
+    /**
+     * Attaches a file or content to the test report. Attachments are saved to the `attachments` subdirectory
+     * of the test's screenshot directory and passed to reporters.
+     *
+     * @param name - The attachment name.
+     * @param contentOrPath - A string, a Buffer or a JSON-serializable object. To attach a file, pass its path and set the `fromFile` option.
+     * @param options - Attachment options.
+     */
+    attach(name: string, contentOrPath: string | Buffer | object, options?: AttachOptions): Promise<AttachmentInfo>;
+    /**
+     * Changes the emulated geolocation, time zone, locale, media features or network state of the tested page.
+     * Unspecified settings are left unchanged. The emulated settings are reset when the test is finished.
+     * Runtime emulation is only supported in local Chromium-based browsers.
+     *
+     * @param options - Emulation settings.
+     */
+    emulate(options: EmulationOptions): TestControllerPromise;
+    /**
+     * Throttles the network or emulates the offline mode for the rest of the test.
+     * The specified conditions replace the previous ones. Call the method without conditions to stop throttling.
+     * Local Chromium-based browsers throttle the network by themselves. In other browsers, TestCafe throttles page requests on the proxy side.
+     * The offline mode is only supported in local Chromium-based browsers.
+     *
+     * @param conditions - The network conditions.
+     */
+    setNetworkConditions(conditions?: NetworkConditions | null): TestControllerPromise;
+    /**
+     * Sends an HTTP request from the test. The request respects the proxy settings of the test run.
+     * Use the `withCredentials` option to send the cookies of the tested page with the request.
+     * Use `t.request.get`, `t.request.post` and other methods to send a request with the corresponding method.
+     */
+    request: HttpRequestFunction;
+    /**
+     * Starts an assertion chain and specifies assertion actual value.
+     * Use `t.expect.soft` to start an assertion chain that does not stop the test when it fails.
+     * Use `t.expect.poll` to re-evaluate an asynchronous function until the assertion passes.
+     */
+    expect: ExpectFunction;
     /**
      * Pauses the test and switches to the step-by-step execution mode.
      */
@@ -473,6 +727,14 @@ interface TestController {
      * @param role - The role you need to use further in the test.
      */
     useRole(role: Role): TestControllerPromise;
+    /**
+     * Groups the actions and assertions performed in the specified function into a named step.
+     * Steps can be nested. Reporters receive the step tree, and test errors include the step in which they occurred.
+     *
+     * @param name - The step name.
+     * @param fn - An asynchronous function that contains the step actions.
+     */
+    step(name: string, fn: (t: TestController) => Promise<any>): TestControllerPromise;
     /**
      * Attaches the hooks during a test run
      *